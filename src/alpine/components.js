@@ -140,6 +140,24 @@ document.addEventListener('alpine:init', () => {
         // Ignore localStorage errors
       }
     },
+
+    // English translation lines under segments of translate jobs
+    translationsVisible: (() => {
+      try {
+        return localStorage.getItem('job-translations-visible') !== 'false';
+      } catch (e) {
+        return true;
+      }
+    })(),
+
+    toggleTranslations() {
+      this.translationsVisible = !this.translationsVisible;
+      try {
+        localStorage.setItem('job-translations-visible', String(this.translationsVisible));
+      } catch (e) {
+        // Ignore localStorage errors
+      }
+    },
   });
 
   /**
@@ -719,6 +737,25 @@ document.addEventListener('alpine:init', () => {
     visualizationLoading: false,
     // Discriminability metrics
     visualizationMetrics: null,
+    // Enrollment file export/import
+    exportIncludeAudio: true,
+    importCollision: 'rename', // 'rename' | 'replace' | 'skip'
+    // Adapt enrolled centroids from confirmed segments
+    adaptationEnabled: false,
+    // Enrollment health report
+    qualityReport: null,
+    qualityHasAudio: false,
+    qualityLoadingId: null,
+    // Enrollment passage sets
+    passageSets: [],
+    passageSetId: null,
+    passageLanguages: [],
+    isEditingPassages: false,
+    passageDraft: { name: '', language: 'en', text: '' },
+
+    get selectedPassageSet() {
+      return this.passageSets.find(s => s.id === this.passageSetId) || null;
+    },
 
     get currentModelName() {
       if (!this.selectedVisualizationModel) return null;
@@ -758,6 +795,7 @@ document.addEventListener('alpine:init', () => {
       // Listen for enrollment updates
       window.addEventListener('enrollments-updated', (e) => {
         this.enrollments = e.detail.enrollments || [];
+        this.adaptationEnabled = e.detail.adaptationEnabled ?? this.adaptationEnabled;
       });
 
       // Listen for visualization models update
@@ -795,6 +833,22 @@ document.addEventListener('alpine:init', () => {
       window.addEventListener('enrollment-status', (e) => {
         this.statusMessage = e.detail.message;
         this.statusError = e.detail.isError || false;
+        this.qualityLoadingId = null;
+      });
+
+      // Listen for passage set updates (a save closes the editor)
+      window.addEventListener('passage-sets-updated', (e) => {
+        this.passageSets = e.detail.sets || [];
+        this.passageSetId = e.detail.selectedId;
+        this.passageLanguages = e.detail.languages || [];
+        this.isEditingPassages = false;
+      });
+
+      // Listen for enrollment health reports
+      window.addEventListener('enrollment-quality-report', (e) => {
+        this.qualityReport = e.detail.report;
+        this.qualityHasAudio = e.detail.hasAudio;
+        this.qualityLoadingId = null;
       });
     },
 
@@ -816,6 +870,8 @@ document.addEventListener('alpine:init', () => {
       this.isOpen = false;
       this.isAdding = false;
       this.newSpeakerName = '';
+      this.isEditingPassages = false;
+      this.qualityReport = null;
       // Notify app.js to clean up visualization resources
       window.dispatchEvent(new CustomEvent('speakers-modal-closed'));
     },
@@ -832,6 +888,32 @@ document.addEventListener('alpine:init', () => {
     cancelAdd() {
       this.isAdding = false;
       this.newSpeakerName = '';
+      this.isEditingPassages = false;
+    },
+
+    startPassageSetEdit() {
+      this.passageDraft = { name: '', language: this.selectedPassageSet?.language || 'en', text: '' };
+      this.isEditingPassages = true;
+    },
+
+    cancelPassageSetEdit() {
+      this.isEditingPassages = false;
+    },
+
+    savePassageSet() {
+      window.dispatchEvent(new CustomEvent('passage-set-save', {
+        detail: { ...this.passageDraft },
+      }));
+    },
+
+    removePassageSet() {
+      const set = this.selectedPassageSet;
+      if (!set?.custom) return;
+      if (confirm(`Delete the passage set "${set.name}"?`)) {
+        window.dispatchEvent(new CustomEvent('passage-set-remove', {
+          detail: { id: set.id },
+        }));
+      }
     },
 
     startEnrollment() {
@@ -841,7 +923,7 @@ document.addEventListener('alpine:init', () => {
       this.isAdding = false;
       // Dispatch to app.js which opens the recording modal
       window.dispatchEvent(new CustomEvent('enrollment-start', {
-        detail: { name: this.newSpeakerName.trim() },
+        detail: { name: this.newSpeakerName.trim(), passageSetId: this.passageSetId },
       }));
     },
 
@@ -856,6 +938,50 @@ document.addEventListener('alpine:init', () => {
         window.dispatchEvent(new CustomEvent('enrollment-clear-all'));
       }
     },
+
+    toggleAdaptation() {
+      window.dispatchEvent(new CustomEvent('enrollment-adaptation-toggle', {
+        detail: { enabled: this.adaptationEnabled },
+      }));
+    },
+
+    checkQuality(id) {
+      this.qualityLoadingId = id;
+      window.dispatchEvent(new CustomEvent('enrollment-quality-request', {
+        detail: { id },
+      }));
+    },
+
+    closeQualityReport() {
+      this.qualityReport = null;
+    },
+
+    formatLevel(value, digits = 3) {
+      return value == null ? '—' : value.toFixed(digits);
+    },
+
+    rollbackEnrollment(id) {
+      window.dispatchEvent(new CustomEvent('enrollment-rollback', {
+        detail: { id },
+      }));
+    },
+
+    // Export one speaker (id) or all of them (null) to an enrollment file
+    exportEnrollments(id = null) {
+      window.dispatchEvent(new CustomEvent('enrollment-export', {
+        detail: { ids: id ? [id] : null, includeAudio: this.exportIncludeAudio },
+      }));
+    },
+
+    importEnrollments(event) {
+      const file = event.target.files?.[0];
+      // Reset file input so same file can be selected again
+      event.target.value = '';
+      if (!file) return;
+      window.dispatchEvent(new CustomEvent('enrollment-import', {
+        detail: { file, onCollision: this.importCollision },
+      }));
+    },
   }));
 
   /**
@@ -1341,6 +1467,7 @@ document.addEventListener('alpine:init', () => {
 
     // UI state
     dropdownOpen: false,
+    exportMenuOpen: false,
     editPopoverOpen: false,
     deleteConfirmOpen: false,
     settingsSidebarOpen: Alpine.$persist(false).as('job-settings-sidebar'),
@@ -1353,9 +1480,27 @@ document.addEventListener('alpine:init', () => {
     isProcessing: false,
     processingProgress: { current: 0, total: 0, mode: null },
 
+    // Imported reference diarization for the viewed recording (from RTTM)
+    referenceAnnotation: null,
+
+    // Review queue of low-confidence word spans in the transcript (position -1 = none active)
+    reviewQueue: { position: -1, total: 0 },
+
+    // Undo/redo availability for hand edits of the viewed job's transcript
+    editHistory: { canUndo: false, canRedo: false },
+
+    // Enrolling a speaker from the viewed recording (selected segments or a time range)
+    enrollPopoverOpen: false,
+    enrollName: '',
+    enrollSource: 'segments',
+    enrollRangeStart: 0,
+    enrollRangeEnd: 0,
+    enrollSelection: { count: 0, duration: 0 },
+
     init() {
       // Listen for recording loaded with job data
       window.addEventListener('recording-loaded', (e) => {
+        this.referenceAnnotation = e.detail.referenceAnnotation || null;
         this.jobs = e.detail.jobs || [];
         this.activeJobId = e.detail.activeJobId;
         this.activeJob = e.detail.activeJob || null;
@@ -1390,11 +1535,32 @@ document.addEventListener('alpine:init', () => {
           this.activeJobId = null;
           this.activeJob = null;
         }
+        this.referenceAnnotation = null;
         this.dropdownOpen = false;
         this.editPopoverOpen = false;
         this.deleteConfirmOpen = false;
       });
 
+      // Listen for reference annotation imports
+      window.addEventListener('reference-annotation-updated', (e) => {
+        this.referenceAnnotation = e.detail.referenceAnnotation || null;
+      });
+
+      // Listen for review queue changes (transcript rendered or a span reviewed)
+      window.addEventListener('review-queue-updated', (e) => {
+        this.reviewQueue = { position: e.detail.position, total: e.detail.total };
+      });
+
+      // Listen for transcript edits (made, undone, redone, or a different job shown)
+      window.addEventListener('transcript-edit-history-updated', (e) => {
+        this.editHistory = { canUndo: e.detail.canUndo, canRedo: e.detail.canRedo };
+      });
+
+      // Listen for segments selected (or deselected) for enrollment
+      window.addEventListener('enrollment-selection-updated', (e) => {
+        this.enrollSelection = { count: e.detail.count, duration: e.detail.duration };
+      });
+
       // Listen for live job updates (live mode only)
       window.addEventListener('live-job-updated', (e) => {
         if (e.detail.isLiveMode) {
@@ -1436,9 +1602,15 @@ document.addEventListener('alpine:init', () => {
         if (this.dropdownOpen && !e.target.closest('.job-dropdown-container')) {
           this.dropdownOpen = false;
         }
+        if (this.exportMenuOpen && !e.target.closest('.job-export-menu-container')) {
+          this.exportMenuOpen = false;
+        }
         if (this.editPopoverOpen && !e.target.closest('.job-edit-popover-container')) {
           this.editPopoverOpen = false;
         }
+        if (this.enrollPopoverOpen && !e.target.closest('.job-enroll-popover-container')) {
+          this.enrollPopoverOpen = false;
+        }
         if (this.deleteConfirmOpen && !e.target.closest('.job-delete-confirm-container')) {
           this.deleteConfirmOpen = false;
         }
@@ -1548,6 +1720,41 @@ document.addEventListener('alpine:init', () => {
       this.editPopoverOpen = false;
     },
 
+    // Enroll popover
+    openEnrollPopover() {
+      this.enrollSource = this.enrollSelection.count > 0 ? 'segments' : 'range';
+      this.enrollPopoverOpen = true;
+    },
+
+    get enrollSelectionLabel() {
+      const { count, duration } = this.enrollSelection;
+      return `${count} selected segment${count !== 1 ? 's' : ''} (${duration.toFixed(1)}s)`;
+    },
+
+    get canEnroll() {
+      if (!this.enrollName.trim()) return false;
+      return this.enrollSource === 'range'
+        ? Number(this.enrollRangeEnd) > Number(this.enrollRangeStart)
+        : this.enrollSelection.count > 0;
+    },
+
+    enrollFromRecording() {
+      if (!this.canEnroll) return;
+      window.dispatchEvent(new CustomEvent('enroll-from-recording', {
+        detail: {
+          name: this.enrollName.trim(),
+          source: this.enrollSource,
+          range: { start: Number(this.enrollRangeStart), end: Number(this.enrollRangeEnd) },
+        },
+      }));
+      this.enrollName = '';
+      this.enrollPopoverOpen = false;
+    },
+
+    clearEnrollSelection() {
+      window.dispatchEvent(new CustomEvent('enrollment-selection-clear'));
+    },
+
     // Processing
     processJob(mode = 'quick') {
       if (!this.activeJobId) return;
@@ -1573,6 +1780,42 @@ document.addEventListener('alpine:init', () => {
       Alpine.store('jobUI').toggleParticipants();
     },
 
+    // English translation lines (translate jobs only)
+    get isActiveJobTranslated() {
+      return this.activeJob?.settings?.asrModel?.task === 'translate';
+    },
+
+    get translationsVisible() {
+      return Alpine.store('jobUI').translationsVisible;
+    },
+
+    toggleTranslations() {
+      Alpine.store('jobUI').toggleTranslations();
+    },
+
+    // Low-confidence review queue
+    get reviewQueueLabel() {
+      const { position, total } = this.reviewQueue;
+      return position >= 0 ? `${position + 1}/${total}` : `${total} to review`;
+    },
+
+    reviewPrev() {
+      window.dispatchEvent(new CustomEvent('review-queue-navigate', { detail: { direction: -1 } }));
+    },
+
+    reviewNext() {
+      window.dispatchEvent(new CustomEvent('review-queue-navigate', { detail: { direction: 1 } }));
+    },
+
+    // Transcript edit history
+    undoEdit() {
+      window.dispatchEvent(new CustomEvent('transcript-edit-undo'));
+    },
+
+    redoEdit() {
+      window.dispatchEvent(new CustomEvent('transcript-edit-redo'));
+    },
+
     // Copy job JSON to clipboard
     copyJobJson() {
       if (!this.activeJob || this.activeJob.status !== 'processed') return;
@@ -1584,11 +1827,50 @@ document.addEventListener('alpine:init', () => {
     // Export job transcript
     exportJob() {
       if (!this.activeJob || this.activeJob.status !== 'processed') return;
+      this.exportMenuOpen = false;
       window.dispatchEvent(new CustomEvent('job-export', {
         detail: { jobId: this.activeJobId },
       }));
     },
 
+    // Export job transcript as subtitles ('srt' or 'vtt'), original text or English translation
+    exportSubtitles(format, track = 'original') {
+      if (!this.activeJob || this.activeJob.status !== 'processed') return;
+      this.exportMenuOpen = false;
+      window.dispatchEvent(new CustomEvent('job-export-subtitles', {
+        detail: { jobId: this.activeJobId, format, track },
+      }));
+    },
+
+    // Export job diarization as RTTM
+    exportRttm() {
+      if (!this.activeJob || this.activeJob.status !== 'processed') return;
+      this.exportMenuOpen = false;
+      window.dispatchEvent(new CustomEvent('job-export-rttm', {
+        detail: { jobId: this.activeJobId },
+      }));
+    },
+
+    // Import reference diarization (RTTM) for the viewed recording
+    importReferenceRttm(event) {
+      const file = event.target.files?.[0];
+      // Reset file input so same file can be selected again
+      event.target.value = '';
+      this.exportMenuOpen = false;
+      if (!file) return;
+      window.dispatchEvent(new CustomEvent('reference-rttm-import', { detail: { file } }));
+    },
+
+    get referenceSummary() {
+      if (!this.referenceAnnotation?.segments) return '';
+      const speakers = new Set(this.referenceAnnotation.segments.map(s => s.speakerLabel)).size;
+      return `${this.referenceAnnotation.segments.length} segments, ${speakers} speakers`;
+    },
+
+    toggleExportMenu() {
+      this.exportMenuOpen = !this.exportMenuOpen;
+    },
+
     // Dropdown toggle
     toggleDropdown() {
       this.dropdownOpen = !this.dropdownOpen;
@@ -1690,6 +1972,16 @@ document.addEventListener('alpine:init', () => {
     settings: {
       // Models - use exposed defaults from main.js
       embeddingModelId: window.embeddingModels?.defaultModel || 'wavlm-base-sv',
+      asrModelId: window.asrModels?.defaultModel || 'whisper-tiny.en',
+      asrQuantization: window.asrModels?.defaultQuantization || 'auto',
+      asrLanguage: window.asrModels?.autoLanguage || 'auto',
+      asrTask: window.asrModels?.defaultTask || 'transcribe',
+      // Vocabulary (text area contents; parsed into job settings on change)
+      vocabularyTerms: '',
+      vocabularyReplacements: '',
+      vocabularyIncludeEnrolledNames: true,
+      // What to do with suspected Whisper hallucinations ('flag', 'drop' or 'off')
+      hallucinationAction: window.asrModels?.defaultHallucinationAction || 'flag',
       segmentationModelId: window.segmentationModels?.defaultModel || 'pyannote-seg-3',
       // Segmentation params (dynamic based on model)
       segmentationParams: {},
@@ -1697,6 +1989,12 @@ document.addEventListener('alpine:init', () => {
       similarityThreshold: 0.75,
       confidenceMargin: 0.15,
       numSpeakers: 2,
+      autoNumSpeakers: false,
+      scoreNormalization: 'none',
+      // Global (agglomerative) clustering
+      linkage: 'average',
+      mergeThreshold: 0.65,
+      stopAtNumSpeakers: false,
       // Boosting
       boostFactor: 1.10,
       boostEligibilityRank: 2,
@@ -1704,6 +2002,7 @@ document.addEventListener('alpine:init', () => {
       skipBoostIfConfident: 0.82,
       minSimilarityForBoosting: 0.65,
       minSimilarityAfterBoost: 0.75,
+      smoothingChangePenalty: 0.05,
     },
 
     // Saved boosting settings (for dirty detection on processed jobs)
@@ -1712,6 +2011,11 @@ document.addEventListener('alpine:init', () => {
     // Available models (populated on init)
     embeddingModels: [],
     segmentationModels: [],
+    asrModels: [],
+    asrQuantizations: [],
+    asrLanguages: [],
+    asrTasks: [],
+    hallucinationActions: [],
 
     // Segmentation param configs for current model
     segmentationParamConfigs: {},
@@ -1722,6 +2026,33 @@ document.addEventListener('alpine:init', () => {
     // Re-applying boosting state
     isReapplying: false,
 
+    // Evaluation state (scoring jobs against a reference annotation)
+    recordingJobs: [],
+    referenceAnnotation: null,
+    evaluationReference: '',
+    isEvaluating: false,
+
+    // ASR scoring state (WER against a reference transcript)
+    referenceTranscript: null,
+    referenceTranscriptDraft: '',
+    isScoringWer: false,
+    showWerDiff: false,
+
+    // Parameter sweep state (grid of jobs cloned from the active job)
+    sweepParams: [],
+    sweepRanges: {},
+    sweepMode: 'quick',
+    isSweeping: false,
+    sweepProgress: null,
+    sweepError: null,
+    sweepSort: { column: 'der', ascending: true },
+
+    // Live speaker-count estimate ({count, channels}) while auto speaker count is on
+    speakerCountEstimate: null,
+
+    // Last applied score normalization ({method, cohortSize, active}), null when off
+    scoreNormalizationStatus: null,
+
     init() {
       // Load available models
       if (window.embeddingModels) {
@@ -1731,6 +2062,13 @@ document.addEventListener('alpine:init', () => {
         this.segmentationModels = window.segmentationModels.available || [];
         this.loadSegmentationParamConfigs();
       }
+      if (window.asrModels) {
+        this.asrModels = window.asrModels.available || [];
+        this.asrQuantizations = window.asrModels.quantizations || [];
+        this.asrLanguages = window.asrModels.languages || [];
+        this.asrTasks = window.asrModels.tasks || [];
+        this.hallucinationActions = window.asrModels.hallucinationActions || [];
+      }
 
       // Listen for models ready
       window.addEventListener('embedding-models-ready', () => {
@@ -1738,6 +2076,15 @@ document.addEventListener('alpine:init', () => {
           this.embeddingModels = window.embeddingModels.available || [];
         }
       });
+      window.addEventListener('asr-models-ready', () => {
+        if (window.asrModels) {
+          this.asrModels = window.asrModels.available || [];
+          this.asrQuantizations = window.asrModels.quantizations || [];
+          this.asrLanguages = window.asrModels.languages || [];
+          this.asrTasks = window.asrModels.tasks || [];
+          this.hallucinationActions = window.asrModels.hallucinationActions || [];
+        }
+      });
       window.addEventListener('segmentation-models-ready', () => {
         if (window.segmentationModels) {
           this.segmentationModels = window.segmentationModels.available || [];
@@ -1749,6 +2096,11 @@ document.addEventListener('alpine:init', () => {
       window.addEventListener('recording-loaded', (e) => {
         this.activeJob = e.detail.activeJob || null;
         this.syncSettingsFromJob();
+        this.recordingJobs = e.detail.jobs || [];
+        this.referenceAnnotation = e.detail.referenceAnnotation || null;
+        this.syncEvaluationReference();
+        this.referenceTranscript = e.detail.referenceTranscript || null;
+        this.referenceTranscriptDraft = this.referenceTranscript?.text || '';
 
         // Auto-show for unprocessed
         if (this.activeJob?.status === 'unprocessed') {
@@ -1758,6 +2110,11 @@ document.addEventListener('alpine:init', () => {
 
       // Listen for recording closed - restore live job if available
       window.addEventListener('recording-closed', () => {
+        this.recordingJobs = [];
+        this.referenceAnnotation = null;
+        this.evaluationReference = '';
+        this.referenceTranscript = null;
+        this.referenceTranscriptDraft = '';
         const store = Alpine.store('liveMode');
         if (store.liveJob) {
           this.activeJob = store.liveJob;
@@ -1812,6 +2169,70 @@ document.addEventListener('alpine:init', () => {
       window.addEventListener('job-settings-toggle', (e) => {
         this.isVisible = e.detail.open;
       });
+
+      // Listen for reference annotation imports
+      window.addEventListener('reference-annotation-updated', (e) => {
+        this.referenceAnnotation = e.detail.referenceAnnotation || null;
+        this.syncEvaluationReference();
+      });
+
+      // Listen for reference transcript changes
+      window.addEventListener('reference-transcript-updated', (e) => {
+        this.referenceTranscript = e.detail.referenceTranscript || null;
+        this.referenceTranscriptDraft = this.referenceTranscript?.text || '';
+      });
+
+      // Listen for WER results
+      window.addEventListener('job-wer-complete', (e) => {
+        this.isScoringWer = false;
+        for (const { jobId, asrEvaluation } of e.detail.results || []) {
+          const job = this.recordingJobs.find(j => j.id === jobId);
+          if (job) job.asrEvaluation = asrEvaluation;
+          if (this.activeJob?.id === jobId) this.activeJob.asrEvaluation = asrEvaluation;
+        }
+      });
+
+      // Listen for live speaker-count estimates
+      window.addEventListener('speaker-count-estimate', (e) => {
+        this.speakerCountEstimate = e.detail.estimate;
+        if (e.detail.estimate?.count != null) {
+          this.settings.numSpeakers = e.detail.estimate.count;
+        }
+      });
+
+      // Listen for score normalization cohort status
+      window.addEventListener('score-normalization-status', (e) => {
+        this.scoreNormalizationStatus = e.detail.status;
+      });
+
+      // Listen for parameter sweep progress
+      window.addEventListener('job-sweep-progress', (e) => {
+        this.sweepProgress = { current: e.detail.current, total: e.detail.total };
+      });
+
+      window.addEventListener('job-sweep-complete', (e) => {
+        this.isSweeping = false;
+        this.sweepProgress = null;
+        this.sweepError = e.detail.error || null;
+      });
+
+      // Listen for evaluation results
+      window.addEventListener('job-evaluation-complete', (e) => {
+        this.isEvaluating = false;
+        for (const { jobId, evaluation } of e.detail.results || []) {
+          const job = this.recordingJobs.find(j => j.id === jobId);
+          if (job) job.evaluation = evaluation;
+          if (this.activeJob?.id === jobId) this.activeJob.evaluation = evaluation;
+        }
+      });
+    },
+
+    // Keep the selected reference valid for the loaded recording
+    syncEvaluationReference() {
+      const values = this.evaluationReferenceOptions.map(o => o.value);
+      if (!values.includes(this.evaluationReference)) {
+        this.evaluationReference = values[0] || '';
+      }
     },
 
     // Load param configs for the current segmentation model
@@ -1834,6 +2255,14 @@ document.addEventListener('alpine:init', () => {
 
       // Models - use exposed defaults from main.js
       this.settings.embeddingModelId = s.embeddingModel?.id || window.embeddingModels?.defaultModel || 'wavlm-base-sv';
+      this.settings.asrModelId = s.asrModel?.id || window.asrModels?.defaultModel || 'whisper-tiny.en';
+      this.settings.asrQuantization = s.asrModel?.quantization || window.asrModels?.defaultQuantization || 'auto';
+      this.settings.asrLanguage = s.asrModel?.language || window.asrModels?.autoLanguage || 'auto';
+      this.settings.asrTask = s.asrModel?.task || window.asrModels?.defaultTask || 'transcribe';
+      this.settings.vocabularyTerms = (s.vocabulary?.terms || []).join('\n');
+      this.settings.vocabularyReplacements = window.asrVocabulary?.formatReplacements(s.vocabulary?.replacements) || '';
+      this.settings.vocabularyIncludeEnrolledNames = s.vocabulary?.includeEnrolledNames !== false;
+      this.settings.hallucinationAction = s.hallucination?.action || window.asrModels?.defaultHallucinationAction || 'flag';
       this.settings.segmentationModelId = s.segmentationModel?.id || window.segmentationModels?.defaultModel || 'pyannote-seg-3';
 
       // Segmentation params
@@ -1844,6 +2273,11 @@ document.addEventListener('alpine:init', () => {
       this.settings.similarityThreshold = s.clustering?.similarityThreshold ?? 0.75;
       this.settings.confidenceMargin = s.clustering?.confidenceMargin ?? 0.15;
       this.settings.numSpeakers = s.clustering?.numSpeakers ?? 2;
+      this.settings.autoNumSpeakers = s.clustering?.autoNumSpeakers ?? false;
+      this.settings.scoreNormalization = s.clustering?.scoreNormalization ?? 'none';
+      this.settings.linkage = s.clustering?.linkage ?? 'average';
+      this.settings.mergeThreshold = s.clustering?.mergeThreshold ?? 0.65;
+      this.settings.stopAtNumSpeakers = s.clustering?.stopAtNumSpeakers ?? false;
 
       // Boosting
       this.settings.boostFactor = s.boosting?.boostFactor ?? 1.10;
@@ -1852,6 +2286,7 @@ document.addEventListener('alpine:init', () => {
       this.settings.skipBoostIfConfident = s.boosting?.skipBoostIfConfident ?? 0.82;
       this.settings.minSimilarityForBoosting = s.boosting?.minSimilarityForBoosting ?? 0.65;
       this.settings.minSimilarityAfterBoost = s.boosting?.minSimilarityAfterBoost ?? 0.75;
+      this.settings.smoothingChangePenalty = s.boosting?.smoothingChangePenalty ?? 0.05;
 
       // Save boosting settings for dirty detection (for processed jobs)
       this.savedBoostingSettings = {
@@ -1861,7 +2296,10 @@ document.addEventListener('alpine:init', () => {
         skipBoostIfConfident: this.settings.skipBoostIfConfident,
         minSimilarityForBoosting: this.settings.minSimilarityForBoosting,
         minSimilarityAfterBoost: this.settings.minSimilarityAfterBoost,
+        smoothingChangePenalty: this.settings.smoothingChangePenalty,
       };
+
+      this.loadSweepParams();
     },
 
     // Live mode helpers
@@ -1903,6 +2341,7 @@ document.addEventListener('alpine:init', () => {
       const boostingKeys = [
         'boostFactor', 'boostEligibilityRank', 'ambiguityMarginThreshold',
         'skipBoostIfConfident', 'minSimilarityForBoosting', 'minSimilarityAfterBoost',
+        'smoothingChangePenalty',
       ];
       for (const key of boostingKeys) {
         if (this.settings[key] !== this.savedBoostingSettings[key]) {
@@ -1985,8 +2424,31 @@ document.addEventListener('alpine:init', () => {
             this.activeJob.settings.segmentationModel = { id: model.id, name: model.name };
           }
         }
+        // ASR model change (used by full processing)
+        else if (key === 'asrModelId') {
+          const model = this.asrModels.find(m => m.id === value);
+          if (model) {
+            this.activeJob.settings.asrModel = { ...this.activeJob.settings.asrModel, id: model.id, name: model.name };
+          }
+        } else if (key === 'asrQuantization') {
+          this.activeJob.settings.asrModel = { ...this.activeJob.settings.asrModel, quantization: value };
+        } else if (key === 'asrLanguage') {
+          this.activeJob.settings.asrModel = { ...this.activeJob.settings.asrModel, language: value };
+        } else if (key === 'asrTask') {
+          this.activeJob.settings.asrModel = { ...this.activeJob.settings.asrModel, task: value };
+        } else if (key === 'hallucinationAction') {
+          this.activeJob.settings.hallucination = { ...this.activeJob.settings.hallucination, action: value };
+        }
         // Clustering settings
-        else if (['similarityThreshold', 'confidenceMargin', 'numSpeakers'].includes(key)) {
+        else if ([
+          'similarityThreshold',
+          'confidenceMargin',
+          'numSpeakers',
+          'linkage',
+          'mergeThreshold',
+          'stopAtNumSpeakers',
+          'scoreNormalization',
+        ].includes(key)) {
           if (!this.activeJob.settings.clustering) this.activeJob.settings.clustering = {};
           this.activeJob.settings.clustering[key] = value;
 
@@ -2015,6 +2477,44 @@ document.addEventListener('alpine:init', () => {
       }
     },
 
+    // Update the vocabulary from the text areas (parsed into terms and replacement rules)
+    updateVocabulary() {
+      if (!this.isEditable || !this.activeJob || !window.asrVocabulary) return;
+
+      const vocabulary = {
+        terms: window.asrVocabulary.parseTerms(this.settings.vocabularyTerms),
+        includeEnrolledNames: this.settings.vocabularyIncludeEnrolledNames,
+        replacements: window.asrVocabulary.parseReplacements(this.settings.vocabularyReplacements),
+      };
+
+      // For live jobs, dispatch to app.js (applies from the next chunk)
+      if (this.isLiveMode) {
+        window.dispatchEvent(new CustomEvent('live-job-setting-change', {
+          detail: { key: 'vocabulary', value: vocabulary },
+        }));
+        return;
+      }
+
+      // For saved jobs (unprocessed), update settings in memory and persist
+      if (this.activeJob.settings) {
+        this.activeJob.settings.vocabulary = vocabulary;
+        window.dispatchEvent(new CustomEvent('job-update-settings', {
+          detail: { jobId: this.activeJob.id, settings: JSON.parse(JSON.stringify(this.activeJob.settings)) },
+        }));
+      }
+    },
+
+    // Summary of the vocabulary for the read-only view
+    get vocabularySummary() {
+      const terms = window.asrVocabulary?.parseTerms(this.settings.vocabularyTerms).length || 0;
+      const rules = window.asrVocabulary?.parseReplacements(this.settings.vocabularyReplacements).length || 0;
+      const parts = [];
+      if (terms) parts.push(`${terms} term${terms === 1 ? '' : 's'}`);
+      if (rules) parts.push(`${rules} replacement${rules === 1 ? '' : 's'}`);
+      if (this.settings.vocabularyIncludeEnrolledNames) parts.push('enrolled names');
+      return parts.length > 0 ? parts.join(', ') : 'None';
+    },
+
     // Process the job
     processJob(mode = 'quick') {
       if (!this.activeJob) return;
@@ -2069,6 +2569,7 @@ document.addEventListener('alpine:init', () => {
             skipBoostIfConfident: this.settings.skipBoostIfConfident,
             minSimilarityForBoosting: this.settings.minSimilarityForBoosting,
             minSimilarityAfterBoost: this.settings.minSimilarityAfterBoost,
+            smoothingChangePenalty: this.settings.smoothingChangePenalty,
           },
         },
       }));
@@ -2085,12 +2586,312 @@ document.addEventListener('alpine:init', () => {
       window.addEventListener('reapply-boosting-complete', handleComplete);
     },
 
+    // Evaluation helpers
+
+    // References a job can be scored against: imported RTTM or another processed job
+    get evaluationReferenceOptions() {
+      const options = [];
+      if (this.referenceAnnotation?.segments?.length) {
+        options.push({ value: 'rttm', label: `Imported: ${this.referenceAnnotation.fileName || 'RTTM'}` });
+      }
+      for (const job of this.recordingJobs) {
+        if (job.status === 'processed') {
+          options.push({ value: job.id, label: `Job: ${job.name}` });
+        }
+      }
+      return options;
+    },
+
+    get canEvaluate() {
+      return this.isReadOnly && !this.isEvaluating && Boolean(this.evaluationReference)
+        && this.evaluationReference !== this.activeJob?.id;
+    },
+
+    // Evaluation of the active job, if it was scored against the selected reference
+    get activeEvaluation() {
+      const evaluation = this.activeJob?.evaluation;
+      return this.matchesEvaluationReference(evaluation) ? evaluation : null;
+    },
+
+    // Jobs on this recording scored against the selected reference, best DER first
+    get evaluationRanking() {
+      return this.recordingJobs
+        .filter(j => this.matchesEvaluationReference(j.evaluation) && j.evaluation.der !== null)
+        .map(j => ({ id: j.id, name: j.name, der: j.evaluation.der, jer: j.evaluation.jer }))
+        .sort((a, b) => a.der - b.der);
+    },
+
+    matchesEvaluationReference(evaluation) {
+      if (!evaluation?.reference) return false;
+      return evaluation.reference.type === 'rttm'
+        ? this.evaluationReference === 'rttm'
+        : evaluation.reference.id === this.evaluationReference;
+    },
+
+    evaluateActiveJob() {
+      if (!this.canEvaluate) return;
+      this.isEvaluating = true;
+      window.dispatchEvent(new CustomEvent('job-evaluate', {
+        detail: { jobIds: [this.activeJob.id], reference: this.evaluationReference },
+      }));
+    },
+
+    evaluateAllJobs() {
+      if (!this.evaluationReference || this.isEvaluating) return;
+      this.isEvaluating = true;
+      window.dispatchEvent(new CustomEvent('job-evaluate', {
+        detail: {
+          jobIds: this.recordingJobs.filter(j => j.status === 'processed').map(j => j.id),
+          reference: this.evaluationReference,
+        },
+      }));
+    },
+
+    // ASR scoring helpers
+
+    get referenceTranscriptDirty() {
+      return this.referenceTranscriptDraft.trim() !== (this.referenceTranscript?.text || '');
+    },
+
+    get referenceWordCount() {
+      return this.referenceTranscriptDraft.trim().split(/\s+/).filter(Boolean).length;
+    },
+
+    saveReferenceTranscript(fileName = null) {
+      window.dispatchEvent(new CustomEvent('reference-transcript-update', {
+        detail: { text: this.referenceTranscriptDraft, fileName },
+      }));
+    },
+
+    async uploadReferenceTranscript(event) {
+      const file = event.target.files?.[0];
+      // Reset file input so same file can be selected again
+      event.target.value = '';
+      if (!file) return;
+      this.referenceTranscriptDraft = await file.text();
+      this.saveReferenceTranscript(file.name);
+    },
+
+    // WER of the active job, if scored against the current reference transcript
+    get activeAsrEvaluation() {
+      const evaluation = this.activeJob?.asrEvaluation;
+      if (!evaluation || !this.referenceTranscript) return null;
+      return evaluation.referenceUpdatedAt === this.referenceTranscript.updatedAt ? evaluation : null;
+    },
+
+    get canScoreWer() {
+      return this.isReadOnly && !this.isScoringWer && Boolean(this.referenceTranscript) && !this.referenceTranscriptDirty;
+    },
+
+    scoreActiveJobWer() {
+      if (!this.canScoreWer) return;
+      this.isScoringWer = true;
+      window.dispatchEvent(new CustomEvent('job-score-wer', {
+        detail: { jobIds: [this.activeJob.id] },
+      }));
+    },
+
+    scoreAllJobsWer() {
+      if (!this.referenceTranscript || this.referenceTranscriptDirty || this.isScoringWer) return;
+      this.isScoringWer = true;
+      window.dispatchEvent(new CustomEvent('job-score-wer', {
+        detail: { jobIds: this.recordingJobs.filter(j => j.status === 'processed').map(j => j.id) },
+      }));
+    },
+
+    // Jobs scored against the current reference transcript, best WER first
+    get werRanking() {
+      if (!this.referenceTranscript) return [];
+      return this.recordingJobs
+        .filter(j => j.asrEvaluation?.wer != null && j.asrEvaluation.referenceUpdatedAt === this.referenceTranscript.updatedAt)
+        .map(j => ({ id: j.id, name: j.name, wer: j.asrEvaluation.wer }))
+        .sort((a, b) => a.wer - b.wer);
+    },
+
+    // Parameter sweep helpers
+
+    // Load sweepable params for the active job's segmentation model, keeping edited ranges
+    loadSweepParams() {
+      const modelId = this.activeJob?.settings?.segmentationModel?.id;
+      this.sweepParams = window.jobSweep?.getParams(modelId) || [];
+      const ranges = {};
+      for (const param of this.sweepParams) {
+        ranges[param.key] = this.sweepRanges[param.key]
+          || { enabled: false, min: param.min, max: param.max, step: param.step };
+      }
+      this.sweepRanges = ranges;
+    },
+
+    getSweepParamGroup(group) {
+      return this.sweepParams.filter(p => p.group === group);
+    },
+
+    // Number of values a range expands to (mirrors buildSweepValues)
+    countSweepValues(range) {
+      const min = parseFloat(range.min);
+      const max = parseFloat(range.max);
+      const step = parseFloat(range.step);
+      if (!(step > 0) || !(max > min)) return 1;
+      return Math.min(Math.floor((max - min) / step + 1e-9) + 1, window.jobSweep?.maxValuesPerParam || 20);
+    },
+
+    get enabledSweepRanges() {
+      return this.sweepParams
+        .filter(p => this.sweepRanges[p.key]?.enabled)
+        .map(p => ({ key: p.key, ...this.sweepRanges[p.key] }));
+    },
+
+    get sweepCombinationCount() {
+      const ranges = this.enabledSweepRanges;
+      if (ranges.length === 0) return 0;
+      return ranges.reduce((total, range) => total * this.countSweepValues(range), 1);
+    },
+
+    get sweepMaxCombinations() {
+      return window.jobSweep?.maxCombinations || 48;
+    },
+
+    get sweepForcesFull() {
+      return this.enabledSweepRanges.some(r => r.key.startsWith('segmentationParams.'));
+    },
+
+    get canRunSweep() {
+      const count = this.sweepCombinationCount;
+      return Boolean(this.activeJob) && !this.isSweeping && !this.isLocked
+        && count > 0 && count <= this.sweepMaxCombinations;
+    },
+
+    runSweep() {
+      if (!this.canRunSweep) return;
+      this.isSweeping = true;
+      this.sweepError = null;
+      window.dispatchEvent(new CustomEvent('job-sweep-run', {
+        detail: {
+          baseJobId: this.activeJob.id,
+          ranges: this.enabledSweepRanges.map(r => ({
+            key: r.key,
+            min: parseFloat(r.min),
+            max: parseFloat(r.max),
+            step: parseFloat(r.step),
+          })),
+          mode: this.sweepMode,
+        },
+      }));
+    },
+
+    cancelSweep() {
+      window.dispatchEvent(new CustomEvent('job-sweep-cancel'));
+    },
+
+    // Jobs from the most recent sweep on this recording
+    get latestSweepJobs() {
+      const sweepJobs = this.recordingJobs.filter(j => j.sweep?.id);
+      if (sweepJobs.length === 0) return [];
+      const latest = sweepJobs.reduce((a, b) => (b.createdAt > a.createdAt ? b : a));
+      return sweepJobs.filter(j => j.sweep.id === latest.sweep.id);
+    },
+
+    get sweepResultKeys() {
+      return Object.keys(this.latestSweepJobs[0]?.sweep.params || {});
+    },
+
+    get sweepResults() {
+      const rows = this.latestSweepJobs.map(j => ({
+        id: j.id,
+        name: j.name,
+        status: j.status,
+        params: j.sweep.params,
+        participants: j.participants?.length ?? null,
+        boosted: j.sweep.boostStats?.applied ?? null,
+        changed: j.sweep.boostStats?.changedResult ?? null,
+        der: j.evaluation?.reference?.type === 'rttm' ? j.evaluation.der : null,
+      }));
+
+      const { column, ascending } = this.sweepSort;
+      const valueOf = (row) => (column in row ? row[column] : row.params[column]);
+      return rows.sort((a, b) => {
+        const va = valueOf(a);
+        const vb = valueOf(b);
+        // Unscored rows always sort last
+        if (va === null || va === undefined) return 1;
+        if (vb === null || vb === undefined) return -1;
+        return ascending ? va - vb : vb - va;
+      });
+    },
+
+    setSweepSort(column) {
+      this.sweepSort = this.sweepSort.column === column
+        ? { column, ascending: !this.sweepSort.ascending }
+        : { column, ascending: true };
+    },
+
+    sweepSortIcon(column) {
+      if (this.sweepSort.column !== column) return '';
+      return this.sweepSort.ascending ? 'ti-sort-ascending' : 'ti-sort-descending';
+    },
+
+    getSweepParamLabel(key) {
+      return this.sweepParams.find(p => p.key === key)?.label || key.split('.').pop();
+    },
+
+    switchToJob(jobId) {
+      window.dispatchEvent(new CustomEvent('job-switch', { detail: { jobId } }));
+    },
+
+    formatPercent(value) {
+      if (value === null || value === undefined) return '—';
+      return `${(value * 100).toFixed(1)}%`;
+    },
+
     // Get display name for embedding model
     getEmbeddingModelName(id) {
       const model = this.embeddingModels.find(m => m.id === id);
       return model?.name || id || 'Unknown';
     },
 
+    // Get display name for ASR model (with quantization)
+    getAsrModelName(id, quantization) {
+      const model = this.asrModels.find(m => m.id === id);
+      const quant = this.asrQuantizations.find(q => q.id === quantization);
+      const name = model?.name || id || 'Unknown';
+      return quant && quant.id !== 'auto' ? `${name} (${quant.name})` : name;
+    },
+
+    // Whether the selected ASR model can transcribe languages other than English
+    get isAsrModelMultilingual() {
+      return this.asrModels.find(m => m.id === this.settings.asrModelId)?.multilingual === true;
+    },
+
+    // Translation runs on the multilingual counterpart of an English-only model,
+    // so the language can be chosen for either
+    get isAsrLanguageSelectable() {
+      return this.isAsrModelMultilingual || this.settings.asrTask === 'translate';
+    },
+
+    // Name of the model the translate task runs on (null when it is the selected model)
+    get translationModelName() {
+      const model = this.asrModels.find(m => m.id === this.settings.asrModelId);
+      if (!model || model.multilingual) return null;
+      return this.asrModels.find(m => m.id === model.multilingualId)?.name || null;
+    },
+
+    // Get display name for the ASR task setting
+    getAsrTaskName(id) {
+      return this.asrTasks.find(t => t.id === id)?.name || 'Transcribe';
+    },
+
+    // Get display name for the hallucination filter setting
+    getHallucinationActionName(id) {
+      return this.hallucinationActions.find(a => a.id === id)?.name || 'Flag as suspect';
+    },
+
+    // Get display name for the transcription language setting
+    getAsrLanguageName(code) {
+      if (!this.isAsrLanguageSelectable) return 'English';
+      if (!code || code === 'auto') return 'Auto-detect';
+      return this.asrLanguages.find(l => l.code === code)?.name || code.toUpperCase();
+    },
+
     // Get display name for segmentation model
     getSegmentationModelName(id) {
       const model = this.segmentationModels.find(m => m.id === id);
@@ -2129,6 +2930,30 @@ document.addEventListener('alpine:init', () => {
     formatThreshold(value) {
       return parseFloat(value).toFixed(2);
     },
+
+    // Describe the live speaker-count estimate, per input when there are several
+    formatSpeakerCountEstimate() {
+      const estimate = this.speakerCountEstimate;
+      if (!estimate || estimate.count === null) return 'Collecting speech...';
+      const describe = (c) => c.count === null
+        ? `${c.label}: collecting`
+        : `${c.label}: ${c.count}` + (c.silhouette !== null ? ` (silhouette ${this.formatThreshold(c.silhouette)})` : '');
+      if (estimate.channels.length === 1) {
+        const [channel] = estimate.channels;
+        return `${estimate.count} speaker${estimate.count === 1 ? '' : 's'}`
+          + (channel.silhouette !== null ? ` (silhouette ${this.formatThreshold(channel.silhouette)})` : '');
+      }
+      return `${estimate.count} total · ` + estimate.channels.map(describe).join(', ');
+    },
+
+    // Describe the cohort behind the last applied score normalization
+    formatScoreNormalizationStatus() {
+      const status = this.scoreNormalizationStatus;
+      if (!status) return '';
+      return status.active
+        ? `Cohort: ${status.cohortSize} embeddings`
+        : `Not applied: only ${status.cohortSize} cohort embeddings (need more saved recordings)`;
+    },
   }));
 
   /**
@@ -7,28 +7,94 @@
 import { AudioCapture, VADProcessor, AudioPlayback, AudioInputManager } from './audio/index.js';
 
 // UI components
-import { SpeakerVisualizer, ParticipantsPanel, DebugPanel, ResizeDividers } from './ui/index.js';
+import { SpeakerVisualizer, ParticipantsPanel, TalkTimePanel, DebugPanel, ResizeDividers } from './ui/index.js';
 
 // Debug logging
 import { DebugLogger } from './utils/debugLogger.js';
 
 // Core inference
-import { ConversationInference } from './core/inference/index.js';
+import {
+  ConversationInference,
+  findSpeakerSegments,
+  resolveSpeakerIdForName,
+  relabelSegments,
+} from './core/inference/index.js';
 
 // Enrollment manager (still in utils/ for now)
 import { EnrollmentManager } from './utils/enrollmentManager.js';
 
 // Storage layer
-import { PreferencesStore, RecordingStore, ModelSelectionStore, SegmentationModelStore, enrollmentStore } from './storage/index.js';
+import {
+  PreferencesStore,
+  RecordingStore,
+  CohortStore,
+  ModelSelectionStore,
+  SegmentationModelStore,
+  AsrModelStore,
+  VocabularyStore,
+  PassageSetStore,
+  enrollmentStore,
+} from './storage/index.js';
 
 // Model configuration
 import { getEmbeddingModelConfig, getAvailableEmbeddingModels, DEFAULT_EMBEDDING_MODEL } from './config/models.js';
 import { getSegmentationModelConfig } from './config/segmentation.js';
+import { getAsrModelConfig, getLanguageName, AUTO_LANGUAGE, DEFAULT_ASR_TASK, ASR_LANGUAGES } from './config/asr.js';
 
 // Core modules (pure logic, no browser dependencies)
-import { OverlapMerger, TranscriptMerger } from './core/transcription/index.js';
-import { AudioValidator } from './core/validation/index.js';
-import { cosineSimilarity, l2Normalize, computeDiscriminabilityMetrics } from './core/embedding/index.js';
+import {
+  OverlapMerger,
+  TranscriptMerger,
+  getTranscriptLanguages,
+  computeTalkTimeStats,
+  buildInitialPrompt,
+  findLowConfidenceSpans,
+  editSegmentText,
+  getSegmentEditState,
+  recordEdit,
+  undoEdit,
+  redoEdit,
+  remapEditHistory,
+  splitSegment,
+  canMergeSegments,
+  mergeSegments,
+  rescoreSegmentSpeakers,
+} from './core/transcription/index.js';
+import {
+  AudioValidator,
+  buildEnrollmentQualityReport,
+  parsePassageText,
+  validatePassageSet,
+  listPassageSets,
+  resolvePassageSet,
+} from './core/validation/index.js';
+import {
+  cosineSimilarity,
+  l2Normalize,
+  computeDiscriminabilityMetrics,
+  agglomerativeCluster,
+  matchClustersToSpeakers,
+  estimateSpeakerCount,
+  computeSubCentroids,
+  ScoreNormalizer,
+  collectCohort,
+  getCohortSignature,
+  UNKNOWN_SPEAKER_ID,
+  buildEnrollmentFile,
+  parseEnrollmentFile,
+  planEnrollmentImport,
+  collectAdaptationEmbeddings,
+  computeAdaptedCentroid,
+} from './core/embedding/index.js';
+import {
+  computeDiarizationMetrics,
+  computeWordErrorRate,
+  buildSweepValues,
+  expandSweepGrid,
+  applySweepCombination,
+  formatSweepLabel,
+  summarizeBoostStats,
+} from './core/evaluation/index.js';
 import {
   serializeChunks,
   deserializeChunks,
@@ -42,14 +108,34 @@ import {
   encodeWav,
   combineChunks,
   downloadBlob,
+  resolveEffectiveSpeaker,
+  toSrt,
+  toWebVtt,
+  segmentsToRttm,
+  parseRttm,
+  selectEnrollmentSamples,
+  splitTimeRange,
+  prepareEnrollmentSamples,
 } from './core/recording/index.js';
 
 // Configuration
-import { REASON_BADGES, ATTRIBUTION_UI_DEFAULTS, UNKNOWN_SPEAKER_BASE } from './config/defaults.js';
+import {
+  REASON_BADGES,
+  ATTRIBUTION_UI_DEFAULTS,
+  UNKNOWN_SPEAKER_BASE,
+  SWEEP_DEFAULTS,
+  SPEAKER_COUNT_DEFAULTS,
+  SCORE_NORMALIZATION_DEFAULTS,
+  CONVERSATION_INFERENCE_DEFAULTS,
+  HALLUCINATION_DEFAULTS,
+  SEGMENT_ENROLLMENT_DEFAULTS,
+  ENROLLMENT_DEFAULTS,
+} from './config/defaults.js';
 import {
   buildJobSettings,
   createJob,
   createLiveJob,
+  cloneJobSettings,
   JOB_STATUS,
   ENROLLMENT_SOURCE,
 } from './config/jobDefaults.js';
@@ -63,6 +149,10 @@ export class App {
     this.isEnrollmentRecording = false;
     this.device = 'wasm';
     this.numSpeakers = 2;
+    this.autoNumSpeakers = false; // Live mode: estimate numSpeakers from collected embeddings
+    this.speakerCountEstimate = null; // Latest estimate while auto speaker count is on
+    this.segmentsSinceSpeakerCountEstimate = 0;
+    this.scoreNormalization = SCORE_NORMALIZATION_DEFAULTS.method; // Live mode: 'none' | 's-norm' | 'as-norm'
     this.pendingChunks = new Map();
     this.pendingEnrollmentSampleId = null;
     this.pendingExpectedSentence = null;
@@ -98,6 +188,7 @@ export class App {
     this.lastPhraseDebug = null;
     this.bufferFillPercent = 0;
     this.rawChunksData = []; // Stored raw chunk data for export
+    this.reviewPosition = -1; // Active low-confidence span in the review queue
 
     // Feature 7: Segment comparison mode
     this.comparisonMode = false;
@@ -105,12 +196,16 @@ export class App {
 
     // Recording management
     this.recordingStore = null; // RecordingStore instance (initialized in init)
+    this.cohortStore = null; // CohortStore instance: cached score-normalization cohorts
+    this._liveNormalizationRequest = 0; // Latest score-normalizer load; older ones are dropped
     this.sessionAudioChunks = {}; // Cloned audio chunks for saving, keyed by channelId
     this.sessionTranscriptionData = []; // Raw Whisper output per chunk for saving
     this.isViewingRecording = false; // True when viewing a saved recording
     this.viewedRecordingId = null; // ID of currently viewed recording
     this.viewedJobId = null; // ID of currently viewed job within the recording
+    this._enrollmentSelection = new Set(); // Indices of viewed segments selected to enroll a speaker from
     this.audioPlayback = null; // AudioPlayback instance for replay
+    this._sweepState = null; // { cancelled } while a parameter sweep is running
     this.liveJob = null; // Virtual job for live recording session (settings, state)
 
     // Components
@@ -122,6 +217,7 @@ export class App {
     this.modalSpeakerVisualizer = null; // Visualizer for speakers modal
     this.conversationInference = new ConversationInference();
     this.participantsPanel = null;
+    this.talkTimePanel = null;
     this.debugLogger = new DebugLogger();
     this.debugPanel = null;
     this.progressItems = new Map();
@@ -216,6 +312,9 @@ export class App {
     await this.recordingStore.init();
     await this.loadRecordingsList();
 
+    this.cohortStore = new CohortStore();
+    await this.cohortStore.init();
+
     // Populate microphone dropdown
     this.populateMicrophoneList();
 
@@ -299,6 +398,18 @@ export class App {
     // Job export events (from jobNavigation component)
     window.addEventListener('job-copy-json', (e) => this.copyJobJson(e.detail.jobId));
     window.addEventListener('job-export', (e) => this.exportJob(e.detail.jobId));
+    window.addEventListener('job-export-subtitles', (e) => this.exportJobSubtitles(e.detail.jobId, e.detail.format, e.detail.track));
+    window.addEventListener('job-export-rttm', (e) => this.exportJobRttm(e.detail.jobId));
+    window.addEventListener('review-queue-navigate', (e) => this.navigateReviewQueue(e.detail.direction));
+    window.addEventListener('transcript-edit-undo', () => this.undoTranscriptEdit());
+    window.addEventListener('transcript-edit-redo', () => this.redoTranscriptEdit());
+    window.addEventListener('enroll-from-recording', (e) => this.enrollFromRecording(e.detail));
+    window.addEventListener('enrollment-selection-clear', () => this.clearEnrollmentSelection());
+    document.addEventListener('keydown', (e) => this.handleEditHistoryKeydown(e));
+    window.addEventListener('reference-rttm-import', (e) => this.importReferenceRttm(e.detail.file));
+    window.addEventListener('job-evaluate', (e) => this.evaluateJobs(e.detail.jobIds, e.detail.reference));
+    window.addEventListener('reference-transcript-update', (e) => this.saveReferenceTranscript(e.detail.text, e.detail.fileName));
+    window.addEventListener('job-score-wer', (e) => this.scoreJobsWer(e.detail.jobIds));
 
     // Settings changes from Alpine sidebar
     window.addEventListener('num-speakers-change', (e) => this.handleNumSpeakersChange(e.detail.value));
@@ -311,7 +422,14 @@ export class App {
 
     // Enrollment controls - Alpine sidebar dispatches events, we listen here
     window.addEventListener('enrollment-start', (e) => {
-      this.startEnrollmentWithName(e.detail.name);
+      this.startEnrollmentWithName(e.detail.name, e.detail.passageSetId);
+    });
+    window.addEventListener('passage-set-save', (e) => {
+      this.savePassageSet(e.detail);
+    });
+    window.addEventListener('passage-set-remove', (e) => {
+      PassageSetStore.removeCustomSet(e.detail.id);
+      this.dispatchPassageSetsUpdated();
     });
     window.addEventListener('enrollment-remove', (e) => {
       this.removeEnrollment(e.detail.id);
@@ -319,7 +437,24 @@ export class App {
     window.addEventListener('enrollment-clear-all', () => {
       this.clearAllEnrollments();
     });
+    window.addEventListener('enrollment-export', (e) => {
+      this.exportEnrollments(e.detail.ids, { includeAudio: e.detail.includeAudio });
+    });
+    window.addEventListener('enrollment-import', (e) => {
+      this.importEnrollments(e.detail.file, e.detail.onCollision);
+    });
+    window.addEventListener('enrollment-adaptation-toggle', async (e) => {
+      PreferencesStore.setAdaptiveEnrollment(e.detail.enabled);
+      await this.dispatchEnrollmentsUpdated(await EnrollmentManager.loadAll());
+    });
+    window.addEventListener('enrollment-rollback', (e) => {
+      this.rollbackEnrollmentAdaptation(e.detail.id);
+    });
+    window.addEventListener('enrollment-quality-request', (e) => {
+      this.reportEnrollmentQuality(e.detail.id);
+    });
     window.addEventListener('speakers-modal-opened', async () => {
+      this.dispatchPassageSetsUpdated();
       // Send available visualization models to Alpine
       const models = await this.getVisualizationModels();
       window.dispatchEvent(new CustomEvent('visualization-models-updated', {
@@ -434,6 +569,10 @@ export class App {
     window.addEventListener('job-update-settings', (e) => this.updateJobSettings(e.detail.jobId, e.detail.settings));
     window.addEventListener('job-process', (e) => this.processJob(e.detail.jobId, e.detail.mode || 'quick'));
     window.addEventListener('reapply-boosting', (e) => this.reapplyBoosting(e.detail.jobId, e.detail.boostingSettings));
+    window.addEventListener('job-sweep-run', (e) => this.runParameterSweep(e.detail.baseJobId, e.detail.ranges, e.detail.mode));
+    window.addEventListener('job-sweep-cancel', () => {
+      if (this._sweepState) this._sweepState.cancelled = true;
+    });
 
     // Live job settings changes (applies to live processing in real-time)
     window.addEventListener('live-job-setting-change', (e) => {
@@ -517,6 +656,57 @@ export class App {
     }
   }
 
+  /**
+   * Re-estimate how many speakers are present from the live segment embeddings
+   * (auto speaker count). Each input is estimated on its own segments and its merger
+   * updated; the total becomes the session's expected speaker count.
+   * @param {boolean} [force] - Estimate now rather than waiting for enough new segments
+   */
+  updateSpeakerCountEstimate(force = false) {
+    if (!this.autoNumSpeakers) return;
+    if (!force && this.segmentsSinceSpeakerCountEstimate < SPEAKER_COUNT_DEFAULTS.reestimateEvery) return;
+    this.segmentsSinceSpeakerCountEstimate = 0;
+
+    const embeddingsByChannel = new Map();
+    for (const segment of this.transcriptMerger.segments) {
+      if (segment.isEnvironmental || !segment.embedding) continue;
+      const channelId = segment.channelId ?? 0;
+      if (!embeddingsByChannel.has(channelId)) embeddingsByChannel.set(channelId, []);
+      embeddingsByChannel.get(channelId).push(segment.embedding);
+    }
+
+    const channels = [];
+    for (const [channelId, embeddings] of embeddingsByChannel) {
+      const channelConfig = this.channelConfigs.get(channelId);
+      const label = channelConfig?.label || `Input ${channelId + 1}`;
+
+      // Inputs configured for a single speaker bypass clustering, so there is nothing to estimate
+      if (channelConfig?.expectedSpeakers === 1) {
+        channels.push({ channelId, label, count: 1, silhouette: null, sampleCount: embeddings.length, reason: 'single_speaker_channel' });
+        continue;
+      }
+
+      const { count, silhouette, sampleCount, reason } = estimateSpeakerCount(embeddings);
+      channels.push({ channelId, label, count, silhouette, sampleCount, reason });
+      if (count !== null) {
+        this.channelMergers.get(channelId)?.setNumSpeakers(count);
+      }
+    }
+
+    const estimated = channels.filter((c) => c.count !== null);
+    const count = estimated.length > 0 ? estimated.reduce((sum, c) => sum + c.count, 0) : null;
+    this.speakerCountEstimate = { count, channels };
+
+    if (count !== null && count !== this.numSpeakers) {
+      if (this.liveJob) this.liveJob.settings.clustering.numSpeakers = count;
+      this.handleNumSpeakersChange(count);
+    }
+
+    window.dispatchEvent(new CustomEvent('speaker-count-estimate', {
+      detail: { estimate: this.speakerCountEstimate },
+    }));
+  }
+
   /**
    * Handle audio inputs configuration change from Alpine
    * Updates channelConfigs map for use during recording
@@ -745,8 +935,16 @@ export class App {
       embeddingModelId,
       segmentationModelId,
       segmentationParams,
+      asrModelId: AsrModelStore.getAsrModel(),
+      asrQuantization: AsrModelStore.getQuantization(),
+      asrLanguage: AsrModelStore.getLanguage(),
+      asrTask: AsrModelStore.getTask(),
+      hallucinationAction: AsrModelStore.getHallucinationAction(),
+      vocabulary: VocabularyStore.getVocabulary(),
       clustering: {
         numSpeakers: this.numSpeakers,
+        autoNumSpeakers: this.autoNumSpeakers,
+        scoreNormalization: this.scoreNormalization,
         similarityThreshold: this.transcriptMerger.speakerClusterer.similarityThreshold,
         confidenceMargin: this.transcriptMerger.speakerClusterer.confidenceMargin,
       },
@@ -757,6 +955,7 @@ export class App {
         skipBoostIfConfident: this.conversationInference.config.skipBoostIfConfident,
         minSimilarityForBoosting: this.conversationInference.config.minSimilarityForBoosting,
         minSimilarityAfterBoost: this.conversationInference.config.minSimilarityAfterBoost,
+        smoothingChangePenalty: this.conversationInference.config.smoothingChangePenalty,
       },
     });
   }
@@ -794,6 +993,19 @@ export class App {
     } else if (key === 'numSpeakers') {
       this.liveJob.settings.clustering.numSpeakers = value;
       this.handleNumSpeakersChange(value);
+    } else if (key === 'autoNumSpeakers') {
+      this.liveJob.settings.clustering.autoNumSpeakers = value;
+      this.autoNumSpeakers = value;
+      this.speakerCountEstimate = null;
+      if (value) {
+        this.updateSpeakerCountEstimate(true);
+      } else {
+        window.dispatchEvent(new CustomEvent('speaker-count-estimate', { detail: { estimate: null } }));
+      }
+    } else if (key === 'scoreNormalization') {
+      this.liveJob.settings.clustering.scoreNormalization = value;
+      this.scoreNormalization = value;
+      this._applyLiveScoreNormalization();
     }
     // Boosting settings - apply to conversationInference
     else if ([
@@ -803,6 +1015,7 @@ export class App {
       'skipBoostIfConfident',
       'minSimilarityForBoosting',
       'minSimilarityAfterBoost',
+      'smoothingChangePenalty',
     ].includes(key)) {
       this.liveJob.settings.boosting[key] = value;
       this.conversationInference.updateConfig({ [key]: value });
@@ -823,6 +1036,10 @@ export class App {
         dimensions: config.dimensions,
       };
       ModelSelectionStore.setEmbeddingModel(value);
+      // The cohort is per model
+      if (this.scoreNormalization !== 'none') {
+        this._applyLiveScoreNormalization();
+      }
     } else if (key === 'segmentationModelId') {
       const config = getSegmentationModelConfig(value);
       this.liveJob.settings.segmentationModel = {
@@ -831,6 +1048,31 @@ export class App {
       };
       SegmentationModelStore.setSegmentationModel(value);
     }
+    // ASR changes apply to the next chunk (the worker loads and caches the model on demand)
+    else if (key === 'asrModelId') {
+      const config = getAsrModelConfig(value);
+      this.liveJob.settings.asrModel = {
+        ...this.liveJob.settings.asrModel,
+        id: config.id,
+        name: config.name,
+      };
+      AsrModelStore.setAsrModel(value);
+    } else if (key === 'asrQuantization') {
+      this.liveJob.settings.asrModel = { ...this.liveJob.settings.asrModel, quantization: value };
+      AsrModelStore.setQuantization(value);
+    } else if (key === 'asrLanguage') {
+      this.liveJob.settings.asrModel = { ...this.liveJob.settings.asrModel, language: value };
+      AsrModelStore.setLanguage(value);
+    } else if (key === 'asrTask') {
+      this.liveJob.settings.asrModel = { ...this.liveJob.settings.asrModel, task: value };
+      AsrModelStore.setTask(value);
+    } else if (key === 'vocabulary') {
+      this.liveJob.settings.vocabulary = value;
+      VocabularyStore.setVocabulary(value);
+    } else if (key === 'hallucinationAction') {
+      this.liveJob.settings.hallucination = { ...this.liveJob.settings.hallucination, action: value };
+      AsrModelStore.setHallucinationAction(value);
+    }
   }
 
   /**
@@ -851,7 +1093,11 @@ export class App {
     const segmentationModelConfig = getSegmentationModelConfig(segmentationModelId);
     const segmentationParams = SegmentationModelStore.getParams(segmentationModelId);
 
-    console.log(`[App] Loading models - embedding: ${embeddingModelConfig.name}, segmentation: ${segmentationModelConfig.name}`);
+    // Get selected ASR model (live capture uses this one unless a job asks for another)
+    const asrModelConfig = AsrModelStore.getAsrModelConfig();
+    const asrQuantization = AsrModelStore.getQuantization();
+
+    console.log(`[App] Loading models - ASR: ${asrModelConfig.name}, embedding: ${embeddingModelConfig.name}, segmentation: ${segmentationModelConfig.name}`);
 
     // Notify Alpine that models are loading
     window.dispatchEvent(new CustomEvent('model-status-update', { detail: { status: 'loading' } }));
@@ -863,6 +1109,7 @@ export class App {
         embeddingModel: embeddingModelConfig,
         segmentationModel: segmentationModelConfig,
         segmentationParams: segmentationParams,
+        asrModel: { id: asrModelConfig.id, quantization: asrQuantization },
       },
     });
   }
@@ -906,6 +1153,8 @@ export class App {
     this.channelMergers.clear();
     this.channelTimeOffsets.clear();
     this.channelLastChunkResults.clear();
+    this.speakerCountEstimate = null;
+    this.segmentsSinceSpeakerCountEstimate = 0;
 
     // Reset conversation inference for fresh hypothesis building
     this.conversationInference.reset();
@@ -1248,6 +1497,7 @@ export class App {
         overlapDuration: chunk.overlapDuration || 0,
         wallTime: chunk.wallTime, // Wall-clock time for ordering
         isFinal: chunk.isFinal || false,
+        speechRegions: chunk.speechRegions || null, // VAD speech regions (hallucination check)
       });
     }
 
@@ -1325,10 +1575,14 @@ export class App {
       type: 'transcribe',
       data: {
         audio: chunk.audio,
-        language: 'en',
+        language: this.liveJob?.settings?.asrModel?.language || AUTO_LANGUAGE,
+        task: this.liveJob?.settings?.asrModel?.task || DEFAULT_ASR_TASK,
         chunkIndex: chunk.index,
         channelId,
         skipEmbedding,
+        asrModel: this.liveJob?.settings?.asrModel || null,
+        vocabulary: this._getAsrVocabulary(this.liveJob?.settings),
+        hallucination: this._getHallucinationOptions(this.liveJob?.settings, chunk.speechRegions),
         overlapDuration: chunk.overlapDuration || 0,
         isFinal: chunk.isFinal,
       },
@@ -1585,6 +1839,7 @@ export class App {
           merger.speakerClusterer.importEnrolledSpeakers(enrolledSpeakers);
           console.log(`[App] Channel ${channelId} merger created with ${enrolledSpeakers.length} enrolled speaker(s)`);
         }
+        merger.speakerClusterer.setScoreNormalizer(this.transcriptMerger.speakerClusterer.scoreNormalizer);
 
         this.channelMergers.set(channelId, merger);
       }
@@ -1642,10 +1897,25 @@ export class App {
           segment.inferenceAttribution = attribution;
         }
 
+        // Smooth one-off speaker flips across the whole session, then re-render
+        // earlier segments whose smoothed speaker changed
+        const smoothedIndices = this.conversationInference.smoothSegments([
+          ...this.transcriptMerger.segments,
+          ...mergedSegments,
+        ]);
+
         this.renderSegments(mergedSegments);
         // Store in main transcriptMerger.segments for unified view
         this.transcriptMerger.segments.push(...mergedSegments);
 
+        const resmoothed = smoothedIndices.filter((index) => index < baseIndex);
+        if (resmoothed.length > 0) {
+          this.reRenderSegments(resmoothed);
+        }
+
+        this.segmentsSinceSpeakerCountEstimate += mergedSegments.length;
+        this.updateSpeakerCountEstimate();
+
         // Log segment creation with clustering info
         this.debugLogger.logSegmentCreation({
           chunkIndex,
@@ -1730,7 +2000,19 @@ export class App {
       const labelEl = document.createElement('div');
       const textEl = document.createElement('div');
       textEl.className = 'segment-text';
-      textEl.textContent = segment.text;
+      this.renderSegmentText(textEl, segment);
+      if (segment.language) {
+        textEl.lang = segment.language;
+      }
+
+      // English translation as a second line (translate jobs; hidden via the transcript toggle)
+      let translationEl = null;
+      if (segment.translatedText && segment.translatedText.trim() !== segment.text?.trim()) {
+        translationEl = document.createElement('div');
+        translationEl.className = 'segment-translation';
+        translationEl.lang = 'en';
+        translationEl.textContent = segment.translatedText.trim();
+      }
 
       // Feature 7: Add segment index for comparison mode
       segmentEl.dataset.segmentIndex = segmentIndex;
@@ -1739,6 +2021,9 @@ export class App {
       const inference = segment.inferenceAttribution;
       const displayInfo = inference?.displayInfo;
       const clustering = segment.debug?.clustering;
+      const smoothing = !segment.manuallyReassigned && segment.debug?.smoothing?.applied
+        ? segment.debug.smoothing
+        : null;
 
       // Build tooltip with key metrics
       const tooltipParts = [];
@@ -1778,10 +2063,22 @@ export class App {
         channelBadgeHtml = `<span class="channel-badge" data-channel="${segment.channelId}">${channelLabel}</span>`;
       }
 
+      // Language badge for segments whose language was detected (multilingual ASR)
+      let languageBadgeHtml = '';
+      const languageDetection = segment.debug?.languageDetection;
+      if (segment.language && languageDetection) {
+        const confidence = `${(languageDetection.probability * 100).toFixed(0)}%`;
+        const kept = languageDetection.reason === 'previous' ? `, kept from previous chunk (detected ${languageDetection.language})` : '';
+        languageBadgeHtml = `<span class="language-badge" title="${getLanguageName(segment.language)} (${confidence}${kept})">${segment.language.toUpperCase()}</span>`;
+      }
+
       if (clustering && !segment.isEnvironmental) {
         // Feature 3: Decision reason badge
         const reason = clustering.reason;
-        if (reason && REASON_BADGES[reason]) {
+        if (smoothing) {
+          const badge = REASON_BADGES.smoothed;
+          reasonBadgeHtml = `<span class="reason-badge ${badge.cssClass}" title="smoothed from ${smoothing.from}">${badge.label}</span>`;
+        } else if (reason && REASON_BADGES[reason]) {
           const badge = REASON_BADGES[reason];
           reasonBadgeHtml = `<span class="reason-badge ${badge.cssClass}" title="${reason.replace(/_/g, ' ')}">${badge.label}</span>`;
         }
@@ -1854,6 +2151,13 @@ export class App {
         }
       }
 
+      // Suspect badge for text that is probably not speech (shown next to the clustering reason)
+      if (segment.hallucination?.reasons?.length && !segment.isEnvironmental) {
+        const badge = REASON_BADGES.suspect_hallucination;
+        const reasons = segment.hallucination.reasons.map((r) => r.replace(/_/g, ' ')).join(', ');
+        reasonBadgeHtml += `<span class="reason-badge ${badge.cssClass}" title="Possible hallucination: ${reasons}">${badge.label}</span>`;
+      }
+
       // Set tooltip on segment
       if (tooltipText) {
         segmentEl.title = tooltipText;
@@ -1866,7 +2170,12 @@ export class App {
       // Determine effective speaker for styling
       // If boosting influenced the result, use the boosted speaker's index for color/styling
       let effectiveSpeakerId = segment.speaker;
-      if (displayInfo?.wasInfluenced && inference?.boostedAttribution?.debug?.allMatches?.length > 0) {
+      if (smoothing) {
+        // Temporal smoothing overrides both clustering and boosting
+        if (smoothing.speakerIdx !== undefined) {
+          effectiveSpeakerId = smoothing.speakerIdx;
+        }
+      } else if (!segment.manuallyReassigned && displayInfo?.wasInfluenced && inference?.boostedAttribution?.debug?.allMatches?.length > 0) {
         const boostedBest = inference.boostedAttribution.debug.allMatches[0];
         // Use the boosted speaker's index if available (for enrolled speakers)
         if (boostedBest.speakerIdx !== undefined && boostedBest.speakerIdx >= 0) {
@@ -1879,7 +2188,7 @@ export class App {
         segmentEl.className = 'transcript-segment environmental';
         labelEl.className = 'speaker-label environmental';
         labelEl.innerHTML = `
-          ${channelBadgeHtml}<span class="timestamp">${this.formatTime(segment.startTime)} - ${this.formatTime(segment.endTime)}</span>
+          ${channelBadgeHtml}${languageBadgeHtml}<span class="timestamp">${this.formatTime(segment.startTime)} - ${this.formatTime(segment.endTime)}</span>
         `;
       } else if (isUnknownSpeaker(effectiveSpeakerId)) {
         // Unknown speaker - distinct styling to indicate non-enrolled
@@ -1892,7 +2201,7 @@ export class App {
         const label = displayInfo?.label || segment.speakerLabel || `Unknown ${unknownIndex + 1}`;
         labelEl.innerHTML = `
           <div class="segment-header">
-            ${channelBadgeHtml}<span class="speaker-name">${label}</span>${reasonBadgeHtml}${boostHtml}
+            ${channelBadgeHtml}${languageBadgeHtml}<span class="speaker-name">${label}</span>${reasonBadgeHtml}${boostHtml}
             <span class="timestamp">${this.formatTime(segment.startTime)} - ${this.formatTime(segment.endTime)}</span>
           </div>
         `;
@@ -1902,11 +2211,13 @@ export class App {
         segmentEl.className = `transcript-segment ${speakerClass}`;
         labelEl.className = `speaker-label ${speakerClass}`;
 
-        // Use inference label if available
-        const label = displayInfo?.label || segment.speakerLabel;
+        // Use smoothed or inference label if available (a manual reassignment overrides both)
+        const label = segment.manuallyReassigned
+          ? segment.speakerLabel
+          : (smoothing?.to || displayInfo?.label || segment.speakerLabel);
         labelEl.innerHTML = `
           <div class="segment-header">
-            ${channelBadgeHtml}<span class="speaker-name">${label}</span>${reasonBadgeHtml}${boostHtml}
+            ${channelBadgeHtml}${languageBadgeHtml}<span class="speaker-name">${label}</span>${reasonBadgeHtml}${boostHtml}
             <span class="timestamp">${this.formatTime(segment.startTime)} - ${this.formatTime(segment.endTime)}</span>
           </div>
         `;
@@ -1917,6 +2228,9 @@ export class App {
       mainDiv.className = 'segment-main';
       mainDiv.appendChild(labelEl);
       mainDiv.appendChild(textEl);
+      if (translationEl) {
+        mainDiv.appendChild(translationEl);
+      }
 
       if (candidatesHtml) {
         const wrapper = document.createElement('div');
@@ -1935,6 +2249,19 @@ export class App {
         }
       });
 
+      if (segment.humanEdited) {
+        segmentEl.classList.add('human-edited');
+      }
+
+      // Double-click the text of a saved recording's segment to correct it
+      if (this.isViewingRecording && !segment.isEnvironmental) {
+        textEl.classList.add('editable');
+        textEl.addEventListener('dblclick', (e) => {
+          e.stopPropagation();
+          this.startSegmentTextEdit(segmentIndex, textEl);
+        });
+      }
+
       // Add click handler to speaker name for reassignment (non-environmental only)
       if (!segment.isEnvironmental && segment.speaker !== null) {
         const speakerNameEl = labelEl.querySelector('.speaker-name');
@@ -1959,6 +2286,89 @@ export class App {
     if (segments.length > 0 && this.isViewingRecording) {
       this.exportAllJobsBtn.disabled = false;
     }
+
+    this.updateReviewQueue();
+    this.updateEditHistoryState();
+  }
+
+  /**
+   * Fill a segment's text element, underlining runs of low-confidence words
+   * (each word's confidence is in its tooltip)
+   * @param {HTMLElement} textEl
+   * @param {Object} segment
+   */
+  renderSegmentText(textEl, segment) {
+    if (segment.humanEdited && segment.originalText != null) {
+      textEl.title = `Edited by hand. ASR text: ${segment.originalText.trim()}`;
+    }
+
+    const words = segment.words || [];
+    const spans = segment.isEnvironmental ? [] : findLowConfidenceSpans(words);
+    // Words only rebuild the text exactly when nothing edited it afterwards
+    if (spans.length === 0 || words.map((w) => w.text).join('') !== segment.text) {
+      textEl.textContent = segment.text;
+      return;
+    }
+
+    let wordIndex = 0;
+    for (const span of spans) {
+      textEl.append(words.slice(wordIndex, span.start).map((w) => w.text).join(''));
+
+      const spanEl = document.createElement('span');
+      spanEl.className = 'low-confidence-span';
+      words.slice(span.start, span.end).forEach((word, i) => {
+        // Leading space stays outside the underline
+        const leading = word.text.match(/^\s*/)[0];
+        if (leading && i === 0) {
+          textEl.append(leading);
+        } else if (leading) {
+          spanEl.append(leading);
+        }
+        const wordEl = document.createElement('span');
+        wordEl.className = 'low-confidence-word';
+        wordEl.title = `ASR confidence: ${Math.round(word.confidence * 100)}%`;
+        wordEl.textContent = word.text.trimStart();
+        spanEl.appendChild(wordEl);
+      });
+      textEl.appendChild(spanEl);
+      wordIndex = span.end;
+    }
+    textEl.append(words.slice(wordIndex).map((w) => w.text).join(''));
+  }
+
+  /**
+   * Tell the UI how many low-confidence spans the transcript has
+   * (the review position follows the active span, or resets when it is gone)
+   */
+  updateReviewQueue() {
+    const spans = [...this.transcriptContainer.querySelectorAll('.low-confidence-span')];
+    this.reviewPosition = spans.findIndex((el) => el.classList.contains('review-active'));
+    window.dispatchEvent(new CustomEvent('review-queue-updated', {
+      detail: { position: this.reviewPosition, total: spans.length },
+    }));
+  }
+
+  /**
+   * Jump to the next or previous low-confidence span of the transcript (wraps around)
+   * @param {1|-1} direction
+   */
+  navigateReviewQueue(direction) {
+    const spans = [...this.transcriptContainer.querySelectorAll('.low-confidence-span')];
+    if (spans.length === 0) return;
+
+    const current = this.reviewPosition ?? -1;
+    const position = current < 0 && direction < 0
+      ? spans.length - 1
+      : (current + direction + spans.length) % spans.length;
+
+    spans[current]?.classList.remove('review-active');
+    spans[position].classList.add('review-active');
+    spans[position].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    this.reviewPosition = position;
+
+    window.dispatchEvent(new CustomEvent('review-queue-updated', {
+      detail: { position, total: spans.length },
+    }));
   }
 
   /**
@@ -2093,6 +2503,11 @@ export class App {
     this.transcriptContainer.innerHTML =
       '<p class="placeholder">Transcript will appear here when you start recording...</p>';
     this.transcriptContainer.scrollTop = 0;
+    // Selected segment indices don't survive a re-render
+    this._enrollmentSelection.clear();
+    this.updateEnrollmentSelectionState();
+    this.updateReviewQueue();
+    this.updateEditHistoryState();
   }
 
   /**
@@ -2238,6 +2653,9 @@ export class App {
     if (this.participantsPanel) {
       this.participantsPanel.reset();
     }
+    if (this.talkTimePanel) {
+      this.talkTimePanel.reset();
+    }
   }
 
   /**
@@ -2302,6 +2720,235 @@ export class App {
     }
   }
 
+  /**
+   * Export job transcript as a subtitle file (SRT or WebVTT)
+   * @param {string} jobId - Job ID to export
+   * @param {'srt'|'vtt'} [format='srt'] - Subtitle format
+   * @param {'original'|'translation'} [track='original'] - Original text or English translation
+   */
+  async exportJobSubtitles(jobId, format = 'srt', track = 'original') {
+    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const recording = await this.recordingStore.get(this.viewedRecordingId);
+      const job = await this.recordingStore.getJob(this.viewedRecordingId, jobId);
+      if (!job || job.status !== 'processed' || !job.segments) {
+        console.warn('[Export] Job not processed or has no segments');
+        return;
+      }
+
+      const isVtt = format === 'vtt';
+      const contents = isVtt ? toWebVtt(job.segments, { track }) : toSrt(job.segments, { track });
+      const blob = new Blob([contents], { type: isVtt ? 'text/vtt' : 'application/x-subrip' });
+
+      // Name after the recording (like the WAV download) so players pick up the captions
+      const safeName = (recording?.name || job.name || 'recording').replace(/[^a-zA-Z0-9\s-]/g, '').trim() || 'recording';
+      // Translation track gets a language suffix so players list it as a separate English track
+      const languageSuffix = track === 'translation' ? '.en' : '';
+      const filename = `${safeName}${languageSuffix}.${isVtt ? 'vtt' : 'srt'}`;
+      downloadBlob(blob, filename);
+
+      console.log(`[Export] Exported job "${job.name}" as ${filename}`);
+    } catch (err) {
+      console.error('[Export] Failed to export subtitles:', err);
+    }
+  }
+
+  /**
+   * Export job diarization as an RTTM file
+   * @param {string} jobId - Job ID to export
+   */
+  async exportJobRttm(jobId) {
+    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const recording = await this.recordingStore.get(this.viewedRecordingId);
+      const job = await this.recordingStore.getJob(this.viewedRecordingId, jobId);
+      if (!job || job.status !== 'processed' || !job.segments) {
+        console.warn('[Export] Job not processed or has no segments');
+        return;
+      }
+
+      const safeName = (recording?.name || 'recording').replace(/[^a-zA-Z0-9\s-]/g, '').trim() || 'recording';
+      const rttm = segmentsToRttm(job.segments, {
+        fileId: safeName,
+        channelConfigs: recording?.channelConfigs,
+      });
+      const blob = new Blob([rttm], { type: 'text/plain' });
+      const jobName = (job.name || 'job').replace(/[^a-z0-9]/gi, '-').toLowerCase();
+      downloadBlob(blob, `${safeName}-${jobName}.rttm`);
+
+      console.log(`[Export] Exported job "${job.name}" as RTTM`);
+    } catch (err) {
+      console.error('[Export] Failed to export RTTM:', err);
+    }
+  }
+
+  /**
+   * Import an RTTM file as the reference diarization for the viewed recording
+   * @param {File} file - RTTM file selected by the user
+   */
+  async importReferenceRttm(file) {
+    if (!file || !this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const segments = parseRttm(await file.text());
+      if (segments.length === 0) {
+        this.recordingStatus.textContent = 'No SPEAKER lines found in RTTM file';
+        return;
+      }
+
+      const fileIds = [...new Set(segments.map(s => s.fileId))];
+      if (fileIds.length > 1) {
+        console.warn(`[Import] RTTM contains ${fileIds.length} file ids; using all segments`);
+      }
+
+      const referenceAnnotation = {
+        source: 'rttm',
+        fileName: file.name,
+        importedAt: Date.now(),
+        segments: segments.map(({ fileId, ...seg }) => seg),
+      };
+      await this.recordingStore.update(this.viewedRecordingId, { referenceAnnotation });
+      if (this._currentViewedRecording?.id === this.viewedRecordingId) {
+        this._currentViewedRecording.referenceAnnotation = referenceAnnotation;
+      }
+
+      const speakerCount = new Set(segments.map(s => s.speakerLabel)).size;
+      this.recordingStatus.textContent = `Reference loaded: ${segments.length} segments, ${speakerCount} speakers`;
+      window.dispatchEvent(new CustomEvent('reference-annotation-updated', {
+        detail: { recordingId: this.viewedRecordingId, referenceAnnotation },
+      }));
+    } catch (err) {
+      console.error('[Import] Failed to import RTTM:', err);
+      this.recordingStatus.textContent = `RTTM import failed: ${err.message}`;
+    }
+  }
+
+  /**
+   * Score jobs against a reference diarization (DER/JER) and store the result on each job
+   * @param {string[]} jobIds - Jobs to evaluate (unprocessed jobs and the reference job are skipped)
+   * @param {string} reference - 'rttm' for the imported reference, or the ID of a hand-corrected job
+   */
+  async evaluateJobs(jobIds, reference) {
+    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const recording = await this.recordingStore.get(this.viewedRecordingId);
+      if (!recording) return;
+
+      let referenceSegments = null;
+      let referenceInfo = null;
+      if (reference === 'rttm') {
+        referenceSegments = recording.referenceAnnotation?.segments;
+        referenceInfo = { type: 'rttm', name: recording.referenceAnnotation?.fileName || 'RTTM' };
+      } else {
+        const referenceJob = recording.jobs.find(j => j.id === reference);
+        referenceSegments = referenceJob?.segments;
+        referenceInfo = { type: 'job', id: reference, name: referenceJob?.name };
+      }
+
+      if (!referenceSegments?.length) {
+        console.warn('[Evaluation] Reference has no segments');
+        return;
+      }
+
+      const results = [];
+      for (const jobId of jobIds) {
+        const job = recording.jobs.find(j => j.id === jobId);
+        if (!job || job.status !== JOB_STATUS.PROCESSED || !job.segments || jobId === reference) continue;
+
+        const evaluation = {
+          ...computeDiarizationMetrics(referenceSegments, job.segments),
+          reference: referenceInfo,
+          evaluatedAt: Date.now(),
+        };
+        await this.recordingStore.updateJob(this.viewedRecordingId, jobId, { evaluation });
+        results.push({ jobId, evaluation });
+
+        // DER/JER are null when the reference has no speech
+        const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        console.log(`[Evaluation] "${job.name}": DER ${percent(evaluation.der)}, JER ${percent(evaluation.jer)}`);
+      }
+
+      window.dispatchEvent(new CustomEvent('job-evaluation-complete', {
+        detail: { recordingId: this.viewedRecordingId, results },
+      }));
+    } catch (err) {
+      console.error('[Evaluation] Failed to evaluate jobs:', err);
+      window.dispatchEvent(new CustomEvent('job-evaluation-complete', {
+        detail: { recordingId: this.viewedRecordingId, results: [], error: err.message },
+      }));
+    }
+  }
+
+  /**
+   * Save (or clear) the reference transcript for the viewed recording
+   * @param {string} text - Reference transcript; empty text removes it
+   * @param {string} [fileName] - Source file name when uploaded
+   */
+  async saveReferenceTranscript(text, fileName = null) {
+    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const referenceTranscript = text?.trim()
+        ? { text: text.trim(), fileName, updatedAt: Date.now() }
+        : null;
+      await this.recordingStore.update(this.viewedRecordingId, { referenceTranscript });
+      if (this._currentViewedRecording?.id === this.viewedRecordingId) {
+        this._currentViewedRecording.referenceTranscript = referenceTranscript;
+      }
+
+      window.dispatchEvent(new CustomEvent('reference-transcript-updated', {
+        detail: { recordingId: this.viewedRecordingId, referenceTranscript },
+      }));
+    } catch (err) {
+      console.error('[Evaluation] Failed to save reference transcript:', err);
+    }
+  }
+
+  /**
+   * Score jobs' merged words against the recording's reference transcript (WER)
+   * @param {string[]} jobIds - Jobs to score (unprocessed jobs are skipped)
+   */
+  async scoreJobsWer(jobIds) {
+    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+
+    try {
+      const recording = await this.recordingStore.get(this.viewedRecordingId);
+      const referenceTranscript = recording?.referenceTranscript;
+      if (!referenceTranscript?.text) {
+        console.warn('[Evaluation] No reference transcript for this recording');
+        return;
+      }
+
+      const results = [];
+      for (const jobId of jobIds) {
+        const job = recording.jobs.find(j => j.id === jobId);
+        if (!job || job.status !== JOB_STATUS.PROCESSED || !job.segments) continue;
+
+        const asrEvaluation = {
+          ...computeWordErrorRate(referenceTranscript.text, job.segments),
+          referenceUpdatedAt: referenceTranscript.updatedAt,
+          evaluatedAt: Date.now(),
+        };
+        await this.recordingStore.updateJob(this.viewedRecordingId, jobId, { asrEvaluation });
+        results.push({ jobId, asrEvaluation });
+
+        console.log(`[Evaluation] "${job.name}": WER ${(asrEvaluation.wer * 100).toFixed(1)}% (S${asrEvaluation.substitutions} I${asrEvaluation.insertions} D${asrEvaluation.deletions})`);
+      }
+
+      window.dispatchEvent(new CustomEvent('job-wer-complete', {
+        detail: { recordingId: this.viewedRecordingId, results },
+      }));
+    } catch (err) {
+      console.error('[Evaluation] Failed to score WER:', err);
+      window.dispatchEvent(new CustomEvent('job-wer-complete', {
+        detail: { recordingId: this.viewedRecordingId, results: [], error: err.message },
+      }));
+    }
+  }
+
   /**
    * Export all jobs for the current recording
    */
@@ -2377,15 +3024,9 @@ export class App {
 
     // Build inference stats summary
     const segments = job.segments || [];
-    let boostStats = { applied: 0, skipped: 0, changedResult: 0 };
-    segments.forEach(seg => {
-      const inf = seg.inferenceAttribution;
-      if (inf) {
-        if (inf.wasBoosted) boostStats.applied++;
-        if (inf.boostSkipped) boostStats.skipped++;
-        if (inf.wasInfluenced) boostStats.changedResult++;
-      }
-    });
+    const boostStats = summarizeBoostStats(segments);
+    // The turn list is left out of the export: segments already have the timing
+    const { turns, ...talkTime } = computeTalkTimeStats(segments);
 
     return {
       job: {
@@ -2395,7 +3036,11 @@ export class App {
         status: job.status,
         createdAt: job.createdAt,
         processedAt: job.processedAt,
+        processingMode: job.processingMode || null,
         settings: job.settings,
+        evaluation: job.evaluation || null,
+        // WER summary only - the word alignment is too large for the export
+        asrEvaluation: job.asrEvaluation ? { ...job.asrEvaluation, alignment: undefined } : null,
       },
       ...(recording && {
         recording: {
@@ -2415,6 +3060,10 @@ export class App {
         boostChangedResult: boostStats.changedResult,
       },
       segmentCount: segments.length,
+      // Languages spoken, most used first (empty for recordings made before language tagging)
+      languages: getTranscriptLanguages(segments),
+      // Talk time and turn-taking per speaker
+      talkTime,
       participants: job.participants || [],
       segments: segments.map((seg) => {
         const clustering = seg.debug?.clustering;
@@ -2435,23 +3084,12 @@ export class App {
           .sort((a, b) => b.similarity - a.similarity);
 
         // Determine effective speaker (what UI displays, accounting for boosting)
-        let effectiveSpeaker = seg.speaker;
-        let effectiveSpeakerLabel = seg.speakerLabel;
-
-        if (inference?.wasInfluenced && inference?.boostedAttribution?.debug?.allMatches?.length > 0) {
-          // Boosting changed the result - use boosted speaker
-          const boostedBest = inference.boostedAttribution.debug.allMatches[0];
-          if (boostedBest.speakerIdx !== undefined) {
-            effectiveSpeaker = boostedBest.speakerIdx;
-          }
-          effectiveSpeakerLabel = inference.displayInfo?.label || boostedBest.speakerName || seg.speakerLabel;
-        } else if (inference?.displayInfo?.label) {
-          // No boosting influence, but displayInfo may have the correct label
-          effectiveSpeakerLabel = inference.displayInfo.label;
-        }
+        const { speaker: effectiveSpeaker, label: effectiveSpeakerLabel } = resolveEffectiveSpeaker(seg);
 
         return {
           text: seg.text?.trim() || '',
+          translatedText: seg.translatedText?.trim() || null,
+          language: seg.language || null,
           speaker: seg.speaker,                    // Original clustering result
           speakerLabel: seg.speakerLabel,          // Original clustering label
           effectiveSpeaker: effectiveSpeaker,      // What UI displays (may differ if boosted)
@@ -2459,6 +3097,11 @@ export class App {
           startTime: seg.startTime,
           endTime: seg.endTime,
           isEnvironmental: seg.isEnvironmental || false,
+          // Suspected hallucination (repetition loop, text over silence, implausible text rate)
+          hallucination: seg.hallucination || null,
+          // Text corrected by hand (originalText is what the ASR produced)
+          humanEdited: seg.humanEdited || false,
+          originalText: seg.humanEdited ? seg.originalText?.trim() ?? null : null,
           words: seg.words,
           // Attribution from clustering
           attribution: clustering
@@ -2564,7 +3207,14 @@ export class App {
     const enrollments = await EnrollmentManager.loadAll();
     const speakerStats = this.conversationInference.getAllSpeakerStatsForUI();
     const hypothesisHistory = this.conversationInference.getHypothesisHistory();
-    this.participantsPanel.render(hypothesis, enrollments, speakerStats, hypothesisHistory);
+    this.participantsPanel.render(hypothesis, enrollments, speakerStats, hypothesisHistory, {
+      // Renaming a speaker rewrites a saved job, so it's offered only while viewing one
+      relabelEnabled: this.isViewingRecording && !this.isRecording,
+    });
+    const segments = this.isViewingRecording
+      ? this._currentViewedSegments
+      : this.transcriptMerger.segments;
+    this.talkTimePanel?.render(computeTalkTimeStats(segments), enrollments);
   }
 
   /**
@@ -2615,8 +3265,9 @@ export class App {
         const timestampEl = labelEl.querySelector('.timestamp');
         const timestampHtml = timestampEl ? timestampEl.outerHTML : '';
 
-        // Update label
-        const label = displayInfo.label || segment.speakerLabel;
+        // Update label (a smoothed speaker still takes precedence)
+        const smoothing = segment.debug?.smoothing;
+        const label = (smoothing?.applied && smoothing.to) || displayInfo.label || segment.speakerLabel;
         labelEl.innerHTML = `
           ${label}${boostHtml}
           ${timestampHtml}
@@ -2678,6 +3329,12 @@ export class App {
     let reclusterChanges = [];
     const allChangedIndices = new Set([segmentIndex]);
 
+    // A live recording adapts enrollments when it's saved; a saved one adapts from the reassignment now
+    if (this.isViewingRecording) {
+      this.adaptEnrollmentsFromSegments([segment], this._currentViewedJob?.settings?.embeddingModel?.id)
+        .catch((error) => console.error('[Enrollment] Adaptation failed:', error));
+    }
+
     // Only do centroid updates and reclustering for live mode with active clusterer
     if (!this.isViewingRecording && segment.embedding) {
       const clusterer = this.transcriptMerger.speakerClusterer;
@@ -2734,6 +3391,9 @@ export class App {
       if (!segment || !segmentEl) continue;
 
       // Determine the speaker class
+      const smoothing = !segment.manuallyReassigned && segment.debug?.smoothing?.applied
+        ? segment.debug.smoothing
+        : null;
       let speakerClass = '';
       if (segment.isEnvironmental || segment.speaker === null) {
         speakerClass = 'environmental';
@@ -2741,7 +3401,7 @@ export class App {
         const unknownIndex = segment.speaker === -1 ? 0 : -100 - segment.speaker;
         speakerClass = `unknown-speaker unknown-speaker-${unknownIndex % 4}`;
       } else {
-        speakerClass = `speaker-${segment.speaker % 6}`;
+        speakerClass = `speaker-${(smoothing?.speakerIdx ?? segment.speaker) % 6}`;
       }
 
       // Update segment class
@@ -2749,6 +3409,9 @@ export class App {
       if (segment.manuallyReassigned) {
         segmentEl.classList.add('manually-reassigned');
       }
+      if (segment.humanEdited) {
+        segmentEl.classList.add('human-edited');
+      }
 
       // Update speaker label
       const labelEl = segmentEl.querySelector('.speaker-label');
@@ -2762,9 +3425,19 @@ export class App {
           // For manually reassigned segments, use speakerLabel directly (inferenceAttribution has stale data)
           const displayLabel = segment.manuallyReassigned
             ? segment.speakerLabel
-            : (segment.inferenceAttribution?.displayInfo?.label || segment.speakerLabel);
+            : (smoothing?.to || segment.inferenceAttribution?.displayInfo?.label || segment.speakerLabel);
           speakerNameEl.textContent = displayLabel;
         }
+
+        // Show or clear the smoothing badge in place of the clustering reason
+        const reasonBadgeEl = labelEl.querySelector('.reason-badge');
+        const reason = smoothing ? 'smoothed' : segment.debug?.clustering?.reason;
+        const badge = REASON_BADGES[reason];
+        if (reasonBadgeEl && badge) {
+          reasonBadgeEl.className = `reason-badge ${badge.cssClass}`;
+          reasonBadgeEl.title = smoothing ? `smoothed from ${smoothing.from}` : reason.replace(/_/g, ' ');
+          reasonBadgeEl.textContent = badge.label;
+        }
       }
 
       // Update candidates panel similarity bars if present
@@ -2912,6 +3585,39 @@ export class App {
       dropdown.appendChild(option);
     }
 
+    // Split/merge actions (saved recordings only: new spans need the recording's audio)
+    if (this.isViewingRecording && !this.isRecording) {
+      const actionsHeader = document.createElement('div');
+      actionsHeader.className = 'dropdown-header';
+      actionsHeader.textContent = 'Segment:';
+      dropdown.appendChild(actionsHeader);
+
+      const addAction = (icon, label, enabled, onClick) => {
+        const action = document.createElement('div');
+        action.className = `dropdown-option dropdown-action ${enabled ? '' : 'disabled'}`;
+        action.innerHTML = `<i class="ti ${icon}"></i>`;
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'speaker-option-name';
+        labelSpan.textContent = label;
+        action.appendChild(labelSpan);
+        if (enabled) {
+          action.addEventListener('click', () => {
+            dropdown.remove();
+            onClick();
+          });
+        }
+        dropdown.appendChild(action);
+      };
+
+      addAction('ti-cut', 'Split at word…', (segment.words?.length || 0) > 1,
+        () => this.startSegmentSplit(segmentIndex));
+      addAction('ti-arrow-merge', 'Merge with next', canMergeSegments(segment, segments[segmentIndex + 1]),
+        () => this.mergeSegmentWithNext(segmentIndex));
+      const selected = this._enrollmentSelection.has(segmentIndex);
+      addAction(selected ? 'ti-user-minus' : 'ti-user-plus', selected ? 'Deselect for enrollment' : 'Select for enrollment',
+        !segment.isEnvironmental, () => this.toggleEnrollmentSelection(segmentIndex));
+    }
+
     // Position dropdown below anchor
     const rect = anchorEl.getBoundingClientRect();
     dropdown.style.top = `${rect.bottom + 4}px`;
@@ -2939,45 +3645,647 @@ export class App {
     document.addEventListener('keydown', escHandler);
   }
 
-  // ==================== Comparison Mode Methods (Feature 7) ====================
+  // ==================== Transcript Editing Methods ====================
 
   /**
-   * Toggle segment comparison mode on/off
+   * Turn a segment's text into an inline editor (Enter or blur saves, Escape cancels)
+   * @param {number} segmentIndex - Index of segment to edit
+   * @param {HTMLElement} textEl - The segment's text element
    */
-  toggleComparisonMode() {
-    this.comparisonMode = !this.comparisonMode;
-    this.selectedSegments = [];
+  startSegmentTextEdit(segmentIndex, textEl) {
+    const segment = this._currentViewedSegments?.[segmentIndex];
+    if (!segment || textEl.isContentEditable) return;
 
-    // Update UI
-    this.updateComparisonModeUI();
+    textEl.textContent = segment.text.trim();
+    textEl.removeAttribute('title');
+    textEl.contentEditable = 'true';
+    textEl.classList.add('editing');
+    textEl.focus();
+    window.getSelection()?.selectAllChildren(textEl);
 
-    // Dispatch event for Alpine components
-    window.dispatchEvent(new CustomEvent('comparison-mode-changed', {
-      detail: { enabled: this.comparisonMode },
-    }));
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      textEl.contentEditable = 'false';
+      textEl.classList.remove('editing');
+      textEl.removeEventListener('keydown', keyHandler);
+      textEl.removeEventListener('blur', blurHandler);
 
-    console.log(`[Comparison] Mode ${this.comparisonMode ? 'enabled' : 'disabled'}`);
+      if (!save || !this.applySegmentTextEdit(segmentIndex, textEl.textContent)) {
+        textEl.textContent = '';
+        this.renderSegmentText(textEl, segment);
+      }
+    };
+    const keyHandler = (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    };
+    const blurHandler = () => finish(true);
+    textEl.addEventListener('keydown', keyHandler);
+    textEl.addEventListener('blur', blurHandler);
   }
 
   /**
-   * Update UI elements for comparison mode state
+   * Replace a segment's text, re-aligning the words to their timestamps and recording
+   * the change in the job's edit history
+   * @param {number} segmentIndex - Index of segment to edit
+   * @param {string} text - Edited text
+   * @returns {boolean} Whether the segment changed
    */
-  updateComparisonModeUI() {
-    // Toggle class on transcript container
-    if (this.comparisonMode) {
-      this.transcriptContainer.classList.add('comparison-mode');
-    } else {
-      this.transcriptContainer.classList.remove('comparison-mode');
-      // Clear any selected segments
-      this.transcriptContainer.querySelectorAll('.comparison-selected').forEach(el => {
-        el.classList.remove('comparison-selected');
-      });
-    }
+  applySegmentTextEdit(segmentIndex, text) {
+    const segment = this._currentViewedSegments?.[segmentIndex];
+    if (!segment || !this._currentViewedJob) return false;
 
-    // Hide comparison result when mode is toggled off
-    if (!this.comparisonMode) {
-      this.hideComparisonResult();
-    }
+    const after = editSegmentText(segment, text);
+    if (!after) return false;
+
+    const entry = { segmentIndex, before: getSegmentEditState(segment), after, timestamp: Date.now() };
+    Object.assign(segment, after);
+    this._currentViewedJob.editHistory = recordEdit(this._currentViewedJob.editHistory, entry);
+
+    this.reRenderSegmentText(segmentIndex);
+    this._saveTranscriptEdits();
+    console.log(`[Edit] Segment ${segmentIndex} edited: "${entry.before.text.trim()}" → "${after.text.trim()}"`);
+    return true;
+  }
+
+  /**
+   * Undo the last transcript edit of the viewed job
+   */
+  undoTranscriptEdit() {
+    const step = undoEdit(this._currentViewedJob?.editHistory);
+    if (!step) return;
+    this._restoreSegmentEditState(step.entry.segmentIndex, step.entry.before);
+    this._currentViewedJob.editHistory = step.history;
+    this._saveTranscriptEdits();
+  }
+
+  /**
+   * Redo the last undone transcript edit of the viewed job
+   */
+  redoTranscriptEdit() {
+    const step = redoEdit(this._currentViewedJob?.editHistory);
+    if (!step) return;
+    this._restoreSegmentEditState(step.entry.segmentIndex, step.entry.after);
+    this._currentViewedJob.editHistory = step.history;
+    this._saveTranscriptEdits();
+  }
+
+  /**
+   * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes transcript edits,
+   * unless focus is in a text field (which has its own undo)
+   * @param {KeyboardEvent} e
+   */
+  handleEditHistoryKeydown(e) {
+    if (!this.isViewingRecording || !(e.ctrlKey || e.metaKey)) return;
+    const target = e.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.undoTranscriptEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      this.redoTranscriptEdit();
+    }
+  }
+
+  /**
+   * Put a segment back into a state from the edit history
+   * @param {number} segmentIndex
+   * @param {Object} state - Snapshot from getSegmentEditState
+   */
+  _restoreSegmentEditState(segmentIndex, state) {
+    const segment = this._currentViewedSegments?.[segmentIndex];
+    if (!segment) return;
+    Object.assign(segment, state);
+    this.reRenderSegmentText(segmentIndex);
+  }
+
+  /**
+   * Re-render a segment's text and edited marker after an edit, undo or redo
+   * @param {number} segmentIndex
+   */
+  reRenderSegmentText(segmentIndex) {
+    const segment = this._currentViewedSegments?.[segmentIndex];
+    const segmentEl = this.transcriptContainer.querySelectorAll('.transcript-segment')[segmentIndex];
+    const textEl = segmentEl?.querySelector('.segment-text');
+    if (!segment || !textEl) return;
+
+    textEl.textContent = '';
+    textEl.removeAttribute('title');
+    this.renderSegmentText(textEl, segment);
+    segmentEl.classList.toggle('human-edited', !!segment.humanEdited);
+
+    segmentEl.classList.add('segment-reattributed');
+    setTimeout(() => segmentEl.classList.remove('segment-reattributed'), 500);
+    this.updateReviewQueue();
+  }
+
+  /**
+   * Save the viewed job's segments and edit history, and update the undo/redo controls
+   */
+  async _saveTranscriptEdits() {
+    this.updateEditHistoryState();
+    try {
+      await this.recordingStore.updateJob(this.viewedRecordingId, this.viewedJobId, {
+        segments: this._currentViewedSegments,
+        editHistory: this._currentViewedJob.editHistory,
+      });
+    } catch (error) {
+      console.error('[Edit] Failed to save transcript edits:', error);
+    }
+  }
+
+  /**
+   * Tell the UI whether the viewed job has edits to undo or redo
+   */
+  updateEditHistoryState() {
+    const history = this.isViewingRecording ? this._currentViewedJob?.editHistory : null;
+    window.dispatchEvent(new CustomEvent('transcript-edit-history-updated', {
+      detail: {
+        canUndo: (history?.position || 0) > 0,
+        canRedo: !!history && history.position < history.entries.length,
+      },
+    }));
+  }
+
+  // ==================== Segment Split/Merge Methods ====================
+
+  /**
+   * Let the user pick the word a segment should be split before (Escape cancels)
+   * @param {number} segmentIndex - Index of segment to split
+   */
+  startSegmentSplit(segmentIndex) {
+    const segment = this._currentViewedSegments?.[segmentIndex];
+    const segmentEl = this.transcriptContainer.querySelectorAll('.transcript-segment')[segmentIndex];
+    const textEl = segmentEl?.querySelector('.segment-text');
+    if (!segment || !textEl || (segment.words?.length || 0) < 2) return;
+
+    const restore = () => {
+      document.removeEventListener('keydown', escHandler);
+      textEl.classList.remove('splitting');
+      textEl.textContent = '';
+      this.renderSegmentText(textEl, segment);
+    };
+    const escHandler = (e) => {
+      if (e.key === 'Escape') restore();
+    };
+
+    textEl.textContent = '';
+    textEl.classList.add('splitting');
+    segment.words.forEach((word, i) => {
+      const leading = word.text.match(/^\s*/)[0];
+      if (leading) textEl.append(leading);
+      const wordEl = document.createElement('span');
+      wordEl.textContent = word.text.trimStart();
+      if (i > 0) {
+        wordEl.className = 'split-word';
+        wordEl.title = 'Split before this word';
+        wordEl.addEventListener('click', (e) => {
+          e.stopPropagation();
+          document.removeEventListener('keydown', escHandler);
+          this.splitSegmentAt(segmentIndex, i);
+        });
+      }
+      textEl.appendChild(wordEl);
+    });
+    document.addEventListener('keydown', escHandler);
+  }
+
+  /**
+   * Split a segment in two before one of its words
+   * @param {number} segmentIndex - Index of segment to split
+   * @param {number} wordIndex - First word of the second part
+   */
+  async splitSegmentAt(segmentIndex, wordIndex) {
+    const parts = splitSegment(this._currentViewedSegments?.[segmentIndex], wordIndex);
+    if (!parts) return;
+    await this._replaceSegments(segmentIndex, 1, parts);
+    console.log(`[Segments] Split segment ${segmentIndex} before word ${wordIndex}`);
+  }
+
+  /**
+   * Merge a segment with the segment after it (the merged segment keeps the first speaker)
+   * @param {number} segmentIndex - Index of the first segment
+   */
+  async mergeSegmentWithNext(segmentIndex) {
+    const segments = this._currentViewedSegments;
+    const merged = mergeSegments(segments?.[segmentIndex], segments?.[segmentIndex + 1]);
+    if (!merged) return;
+    await this._replaceSegments(segmentIndex, 2, [merged]);
+    console.log(`[Segments] Merged segments ${segmentIndex} and ${segmentIndex + 1}`);
+  }
+
+  /**
+   * Replace segments of the viewed job, re-extract embeddings for the new spans,
+   * re-score their speakers, rebuild inference and save the job
+   * @param {number} index - First segment to replace
+   * @param {number} count - Number of segments to replace
+   * @param {Object[]} replacements - New segments
+   */
+  async _replaceSegments(index, count, replacements) {
+    const segments = this._currentViewedSegments;
+    if (!segments || !this._currentViewedJob) return;
+
+    this.recordingStatus.textContent = 'Updating segments...';
+    segments.splice(index, count, ...replacements);
+
+    try {
+      await this._extractSegmentEmbeddings(replacements);
+    } catch (error) {
+      console.error('[Segments] Failed to extract embeddings:', error);
+    }
+    for (const segment of replacements) {
+      const clustering = rescoreSegmentSpeakers(segment, segments, { exclude: replacements });
+      if (clustering) {
+        segment.debug.clustering = clustering;
+      }
+    }
+
+    // Edit history entries point at segment indices, which have shifted
+    const history = this._currentViewedJob.editHistory;
+    const remapped = remapEditHistory(history, index, count, replacements.length);
+    const dropped = (history?.entries.length || 0) - (remapped?.entries.length || 0);
+    if (dropped > 0) {
+      console.log(`[Segments] Dropped ${dropped} text edit(s) of the replaced segments from the undo history`);
+    }
+    this._currentViewedJob.editHistory = remapped;
+
+    if (await this._refreshViewedSegments({ editHistory: remapped })) {
+      this.recordingStatus.textContent = `Viewing: ${this._currentViewedRecording?.name || 'recording'}`;
+    } else {
+      this.recordingStatus.textContent = 'Failed to save segment changes';
+    }
+  }
+
+  /**
+   * Rebuild inference for the viewed job's segments after they changed, re-render them
+   * (keeping the scroll position) and save the job
+   * @param {Object} [updates] - Other job fields to save with the segments
+   * @returns {Promise<boolean>} Whether the job was saved
+   */
+  async _refreshViewedSegments(updates = {}) {
+    const segments = this._currentViewedSegments;
+
+    // Rebuild inference stats and attributions for the changed segment list
+    this.conversationInference.rebuildFromSegments(segments);
+    for (let i = 0; i < segments.length; i++) {
+      const attr = this.conversationInference.getAttribution(i);
+      if (attr) {
+        segments[i].inferenceAttribution = attr;
+      }
+    }
+
+    const { scrollTop } = this.transcriptContainer;
+    this.clearTranscriptDisplay();
+    this.renderSegments(segments, { autoScroll: false });
+    this.transcriptContainer.scrollTop = scrollTop;
+    this.updateParticipantsPanel();
+
+    try {
+      await this.recordingStore.updateJob(this.viewedRecordingId, this.viewedJobId, {
+        segments,
+        participants: this._extractParticipants(segments),
+        // Scores refer to the previous segments
+        evaluation: null,
+        ...updates,
+      });
+      return true;
+    } catch (error) {
+      console.error('[Segments] Failed to save segments:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the viewed recording's audio as one 16kHz buffer
+   * @returns {Promise<Float32Array>}
+   */
+  async _loadViewedRecordingAudio() {
+    const data = await this.recordingStore.getWithChunks(this.viewedRecordingId);
+    if (!data) throw new Error('Recording not found');
+    return combineChunks(deserializeChunks(data.chunks));
+  }
+
+  /**
+   * Extract speaker embeddings for segments from the viewed recording's audio
+   * @param {Object[]} segments - Segments to embed (their embedding is set in place)
+   */
+  async _extractSegmentEmbeddings(segments) {
+    if (!this.isModelLoaded) {
+      console.warn('[Segments] Models not loaded - new segments have no embedding');
+      return;
+    }
+
+    const combinedAudio = await this._loadViewedRecordingAudio();
+
+    const segmentsToProcess = [];
+    segments.forEach((seg, index) => {
+      const startSample = Math.floor(seg.startTime * 16000);
+      const endSample = Math.ceil(seg.endTime * 16000);
+      if (endSample > startSample && endSample <= combinedAudio.length) {
+        segmentsToProcess.push({ index, audio: Array.from(combinedAudio.slice(startSample, endSample)) });
+      }
+    });
+    if (segmentsToProcess.length === 0) return;
+
+    const results = await this.batchExtractEmbeddings(segmentsToProcess);
+    for (const result of results) {
+      if (result.embedding) {
+        segments[result.index].embedding = Array.from(result.embedding);
+      }
+    }
+  }
+
+  // ==================== Speaker Relabel Methods ====================
+
+  /**
+   * Name a speaker across the whole viewed job (e.g. "Unknown 1" is Priya),
+   * optionally enrolling them from their segments' audio for future recordings
+   * @param {Object} participant - Participant from the hypothesis ({speakerName, unknownId?})
+   * @param {string} name - New speaker name
+   * @param {Object} [options]
+   * @param {boolean} [options.enroll=false] - Also create an enrollment from the segments
+   */
+  async relabelSpeaker(participant, name, options = {}) {
+    const segments = this._currentViewedSegments;
+    const label = (name || '').trim();
+    if (!this.isViewingRecording || !segments || !label) return;
+
+    const indices = findSpeakerSegments(segments, {
+      label: participant.speakerName,
+      unknownId: participant.unknownId,
+    });
+    if (indices.length === 0) return;
+
+    const statusParts = [];
+    if (options.enroll) {
+      this.recordingStatus.textContent = `Enrolling "${label}"...`;
+      try {
+        const { sampleCount } = await this._enrollFromSegments(label, indices.map((i) => segments[i]));
+        statusParts.push(`enrolled from ${sampleCount} segment${sampleCount !== 1 ? 's' : ''}`);
+      } catch (error) {
+        console.error('[Relabel] Enrollment failed:', error);
+        statusParts.push(`not enrolled: ${error.message}`);
+      }
+    }
+
+    const { speakerId } = resolveSpeakerIdForName(segments, label);
+    const count = relabelSegments(segments, indices, speakerId, label);
+    const saved = await this._refreshViewedSegments();
+    if (!saved) statusParts.push('failed to save');
+
+    // A new enrollment already learned from these segments
+    if (!options.enroll) {
+      const adapted = await this.adaptEnrollmentsFromSegments(
+        indices.map((i) => segments[i]),
+        this._currentViewedJob?.settings?.embeddingModel?.id
+      ).catch((error) => {
+        console.error('[Enrollment] Adaptation failed:', error);
+        return [];
+      });
+      if (adapted.length > 0) statusParts.push('voice profile adapted');
+    }
+
+    console.log(`[Relabel] "${participant.speakerName}" → "${label}" (${count} segment(s))`);
+    this.recordingStatus.textContent = `Renamed "${participant.speakerName}" to "${label}" in ${count} segment${count !== 1 ? 's' : ''}` +
+      (statusParts.length > 0 ? ` (${statusParts.join(', ')})` : '');
+  }
+
+  /**
+   * Enroll a speaker from the segments selected in the viewed recording, or from a time range
+   * @param {Object} request
+   * @param {string} request.name - Speaker name
+   * @param {'segments'|'range'} request.source - What to enroll from
+   * @param {{start: number, end: number}} [request.range] - Time range in seconds (source 'range')
+   */
+  async enrollFromRecording({ name, source, range }) {
+    const label = (name || '').trim();
+    if (!this.isViewingRecording || !label) return;
+
+    const samples = source === 'range'
+      ? splitTimeRange(Number(range?.start), Number(range?.end))
+      : selectEnrollmentSamples(
+        [...this._enrollmentSelection].map((i) => this._currentViewedSegments?.[i]).filter(Boolean)
+      );
+
+    this.recordingStatus.textContent = `Enrolling "${label}"...`;
+    try {
+      const { sampleCount, rejectedCount, warnings, modelCount } = await this._enrollFromSamples(label, samples);
+      const notes = [...warnings];
+      if (rejectedCount > 0) notes.push(`${rejectedCount} sample(s) failed the audio checks`);
+      this.recordingStatus.textContent =
+        `Enrolled "${label}" from ${sampleCount} sample${sampleCount !== 1 ? 's' : ''} ` +
+        `(${modelCount} model${modelCount !== 1 ? 's' : ''})` + (notes.length > 0 ? `. Note: ${notes.join('. ')}` : '');
+      this.clearEnrollmentSelection();
+    } catch (error) {
+      console.error('[Enrollment] Enrolling from recording failed:', error);
+      this.recordingStatus.textContent = `Could not enroll "${label}": ${error.message}`;
+    }
+  }
+
+  /**
+   * Select or deselect a segment of the viewed recording for enrollment
+   * @param {number} segmentIndex
+   */
+  toggleEnrollmentSelection(segmentIndex) {
+    if (this._enrollmentSelection.has(segmentIndex)) {
+      this._enrollmentSelection.delete(segmentIndex);
+    } else {
+      this._enrollmentSelection.add(segmentIndex);
+    }
+    const segmentEl = this.transcriptContainer.querySelectorAll('.transcript-segment')[segmentIndex];
+    segmentEl?.classList.toggle('enroll-selected', this._enrollmentSelection.has(segmentIndex));
+    this.updateEnrollmentSelectionState();
+  }
+
+  /**
+   * Deselect all segments selected for enrollment
+   */
+  clearEnrollmentSelection() {
+    this._enrollmentSelection.clear();
+    this.transcriptContainer.querySelectorAll('.transcript-segment.enroll-selected')
+      .forEach((el) => el.classList.remove('enroll-selected'));
+    this.updateEnrollmentSelectionState();
+  }
+
+  /**
+   * Tell the UI how many segments (and seconds) are selected for enrollment
+   */
+  updateEnrollmentSelectionState() {
+    const segments = [...this._enrollmentSelection].map((i) => this._currentViewedSegments?.[i]).filter(Boolean);
+    window.dispatchEvent(new CustomEvent('enrollment-selection-updated', {
+      detail: {
+        count: segments.length,
+        duration: segments.reduce((sum, s) => sum + (s.endTime - s.startTime), 0),
+      },
+    }));
+  }
+
+  /**
+   * Enroll a speaker from segments of the viewed recording (the longest ones)
+   * @param {string} name - Speaker name
+   * @param {Object[]} segments - The speaker's segments
+   * @returns {Promise<Object>} See _enrollFromSamples
+   */
+  async _enrollFromSegments(name, segments) {
+    return this._enrollFromSamples(name, selectEnrollmentSamples(segments));
+  }
+
+  /**
+   * Enroll a speaker from time ranges of the viewed recording, like finishing the
+   * enrollment modal with these samples as passages: the audio is sliced from the
+   * recording's chunks and checked, embedded with every embedding model, and stored
+   * with the enrollment so later model switches can recompute from it
+   * @param {string} name - Speaker name
+   * @param {Array<{start: number, end: number, text?: string}>} samples - Time ranges (seconds)
+   * @returns {Promise<{enrollment: Object, sampleCount: number, rejectedCount: number, warnings: string[], modelCount: number}>}
+   */
+  async _enrollFromSamples(name, samples) {
+    if (!this.isModelLoaded) throw new Error('models are not loaded');
+
+    const existing = await EnrollmentManager.loadAll();
+    if (existing.some((e) => e.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`"${name}" is already enrolled`);
+    }
+    if (samples.length === 0) {
+      throw new Error(`nothing to enroll from (samples must be at least ${SEGMENT_ENROLLMENT_DEFAULTS.minSampleDuration}s long)`);
+    }
+
+    const prepared = prepareEnrollmentSamples(await this._loadViewedRecordingAudio(), samples);
+    if (!prepared.passed) throw new Error(prepared.errors[0]);
+
+    const passages = prepared.accepted.map((s) => s.text || `${this.formatTime(s.start)} - ${this.formatTime(s.end)}`);
+    const audioSamples = prepared.accepted.map((s) => s.audio);
+
+    // Loaded model first: it defines the enrollment (and which samples are kept)
+    const results = await this.batchExtractEmbeddings(
+      audioSamples.map((audio, index) => ({ index, audio: Array.from(audio) }))
+    );
+    const manager = new EnrollmentManager({ passages, minSamplesRequired: 1 });
+    manager.setName(name);
+    for (const result of results) {
+      if (result.embedding) {
+        manager.setSample(result.index, result.embedding, audioSamples[result.index]);
+      }
+    }
+    if (!manager.canComplete()) throw new Error('no speaker embedding could be extracted');
+
+    const avgEmbedding = manager.computeAverageEmbedding();
+    const embeddingSamples = manager.getAcceptedSamples();
+    const keptAudio = manager.getAudioSamples();
+    const enrollment = await EnrollmentManager.addEnrollment(name, avgEmbedding, {
+      audioSamples: keptAudio,
+      embeddingSamples,
+    });
+
+    this.transcriptMerger.speakerClusterer.enrollSpeaker(
+      name,
+      avgEmbedding,
+      enrollment.id,
+      enrollment.colorIndex,
+      computeSubCentroids(embeddingSamples)
+    );
+
+    // Then every other embedding model, so switching models doesn't have to wait for it
+    const loadedModelId = ModelSelectionStore.getEmbeddingModel();
+    const modelCount = 1 + await this._computeEnrollmentModelEmbeddings(
+      enrollment,
+      keptAudio,
+      getAvailableEmbeddingModels().filter((m) => m.id !== loadedModelId),
+      (model) => {
+        this.recordingStatus.textContent = `Enrolling "${name}": computing ${model.name} embeddings...`;
+      }
+    );
+
+    await this.dispatchEnrollmentsUpdated(await EnrollmentManager.loadAll());
+    window.dispatchEvent(new CustomEvent('enrollment-complete'));
+
+    return {
+      enrollment,
+      sampleCount: embeddingSamples.length,
+      rejectedCount: prepared.rejected.length,
+      warnings: prepared.warnings,
+      modelCount,
+    };
+  }
+
+  /**
+   * Compute and store an enrollment's embeddings for other models from its audio samples
+   * (outliers rejected per model, as when enrolling)
+   * @param {{id: string, name: string}} enrollment
+   * @param {Float32Array[]} audioSamples
+   * @param {Object[]} models - Embedding model configs to compute
+   * @param {function(Object): void} [onModel] - Called with each model before it is computed
+   * @returns {Promise<number>} Number of models stored
+   */
+  async _computeEnrollmentModelEmbeddings(enrollment, audioSamples, models, onModel = null) {
+    let stored = 0;
+    for (const model of models) {
+      onModel?.(model);
+
+      const modelManager = new EnrollmentManager({ passages: audioSamples.map(() => enrollment.name), minSamplesRequired: 1 });
+      for (let i = 0; i < audioSamples.length; i++) {
+        const embedding = await this.extractEmbeddingFromWorkerWithModel(audioSamples[i], model.id);
+        if (embedding) modelManager.setSample(i, embedding);
+      }
+      if (!modelManager.canComplete()) {
+        console.warn(`[Enrollment] Could not compute ${model.id} embeddings for "${enrollment.name}"`);
+        continue;
+      }
+      const modelEmbedding = modelManager.computeAverageEmbedding();
+      await enrollmentStore.setEmbeddingForModel(enrollment.id, model.id, modelEmbedding, modelManager.getAcceptedSamples());
+      stored++;
+    }
+    return stored;
+  }
+
+  // ==================== Comparison Mode Methods (Feature 7) ====================
+
+  /**
+   * Toggle segment comparison mode on/off
+   */
+  toggleComparisonMode() {
+    this.comparisonMode = !this.comparisonMode;
+    this.selectedSegments = [];
+
+    // Update UI
+    this.updateComparisonModeUI();
+
+    // Dispatch event for Alpine components
+    window.dispatchEvent(new CustomEvent('comparison-mode-changed', {
+      detail: { enabled: this.comparisonMode },
+    }));
+
+    console.log(`[Comparison] Mode ${this.comparisonMode ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Update UI elements for comparison mode state
+   */
+  updateComparisonModeUI() {
+    // Toggle class on transcript container
+    if (this.comparisonMode) {
+      this.transcriptContainer.classList.add('comparison-mode');
+    } else {
+      this.transcriptContainer.classList.remove('comparison-mode');
+      // Clear any selected segments
+      this.transcriptContainer.querySelectorAll('.comparison-selected').forEach(el => {
+        el.classList.remove('comparison-selected');
+      });
+    }
+
+    // Hide comparison result when mode is toggled off
+    if (!this.comparisonMode) {
+      this.hideComparisonResult();
+    }
   }
 
   /**
@@ -3143,6 +4451,12 @@ export class App {
           embeddingModelId,
           segmentationModelId,
           segmentationParams,
+          asrModelId: AsrModelStore.getAsrModel(),
+          asrQuantization: AsrModelStore.getQuantization(),
+          asrLanguage: AsrModelStore.getLanguage(),
+          asrTask: AsrModelStore.getTask(),
+          hallucinationAction: AsrModelStore.getHallucinationAction(),
+          vocabulary: VocabularyStore.getVocabulary(),
           clustering: { numSpeakers: this.numSpeakers },
           enrollmentSource: ENROLLMENT_SOURCE.SNAPSHOT,
         });
@@ -3189,6 +4503,10 @@ export class App {
       // Save to IndexedDB
       await this.recordingStore.save(recording, serializedChunks, serializedTranscriptionData);
 
+      // Confirmed segments adapt the enrollments (after the snapshot, which keeps what this recording used)
+      await this.adaptEnrollmentsFromSegments(segments, jobSettings.embeddingModel.id)
+        .catch((error) => console.error('[Enrollment] Adaptation failed:', error));
+
       // Enforce max recordings limit
       const deleted = await this.recordingStore.enforceMaxRecordings();
       if (deleted > 0) {
@@ -3371,6 +4689,8 @@ export class App {
           jobs: recording.jobs,
           activeJobId: activeJob.id,
           activeJob: activeJob,
+          referenceAnnotation: recording.referenceAnnotation || null,
+          referenceTranscript: recording.referenceTranscript || null,
         },
       }));
 
@@ -3419,6 +4739,9 @@ export class App {
     this.liveJob = this._createFreshLiveJob();
     this._dispatchLiveJobState();
 
+    // A processed job may have left its own score normalizer on the clusterer
+    this._applyLiveScoreNormalization();
+
     this.recordingStatus.textContent = 'Ready';
     this.updateStatusBar('ready');
   }
@@ -3481,12 +4804,22 @@ export class App {
       const segmentationModelId = SegmentationModelStore.getSegmentationModel();
       const segmentationParams = SegmentationModelStore.getParams(segmentationModelId);
 
+      // Vocabulary belongs to the recording's content, so carry it over from the active job
+      const recording = await this.recordingStore.get(recordingId);
+      const activeJob = recording?.jobs?.find((j) => j.id === recording.activeJobId);
+
       // Build job settings from current global state
       // Use CURRENT enrollments for new jobs since user is re-processing with new settings
       const jobSettings = buildJobSettings({
         embeddingModelId,
         segmentationModelId,
         segmentationParams,
+        asrModelId: AsrModelStore.getAsrModel(),
+        asrQuantization: AsrModelStore.getQuantization(),
+        asrLanguage: AsrModelStore.getLanguage(),
+        asrTask: AsrModelStore.getTask(),
+        hallucinationAction: AsrModelStore.getHallucinationAction(),
+        vocabulary: activeJob?.settings?.vocabulary || VocabularyStore.getVocabulary(),
         clustering: {
           numSpeakers: this.numSpeakers,
         },
@@ -3533,27 +4866,134 @@ export class App {
         throw new Error('Source job not found');
       }
 
-      // Import clone helper
-      const { cloneJobSettings } = await import('./config/jobDefaults.js');
+      // Import clone helper
+      const { cloneJobSettings } = await import('./config/jobDefaults.js');
+
+      // Clone the job
+      const newJob = cloneJobSettings(sourceJob);
+
+      // Add to recording and set as active
+      await this.recordingStore.addJob(recordingId, newJob, true);
+
+      // Reload to show the cloned job
+      await this.loadRecording(recordingId, newJob.id);
+
+      // Notify Alpine about job creation
+      window.dispatchEvent(new CustomEvent('job-created', {
+        detail: { jobId: newJob.id, job: newJob, isUnprocessed: true },
+      }));
+
+      console.log(`[Job] Cloned job "${sourceJob.name}" → "${newJob.name}"`);
+    } catch (error) {
+      console.error('[Job] Failed to clone job:', error);
+      this.recordingStatus.textContent = 'Failed to clone job';
+    }
+  }
+
+  /**
+   * Create and process one job per combination of swept parameter values.
+   * Jobs are cloned from the base job and processed in sequence; when the recording
+   * has an imported reference annotation, each processed job is scored (DER/JER).
+   * @param {string} baseJobId - Job whose settings the sweep varies
+   * @param {Array<{key: string, min: number, max: number, step: number}>} ranges - Swept parameters
+   * @param {string} [mode='quick'] - Processing mode ('full' is forced when segmentation params are swept)
+   */
+  async runParameterSweep(baseJobId, ranges, mode = 'quick') {
+    if (!this.isViewingRecording || !this.viewedRecordingId || this._sweepState) return;
+
+    const recordingId = this.viewedRecordingId;
+    const sweepId = crypto.randomUUID();
+    const processedIds = [];
+    let pendingJobId = null;
+    this._sweepState = { cancelled: false };
+
+    try {
+      const recording = await this.recordingStore.get(recordingId);
+      const baseJob = recording?.jobs.find(j => j.id === baseJobId);
+      if (!baseJob) {
+        throw new Error('Base job not found');
+      }
+
+      const combinations = expandSweepGrid((ranges || []).map(r => ({
+        key: r.key,
+        values: buildSweepValues(r.min, r.max, r.step),
+      })));
+      if (combinations.length === 0) {
+        throw new Error('No parameters selected');
+      }
+      if (combinations.length > SWEEP_DEFAULTS.maxCombinations) {
+        throw new Error(`${combinations.length} combinations exceeds the limit of ${SWEEP_DEFAULTS.maxCombinations}`);
+      }
 
-      // Clone the job
-      const newJob = cloneJobSettings(sourceJob);
+      // Segmentation params only take effect when segmentation re-runs, and the worker
+      // can only apply them to the model it has loaded
+      const sweepsSegmentation = ranges.some(r => r.key.startsWith('segmentationParams.'));
+      const loadedModelId = SegmentationModelStore.getSegmentationModel();
+      if (sweepsSegmentation && baseJob.settings?.segmentationModel?.id !== loadedModelId) {
+        throw new Error(`Segmentation params can only be swept for the loaded segmentation model (${loadedModelId})`);
+      }
+      const sweepMode = sweepsSegmentation ? 'full' : mode;
+      console.log(`[Sweep] Running ${combinations.length} jobs from "${baseJob.name}" (${sweepMode})`);
+
+      // Each job is created just before it runs, so a cancelled or failed sweep leaves no unprocessed jobs
+      for (let i = 0; i < combinations.length; i++) {
+        if (this._sweepState.cancelled || this.viewedRecordingId !== recordingId) break;
+
+        const job = cloneJobSettings(baseJob);
+        job.settings = applySweepCombination(job.settings, combinations[i]);
+        job.name = `Sweep ${i + 1}: ${formatSweepLabel(combinations[i])}`;
+        job.sweep = { id: sweepId, baseJobId, index: i, params: combinations[i], mode: sweepMode };
+        await this.recordingStore.addJob(recordingId, job, false);
+        pendingJobId = job.id;
+
+        window.dispatchEvent(new CustomEvent('job-sweep-progress', {
+          detail: { sweepId, current: i + 1, total: combinations.length, jobId: job.id },
+        }));
 
-      // Add to recording and set as active
-      await this.recordingStore.addJob(recordingId, newJob, true);
+        const processed = await this.processJob(job.id, sweepMode, { reload: false });
+        if (!processed) {
+          throw new Error(`Job ${i + 1} of ${combinations.length} failed to process`);
+        }
 
-      // Reload to show the cloned job
-      await this.loadRecording(recordingId, newJob.id);
+        const processedJob = await this.recordingStore.getJob(recordingId, job.id);
+        await this.recordingStore.updateJob(recordingId, job.id, {
+          sweep: { ...processedJob.sweep, boostStats: summarizeBoostStats(processedJob.segments) },
+        });
+        processedIds.push(job.id);
+        pendingJobId = null;
+      }
 
-      // Notify Alpine about job creation
-      window.dispatchEvent(new CustomEvent('job-created', {
-        detail: { jobId: newJob.id, job: newJob, isUnprocessed: true },
+      if (recording.referenceAnnotation?.segments?.length && processedIds.length > 0) {
+        await this.evaluateJobs(processedIds, 'rttm');
+      }
+
+      window.dispatchEvent(new CustomEvent('job-sweep-complete', {
+        detail: { recordingId, sweepId, jobIds: processedIds, cancelled: this._sweepState.cancelled },
       }));
+      this.recordingStatus.textContent = `Sweep finished: ${processedIds.length}/${combinations.length} jobs processed`;
 
-      console.log(`[Job] Cloned job "${sourceJob.name}" → "${newJob.name}"`);
+      // Reload so the job list and results table include the sweep jobs
+      if (this.viewedRecordingId === recordingId) {
+        await this.loadRecording(recordingId, baseJobId);
+      }
     } catch (error) {
-      console.error('[Job] Failed to clone job:', error);
-      this.recordingStatus.textContent = 'Failed to clone job';
+      console.error('[Sweep] Failed:', error);
+      if (pendingJobId) {
+        await this.recordingStore.deleteJob(recordingId, pendingJobId).catch((deleteError) => {
+          console.warn('[Sweep] Failed to delete unprocessed job:', deleteError);
+        });
+      }
+      if (processedIds.length > 0 && this.viewedRecordingId === recordingId) {
+        await this.loadRecording(recordingId, baseJobId).catch((loadError) => {
+          console.error('[Sweep] Failed to reload recording:', loadError);
+        });
+      }
+      this.recordingStatus.textContent = 'Sweep failed: ' + error.message;
+      window.dispatchEvent(new CustomEvent('job-sweep-complete', {
+        detail: { recordingId, sweepId, jobIds: processedIds, error: error.message },
+      }));
+    } finally {
+      this._sweepState = null;
     }
   }
 
@@ -3639,19 +5079,24 @@ export class App {
   /**
    * Process an unprocessed job
    * @param {string} jobId - Job ID to process
-   * @param {string} [mode='quick'] - 'quick' (re-embed only) or 'full' (full pipeline)
+   * @param {string} [mode='quick'] - 'quick' (re-embed only), 'global' (re-embed, offline
+   *   agglomerative clustering) or 'full' (full pipeline)
+   * @param {Object} [options]
+   * @param {boolean} [options.reload=true] - Reload the recording to display the job afterwards
+   * @returns {Promise<boolean>} Whether the job was processed
    */
-  async processJob(jobId, mode = 'quick') {
-    if (!this.isViewingRecording || !this.viewedRecordingId) return;
+  async processJob(jobId, mode = 'quick', options = {}) {
+    const { reload = true } = options;
+    if (!this.isViewingRecording || !this.viewedRecordingId) return false;
 
     if (this.isRecording) {
       this.recordingStatus.textContent = 'Stop recording before processing';
-      return;
+      return false;
     }
 
     if (!this.isModelLoaded) {
       this.recordingStatus.textContent = 'Wait for models to load before processing';
-      return;
+      return false;
     }
 
     const recordingId = this.viewedRecordingId;
@@ -3664,7 +5109,7 @@ export class App {
       }
       if (job.status === JOB_STATUS.PROCESSED) {
         this.recordingStatus.textContent = 'Job is already processed';
-        return;
+        return false;
       }
 
       // Mark job as processing
@@ -3687,14 +5132,16 @@ export class App {
       const { recording, chunks, transcriptionData } = data;
 
       // Apply job settings to clusterer
-      await this._applyJobSettings(job.settings);
+      await this._applyJobSettings(job.settings, recording.id);
 
       // Process based on mode
       let newSegments;
       if (mode === 'quick') {
         newSegments = await this._processJobQuick(recording, job, chunks);
+      } else if (mode === 'global') {
+        newSegments = await this._processJobGlobal(recording, job, chunks);
       } else {
-        newSegments = await this._processJobFull(recording, job, chunks, transcriptionData);
+        newSegments = await this._processJobFullWithParams(recording, job, chunks, transcriptionData);
       }
 
       // Extract participants from new segments
@@ -3704,8 +5151,13 @@ export class App {
       await this.recordingStore.updateJob(recordingId, jobId, {
         status: JOB_STATUS.PROCESSED,
         processedAt: Date.now(),
+        processingMode: mode,
         segments: newSegments,
         participants,
+        // Scores and hand edits refer to the previous segments
+        evaluation: null,
+        asrEvaluation: null,
+        editHistory: null,
       });
 
       // Notify Alpine
@@ -3714,10 +5166,13 @@ export class App {
       }));
 
       // Reload to display the processed job
-      await this.loadRecording(recordingId, jobId);
+      if (reload) {
+        await this.loadRecording(recordingId, jobId);
+      }
 
       this.updateStatusBar('ready');
       console.log(`[Job] Processed job "${job.name}" (${mode})`);
+      return true;
     } catch (error) {
       console.error('[Job] Processing failed:', error);
 
@@ -3730,14 +5185,16 @@ export class App {
       window.dispatchEvent(new CustomEvent('job-processing-complete', {
         detail: { jobId, mode, error: error.message },
       }));
+      return false;
     }
   }
 
   /**
    * Apply job settings to the clusterer/inference system
    * @param {Object} settings - JobSettings object
+   * @param {string|null} [recordingId] - Recording being processed (kept out of the normalization cohort)
    */
-  async _applyJobSettings(settings) {
+  async _applyJobSettings(settings, recordingId = null) {
     // Get enrollments based on job's enrollment source
     let enrollments;
     if (settings.enrollmentSource === ENROLLMENT_SOURCE.CURRENT) {
@@ -3758,6 +5215,11 @@ export class App {
     clusterer.reset();
     clusterer.similarityThreshold = settings.clustering?.similarityThreshold ?? 0.75;
     clusterer.confidenceMargin = settings.clustering?.confidenceMargin ?? 0.15;
+    // A live normalizer still loading must not replace the job's
+    this._liveNormalizationRequest++;
+    clusterer.setScoreNormalizer(
+      await this.loadScoreNormalizer(modelId, settings.clustering?.scoreNormalization, recordingId)
+    );
 
     // Seed with model-prepared enrollments
     if (preparedEnrollments.length > 0) {
@@ -3772,6 +5234,8 @@ export class App {
       this.conversationInference.config.minSimilarityForBoosting = settings.boosting.minSimilarityForBoosting;
       this.conversationInference.config.boostEligibilityRank = settings.boosting.boostEligibilityRank;
       this.conversationInference.config.minSimilarityAfterBoost = settings.boosting.minSimilarityAfterBoost;
+      this.conversationInference.config.smoothingChangePenalty = settings.boosting.smoothingChangePenalty
+        ?? CONVERSATION_INFERENCE_DEFAULTS.smoothingChangePenalty;
     }
 
     this.conversationInference.reset();
@@ -3780,14 +5244,89 @@ export class App {
   }
 
   /**
-   * Quick job processing: keep ASR, re-extract embeddings, re-cluster
+   * Build a score normalizer for a model from the cached (or freshly collected) cohort
+   * @param {string} modelId - Embedding model ID
+   * @param {string} [method] - 'none', 's-norm' or 'as-norm'
+   * @param {string|null} [excludeRecordingId] - Leave this recording's segments out of the cohort
+   * @returns {Promise<ScoreNormalizer|null>} null when disabled or the cohort is too small
+   */
+  async loadScoreNormalizer(modelId, method, excludeRecordingId = null) {
+    if (!method || method === 'none') {
+      window.dispatchEvent(new CustomEvent('score-normalization-status', { detail: { status: null } }));
+      return null;
+    }
+
+    let cohort = await this._getCohortForModel(modelId);
+    if (excludeRecordingId) {
+      cohort = cohort.filter((e) => e.source !== `recording:${excludeRecordingId}`);
+    }
+
+    const active = cohort.length >= SCORE_NORMALIZATION_DEFAULTS.minCohortSize;
+    window.dispatchEvent(new CustomEvent('score-normalization-status', {
+      detail: { status: { method, cohortSize: cohort.length, active } },
+    }));
+
+    if (!active) {
+      console.warn(
+        `[App] Score normalization skipped: cohort has ${cohort.length} embeddings for ${modelId} ` +
+        `(need ${SCORE_NORMALIZATION_DEFAULTS.minCohortSize})`
+      );
+      return null;
+    }
+    return new ScoreNormalizer(cohort, { method });
+  }
+
+  /**
+   * Get the impostor cohort for a model, rebuilding the IndexedDB cache when
+   * recordings or enrollments have changed since it was built
+   * @param {string} modelId - Embedding model ID
+   * @returns {Promise<Array<{embedding: number[], source: string}>>}
+   */
+  async _getCohortForModel(modelId) {
+    const recordings = await this.recordingStore.getAll();
+    const enrollments = await enrollmentStore.getEnrollmentsForVisualization(modelId);
+    const signature = getCohortSignature(recordings, enrollments, modelId);
+
+    const cached = await this.cohortStore.get(modelId);
+    if (cached?.signature === signature) {
+      return cached.entries;
+    }
+
+    const entries = collectCohort(recordings, enrollments, modelId);
+    await this.cohortStore.save(modelId, signature, entries);
+    console.log(`[App] Built score-normalization cohort for ${modelId}: ${entries.length} embeddings`);
+    return entries;
+  }
+
+  /**
+   * Apply the live score-normalization setting to the live clusterers
+   */
+  async _applyLiveScoreNormalization() {
+    const request = ++this._liveNormalizationRequest;
+    try {
+      const normalizer = await this.loadScoreNormalizer(ModelSelectionStore.getEmbeddingModel(), this.scoreNormalization);
+      // A later setting change (or a job) has set its own normalizer
+      if (request !== this._liveNormalizationRequest) return;
+
+      this.transcriptMerger.speakerClusterer.setScoreNormalizer(normalizer);
+      for (const merger of this.channelMergers.values()) {
+        merger.speakerClusterer.setScoreNormalizer(normalizer);
+      }
+    } catch (error) {
+      console.error('[App] Failed to apply score normalization:', error);
+    }
+  }
+
+  /**
+   * Re-extract embeddings for the segment timings of the recording's first processed job
    * @param {Object} recording - Recording metadata
-   * @param {Object} job - Job with settings
    * @param {Object[]} chunks - Serialized audio chunks
-   * @returns {Promise<Object[]>} New segments
+   * @param {string} modeLabel - Mode name for status messages
+   * @returns {Promise<{referenceSegments: Object[], embeddingMap: Map<number, Float32Array>}>}
+   *   Reference segments and new embeddings keyed by segment index
    */
-  async _processJobQuick(recording, job, chunks) {
-    this.recordingStatus.textContent = 'Processing (quick): preparing audio...';
+  async _extractJobEmbeddings(recording, chunks, modeLabel) {
+    this.recordingStatus.textContent = `Processing (${modeLabel}): preparing audio...`;
 
     // Deserialize and combine audio chunks
     const audioChunks = deserializeChunks(chunks);
@@ -3822,7 +5361,7 @@ export class App {
       throw new Error('No segments to process');
     }
 
-    this.recordingStatus.textContent = `Processing (quick): extracting embeddings 0/${segmentsToProcess.length}...`;
+    this.recordingStatus.textContent = `Processing (${modeLabel}): extracting embeddings 0/${segmentsToProcess.length}...`;
 
     // Request batch embedding extraction from worker
     const embeddings = await this.batchExtractEmbeddings(segmentsToProcess);
@@ -3835,6 +5374,19 @@ export class App {
       }
     }
 
+    return { referenceSegments, embeddingMap };
+  }
+
+  /**
+   * Quick job processing: keep ASR, re-extract embeddings, re-cluster
+   * @param {Object} recording - Recording metadata
+   * @param {Object} job - Job with settings
+   * @param {Object[]} chunks - Serialized audio chunks
+   * @returns {Promise<Object[]>} New segments
+   */
+  async _processJobQuick(recording, job, chunks) {
+    const { referenceSegments, embeddingMap } = await this._extractJobEmbeddings(recording, chunks, 'quick');
+
     this.recordingStatus.textContent = 'Processing (quick): clustering speakers...';
 
     // Get clusterer (already configured by _applyJobSettings)
@@ -3873,6 +5425,139 @@ export class App {
     return newSegments;
   }
 
+  /**
+   * Global job processing: keep ASR, re-extract embeddings, then cluster all of them
+   * at once (agglomerative) instead of one at a time. Clusters that match an enrolled
+   * speaker take that speaker; the rest become discovered speakers.
+   * @param {Object} recording - Recording metadata
+   * @param {Object} job - Job with settings
+   * @param {Object[]} chunks - Serialized audio chunks
+   * @returns {Promise<Object[]>} New segments
+   */
+  async _processJobGlobal(recording, job, chunks) {
+    const { referenceSegments, embeddingMap } = await this._extractJobEmbeddings(recording, chunks, 'global');
+
+    this.recordingStatus.textContent = 'Processing (global): clustering speakers...';
+
+    // Clusterer holds only the job's enrolled speakers (configured by _applyJobSettings)
+    const clusterer = this.transcriptMerger.speakerClusterer;
+    const clustering = job.settings.clustering || {};
+
+    const indices = [...embeddingMap.keys()];
+    const { labels, clusters } = agglomerativeCluster(indices.map(i => embeddingMap.get(i)), {
+      linkage: clustering.linkage,
+      threshold: clustering.mergeThreshold,
+      numClusters: clustering.stopAtNumSpeakers ? clustering.numSpeakers : null,
+    });
+    const clusterBySegment = new Map(indices.map((segIndex, k) => [segIndex, labels[k]]));
+
+    // Map clusters to enrolled speakers; unmatched clusters become discovered speakers
+    const matches = matchClustersToSpeakers(
+      clusters.map(c => c.centroid),
+      clusterer.speakers.map(s => s.centroid),
+      {
+        similarityThreshold: clusterer.similarityThreshold,
+        confidenceMargin: clusterer.confidenceMargin,
+        // Same scoring as the incremental path: sub-centroids and score normalization
+        scoreSpeakers: (centroid) => clusterer.scoreAllSpeakers(centroid),
+      }
+    );
+    const clusterSpeakerIds = matches.map((match, c) => {
+      if (match.speakerIndex >= 0) return match.speakerIndex;
+      clusterer.speakers.push({ centroid: clusters[c].centroid, count: clusters[c].members.length });
+      return clusterer.speakers.length - 1;
+    });
+
+    console.log(`[Job] Global clustering: ${indices.length} segments → ${clusters.length} clusters ` +
+      `(${matches.filter(m => m.speakerIndex >= 0).length} matched to enrolled speakers)`);
+
+    const newSegments = referenceSegments.map((seg, i) => {
+      const newSeg = { ...seg };
+      if (seg.isEnvironmental) {
+        return newSeg;
+      }
+
+      // Stale inference attribution - rebuilt below
+      delete newSeg.inferenceAttribution;
+
+      const embedding = embeddingMap.get(i);
+      if (!embedding) {
+        newSeg.speaker = UNKNOWN_SPEAKER_ID;
+        newSeg.speakerLabel = clusterer.getSpeakerLabel(UNKNOWN_SPEAKER_ID);
+        newSeg.isEnrolledSpeaker = false;
+        newSeg.speakerName = null;
+        newSeg.debug = { ...newSeg.debug, clustering: { similarity: 0, margin: 0, reason: 'no_embedding' } };
+        return newSeg;
+      }
+
+      const cluster = clusterBySegment.get(i);
+      const speakerId = clusterSpeakerIds[cluster];
+      const scores = clusterer.scoreAllSpeakers(embedding);
+      const allSimilarities = clusterer.speakers.map((s, idx) => ({
+        speaker: s.name || `Speaker ${idx + 1}`,
+        speakerIdx: idx,
+        similarity: scores[idx],
+        enrolled: s.enrolled || false,
+      }));
+      const similarity = allSimilarities[speakerId].similarity;
+      const secondBestSimilarity = Math.max(0, ...allSimilarities
+        .filter(s => s.speakerIdx !== speakerId)
+        .map(s => s.similarity));
+
+      newSeg.embedding = Array.from(embedding);
+      newSeg.speaker = speakerId;
+      newSeg.speakerLabel = clusterer.getSpeakerLabel(speakerId);
+      newSeg.isEnrolledSpeaker = clusterer.speakers[speakerId].enrolled || false;
+      newSeg.speakerName = clusterer.speakers[speakerId].name || null;
+      newSeg.debug = {
+        ...newSeg.debug,
+        clustering: {
+          similarity,
+          secondBestSimilarity,
+          margin: similarity - secondBestSimilarity,
+          isEnrolled: newSeg.isEnrolledSpeaker,
+          allSimilarities,
+          reason: matches[cluster].speakerIndex >= 0 ? 'global_enrolled' : 'global_cluster',
+          globalCluster: { index: cluster, size: clusters[cluster].members.length },
+          ...(clusterer.scoreNormalizer && { scoreNormalization: clusterer.scoreNormalizer.method }),
+        },
+      };
+      return newSeg;
+    });
+
+    this.recordingStatus.textContent = 'Processing (global): rebuilding inference...';
+    this.conversationInference.rebuildFromSegments(newSegments);
+
+    return newSegments;
+  }
+
+  /**
+   * Full processing with the job's segmentation params applied in the worker.
+   * Params only apply when the job uses the loaded segmentation model; the
+   * global params are restored afterwards.
+   * @param {Object} recording - Recording metadata
+   * @param {Object} job - Job with settings
+   * @param {Object[]} chunks - Serialized audio chunks
+   * @param {Object[]} transcriptionData - Original transcription data
+   * @returns {Promise<Object[]>} New segments
+   */
+  async _processJobFullWithParams(recording, job, chunks, transcriptionData) {
+    const loadedModelId = SegmentationModelStore.getSegmentationModel();
+    const jobParams = job.settings?.segmentationParams;
+    const applyParams = job.settings?.segmentationModel?.id === loadedModelId && jobParams;
+
+    if (applyParams) {
+      this.updateSegmentationParams(jobParams);
+    }
+    try {
+      return await this._processJobFull(recording, job, chunks, transcriptionData);
+    } finally {
+      if (applyParams) {
+        this.updateSegmentationParams(SegmentationModelStore.getParams(loadedModelId));
+      }
+    }
+  }
+
   /**
    * Full job processing: re-run ASR, segmentation, and embeddings
    * @param {Object} recording - Recording metadata
@@ -3897,6 +5582,9 @@ export class App {
     let globalTimeOffset = 0;
     const allSegments = [];
 
+    // Enrollments are already set on inference by _applyJobSettings
+    const vocabulary = this._getAsrVocabulary(job.settings);
+
     // Process each chunk through worker
     for (let i = 0; i < audioChunks.length; i++) {
       const chunk = audioChunks[i];
@@ -3909,7 +5597,10 @@ export class App {
       this.recordingStatus.textContent = `Processing (full): chunk ${i + 1}/${audioChunks.length}...`;
 
       // Send to worker and await result
-      const result = await this.workerTranscribePromise(chunk.audio, i, chunk.overlapDuration, chunk.isFinal);
+      const result = await this.workerTranscribePromise(
+        chunk.audio, i, chunk.overlapDuration, chunk.isFinal, job.settings?.asrModel, vocabulary,
+        this._getHallucinationOptions(job.settings, chunk.speechRegions)
+      );
 
       if (!result || !result.data) continue;
 
@@ -4084,6 +5775,7 @@ export class App {
       await this.recordingStore.updateJob(this.viewedRecordingId, jobId, {
         settings: job.settings,
         segments: segments,
+        evaluation: null,
       });
 
       // Re-render transcript with new attributions
@@ -4288,9 +5980,12 @@ export class App {
    * @param {number} chunkIndex - Chunk index
    * @param {number} overlapDuration - Overlap duration in seconds
    * @param {boolean} isFinal - Is this the final chunk
+   * @param {{id: string, quantization?: string}} [asrModel] - ASR model to transcribe with (defaults to the loaded one)
+   * @param {{prompt: string, replacements: Array}} [vocabulary] - Decoder prompt and replacement rules
+   * @param {{action: string, speechRegions: Array|null}} [hallucination] - Hallucination detection options
    * @returns {Promise<Object>} Worker result
    */
-  workerTranscribePromise(audio, chunkIndex, overlapDuration, isFinal) {
+  workerTranscribePromise(audio, chunkIndex, overlapDuration, isFinal, asrModel = null, vocabulary = null, hallucination = null) {
     return new Promise((resolve) => {
       const handler = (event) => {
         if (event.data.type === 'result' && event.data.data?.chunkIndex === chunkIndex) {
@@ -4304,15 +5999,50 @@ export class App {
         type: 'transcribe',
         data: {
           audio: Array.from(audio),
-          language: 'en',
+          language: asrModel?.language || AUTO_LANGUAGE,
+          task: asrModel?.task || DEFAULT_ASR_TASK,
           chunkIndex,
           overlapDuration,
           isFinal,
+          asrModel,
+          vocabulary,
+          hallucination,
         },
       });
     });
   }
 
+  /**
+   * Build the worker's vocabulary options for a job: the decoder prompt (job terms plus,
+   * unless turned off, the names of the enrolled speakers in use) and the replacement rules
+   * @param {Object} [settings] - Job settings
+   * @returns {{prompt: string, replacements: Array<{find: string, replace: string}>}|null} Null when there is nothing to apply
+   */
+  _getAsrVocabulary(settings) {
+    const vocabulary = settings?.vocabulary;
+    const names = vocabulary?.includeEnrolledNames === false
+      ? []
+      : (this.conversationInference.enrolledSpeakers || []).map((s) => s.name).filter(Boolean);
+    const prompt = buildInitialPrompt(vocabulary?.terms, names);
+    const replacements = vocabulary?.replacements || [];
+
+    if (!prompt && replacements.length === 0) return null;
+    return { prompt, replacements };
+  }
+
+  /**
+   * Build the worker's hallucination detection options for a chunk
+   * @param {Object} [settings] - Job settings
+   * @param {Array<{start: number, end: number}>|null} [speechRegions] - VAD speech regions of the chunk
+   *   (missing for uploaded files and older recordings, which skips the outside-speech check)
+   * @returns {{action: 'flag'|'drop', speechRegions: Array|null}|null} Null when detection is off
+   */
+  _getHallucinationOptions(settings, speechRegions = null) {
+    const action = settings?.hallucination?.action || HALLUCINATION_DEFAULTS.action;
+    if (action === 'off') return null;
+    return { action, speechRegions: speechRegions || null };
+  }
+
   // ==================== Enrollment Methods ====================
 
   /**
@@ -4326,8 +6056,10 @@ export class App {
     this.participantsPanel = new ParticipantsPanel({
       listId: 'participants-list',
       statusId: 'participants-status',
+      onRelabel: (participant, name, options) => this.relabelSpeaker(participant, name, options),
     });
     this.participantsPanel.renderEmpty();
+    this.talkTimePanel = new TalkTimePanel({ containerId: 'talk-time-panel' });
 
     // Set up inference callback for re-rendering changed segments
     this.conversationInference.onAttributionChange = (changedIndices) => {
@@ -4416,6 +6148,12 @@ export class App {
     if (modelId) {
       // Fetch embeddings for specific model from enrollment store
       speakers = await enrollmentStore.getEnrollmentsForVisualization(modelId);
+
+      // Sub-centroids from the stored sample embeddings
+      speakers = await Promise.all(speakers.map(async (s) => {
+        const samples = await enrollmentStore.getEmbeddingSamplesForModel(s.id, modelId);
+        return { ...s, subCentroids: samples ? computeSubCentroids(samples) : null };
+      }));
     } else {
       // Use current clusterer state (includes discovered speakers)
       speakers = this.transcriptMerger.speakerClusterer.getAllSpeakersForVisualization();
@@ -4679,7 +6417,8 @@ export class App {
    *
    * @param {Array} enrollments - Enrollments (from snapshot or current)
    * @param {string} modelId - Model ID to get embeddings for
-   * @returns {Promise<Array>} Enrollments with centroid set to model-specific embedding
+   * @returns {Promise<Array>} Enrollments with centroid set to model-specific embedding,
+   *   and subCentroids computed from the model's sample embeddings when they are stored
    */
   async prepareEnrollmentsForModel(enrollments, modelId) {
     const results = [];
@@ -4703,7 +6442,10 @@ export class App {
       }
 
       if (embedding) {
-        results.push({ ...e, centroid: Array.from(embedding) });
+        const samples = e.embeddingSamples?.[modelId]
+          || await enrollmentStore.getEmbeddingSamplesForModel(e.id, modelId);
+        const subCentroids = samples?.length ? computeSubCentroids(samples).map((c) => Array.from(c)) : null;
+        results.push({ ...e, centroid: Array.from(embedding), subCentroids });
       } else {
         // No usable embedding for this model - skip this enrollment
         console.warn(`[App] Enrollment "${e.name}" has no embedding for model ${modelId}, skipping`);
@@ -4763,8 +6505,8 @@ export class App {
         }
         l2Normalize(avgEmbedding);
 
-        // Cache the computed embedding
-        await enrollmentStore.setEmbeddingForModel(enrollment.id, modelId, avgEmbedding);
+        // Cache the computed embedding (samples are kept for sub-centroids)
+        await enrollmentStore.setEmbeddingForModel(enrollment.id, modelId, avgEmbedding, embeddings);
         console.log(`[App] Recomputed embedding for "${enrollment.name}" (${dim}-dim)`);
       } catch (error) {
         console.error(`[App] Failed to recompute embedding for "${enrollment.name}":`, error);
@@ -4804,10 +6546,62 @@ export class App {
     });
   }
 
+  /**
+   * Dispatch the enrollment passage sets to Alpine
+   */
+  dispatchPassageSetsUpdated() {
+    const sets = listPassageSets(PassageSetStore.getCustomSets()).map((set) => ({
+      id: set.id,
+      name: set.name,
+      language: set.language,
+      languageName: getLanguageName(set.language),
+      passageCount: set.passages.length,
+      custom: set.custom,
+    }));
+
+    window.dispatchEvent(
+      new CustomEvent('passage-sets-updated', {
+        detail: {
+          sets,
+          selectedId: resolvePassageSet(PassageSetStore.getSelectedSetId(), PassageSetStore.getCustomSets()).id,
+          languages: Object.entries(ASR_LANGUAGES).map(([code, name]) => ({ code, name })),
+        },
+      })
+    );
+  }
+
+  /**
+   * Save a custom passage set typed in the speakers modal
+   * @param {{id?: string, name: string, language: string, text: string}} input - Passages as
+   *   paragraphs separated by blank lines; an ID replaces that set
+   * @returns {boolean} Whether the set was saved
+   */
+  savePassageSet({ id, name, language, text }) {
+    const set = {
+      id: id || `custom-${Date.now()}`,
+      name: (name || '').trim(),
+      language,
+      passages: parsePassageText(text),
+    };
+
+    const errors = validatePassageSet(set);
+    if (errors.length > 0) {
+      this.setEnrollStatus(errors[0], true);
+      return false;
+    }
+
+    PassageSetStore.saveCustomSet(set);
+    PassageSetStore.setSelectedSetId(set.id);
+    this.dispatchPassageSetsUpdated();
+    this.setEnrollStatus(`Saved passage set "${set.name}" (${set.passages.length} passages).`);
+    return true;
+  }
+
   /**
    * Dispatch enrollments list update to Alpine
    */
   async dispatchEnrollmentsUpdated(enrollments) {
+    const modelId = ModelSelectionStore.getEmbeddingModel();
     // Fetch audio sample counts from IndexedDB for each enrollment
     const enrollmentsWithCounts = await Promise.all(
       enrollments.map(async (e, i) => {
@@ -4817,6 +6611,7 @@ export class App {
           name: e.name,
           colorIndex: i % 6,
           sampleCount,
+          adaptedVersions: e.centroidHistory?.[modelId]?.length || 0,
         };
       })
     );
@@ -4825,6 +6620,7 @@ export class App {
       new CustomEvent('enrollments-updated', {
         detail: {
           enrollments: enrollmentsWithCounts,
+          adaptationEnabled: PreferencesStore.getAdaptiveEnrollment(),
         },
       })
     );
@@ -4870,14 +6666,22 @@ export class App {
 
   /**
    * Start the enrollment process (called from Alpine via enrollment-start event)
+   * @param {string} name - Speaker name
+   * @param {string} [passageSetId] - Passage set to read (defaults to the last one chosen)
    */
-  startEnrollmentWithName(name) {
+  startEnrollmentWithName(name, passageSetId) {
     if (!name?.trim()) {
       this.setEnrollStatus('Please enter your name first.', true);
       return;
     }
 
-    this.enrollmentManager.reset();
+    const passageSet = resolvePassageSet(
+      passageSetId || PassageSetStore.getSelectedSetId(),
+      PassageSetStore.getCustomSets()
+    );
+    PassageSetStore.setSelectedSetId(passageSet.id);
+
+    this.enrollmentManager.setPassageSet(passageSet);
     this.enrollmentManager.setName(name);
 
     // Open the enrollment modal
@@ -4955,6 +6759,263 @@ export class App {
     this.setEnrollStatus('All enrollments cleared.');
   }
 
+  /**
+   * Adapt enrolled centroids toward how their speakers sound in these segments, when adaptation
+   * is on. Only confident matches and manual reassignments count (see centroidAdaptation).
+   * @param {Object[]} segments - Segments with embeddings
+   * @param {string} [modelId] - Embedding model the segments were embedded with (defaults to the current one)
+   * @returns {Promise<string[]>} Names of the enrollments that were adapted
+   */
+  async adaptEnrollmentsFromSegments(segments, modelId = ModelSelectionStore.getEmbeddingModel()) {
+    if (!PreferencesStore.getAdaptiveEnrollment()) return [];
+
+    const enrollments = await this.prepareEnrollmentsForModel(await EnrollmentManager.loadAll(), modelId);
+    const collected = collectAdaptationEmbeddings(segments, enrollments);
+    const adapted = [];
+
+    for (const [id, embeddings] of collected) {
+      const enrollment = enrollments.find((e) => e.id === id);
+      const result = computeAdaptedCentroid({
+        centroid: enrollment.centroid,
+        samples: await enrollmentStore.getEmbeddingSamplesForModel(id, modelId),
+        anchor: await enrollmentStore.getBaseEmbeddingForModel(id, modelId),
+      }, embeddings);
+
+      if (!result.applied) {
+        console.warn(`[Enrollment] Not adapting "${enrollment.name}" (${result.reason}, ` +
+          `similarity to enrollment ${result.anchorSimilarity?.toFixed(3)})`);
+        continue;
+      }
+      await enrollmentStore.adaptEmbeddingForModel(id, modelId, result.centroid, result.samples, embeddings.length);
+      adapted.push(enrollment.name);
+      console.log(`[Enrollment] Adapted "${enrollment.name}" from ${embeddings.length} segment(s) ` +
+        `(rate ${result.rate.toFixed(2)}, similarity to enrollment ${result.anchorSimilarity.toFixed(3)})`);
+    }
+
+    if (adapted.length > 0) {
+      // The clusterer only holds the current model's centroids
+      if (modelId === ModelSelectionStore.getEmbeddingModel()) {
+        await this.loadSavedEnrollments();
+      } else {
+        await this.dispatchEnrollmentsUpdated(await EnrollmentManager.loadAll());
+      }
+    }
+    return adapted;
+  }
+
+  /**
+   * Undo the latest adaptation of an enrollment's current-model centroid
+   * (called from Alpine via enrollment-rollback event)
+   * @param {string} enrollmentId
+   */
+  async rollbackEnrollmentAdaptation(enrollmentId) {
+    const modelId = ModelSelectionStore.getEmbeddingModel();
+    const rolledBack = await enrollmentStore.rollbackEmbeddingForModel(enrollmentId, modelId);
+    if (!rolledBack) {
+      this.setEnrollStatus('Nothing to roll back for this model.', true);
+      return;
+    }
+
+    await this.loadSavedEnrollments();
+    const enrollment = await enrollmentStore.getById(enrollmentId);
+    const remaining = enrollment?.centroidHistory?.[modelId]?.length || 0;
+    this.setEnrollStatus(remaining > 0
+      ? `Rolled back "${enrollment.name}" (${remaining} earlier version${remaining !== 1 ? 's' : ''} left).`
+      : `"${enrollment.name}" is back to its enrolled voice profile.`);
+  }
+
+  /**
+   * Build the quality report of an enrolled speaker and send it to the speakers modal
+   * (called from Alpine via enrollment-quality-request event). Sample similarities use
+   * the current model, re-embedding the stored audio so sample numbers match the
+   * enrollment order (skipped until models are loaded); without audio, the stored
+   * sample embeddings are used.
+   * @param {string} enrollmentId
+   */
+  async reportEnrollmentQuality(enrollmentId) {
+    try {
+      const enrollment = await enrollmentStore.getById(enrollmentId);
+      if (!enrollment) return;
+
+      const modelId = ModelSelectionStore.getEmbeddingModel();
+      const audioSamples = (await enrollmentStore.getAudioSamples(enrollmentId)) || [];
+      let sampleEmbeddings = [];
+      if (audioSamples.length === 0) {
+        sampleEmbeddings = (await enrollmentStore.getEmbeddingSamplesForModel(enrollmentId, modelId)) || [];
+      } else if (this.isModelLoaded) {
+        for (const audio of audioSamples) {
+          sampleEmbeddings.push(await this.extractEmbeddingFromWorkerWithModel(audio, modelId));
+        }
+      }
+
+      const others = (await EnrollmentManager.loadAll()).filter((e) => e.id !== enrollmentId);
+      const models = [];
+      for (const model of getAvailableEmbeddingModels()) {
+        const otherCentroids = [];
+        for (const other of others) {
+          const centroid = await enrollmentStore.getEmbeddingForModel(other.id, model.id);
+          if (centroid) otherCentroids.push({ name: other.name, centroid });
+        }
+        models.push({
+          id: model.id,
+          name: model.name,
+          isCurrent: model.id === modelId,
+          centroid: await enrollmentStore.getEmbeddingForModel(enrollmentId, model.id),
+          others: otherCentroids,
+        });
+      }
+
+      const report = buildEnrollmentQualityReport({
+        name: enrollment.name,
+        audioSamples,
+        sampleEmbeddings,
+        centroid: await enrollmentStore.getEmbeddingForModel(enrollmentId, modelId),
+        models,
+      });
+
+      window.dispatchEvent(new CustomEvent('enrollment-quality-report', {
+        detail: { id: enrollmentId, report, hasAudio: audioSamples.length > 0 },
+      }));
+    } catch (err) {
+      console.error('[Enrollment] Quality report failed:', err);
+      this.setEnrollStatus(`Could not check the enrollment: ${err.message}`, true);
+    }
+  }
+
+  /**
+   * Download enrollments as a portable file (called from Alpine via enrollment-export event)
+   * @param {string[]|null} ids - Enrollments to export (null = all)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeAudio=false] - Include the audio samples, so the importing
+   *   browser can compute embeddings for models the file has none for
+   */
+  async exportEnrollments(ids, { includeAudio = false } = {}) {
+    try {
+      const all = await enrollmentStore.getAll();
+      const enrollments = ids ? all.filter((e) => ids.includes(e.id)) : all;
+      if (enrollments.length === 0) return;
+
+      let audioSamples = null;
+      if (includeAudio) {
+        audioSamples = {};
+        for (const enrollment of enrollments) {
+          audioSamples[enrollment.id] = (await enrollmentStore.getAudioSamples(enrollment.id)) || [];
+        }
+      }
+
+      const file = buildEnrollmentFile(enrollments, { audioSamples, legacyModelId: DEFAULT_EMBEDDING_MODEL });
+      const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+      const baseName = enrollments.length === 1
+        ? (enrollments[0].name.replace(/[^a-zA-Z0-9\s-]/g, '').trim() || 'speaker')
+        : 'speakers';
+      downloadBlob(blob, `${baseName}-enrollment.json`);
+
+      this.setEnrollStatus(`Exported ${enrollments.length} speaker${enrollments.length !== 1 ? 's' : ''}.`);
+    } catch (err) {
+      console.error('[Enrollment] Export failed:', err);
+      this.setEnrollStatus(`Export failed: ${err.message}`, true);
+    }
+  }
+
+  /**
+   * Import enrollments from a file made by exportEnrollments (called from Alpine via
+   * enrollment-import event). Embeddings are stored per model as they are in the file;
+   * models the file has no embedding for are computed from its audio samples, if included.
+   * @param {File} file
+   * @param {'rename'|'replace'|'skip'} [onCollision='rename'] - What to do when a name is already enrolled
+   */
+  async importEnrollments(file, onCollision = 'rename') {
+    if (!file) return;
+
+    try {
+      const { enrollments: imported, warnings } = parseEnrollmentFile(JSON.parse(await file.text()));
+      const existing = await EnrollmentManager.loadAll();
+      const { toAdd, skipped } = planEnrollmentImport(imported, existing, onCollision);
+
+      const currentModelId = ModelSelectionStore.getEmbeddingModel();
+      const models = getAvailableEmbeddingModels();
+      const usedColors = new Set(existing.map((e) => e.colorIndex));
+      let count = existing.length;
+      let added = 0;
+
+      for (const { enrollment, name, replacesId } of toAdd) {
+        if (!replacesId && count >= ENROLLMENT_DEFAULTS.maxEnrolledSpeakers) {
+          warnings.push(`Skipped "${name}": at most ${ENROLLMENT_DEFAULTS.maxEnrolledSpeakers} speakers can be enrolled`);
+          continue;
+        }
+
+        const embeddings = { ...enrollment.embeddings };
+        const embeddingSamples = { ...enrollment.embeddingSamples };
+        let primaryModelId = currentModelId in embeddings ? currentModelId : Object.keys(embeddings)[0];
+
+        // Audio only: the current model's embedding has to be computed before there's anything to store
+        if (!primaryModelId) {
+          this.setEnrollStatus(`Importing "${name}": computing embeddings...`);
+          const manager = new EnrollmentManager({ passages: enrollment.audioSamples.map(() => name), minSamplesRequired: 1 });
+          for (let i = 0; i < enrollment.audioSamples.length; i++) {
+            const embedding = await this.extractEmbeddingFromWorkerWithModel(enrollment.audioSamples[i], currentModelId);
+            if (embedding) manager.setSample(i, embedding);
+          }
+          if (!manager.canComplete()) {
+            warnings.push(`Skipped "${name}": no embedding could be computed from its audio`);
+            continue;
+          }
+          primaryModelId = currentModelId;
+          embeddings[primaryModelId] = manager.computeAverageEmbedding();
+          embeddingSamples[primaryModelId] = manager.getAcceptedSamples();
+        }
+
+        if (replacesId) {
+          const replaced = existing.find((e) => e.id === replacesId);
+          usedColors.delete(replaced?.colorIndex);
+          await EnrollmentManager.removeEnrollment(replacesId);
+        } else {
+          count++;
+        }
+
+        const colorIndex = enrollment.colorIndex != null && !usedColors.has(enrollment.colorIndex)
+          ? enrollment.colorIndex
+          : undefined;
+        const stored = await enrollmentStore.add(name, embeddings[primaryModelId], {
+          audioSamples: enrollment.audioSamples,
+          embeddingSamples: embeddingSamples[primaryModelId],
+          modelId: primaryModelId,
+          colorIndex,
+        });
+        usedColors.add(stored.colorIndex);
+
+        for (const [modelId, embedding] of Object.entries(embeddings)) {
+          if (modelId === primaryModelId) continue;
+          await enrollmentStore.setEmbeddingForModel(stored.id, modelId, embedding, embeddingSamples[modelId]);
+        }
+
+        const missing = models.filter((m) => !(m.id in embeddings));
+        if (missing.length > 0 && enrollment.audioSamples.length > 0) {
+          const computed = await this._computeEnrollmentModelEmbeddings(stored, enrollment.audioSamples, missing, (model) => {
+            this.setEnrollStatus(`Importing "${name}": computing ${model.name} embeddings...`);
+          });
+          if (computed < missing.length) {
+            warnings.push(`"${name}": embeddings for ${missing.length - computed} model(s) could not be computed`);
+          }
+        } else if (missing.length > 0) {
+          warnings.push(`"${name}": no audio in file, so ${missing.map((m) => m.name).join(', ')} can't be used for this speaker`);
+        }
+        added++;
+      }
+
+      if (added > 0) await this.loadSavedEnrollments();
+
+      const parts = [`Imported ${added} speaker${added !== 1 ? 's' : ''}`];
+      if (skipped.length > 0) parts.push(`skipped ${skipped.join(', ')} (already enrolled)`);
+      const summary = `${parts.join('; ')}.`;
+      this.setEnrollStatus(warnings.length > 0 ? `${summary} ${warnings.join('. ')}.` : summary, added === 0);
+      if (warnings.length > 0) console.warn('[Enrollment] Import warnings:', warnings);
+    } catch (err) {
+      console.error('[Enrollment] Import failed:', err);
+      this.setEnrollStatus(`Import failed: ${err.message}`, true);
+    }
+  }
+
   /**
    * Escape HTML special characters
    */
@@ -4987,6 +7048,8 @@ export class App {
 
     // Set speaker name in header
     this.modalSpeakerName.textContent = name;
+    // Lets the browser pick fonts and hyphenation for the passage language
+    this.modalPassageText.lang = this.enrollmentManager.getLanguage();
 
     // Initialize modal progress dots
     this.initModalProgressDots();
@@ -5468,6 +7531,7 @@ export class App {
       data: {
         audio: combinedAudio,
         sampleId: this.pendingEnrollmentSampleId,
+        language: this.enrollmentManager.getLanguage(),
       },
     });
 
@@ -5495,16 +7559,18 @@ export class App {
     const name = this.enrollmentManager.getName();
     const rejectedCount = this.enrollmentManager.getRejectedCount();
     const audioSamples = this.enrollmentManager.getAudioSamples();
+    const embeddingSamples = this.enrollmentManager.getAcceptedSamples();
 
     // Save to storage (with audio samples for model switching support)
-    const newEnrollment = await EnrollmentManager.addEnrollment(name, avgEmbedding, { audioSamples });
+    const newEnrollment = await EnrollmentManager.addEnrollment(name, avgEmbedding, { audioSamples, embeddingSamples });
 
     // Import into speaker clusterer
     this.transcriptMerger.speakerClusterer.enrollSpeaker(
       name,
       avgEmbedding,
       newEnrollment.id,
-      newEnrollment.colorIndex
+      newEnrollment.colorIndex,
+      computeSubCentroids(embeddingSamples)
     );
 
     // Check for inter-enrollment similarity warnings
@@ -5756,6 +7822,7 @@ export class App {
       data: {
         audio: audio,
         sampleId: this.pendingEnrollmentSampleId,
+        language: this.enrollmentManager.getLanguage(),
       },
     });
 
@@ -5,6 +5,7 @@
 
 import { MicVAD } from '@ricky0123/vad-web';
 import { VAD_DEFAULTS } from '../config/index.js';
+import { getSpeechRegions } from '../core/transcription/hallucinationDetector.js';
 
 export class VADProcessor {
   /**
@@ -71,6 +72,10 @@ export class VADProcessor {
     this.currentSpeechBuffer = [];
     this.maxDurationCheckInterval = null;
 
+    // Per-frame speech probabilities of the buffered frames (for speech regions of a chunk)
+    this.currentSpeechProbs = [];
+    this.frameSamples = 0;
+
     // Sample rate (VAD outputs 16kHz)
     this.sampleRate = 16000;
 
@@ -148,6 +153,7 @@ export class VADProcessor {
         onSpeechStart: () => {
           this.speechStartTime = performance.now();
           this.currentSpeechBuffer = [];
+          this.currentSpeechProbs = [];
           this._debugLog('SPEECH_START', {
             speechStartTime: this.speechStartTime.toFixed(2),
             maxDuration: this.maxSpeechDuration,
@@ -185,6 +191,8 @@ export class VADProcessor {
           // Accumulate frames during speech for max duration handling
           if (this.speechStartTime !== null) {
             this.currentSpeechBuffer.push(frame);
+            this.currentSpeechProbs.push(probs.isSpeech);
+            this.frameSamples = frame.length;
 
             // Report speech progress
             const duration = (performance.now() - this.speechStartTime) / 1000;
@@ -196,6 +204,7 @@ export class VADProcessor {
           // Speech was too short, reset state
           this.speechStartTime = null;
           this.currentSpeechBuffer = [];
+          this.currentSpeechProbs = [];
           this.stopMaxDurationCheck();
         },
       });
@@ -220,6 +229,7 @@ export class VADProcessor {
     this.lastSegmentTail = null;
     this.speechStartTime = null;
     this.currentSpeechBuffer = [];
+    this.currentSpeechProbs = [];
 
     await this.vad.start();
   }
@@ -264,9 +274,12 @@ export class VADProcessor {
    * @param {Float32Array} audio - The audio samples
    * @param {boolean} isFinal - Whether this is the final segment (stop requested)
    * @param {boolean} wasForced - Whether this was a forced emit due to max duration
+   * @param {Array<{start: number, end: number}>} [speechRegions] - Speech regions of the audio
+   *   (computed from the buffered frame probabilities when omitted)
    */
-  handleSpeechSegment(audio, isFinal, wasForced = false) {
+  handleSpeechSegment(audio, isFinal, wasForced = false, speechRegions = undefined) {
     const duration = audio.length / this.sampleRate;
+    const regions = speechRegions ?? this.getBufferedSpeechRegions(audio.length);
 
     // Skip if too short (shouldn't happen due to minSpeechMs, but safety check)
     if (duration < this.minSpeechDuration && !isFinal) {
@@ -294,9 +307,14 @@ export class VADProcessor {
         const chunkSamples = Math.min(samplesPerChunk, remainingSamples);
         const chunk = audio.slice(offset, offset + chunkSamples);
         const isLastChunk = offset + chunkSamples >= audio.length;
+        const chunkStart = offset / this.sampleRate;
+        const chunkEnd = (offset + chunkSamples) / this.sampleRate;
+        const chunkRegions = regions
+          .filter((r) => r.end > chunkStart && r.start < chunkEnd)
+          .map((r) => ({ start: Math.max(r.start, chunkStart) - chunkStart, end: Math.min(r.end, chunkEnd) - chunkStart }));
 
         // Emit this chunk (recursively, but with wasForced=true to enable overlap)
-        this.handleSpeechSegment(chunk, isFinal && isLastChunk, true);
+        this.handleSpeechSegment(chunk, isFinal && isLastChunk, true, chunkRegions);
 
         offset += chunkSamples;
       }
@@ -326,6 +344,14 @@ export class VADProcessor {
       this.lastSegmentTail = null;
     }
 
+    // Speech regions relative to the emitted audio; the overlap was mid-speech by definition
+    const chunkRegions = overlapDuration > 0
+      ? [
+          { start: 0, end: overlapDuration },
+          ...regions.map((r) => ({ start: r.start + overlapDuration, end: r.end + overlapDuration })),
+        ]
+      : regions;
+
     // Emit the speech segment
     this.onSpeechEnd({
       audio: chunkWithOverlap,
@@ -334,6 +360,7 @@ export class VADProcessor {
       overlapDuration,
       rawDuration: duration, // Duration of just this segment (without overlap)
       channelId: this.channelId, // Channel identifier for dual-input support
+      speechRegions: chunkRegions, // VAD speech regions (seconds, relative to the chunk audio)
     });
 
     this.chunkIndex++;
@@ -341,6 +368,28 @@ export class VADProcessor {
     // Reset speech state
     this.speechStartTime = null;
     this.currentSpeechBuffer = [];
+    this.currentSpeechProbs = [];
+  }
+
+  /**
+   * Speech regions of audio that ends with the buffered frames.
+   * MicVAD's audio also includes pre-speech padding that was never buffered, so the
+   * frame probabilities are aligned to the end of the audio.
+   * @param {number} audioLength - Audio length in samples
+   * @returns {Array<{start: number, end: number}>} Regions in seconds from the start of the audio
+   */
+  getBufferedSpeechRegions(audioLength) {
+    if (this.currentSpeechProbs.length === 0 || !this.frameSamples) return [];
+
+    const frameCount = Math.min(this.currentSpeechProbs.length, Math.floor(audioLength / this.frameSamples));
+    if (frameCount === 0) return [];
+    const probs = this.currentSpeechProbs.slice(-frameCount);
+    const offset = (audioLength - frameCount * this.frameSamples) / this.sampleRate;
+
+    return getSpeechRegions(probs, this.frameSamples / this.sampleRate, {
+      threshold: this.negativeSpeechThreshold, // Permissive: only clear silence counts as non-speech
+      offset,
+    });
   }
 
   /**
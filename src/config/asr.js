@@ -0,0 +1,251 @@
+/**
+ * ASR Model Registry
+ *
+ * Defines available Whisper speech recognition models and quantization options.
+ * Live capture usually wants the smallest model that keeps up in real time, while
+ * a "full" reprocess of a recording can afford a bigger one, so each job records
+ * the ASR model it was (or will be) transcribed with.
+ *
+ * English-only (.en) models are more accurate on English at the same size;
+ * multilingual models either detect the language of each chunk or use a fixed one.
+ * The translate task needs a multilingual model, so English-only models name their
+ * multilingual counterpart.
+ */
+
+/**
+ * @typedef {Object} AsrModelConfig
+ * @property {string} id - Unique identifier for the model
+ * @property {string} name - Human-readable display name
+ * @property {string} source - HuggingFace model ID
+ * @property {string} size - Approximate download size (8-bit weights) for display
+ * @property {boolean} multilingual - Whether the model can transcribe (and detect) languages other than English
+ * @property {string} description - Brief description for UI
+ * @property {string} [multilingualId] - Multilingual model of the same size (English-only models)
+ * @property {boolean} [available] - Whether the model is available (default: true)
+ */
+
+/**
+ * @typedef {Object} AsrQuantizationConfig
+ * @property {string} id - Unique identifier
+ * @property {string} name - Human-readable display name
+ * @property {string} description - Brief description for UI
+ */
+
+/**
+ * Available ASR models
+ * @type {Record<string, AsrModelConfig>}
+ */
+export const ASR_MODELS = {
+  'whisper-tiny.en': {
+    id: 'whisper-tiny.en',
+    name: 'Whisper Tiny (English)',
+    source: 'Xenova/whisper-tiny.en',
+    size: '~40MB',
+    multilingual: false,
+    multilingualId: 'whisper-tiny',
+    description: 'Fastest. Current default for live capture.',
+  },
+  'whisper-tiny': {
+    id: 'whisper-tiny',
+    name: 'Whisper Tiny',
+    source: 'Xenova/whisper-tiny',
+    size: '~40MB',
+    multilingual: true,
+    description: 'Fastest multilingual model.',
+  },
+  'whisper-base.en': {
+    id: 'whisper-base.en',
+    name: 'Whisper Base (English)',
+    source: 'Xenova/whisper-base.en',
+    size: '~80MB',
+    multilingual: false,
+    multilingualId: 'whisper-base',
+    description: 'Noticeably more accurate than Tiny, still fast enough for live use on WebGPU.',
+  },
+  'whisper-base': {
+    id: 'whisper-base',
+    name: 'Whisper Base',
+    source: 'Xenova/whisper-base',
+    size: '~80MB',
+    multilingual: true,
+    description: 'Multilingual Base model.',
+  },
+  'whisper-small.en': {
+    id: 'whisper-small.en',
+    name: 'Whisper Small (English)',
+    source: 'Xenova/whisper-small.en',
+    size: '~250MB',
+    multilingual: false,
+    multilingualId: 'whisper-small',
+    description: 'Most accurate. Best suited to full reprocessing of recordings.',
+  },
+  'whisper-small': {
+    id: 'whisper-small',
+    name: 'Whisper Small',
+    source: 'Xenova/whisper-small',
+    size: '~250MB',
+    multilingual: true,
+    description: 'Most accurate multilingual model. Best suited to full reprocessing.',
+  },
+};
+
+/**
+ * Weight quantization options for ASR models
+ * @type {Record<string, AsrQuantizationConfig>}
+ */
+export const ASR_QUANTIZATIONS = {
+  auto: {
+    id: 'auto',
+    name: 'Auto',
+    description: 'fp32 encoder + 4-bit decoder on WebGPU, 8-bit on WASM.',
+  },
+  q8: {
+    id: 'q8',
+    name: '8-bit',
+    description: 'Small and fast, minimal accuracy loss.',
+  },
+  q4: {
+    id: 'q4',
+    name: '4-bit',
+    description: 'Smallest download, some accuracy loss.',
+  },
+  fp32: {
+    id: 'fp32',
+    name: 'Full precision',
+    description: 'Largest download and slowest, best accuracy.',
+  },
+};
+
+/**
+ * Languages offered as a fixed-language override for multilingual models
+ * (Whisper supports ~100; detection can return any of them)
+ * @type {Record<string, string>} Whisper language code -> display name
+ */
+export const ASR_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  sv: 'Swedish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  tr: 'Turkish',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  vi: 'Vietnamese',
+  id: 'Indonesian',
+  tl: 'Tagalog',
+};
+
+/**
+ * Language setting that detects the language of each chunk
+ */
+export const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Whisper tasks: 'transcribe' keeps the spoken language, 'translate' also
+ * produces an English translation of every chunk
+ */
+export const ASR_TASKS = {
+  transcribe: { id: 'transcribe', name: 'Transcribe' },
+  translate: { id: 'translate', name: 'Transcribe + translate to English' },
+};
+
+export const DEFAULT_ASR_TASK = 'transcribe';
+
+/**
+ * Default model to use when none is selected
+ */
+export const DEFAULT_ASR_MODEL = 'whisper-tiny.en';
+
+/**
+ * Default quantization
+ */
+export const DEFAULT_ASR_QUANTIZATION = 'auto';
+
+/**
+ * Get model config by ID, with fallback to default
+ * @param {string} modelId
+ * @returns {AsrModelConfig}
+ */
+export function getAsrModelConfig(modelId) {
+  return ASR_MODELS[modelId] || ASR_MODELS[DEFAULT_ASR_MODEL];
+}
+
+/**
+ * Get the multilingual model to use in place of a model (itself if already multilingual)
+ * @param {string} modelId
+ * @returns {AsrModelConfig}
+ */
+export function getMultilingualModelConfig(modelId) {
+  const config = getAsrModelConfig(modelId);
+  return config.multilingual ? config : getAsrModelConfig(config.multilingualId);
+}
+
+/**
+ * Get all models as array (for UI dropdowns)
+ * @param {boolean} [onlyAvailable=true] - If true, only return models marked available
+ * @returns {AsrModelConfig[]}
+ */
+export function getAvailableAsrModels(onlyAvailable = true) {
+  const models = Object.values(ASR_MODELS);
+  if (onlyAvailable) {
+    return models.filter(m => m.available !== false);
+  }
+  return models;
+}
+
+/**
+ * Get all quantization options as array (for UI dropdowns)
+ * @returns {AsrQuantizationConfig[]}
+ */
+export function getAsrQuantizations() {
+  return Object.values(ASR_QUANTIZATIONS);
+}
+
+/**
+ * Get the display name of a language code (falls back to the upper-cased code)
+ * @param {string} code - Whisper language code
+ * @returns {string}
+ */
+export function getLanguageName(code) {
+  if (!code) return 'Unknown';
+  if (code === AUTO_LANGUAGE) return 'Auto-detect';
+  return ASR_LANGUAGES[code] || code.toUpperCase();
+}
+
+/**
+ * Build the device/dtype options for a Transformers.js ASR pipeline
+ * @param {'webgpu'|'wasm'} device - Device the pipeline runs on
+ * @param {string} [quantization='auto'] - Quantization ID from ASR_QUANTIZATIONS
+ * @returns {{device: string, dtype: string|Object}}
+ */
+export function getAsrPipelineOptions(device, quantization = DEFAULT_ASR_QUANTIZATION) {
+  const dtype = ASR_QUANTIZATIONS[quantization] ? quantization : DEFAULT_ASR_QUANTIZATION;
+
+  if (device === 'webgpu') {
+    return {
+      device: 'webgpu',
+      dtype: dtype === 'auto'
+        ? { encoder_model: 'fp32', decoder_model_merged: 'q4' } // 4-bit quantized decoder
+        : dtype,
+    };
+  }
+
+  return {
+    device: 'wasm',
+    dtype: dtype === 'auto' ? 'q8' : dtype, // 8-bit quantized for WASM
+  };
+}
+
+Object.freeze(ASR_MODELS);
+Object.freeze(ASR_QUANTIZATIONS);
+Object.freeze(ASR_LANGUAGES);
+Object.freeze(ASR_TASKS);
@@ -16,6 +16,63 @@ export const CLUSTERING_DEFAULTS = {
   interEnrollmentWarningThreshold: 0.72,
 };
 
+// Offline (global) agglomerative clustering for reprocessing saved recordings
+export const GLOBAL_CLUSTERING_DEFAULTS = {
+  // 'average' (UPGMA) is robust to noisy segments; 'complete' keeps clusters tight
+  linkage: 'average',
+  // Stop merging when the closest pair of clusters is less similar than this (cosine)
+  mergeThreshold: 0.65,
+  // Ignore the threshold and merge down to the job's expected speaker count instead
+  stopAtNumSpeakers: false,
+};
+
+// Automatic speaker-count estimation (silhouette over agglomerative clusterings)
+export const SPEAKER_COUNT_DEFAULTS = {
+  minSpeakers: 1,
+  maxSpeakers: 6,
+  // Don't estimate until this many segment embeddings have been collected
+  minSamples: 6,
+  // Only the most recent embeddings are clustered (agglomerative is O(n^3))
+  maxSamples: 120,
+  // Best silhouette below this means no split is convincing: assume one speaker
+  minSilhouette: 0.25,
+  // Candidate splits with a cluster smaller than this are treated as outliers, not speakers
+  minClusterSize: 2,
+  // Live mode: re-estimate after this many new segments
+  reestimateEvery: 3,
+};
+
+// Multi-centroid speaker models: enrolled speakers keep several sub-centroids
+// (e.g. one per mic setup) instead of a single averaged centroid
+export const MULTI_CENTROID_DEFAULTS = {
+  // Most sub-centroids kept per enrolled speaker (1 = single centroid)
+  maxCentroids: 3,
+  // Each sub-centroid must be built from at least this many samples
+  minSamplesPerCentroid: 2,
+  // A sample only starts a new sub-centroid when its similarity to every existing one is below this
+  splitSimilarity: 0.85,
+  // How an embedding is scored against a speaker: 'max' (best sub-centroid) or 'topk' (mean of the best topK)
+  scoring: 'max',
+  topK: 2,
+};
+
+// Score normalization (S-norm / AS-norm) against a cohort of impostor embeddings,
+// so similarity thresholds mean the same thing across embedding models
+export const SCORE_NORMALIZATION_DEFAULTS = {
+  // 'none', 's-norm' (statistics over the whole cohort) or 'as-norm' (only the topN most similar)
+  method: 'none',
+  topN: 50,
+  // Cohort is subsampled to at most this many embeddings per model
+  maxCohortSize: 400,
+  // Normalization is skipped when fewer cohort embeddings are available
+  minCohortSize: 20,
+  // Normalized scores (z-scores) are mapped back onto a cosine-like scale so the existing
+  // thresholds keep their meaning: score = referenceMean + z * referenceStd.
+  // The mean is the WavLM different-speaker baseline (~0.62).
+  referenceMean: 0.62,
+  referenceStd: 0.08,
+};
+
 // Conversation-level speaker inference configuration
 export const CONVERSATION_INFERENCE_DEFAULTS = {
   // Hypothesis building
@@ -35,6 +92,9 @@ export const CONVERSATION_INFERENCE_DEFAULTS = {
 
   // Unexpected speaker detection
   unexpectedSpeakerThreshold: 0.70, // Below this for non-participant = unexpected
+
+  // Temporal smoothing (Viterbi over each input's segment sequence)
+  smoothingChangePenalty: 0.05, // Similarity cost of a speaker change; 0 disables smoothing
 };
 
 // Unknown speaker clustering configuration
@@ -99,6 +159,32 @@ export const ENROLLMENT_DEFAULTS = {
   maxEnrolledSpeakers: 6,
 };
 
+// Enrolling a speaker from segments (or a time range) of a saved recording
+export const SEGMENT_ENROLLMENT_DEFAULTS = {
+  // Longest segments are used first, up to this many samples
+  maxSamples: 6,
+  // Segments shorter than this (seconds) make unreliable embeddings
+  minSampleDuration: 2,
+  // Longer segments are cut to this length (seconds)
+  maxSampleDuration: 15,
+};
+
+// Adapting enrolled centroids to how a speaker sounds in later recordings (opt-in)
+export const ADAPTIVE_ENROLLMENT_DEFAULTS = {
+  // Only confident matches adapt a centroid (manual reassignments always count)
+  minSimilarity: 0.8,
+  minMargin: 0.2,
+  // Segments shorter than this (seconds) make unreliable embeddings
+  minDuration: 1.5,
+  // Weight each segment moves the centroid by, and the cap for one update
+  learningRatePerSegment: 0.02,
+  maxLearningRate: 0.2,
+  // Updates that would leave the original enrollment further than this are refused
+  minAnchorSimilarity: 0.85,
+  // Centroid versions kept per model for rollback
+  maxHistory: 10,
+};
+
 // Rainbow Passage - phonetically balanced sentences for enrollment
 export const RAINBOW_PASSAGES = [
   // Group 1: Sentences 1-2 (~29 words)
@@ -111,6 +197,75 @@ export const RAINBOW_PASSAGES = [
   'People look, but no one ever finds it. When a man looks for something beyond his reach, his friends say he is looking for the pot of gold at the end of the rainbow.',
 ];
 
+// Built-in enrollment passage sets (custom sets are added in the speakers modal)
+// language is the ASR language code used to transcribe samples for the match check
+export const ENROLLMENT_PASSAGE_SETS = [
+  { id: 'rainbow-en', name: 'Rainbow Passage', language: 'en', passages: RAINBOW_PASSAGES },
+  {
+    id: 'rainbow-es',
+    name: 'El arcoíris',
+    language: 'es',
+    passages: [
+      'Cuando la luz del sol atraviesa las gotas de lluvia en el aire, estas actúan como un prisma y forman un arcoíris. El arcoíris divide la luz blanca en muchos colores hermosos.',
+      'Tiene la forma de un arco largo y redondo, con su camino muy alto, y sus dos extremos parecen estar más allá del horizonte. Según la leyenda, en uno de ellos hay una olla de oro.',
+      'La gente busca, pero nadie la encuentra nunca. Cuando alguien busca algo fuera de su alcance, sus amigos dicen que busca la olla de oro al final del arcoíris.',
+    ],
+  },
+  {
+    id: 'rainbow-fr',
+    name: "L'arc-en-ciel",
+    language: 'fr',
+    passages: [
+      "Quand la lumière du soleil frappe les gouttes de pluie dans l'air, elles agissent comme un prisme et forment un arc-en-ciel. L'arc-en-ciel divise la lumière blanche en de nombreuses belles couleurs.",
+      "Il prend la forme d'un long arc arrondi, qui passe très haut, et ses deux extrémités semblent se trouver au-delà de l'horizon. Selon la légende, un pot d'or se trouve à l'une d'elles.",
+      "Les gens cherchent, mais personne ne le trouve jamais. Quand quelqu'un cherche une chose hors de sa portée, ses amis disent qu'il cherche le pot d'or au pied de l'arc-en-ciel.",
+    ],
+  },
+  {
+    id: 'rainbow-de',
+    name: 'Der Regenbogen',
+    language: 'de',
+    passages: [
+      'Wenn das Sonnenlicht auf Regentropfen in der Luft trifft, wirken sie wie ein Prisma und bilden einen Regenbogen. Der Regenbogen zerlegt weißes Licht in viele schöne Farben.',
+      'Er hat die Form eines langen runden Bogens, der hoch oben verläuft, und seine beiden Enden scheinen hinter dem Horizont zu liegen. Der Sage nach steht an einem Ende ein Topf voll Gold.',
+      'Die Leute suchen, aber niemand findet ihn jemals. Wenn jemand nach etwas außerhalb seiner Reichweite sucht, sagen seine Freunde, er suche den Goldtopf am Ende des Regenbogens.',
+    ],
+  },
+  {
+    id: 'rainbow-pt',
+    name: 'O arco-íris',
+    language: 'pt',
+    passages: [
+      'Quando a luz do sol atinge as gotas de chuva no ar, elas funcionam como um prisma e formam um arco-íris. O arco-íris divide a luz branca em muitas cores bonitas.',
+      'Ele tem a forma de um arco longo e redondo, com o seu caminho muito alto, e as suas duas pontas parecem estar além do horizonte. Segundo a lenda, há um pote de ouro numa delas.',
+      'As pessoas procuram, mas ninguém nunca o encontra. Quando alguém procura algo fora do seu alcance, os amigos dizem que procura o pote de ouro no fim do arco-íris.',
+    ],
+  },
+  {
+    id: 'rainbow-ja',
+    name: '虹',
+    language: 'ja',
+    passages: [
+      '太陽の光が空気中の雨粒に当たると、雨粒はプリズムのように働き、虹ができます。虹は白い光をたくさんの美しい色に分けたものです。',
+      '虹は長く丸いアーチの形をしていて、空の高いところを通り、両端は地平線の向こうにあるように見えます。言い伝えによると、その一方の端には金の入った壺があります。',
+      '人々は探しますが、誰も見つけることはできません。手の届かないものを探している人のことを、友人たちは虹のふもとの金の壺を探していると言います。',
+    ],
+  },
+  {
+    id: 'rainbow-zh',
+    name: '彩虹',
+    language: 'zh',
+    passages: [
+      '当阳光照射到空气中的雨滴时，雨滴就像棱镜一样形成彩虹。彩虹把白光分解成许多美丽的颜色。',
+      '彩虹的形状像一座又长又圆的拱桥，高高地跨过天空，两端似乎在地平线之外。传说在彩虹的一端有一罐金子。',
+      '人们不断寻找，却从来没有人找到过。当一个人追求遥不可及的东西时，朋友们就说他在寻找彩虹尽头的那罐金子。',
+    ],
+  },
+];
+
+// Passage set used when none has been chosen
+export const DEFAULT_PASSAGE_SET_ID = 'rainbow-en';
+
 // Audio validation configuration
 export const VALIDATION_DEFAULTS = {
   // Clipping detection
@@ -169,6 +324,103 @@ export const RECORDING_DEFAULTS = {
   autoSaveEnabled: true,
 };
 
+// Subtitle export configuration (SRT / WebVTT)
+export const SUBTITLE_DEFAULTS = {
+  // Maximum characters per caption line (broadcast guidelines use 32-42)
+  maxLineLength: 42,
+  // Maximum lines per cue before a segment is split into another cue
+  maxLinesPerCue: 2,
+  // Maximum cue duration in seconds before splitting at a word boundary
+  maxCueDuration: 6,
+  // Minimum cue duration in seconds (very short cues flash unreadably)
+  minCueDuration: 0.5,
+  // Include environmental segments (music, applause) as unattributed cues
+  includeEnvironmental: true,
+};
+
+// Evaluation configuration (scoring jobs against a reference annotation)
+export const EVALUATION_DEFAULTS = {
+  // No-score collar in seconds around each reference boundary (NIST md-eval uses 0.25)
+  collar: 0.25,
+  // Exclude regions where more than one reference speaker talks
+  skipOverlap: false,
+};
+
+// Parameter sweep configuration (batch processing a grid of job settings)
+export const SWEEP_DEFAULTS = {
+  // Refuse grids larger than this (each combination is a full processing run)
+  maxCombinations: 48,
+  // Maximum values generated for a single swept parameter
+  maxValuesPerParam: 20,
+};
+
+// Per-chunk language detection (multilingual ASR models with language set to auto)
+export const LANGUAGE_DETECTION_DEFAULTS = {
+  // Below this probability a chunk keeps the previous chunk's language (short chunks are noisy)
+  minProbability: 0.5,
+  // Language used when nothing better is known
+  fallbackLanguage: 'en',
+  // Candidate languages kept in the segment debug info
+  topCandidates: 3,
+};
+
+// Custom vocabulary: decoder prompt biasing and post-ASR find/replace
+export const VOCABULARY_DEFAULTS = {
+  // Add enrolled speaker names to the prompt
+  includeEnrolledNames: true,
+  // Longest prompt in characters (Whisper reads at most ~220 prompt tokens, and every
+  // prompt token is one fewer for the transcript)
+  maxPromptChars: 400,
+  // Hard cap on prompt tokens after tokenization (the start of the prompt is dropped first)
+  maxPromptTokens: 120,
+};
+
+// Hallucination detection on Whisper output (repetition loops, text over silence)
+export const HALLUCINATION_DEFAULTS = {
+  // 'flag' marks suspect segments, 'drop' removes flagged words, 'off' skips detection
+  action: 'flag',
+  // Longest repeated phrase (in words) looked for
+  maxNgram: 4,
+  // Back-to-back occurrences of a phrase that count as a loop
+  minRepeats: 3,
+  // Single words repeat legitimately more often ("no, no, no")
+  minSingleWordRepeats: 4,
+  // Fast speech is ~20 characters per second; much more means invented text
+  maxCharsPerSecond: 30,
+  // Less text than this is never flagged for its rate
+  minCharsForRate: 20,
+  // Seconds a word may sit outside a VAD speech region (word timestamps are approximate)
+  speechPadding: 0.25,
+};
+
+// Per-word ASR confidence (mean probability of a word's tokens)
+export const CONFIDENCE_DEFAULTS = {
+  // Words below this are highlighted and queued for review
+  lowThreshold: 0.5,
+};
+
+// Hand edits of transcript text
+export const TRANSCRIPT_EDIT_DEFAULTS = {
+  // Undo steps kept on a job (oldest edits are forgotten first)
+  maxHistory: 100,
+};
+
+// Talk-time and turn-taking analytics
+export const TALK_TIME_DEFAULTS = {
+  // A different speaker starting within this many seconds of the previous turn's end
+  // (or before it ends) counts as an interruption
+  interruptionGap: 0.3,
+  // A pause longer than this (seconds) ends a speaker's turn even if nobody else spoke
+  maxTurnPause: 5,
+};
+
+// What to do with text the hallucination detector flags
+export const HALLUCINATION_ACTIONS = {
+  flag: { id: 'flag', name: 'Flag as suspect' },
+  drop: { id: 'drop', name: 'Drop flagged words' },
+  off: { id: 'off', name: 'Off' },
+};
+
 // Attribution UI configuration (for hypothesis visibility features)
 export const ATTRIBUTION_UI_DEFAULTS = {
   // Similarity breakdown bar
@@ -192,11 +444,17 @@ export const REASON_BADGES = {
   no_embedding: { label: 'No Embed', cssClass: 'reason-nodata' },
   no_confident_match: { label: 'Uncertain', cssClass: 'reason-uncertain' },
   boosted_match: { label: 'Boosted', cssClass: 'reason-boosted' },
+  smoothed: { label: 'Smoothed', cssClass: 'reason-smoothed' },
+  // Global (agglomerative) clustering reasons
+  global_enrolled: { label: 'Global Match', cssClass: 'reason-global-enrolled' },
+  global_cluster: { label: 'Global Cluster', cssClass: 'reason-global-cluster' },
   // Unknown speaker clustering reasons
   unknown_new_cluster: { label: 'New Unknown', cssClass: 'reason-unknown-new' },
   unknown_cluster_match: { label: 'Unknown Match', cssClass: 'reason-unknown-match' },
   unknown_boosted: { label: 'Unknown Boosted', cssClass: 'reason-unknown-boosted' },
   unknown_participant_better: { label: 'Unknown Better', cssClass: 'reason-unknown-better' },
+  // Transcript text that is probably not speech (shown alongside the clustering reason)
+  suspect_hallucination: { label: 'Suspect', cssClass: 'reason-suspect' },
 };
 
 // Speaker colors for UI display
@@ -220,18 +478,34 @@ export const UNKNOWN_SPEAKER_COLORS = [
 // Combined defaults export for convenience
 export const DEFAULTS = {
   clustering: CLUSTERING_DEFAULTS,
+  globalClustering: GLOBAL_CLUSTERING_DEFAULTS,
+  speakerCount: SPEAKER_COUNT_DEFAULTS,
+  multiCentroid: MULTI_CENTROID_DEFAULTS,
+  scoreNormalization: SCORE_NORMALIZATION_DEFAULTS,
   unknownClustering: UNKNOWN_CLUSTERING_DEFAULTS,
   vad: VAD_DEFAULTS,
   phrase: PHRASE_DEFAULTS,
   overlapMerger: OVERLAP_MERGER_DEFAULTS,
   enrollment: ENROLLMENT_DEFAULTS,
+  segmentEnrollment: SEGMENT_ENROLLMENT_DEFAULTS,
+  adaptiveEnrollment: ADAPTIVE_ENROLLMENT_DEFAULTS,
   validation: VALIDATION_DEFAULTS,
   soundClassification: SOUND_CLASSIFICATION,
   speakerColors: SPEAKER_COLORS,
   unknownSpeakerColors: UNKNOWN_SPEAKER_COLORS,
   rainbowPassages: RAINBOW_PASSAGES,
+  passageSets: ENROLLMENT_PASSAGE_SETS,
   debug: DEBUG_DEFAULTS,
   recording: RECORDING_DEFAULTS,
+  subtitles: SUBTITLE_DEFAULTS,
+  evaluation: EVALUATION_DEFAULTS,
+  sweep: SWEEP_DEFAULTS,
+  languageDetection: LANGUAGE_DETECTION_DEFAULTS,
+  vocabulary: VOCABULARY_DEFAULTS,
+  hallucination: HALLUCINATION_DEFAULTS,
+  confidence: CONFIDENCE_DEFAULTS,
+  transcriptEdit: TRANSCRIPT_EDIT_DEFAULTS,
+  talkTime: TALK_TIME_DEFAULTS,
   attributionUI: ATTRIBUTION_UI_DEFAULTS,
   reasonBadges: REASON_BADGES,
 };
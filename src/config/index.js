@@ -5,6 +5,10 @@
 export {
   DEFAULTS,
   CLUSTERING_DEFAULTS,
+  GLOBAL_CLUSTERING_DEFAULTS,
+  SPEAKER_COUNT_DEFAULTS,
+  MULTI_CENTROID_DEFAULTS,
+  SCORE_NORMALIZATION_DEFAULTS,
   CONVERSATION_INFERENCE_DEFAULTS,
   UNKNOWN_CLUSTERING_DEFAULTS,
   UNKNOWN_SPEAKER_BASE,
@@ -17,7 +21,21 @@ export {
   SPEAKER_COLORS,
   UNKNOWN_SPEAKER_COLORS,
   RAINBOW_PASSAGES,
+  ENROLLMENT_PASSAGE_SETS,
+  DEFAULT_PASSAGE_SET_ID,
   REASON_BADGES,
+  SUBTITLE_DEFAULTS,
+  EVALUATION_DEFAULTS,
+  SWEEP_DEFAULTS,
+  LANGUAGE_DETECTION_DEFAULTS,
+  VOCABULARY_DEFAULTS,
+  HALLUCINATION_DEFAULTS,
+  HALLUCINATION_ACTIONS,
+  CONFIDENCE_DEFAULTS,
+  TRANSCRIPT_EDIT_DEFAULTS,
+  TALK_TIME_DEFAULTS,
+  SEGMENT_ENROLLMENT_DEFAULTS,
+  ADAPTIVE_ENROLLMENT_DEFAULTS,
 } from './defaults.js';
 
 export {
@@ -28,6 +46,23 @@ export {
   isOnnxModel,
 } from './models.js';
 
+export {
+  ASR_MODELS,
+  ASR_QUANTIZATIONS,
+  ASR_LANGUAGES,
+  AUTO_LANGUAGE,
+  ASR_TASKS,
+  DEFAULT_ASR_TASK,
+  DEFAULT_ASR_MODEL,
+  DEFAULT_ASR_QUANTIZATION,
+  getAsrModelConfig,
+  getMultilingualModelConfig,
+  getAvailableAsrModels,
+  getAsrQuantizations,
+  getLanguageName,
+  getAsrPipelineOptions,
+} from './asr.js';
+
 export {
   SEGMENTATION_MODELS,
   DEFAULT_SEGMENTATION_MODEL,
@@ -8,12 +8,30 @@
  * on the same recording.
  */
 
-import { CLUSTERING_DEFAULTS, CONVERSATION_INFERENCE_DEFAULTS } from './defaults.js';
+import {
+  CLUSTERING_DEFAULTS,
+  GLOBAL_CLUSTERING_DEFAULTS,
+  SCORE_NORMALIZATION_DEFAULTS,
+  CONVERSATION_INFERENCE_DEFAULTS,
+  VOCABULARY_DEFAULTS,
+  HALLUCINATION_DEFAULTS,
+  HALLUCINATION_ACTIONS,
+} from './defaults.js';
 import { DEFAULT_EMBEDDING_MODEL, getEmbeddingModelConfig } from './models.js';
+import {
+  DEFAULT_ASR_MODEL,
+  DEFAULT_ASR_QUANTIZATION,
+  ASR_QUANTIZATIONS,
+  ASR_TASKS,
+  AUTO_LANGUAGE,
+  DEFAULT_ASR_TASK,
+  getAsrModelConfig,
+} from './asr.js';
 import {
   DEFAULT_SEGMENTATION_MODEL,
   getSegmentationModelConfig,
   getDefaultSegmentationParams,
+  getSegmentationParamConfigs,
 } from './segmentation.js';
 
 /**
@@ -23,6 +41,12 @@ export const JOB_CLUSTERING_DEFAULTS = {
   similarityThreshold: CLUSTERING_DEFAULTS.similarityThreshold,
   confidenceMargin: CLUSTERING_DEFAULTS.confidenceMargin,
   numSpeakers: 2, // Expected speakers
+  autoNumSpeakers: false, // Live mode: replace numSpeakers with an estimate from collected embeddings
+  scoreNormalization: SCORE_NORMALIZATION_DEFAULTS.method, // 'none' | 's-norm' | 'as-norm'
+  // Global (offline agglomerative) processing only
+  linkage: GLOBAL_CLUSTERING_DEFAULTS.linkage,
+  mergeThreshold: GLOBAL_CLUSTERING_DEFAULTS.mergeThreshold,
+  stopAtNumSpeakers: GLOBAL_CLUSTERING_DEFAULTS.stopAtNumSpeakers,
 };
 
 /**
@@ -36,6 +60,7 @@ export const JOB_BOOSTING_DEFAULTS = {
   minSimilarityForBoosting: CONVERSATION_INFERENCE_DEFAULTS.minSimilarityForBoosting,
   boostEligibilityRank: CONVERSATION_INFERENCE_DEFAULTS.boostEligibilityRank,
   minSimilarityAfterBoost: CONVERSATION_INFERENCE_DEFAULTS.minSimilarityAfterBoost,
+  smoothingChangePenalty: CONVERSATION_INFERENCE_DEFAULTS.smoothingChangePenalty,
 };
 
 /**
@@ -46,6 +71,61 @@ export const JOB_SETTINGS_DEFAULTS = {
   boosting: JOB_BOOSTING_DEFAULTS,
 };
 
+/**
+ * Range metadata for clustering and boosting settings (mirrors the job settings sliders).
+ * Same shape as segmentation ParamConfig so sweeps can treat all groups alike.
+ * @type {Record<'clustering'|'boosting', Record<string, {min: number, max: number, step: number, label: string}>>}
+ */
+export const JOB_PARAM_RANGES = {
+  clustering: {
+    similarityThreshold: { min: 0.5, max: 0.95, step: 0.05, label: 'Similarity Threshold' },
+    confidenceMargin: { min: 0, max: 0.3, step: 0.01, label: 'Confidence Margin' },
+    numSpeakers: { min: 1, max: 6, step: 1, label: 'Expected Speakers' },
+    mergeThreshold: { min: 0.3, max: 0.9, step: 0.05, label: 'Merge Threshold' },
+  },
+  boosting: {
+    boostFactor: { min: 1.0, max: 1.3, step: 0.01, label: 'Boost Factor' },
+    boostEligibilityRank: { min: 1, max: 4, step: 1, label: 'Eligibility Rank' },
+    ambiguityMarginThreshold: { min: 0.05, max: 0.4, step: 0.01, label: 'Ambiguity Margin' },
+    skipBoostIfConfident: { min: 0.7, max: 0.95, step: 0.01, label: 'Skip If Confident' },
+    minSimilarityForBoosting: { min: 0.4, max: 0.75, step: 0.01, label: 'Min Similarity to Boost' },
+    minSimilarityAfterBoost: { min: 0.6, max: 0.85, step: 0.01, label: 'Min Similarity After Boost' },
+    smoothingChangePenalty: { min: 0, max: 0.2, step: 0.01, label: 'Smoothing Penalty' },
+  },
+};
+
+/**
+ * List the job settings a parameter sweep can vary for a segmentation model.
+ * Keys are dotted paths into JobSettings (e.g. 'clustering.similarityThreshold').
+ *
+ * @param {string} [segmentationModelId] - Model whose params to include
+ * @returns {Array<{key: string, group: string, name: string, label: string, min: number, max: number, step: number, unit?: string}>}
+ */
+export function getSweepableParams(segmentationModelId = DEFAULT_SEGMENTATION_MODEL) {
+  const params = [];
+  for (const [group, ranges] of Object.entries(JOB_PARAM_RANGES)) {
+    for (const [name, range] of Object.entries(ranges)) {
+      params.push({ key: `${group}.${name}`, group, name, ...range });
+    }
+  }
+
+  const segmentationConfigs = getSegmentationParamConfigs(segmentationModelId) || {};
+  for (const [name, config] of Object.entries(segmentationConfigs)) {
+    params.push({
+      key: `segmentationParams.${name}`,
+      group: 'segmentationParams',
+      name,
+      label: config.label,
+      min: config.min,
+      max: config.max,
+      step: config.step,
+      unit: config.unit,
+    });
+  }
+
+  return params;
+}
+
 /**
  * Job status enum
  * @readonly
@@ -84,6 +164,12 @@ export function generateJobId() {
  * @param {string} [options.embeddingModelId] - Embedding model ID (uses default if not provided)
  * @param {string} [options.segmentationModelId] - Segmentation model ID (uses default if not provided)
  * @param {Object} [options.segmentationParams] - Segmentation parameters (uses model defaults if not provided)
+ * @param {string} [options.asrModelId] - ASR model ID (uses default if not provided)
+ * @param {string} [options.asrQuantization] - ASR quantization ID (uses default if not provided)
+ * @param {string} [options.asrLanguage] - Fixed language code, or 'auto' to detect per chunk (default)
+ * @param {string} [options.asrTask] - 'transcribe' (default) or 'translate' (adds an English translation)
+ * @param {Object} [options.vocabulary] - Vocabulary terms, includeEnrolledNames and replacement rules
+ * @param {string} [options.hallucinationAction] - 'flag' (default), 'drop' or 'off'
  * @param {Object} [options.clustering] - Clustering settings overrides
  * @param {Object} [options.boosting] - Boosting settings overrides
  * @param {string} [options.enrollmentSource] - 'snapshot' or 'current'
@@ -102,6 +188,12 @@ export function buildJobSettings(options = {}) {
   const segmentationParams =
     options.segmentationParams || getDefaultSegmentationParams(segmentationModelId);
 
+  // Get ASR model config
+  const asrConfig = getAsrModelConfig(options.asrModelId || DEFAULT_ASR_MODEL);
+  const asrQuantization = ASR_QUANTIZATIONS[options.asrQuantization]
+    ? options.asrQuantization
+    : DEFAULT_ASR_QUANTIZATION;
+
   return {
     embeddingModel: {
       id: embeddingConfig.id,
@@ -114,8 +206,22 @@ export function buildJobSettings(options = {}) {
     },
     segmentationParams: { ...segmentationParams },
     asrModel: {
-      id: 'whisper-tiny.en',
-      name: 'Whisper Tiny',
+      id: asrConfig.id,
+      name: asrConfig.name,
+      quantization: asrQuantization,
+      // Only used by multilingual models
+      language: options.asrLanguage || AUTO_LANGUAGE,
+      task: ASR_TASKS[options.asrTask] ? options.asrTask : DEFAULT_ASR_TASK,
+    },
+    vocabulary: {
+      terms: [...(options.vocabulary?.terms || [])],
+      includeEnrolledNames: options.vocabulary?.includeEnrolledNames ?? VOCABULARY_DEFAULTS.includeEnrolledNames,
+      replacements: (options.vocabulary?.replacements || []).map((rule) => ({ ...rule })),
+    },
+    hallucination: {
+      action: HALLUCINATION_ACTIONS[options.hallucinationAction]
+        ? options.hallucinationAction
+        : HALLUCINATION_DEFAULTS.action,
     },
     clustering: {
       ...JOB_CLUSTERING_DEFAULTS,
@@ -259,6 +365,7 @@ export default {
   JOB_CLUSTERING_DEFAULTS,
   JOB_BOOSTING_DEFAULTS,
   JOB_SETTINGS_DEFAULTS,
+  JOB_PARAM_RANGES,
   JOB_STATUS,
   ENROLLMENT_SOURCE,
   generateJobId,
@@ -266,6 +373,7 @@ export default {
   createJob,
   createLiveJob,
   cloneJobSettings,
+  getSweepableParams,
   getJobSettingsSummary,
   jobHasNotes,
   validateJobSettings,
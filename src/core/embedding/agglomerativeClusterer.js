@@ -0,0 +1,191 @@
+/**
+ * Agglomerative Clusterer
+ * Offline hierarchical clustering of segment embeddings for reprocessing saved recordings
+ *
+ * Unlike SpeakerClusterer.assignSpeaker (online, greedy, order-dependent), this sees
+ * every embedding up front and repeatedly merges the two most similar clusters.
+ */
+
+import { l2Normalize, l2NormalizeCopy, cosineSimilarity } from './embeddingUtils.js';
+import { CLUSTERING_DEFAULTS, GLOBAL_CLUSTERING_DEFAULTS } from '../../config/index.js';
+
+/**
+ * Compute the unit-norm mean of a set of embeddings
+ * @param {Float32Array[]} embeddings - Unit-norm embeddings
+ * @returns {Float32Array}
+ */
+function meanCentroid(embeddings) {
+  const centroid = new Float32Array(embeddings[0].length);
+  for (const embedding of embeddings) {
+    for (let i = 0; i < centroid.length; i++) {
+      centroid[i] += embedding[i];
+    }
+  }
+  return l2Normalize(centroid);
+}
+
+/**
+ * Cluster embeddings bottom-up with average or complete linkage (cosine similarity).
+ * Merging stops when the closest pair falls below the threshold, or, when numClusters
+ * is given, once that many clusters remain.
+ * @param {Array<Float32Array|Array>} embeddings - One embedding per item
+ * @param {Object} [options]
+ * @param {'average'|'complete'} [options.linkage] - Cluster-to-cluster similarity
+ * @param {number} [options.threshold] - Minimum linkage similarity to merge
+ * @param {number|null} [options.numClusters] - Target cluster count (overrides threshold)
+ * @returns {{labels: number[], clusters: Array<{members: number[], centroid: Float32Array}>}}
+ *   Cluster index per item; clusters are numbered in order of their first member
+ */
+export function agglomerativeCluster(embeddings, options = {}) {
+  const {
+    linkage = GLOBAL_CLUSTERING_DEFAULTS.linkage,
+    threshold = GLOBAL_CLUSTERING_DEFAULTS.mergeThreshold,
+    numClusters = null,
+  } = options;
+
+  const n = embeddings?.length || 0;
+  if (n === 0) return { labels: [], clusters: [] };
+
+  const normalized = embeddings.map((e) => l2NormalizeCopy(e));
+
+  // Pairwise linkage similarity (upper triangle used, kept symmetric for simplicity)
+  const sim = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const s = cosineSimilarity(normalized[i], normalized[j]);
+      sim[i * n + j] = s;
+      sim[j * n + i] = s;
+    }
+  }
+
+  const active = new Array(n).fill(true);
+  const members = normalized.map((_, i) => [i]);
+  let remaining = n;
+  const target = numClusters ? Math.max(1, numClusters) : null;
+
+  // Most similar other cluster of each cluster, so finding the closest pair is a
+  // scan over clusters instead of over every pair (which would make the loop O(n^3))
+  const nearest = new Int32Array(n).fill(-1);
+  const nearestSim = new Float64Array(n).fill(-Infinity);
+  const updateNearest = (i) => {
+    nearest[i] = -1;
+    nearestSim[i] = -Infinity;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== i && sim[i * n + k] > nearestSim[i]) {
+        nearest[i] = k;
+        nearestSim[i] = sim[i * n + k];
+      }
+    }
+  };
+  for (let i = 0; i < n; i++) updateNearest(i);
+
+  while (remaining > 1) {
+    if (target !== null && remaining <= target) break;
+
+    // Find the most similar pair of active clusters
+    let best = -Infinity;
+    let closest = -1;
+    for (let i = 0; i < n; i++) {
+      if (active[i] && nearestSim[i] > best) {
+        best = nearestSim[i];
+        closest = i;
+      }
+    }
+    const bi = Math.min(closest, nearest[closest]);
+    const bj = Math.max(closest, nearest[closest]);
+
+    if (target === null && best < threshold) break;
+
+    // Merge bj into bi, updating linkage similarities (Lance-Williams)
+    const sizeI = members[bi].length;
+    const sizeJ = members[bj].length;
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === bi || k === bj) continue;
+      const sik = sim[bi * n + k];
+      const sjk = sim[bj * n + k];
+      const merged = linkage === 'complete'
+        ? Math.min(sik, sjk)
+        : (sizeI * sik + sizeJ * sjk) / (sizeI + sizeJ);
+      sim[bi * n + k] = merged;
+      sim[k * n + bi] = merged;
+    }
+    members[bi].push(...members[bj]);
+    active[bj] = false;
+    remaining--;
+
+    // A merged similarity never exceeds the larger of the two it replaces, so only
+    // clusters whose nearest was one of the merged pair need a rescan
+    updateNearest(bi);
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== bi && (nearest[k] === bi || nearest[k] === bj)) {
+        updateNearest(k);
+      }
+    }
+  }
+
+  const clusters = [];
+  const labels = new Array(n);
+  for (let i = 0; i < n; i++) {
+    if (!active[i]) continue;
+    const clusterMembers = members[i].sort((a, b) => a - b);
+    clusters.push({
+      members: clusterMembers,
+      centroid: meanCentroid(clusterMembers.map((m) => normalized[m])),
+    });
+  }
+  clusters.sort((a, b) => a.members[0] - b.members[0]);
+  clusters.forEach((cluster, c) => {
+    for (const m of cluster.members) labels[m] = c;
+  });
+
+  return { labels, clusters };
+}
+
+/**
+ * Match cluster centroids to known (enrolled) speaker centroids.
+ * A cluster takes its best-matching speaker when the similarity clears the threshold
+ * and beats the runner-up by the confidence margin; several clusters may map to
+ * the same speaker (an over-split voice).
+ * @param {Array<Float32Array|Array>} clusterCentroids
+ * @param {Array<Float32Array|Array>} speakerCentroids
+ * @param {Object} [options]
+ * @param {number} [options.similarityThreshold] - Minimum similarity to match
+ * @param {number} [options.confidenceMargin] - Required margin over the second-best speaker
+ * @param {Function} [options.scoreSpeakers] - (centroid) => one score per speaker, to score the
+ *   way the live clusterer does (sub-centroids, score normalization); plain cosine by default
+ * @returns {Array<{speakerIndex: number, similarity: number, margin: number}>} speakerIndex -1 when unmatched
+ */
+export function matchClustersToSpeakers(clusterCentroids, speakerCentroids, options = {}) {
+  const {
+    similarityThreshold = CLUSTERING_DEFAULTS.similarityThreshold,
+    confidenceMargin = CLUSTERING_DEFAULTS.confidenceMargin,
+    scoreSpeakers = (centroid) => speakerCentroids.map((s) => cosineSimilarity(centroid, s)),
+  } = options;
+
+  return clusterCentroids.map((centroid) => {
+    let bestIndex = -1;
+    let best = -Infinity;
+    let second = -Infinity;
+    const scores = speakerCentroids.length > 0 ? scoreSpeakers(centroid) : [];
+    scores.forEach((s, i) => {
+      if (s > best) {
+        second = best;
+        best = s;
+        bestIndex = i;
+      } else if (s > second) {
+        second = s;
+      }
+    });
+
+    if (bestIndex === -1) return { speakerIndex: -1, similarity: 0, margin: 0 };
+
+    const margin = second === -Infinity ? 1 : best - second;
+    const matched = best >= similarityThreshold && margin >= confidenceMargin;
+    return { speakerIndex: matched ? bestIndex : -1, similarity: best, margin };
+  });
+}
+
+export default {
+  agglomerativeCluster,
+  matchClustersToSpeakers,
+};
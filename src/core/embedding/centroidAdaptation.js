@@ -0,0 +1,129 @@
+/**
+ * Centroid Adaptation
+ * Lets an enrolled speaker's embedding follow how they sound in later recordings
+ *
+ * An enrollment recorded on a laptop mic drifts away from the same person on a headset.
+ * With adaptation on, segments that were matched to an enrolled speaker confidently (or
+ * reassigned to them by hand) pull the enrollment's centroid, and its sample embeddings,
+ * toward the mean of those segments. Each update moves at most maxLearningRate of the
+ * way, and an update that would take the centroid too far from the original enrollment
+ * is refused, so a run of misattributed segments can't turn it into someone else.
+ */
+
+import { l2Normalize, l2NormalizeCopy, cosineSimilarity } from './embeddingUtils.js';
+import { ADAPTIVE_ENROLLMENT_DEFAULTS } from '../../config/index.js';
+
+/**
+ * Whether a segment's attribution is trusted enough to adapt its speaker's centroid
+ * @param {Object} segment
+ * @param {Object} options - ADAPTIVE_ENROLLMENT_DEFAULTS fields
+ * @returns {boolean}
+ */
+function isConfirmedAttribution(segment, options) {
+  if (segment.manuallyReassigned) return true;
+
+  const clustering = segment.debug?.clustering;
+  if (!clustering?.isEnrolled || clustering.reason !== 'confident_match') return false;
+  // Smoothing or boosting moved the segment elsewhere, so clustering's match isn't what was shown
+  if (segment.debug?.smoothing?.applied || segment.inferenceAttribution?.wasInfluenced) return false;
+
+  return clustering.similarity >= options.minSimilarity && clustering.margin >= options.minMargin;
+}
+
+/**
+ * Collect the segment embeddings that should adapt each enrollment
+ * @param {Object[]} segments - Segments with embeddings
+ * @param {Array<{id: string, name: string, centroid: number[]}>} enrollments - Enrollments for the
+ *   embedding model the segments were embedded with
+ * @param {Object} [options] - Overrides for ADAPTIVE_ENROLLMENT_DEFAULTS
+ * @returns {Map<string, Float32Array[]>} Embeddings by enrollment ID (enrollments without any are left out)
+ */
+export function collectAdaptationEmbeddings(segments, enrollments, options = {}) {
+  const config = { ...ADAPTIVE_ENROLLMENT_DEFAULTS, ...options };
+  const byName = new Map((enrollments || []).map((e) => [e.name.toLowerCase(), e]));
+  const collected = new Map();
+
+  for (const segment of segments || []) {
+    if (segment.isEnvironmental || !segment.embedding || !segment.speakerLabel) continue;
+    if (segment.endTime - segment.startTime < config.minDuration) continue;
+
+    const enrollment = byName.get(segment.speakerLabel.toLowerCase());
+    // Embedded with another model than the enrollment's centroid
+    if (!enrollment || segment.embedding.length !== enrollment.centroid.length) continue;
+    if (!isConfirmedAttribution(segment, config)) continue;
+
+    if (!collected.has(enrollment.id)) collected.set(enrollment.id, []);
+    collected.get(enrollment.id).push(new Float32Array(segment.embedding));
+  }
+
+  return collected;
+}
+
+/**
+ * Move a vector a fraction of the way toward a direction (result is unit-norm)
+ * @param {Float32Array|number[]} vector
+ * @param {Float32Array} direction - Unit-norm target
+ * @param {number} rate - 0 keeps the vector, 1 replaces it
+ * @returns {Float32Array}
+ */
+function blend(vector, direction, rate) {
+  const current = l2NormalizeCopy(vector);
+  const result = new Float32Array(current.length);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = (1 - rate) * current[i] + rate * direction[i];
+  }
+  return l2Normalize(result);
+}
+
+/**
+ * Compute an adapted centroid (and sample embeddings) from new segment embeddings
+ * @param {Object} current
+ * @param {Float32Array|number[]} current.centroid - Current centroid
+ * @param {Array<Float32Array|number[]>} [current.samples] - Current per-sample embeddings
+ * @param {Float32Array|number[]} [current.anchor] - Centroid of the original enrollment (defaults to current)
+ * @param {Float32Array[]} embeddings - Segment embeddings to adapt toward
+ * @param {Object} [options] - Overrides for ADAPTIVE_ENROLLMENT_DEFAULTS
+ * @returns {{
+ *   applied: boolean,
+ *   reason: string|null,
+ *   rate: number,
+ *   anchorSimilarity: number|null,
+ *   centroid?: Float32Array,
+ *   samples?: Float32Array[]
+ * }} The update, or applied: false with the reason it was refused ('no_segments' | 'drift_limit')
+ */
+export function computeAdaptedCentroid(current, embeddings, options = {}) {
+  const config = { ...ADAPTIVE_ENROLLMENT_DEFAULTS, ...options };
+  if (!embeddings?.length) {
+    return { applied: false, reason: 'no_segments', rate: 0, anchorSimilarity: null };
+  }
+
+  const direction = new Float32Array(embeddings[0].length);
+  for (const embedding of embeddings) {
+    const unit = l2NormalizeCopy(embedding);
+    for (let i = 0; i < direction.length; i++) direction[i] += unit[i];
+  }
+  l2Normalize(direction);
+
+  const rate = Math.min(config.maxLearningRate, config.learningRatePerSegment * embeddings.length);
+  const centroid = blend(current.centroid, direction, rate);
+  const anchorSimilarity = cosineSimilarity(centroid, l2NormalizeCopy(current.anchor || current.centroid));
+
+  if (anchorSimilarity < config.minAnchorSimilarity) {
+    return { applied: false, reason: 'drift_limit', rate, anchorSimilarity };
+  }
+
+  return {
+    applied: true,
+    reason: null,
+    rate,
+    anchorSimilarity,
+    centroid,
+    samples: (current.samples || []).map((sample) => blend(sample, direction, rate)),
+  };
+}
+
+export default {
+  collectAdaptationEmbeddings,
+  computeAdaptedCentroid,
+};
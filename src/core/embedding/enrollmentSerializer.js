@@ -0,0 +1,249 @@
+/**
+ * Enrollment Serializer
+ * Portable enrollment files for moving speakers between browsers
+ *
+ * A file holds one or more enrollments: name, color, the embedding (and per-sample
+ * embeddings) for each model they were computed with, and optionally the raw 16kHz
+ * audio samples, base64-encoded as little-endian Float32. On import, embeddings are
+ * checked against the model registry (unknown models and wrong dimensions are dropped),
+ * and models the file has no embedding for can be recomputed from the audio.
+ */
+
+import { EMBEDDING_MODELS } from '../../config/models.js';
+
+export const ENROLLMENT_FILE_FORMAT = 'tinyscribe-enrollments';
+export const ENROLLMENT_FILE_VERSION = 1;
+
+/**
+ * @typedef {Object} EnrollmentFileEntry
+ * @property {string} name
+ * @property {number} [colorIndex]
+ * @property {number} [timestamp] - When the speaker was enrolled
+ * @property {Object.<string, number[]>} embeddings - Centroid per model ID
+ * @property {Object.<string, number[][]>} [embeddingSamples] - Per-sample embeddings per model ID
+ * @property {string[]} [audioSamples] - Base64 Float32 audio samples (16kHz mono)
+ */
+
+/**
+ * @typedef {Object} ImportedEnrollment
+ * @property {string} name
+ * @property {number|undefined} colorIndex
+ * @property {Object.<string, number[]>} embeddings - Valid centroids per model ID
+ * @property {Object.<string, number[][]>} embeddingSamples - Valid per-sample embeddings per model ID
+ * @property {Float32Array[]} audioSamples
+ */
+
+/**
+ * Encode audio as base64 little-endian Float32
+ * @param {Float32Array|number[]} audio
+ * @returns {string}
+ */
+export function encodeAudioSample(audio) {
+  const floats = audio instanceof Float32Array ? audio : new Float32Array(audio);
+  const bytes = new Uint8Array(floats.length * 4);
+  const view = new DataView(bytes.buffer);
+  floats.forEach((value, i) => view.setFloat32(i * 4, value, true));
+
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode audio encoded by encodeAudioSample
+ * @param {string} encoded
+ * @returns {Float32Array}
+ */
+export function decodeAudioSample(encoded) {
+  const binary = atob(encoded);
+  const view = new DataView(new ArrayBuffer(binary.length - (binary.length % 4)));
+  for (let i = 0; i < view.byteLength; i++) {
+    view.setUint8(i, binary.charCodeAt(i));
+  }
+  const audio = new Float32Array(view.byteLength / 4);
+  for (let i = 0; i < audio.length; i++) {
+    audio[i] = view.getFloat32(i * 4, true);
+  }
+  return audio;
+}
+
+/**
+ * Build an enrollment file
+ * @param {Object[]} enrollments - Stored enrollments ({name, colorIndex, timestamp, embeddings, embeddingSamples, centroid})
+ * @param {Object} [options]
+ * @param {Object.<string, Array<Float32Array|number[]>>} [options.audioSamples] - Audio samples by enrollment ID
+ *   (leave out to export embeddings only)
+ * @param {string} [options.legacyModelId] - Model the legacy `centroid` belongs to, for enrollments without `embeddings`
+ * @returns {{format: string, version: number, exportedAt: string, enrollments: EnrollmentFileEntry[]}}
+ */
+export function buildEnrollmentFile(enrollments, options = {}) {
+  const { audioSamples = null, legacyModelId = null } = options;
+
+  return {
+    format: ENROLLMENT_FILE_FORMAT,
+    version: ENROLLMENT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    enrollments: (enrollments || []).map((enrollment) => {
+      const embeddings = { ...(enrollment.embeddings || {}) };
+      if (Object.keys(embeddings).length === 0 && enrollment.centroid && legacyModelId) {
+        embeddings[legacyModelId] = enrollment.centroid;
+      }
+
+      const entry = {
+        name: enrollment.name,
+        colorIndex: enrollment.colorIndex,
+        timestamp: enrollment.timestamp,
+        embeddings: Object.fromEntries(Object.entries(embeddings).map(([id, e]) => [id, Array.from(e)])),
+      };
+      if (enrollment.embeddingSamples && Object.keys(enrollment.embeddingSamples).length > 0) {
+        entry.embeddingSamples = Object.fromEntries(
+          Object.entries(enrollment.embeddingSamples).map(([id, samples]) => [id, samples.map((s) => Array.from(s))])
+        );
+      }
+      const audio = audioSamples?.[enrollment.id];
+      if (audio?.length > 0) {
+        entry.audioSamples = audio.map(encodeAudioSample);
+      }
+      return entry;
+    }),
+  };
+}
+
+/**
+ * Check that an embedding is a finite vector of the model's dimensions
+ * @param {*} embedding
+ * @param {number} dimensions
+ * @returns {boolean}
+ */
+function isValidEmbedding(embedding, dimensions) {
+  return Array.isArray(embedding)
+    && embedding.length === dimensions
+    && embedding.every((v) => typeof v === 'number' && Number.isFinite(v));
+}
+
+/**
+ * Read and validate an enrollment file
+ * @param {Object} data - Parsed JSON
+ * @param {Object} [options]
+ * @param {Record<string, {dimensions: number}>} [options.models=EMBEDDING_MODELS] - Known models
+ * @returns {{enrollments: ImportedEnrollment[], warnings: string[]}}
+ * @throws {Error} When the data isn't an enrollment file this version can read
+ */
+export function parseEnrollmentFile(data, options = {}) {
+  const { models = EMBEDDING_MODELS } = options;
+
+  if (data?.format !== ENROLLMENT_FILE_FORMAT || !Array.isArray(data.enrollments)) {
+    throw new Error('Not an enrollment file');
+  }
+  if (!Number.isInteger(data.version) || data.version > ENROLLMENT_FILE_VERSION) {
+    throw new Error(`Unsupported enrollment file version: ${data.version}`);
+  }
+
+  const warnings = [];
+  const enrollments = [];
+
+  for (const entry of data.enrollments) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      warnings.push('Skipped an enrollment without a name');
+      continue;
+    }
+
+    const embeddings = {};
+    const embeddingSamples = {};
+    for (const [modelId, embedding] of Object.entries(entry.embeddings || {})) {
+      const model = models[modelId];
+      if (!model) {
+        warnings.push(`"${name}": unknown model ${modelId} ignored`);
+        continue;
+      }
+      if (!isValidEmbedding(embedding, model.dimensions)) {
+        warnings.push(`"${name}": ${modelId} embedding doesn't have ${model.dimensions} dimensions, ignored`);
+        continue;
+      }
+      embeddings[modelId] = embedding;
+
+      const samples = (entry.embeddingSamples?.[modelId] || []).filter((s) => isValidEmbedding(s, model.dimensions));
+      if (samples.length > 0) embeddingSamples[modelId] = samples;
+    }
+
+    const audioSamples = [];
+    for (const encoded of entry.audioSamples || []) {
+      try {
+        const audio = typeof encoded === 'string' ? decodeAudioSample(encoded) : null;
+        if (audio?.length > 0 && audio.every(Number.isFinite)) audioSamples.push(audio);
+      } catch {
+        // Not valid base64 - counted below
+      }
+    }
+    if (audioSamples.length < (entry.audioSamples?.length || 0)) {
+      warnings.push(`"${name}": ${entry.audioSamples.length - audioSamples.length} unreadable audio sample(s) ignored`);
+    }
+
+    if (Object.keys(embeddings).length === 0 && audioSamples.length === 0) {
+      warnings.push(`Skipped "${name}": no usable embeddings or audio`);
+      continue;
+    }
+
+    enrollments.push({
+      name,
+      colorIndex: Number.isInteger(entry.colorIndex) ? entry.colorIndex : undefined,
+      embeddings,
+      embeddingSamples,
+      audioSamples,
+    });
+  }
+
+  return { enrollments, warnings };
+}
+
+/**
+ * Decide what to do with imported enrollments whose name is already enrolled
+ * @param {ImportedEnrollment[]} imported
+ * @param {Array<{id: string, name: string}>} existing - Current enrollments
+ * @param {'rename'|'replace'|'skip'} [onCollision='rename'] - Keep both under a new name
+ *   ("Name (2)"), replace the existing enrollment, or leave it and skip the import
+ * @returns {{toAdd: Array<{enrollment: ImportedEnrollment, name: string, replacesId: string|null}>, skipped: string[]}}
+ */
+export function planEnrollmentImport(imported, existing, onCollision = 'rename') {
+  const byName = new Map((existing || []).map((e) => [e.name.toLowerCase(), e]));
+  const taken = new Set(byName.keys());
+  const toAdd = [];
+  const skipped = [];
+
+  for (const enrollment of imported || []) {
+    const key = enrollment.name.toLowerCase();
+    const match = byName.get(key);
+
+    if (!taken.has(key)) {
+      taken.add(key);
+      toAdd.push({ enrollment, name: enrollment.name, replacesId: null });
+    } else if (onCollision === 'replace' && match) {
+      byName.delete(key);
+      toAdd.push({ enrollment, name: match.name, replacesId: match.id });
+    } else if (onCollision === 'rename') {
+      let n = 2;
+      while (taken.has(`${key} (${n})`)) n++;
+      const name = `${enrollment.name} (${n})`;
+      taken.add(name.toLowerCase());
+      toAdd.push({ enrollment, name, replacesId: null });
+    } else {
+      skipped.push(enrollment.name);
+    }
+  }
+
+  return { toAdd, skipped };
+}
+
+export default {
+  ENROLLMENT_FILE_FORMAT,
+  ENROLLMENT_FILE_VERSION,
+  encodeAudioSample,
+  decodeAudioSample,
+  buildEnrollmentFile,
+  parseEnrollmentFile,
+  planEnrollmentImport,
+};
@@ -13,6 +13,24 @@ export {
   UNKNOWN_SPEAKER_ID,
 } from './speakerClusterer.js';
 
+export {
+  agglomerativeCluster,
+  matchClustersToSpeakers,
+} from './agglomerativeClusterer.js';
+
+export { estimateSpeakerCount } from './speakerCountEstimator.js';
+
+export {
+  computeSubCentroids,
+  scoreAgainstCentroids,
+} from './multiCentroid.js';
+
+export {
+  ScoreNormalizer,
+  collectCohort,
+  getCohortSignature,
+} from './scoreNormalizer.js';
+
 export { PCAProjector } from './pcaProjector.js';
 
 export {
@@ -21,3 +39,16 @@ export {
   computeSilhouetteScore,
   computeDiscriminabilityMetrics,
 } from './discriminabilityMetrics.js';
+
+export {
+  ENROLLMENT_FILE_FORMAT,
+  ENROLLMENT_FILE_VERSION,
+  buildEnrollmentFile,
+  parseEnrollmentFile,
+  planEnrollmentImport,
+} from './enrollmentSerializer.js';
+
+export {
+  collectAdaptationEmbeddings,
+  computeAdaptedCentroid,
+} from './centroidAdaptation.js';
@@ -0,0 +1,160 @@
+/**
+ * Multi-Centroid Speaker Models
+ * Represents a speaker by several sub-centroids instead of one averaged centroid
+ *
+ * A person recorded on two mic setups produces two tight groups of embeddings;
+ * averaging them gives a centroid that sits between both and matches neither well.
+ * Sub-centroids come from spherical k-means over the enrollment samples, seeded so
+ * that a new sub-centroid is only started for samples that are clearly different
+ * (a consistent voice stays at a single sub-centroid).
+ */
+
+import { l2Normalize, l2NormalizeCopy, cosineSimilarity } from './embeddingUtils.js';
+import { MULTI_CENTROID_DEFAULTS } from '../../config/index.js';
+
+const MAX_ITERATIONS = 10;
+
+/**
+ * Unit-norm mean of a set of unit-norm vectors
+ * @param {Float32Array[]} vectors
+ * @returns {Float32Array}
+ */
+function meanDirection(vectors) {
+  const mean = new Float32Array(vectors[0].length);
+  for (const v of vectors) {
+    for (let i = 0; i < mean.length; i++) mean[i] += v[i];
+  }
+  return l2Normalize(mean);
+}
+
+/**
+ * Index of the most similar center for each sample
+ * @param {Float32Array[]} samples
+ * @param {Float32Array[]} centers
+ * @returns {number[]}
+ */
+function assignToCenters(samples, centers) {
+  return samples.map((sample) => {
+    let best = 0;
+    let bestSimilarity = -Infinity;
+    centers.forEach((center, c) => {
+      const similarity = cosineSimilarity(sample, center);
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        best = c;
+      }
+    });
+    return best;
+  });
+}
+
+/**
+ * Run spherical k-means from the given centers until assignments settle.
+ * Centers that lose all their samples are dropped.
+ * @param {Float32Array[]} samples
+ * @param {Float32Array[]} centers
+ * @returns {{centers: Float32Array[], members: number[][]}}
+ */
+function refineCenters(samples, centers) {
+  let labels = null;
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = assignToCenters(samples, centers);
+    if (labels && next.every((label, i) => label === labels[i])) break;
+    labels = next;
+
+    const groups = centers.map(() => []);
+    samples.forEach((sample, i) => groups[labels[i]].push(sample));
+    centers = groups.filter((g) => g.length > 0).map(meanDirection);
+  }
+
+  labels = assignToCenters(samples, centers);
+  const members = centers.map(() => []);
+  labels.forEach((label, i) => members[label].push(i));
+  return { centers, members };
+}
+
+/**
+ * Compute sub-centroids for one speaker from their enrollment sample embeddings
+ * @param {Array<Float32Array|Array>} samples - Sample embeddings (any norm)
+ * @param {Object} [options] - Overrides for MULTI_CENTROID_DEFAULTS
+ * @param {number} [options.maxCentroids] - Most sub-centroids to return
+ * @param {number} [options.minSamplesPerCentroid] - Smallest group a sub-centroid may represent
+ * @param {number} [options.splitSimilarity] - Samples at least this similar to an existing
+ *   sub-centroid never start a new one
+ * @returns {Float32Array[]} Unit-norm sub-centroids, largest group first (empty when there are no samples)
+ */
+export function computeSubCentroids(samples, options = {}) {
+  const config = { ...MULTI_CENTROID_DEFAULTS, ...options };
+  const normalized = (samples || []).map((s) => l2NormalizeCopy(s)).filter(Boolean);
+  if (normalized.length === 0) return [];
+
+  const overall = meanDirection(normalized);
+  const maxK = Math.min(config.maxCentroids, Math.floor(normalized.length / config.minSamplesPerCentroid));
+  if (maxK <= 1) return [overall];
+
+  // Deterministic farthest-point seeding, starting from the sample closest to the overall mean
+  let first = 0;
+  normalized.forEach((sample, i) => {
+    if (cosineSimilarity(sample, overall) > cosineSimilarity(normalized[first], overall)) first = i;
+  });
+  const seeds = [normalized[first]];
+
+  while (seeds.length < maxK) {
+    let farthest = -1;
+    let farthestSimilarity = Infinity;
+    normalized.forEach((sample, i) => {
+      const nearest = Math.max(...seeds.map((seed) => cosineSimilarity(sample, seed)));
+      if (nearest < farthestSimilarity) {
+        farthestSimilarity = nearest;
+        farthest = i;
+      }
+    });
+    if (farthestSimilarity >= config.splitSimilarity) break;
+    seeds.push(normalized[farthest]);
+  }
+
+  if (seeds.length === 1) return [overall];
+
+  // Drop the smallest group until every sub-centroid has enough samples behind it
+  let { centers, members } = refineCenters(normalized, seeds);
+  while (centers.length > 1) {
+    let smallest = 0;
+    members.forEach((m, c) => {
+      if (m.length < members[smallest].length) smallest = c;
+    });
+    if (members[smallest].length >= config.minSamplesPerCentroid) break;
+    ({ centers, members } = refineCenters(normalized, centers.filter((_, c) => c !== smallest)));
+  }
+
+  return centers
+    .map((center, c) => ({ center, size: members[c].length }))
+    .sort((a, b) => b.size - a.size)
+    .map(({ center }) => center);
+}
+
+/**
+ * Score an embedding against a speaker's sub-centroids
+ * @param {Float32Array|Array} embedding
+ * @param {Array<Float32Array|Array>} centroids - Sub-centroids of one speaker
+ * @param {Object} [options]
+ * @param {'max'|'topk'} [options.scoring] - Best sub-centroid, or mean of the best topK
+ * @param {number} [options.topK]
+ * @returns {number} Cosine similarity score (0 when there are no centroids)
+ */
+export function scoreAgainstCentroids(embedding, centroids, options = {}) {
+  const { scoring = MULTI_CENTROID_DEFAULTS.scoring, topK = MULTI_CENTROID_DEFAULTS.topK } = options;
+  if (!centroids?.length) return 0;
+
+  const similarities = centroids.map((c) => cosineSimilarity(embedding, c)).sort((a, b) => b - a);
+  if (scoring === 'topk') {
+    const top = similarities.slice(0, Math.max(1, topK));
+    return top.reduce((sum, s) => sum + s, 0) / top.length;
+  }
+  return similarities[0];
+}
+
+export default {
+  computeSubCentroids,
+  scoreAgainstCentroids,
+};
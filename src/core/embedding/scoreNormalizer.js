@@ -0,0 +1,162 @@
+/**
+ * Score Normalizer
+ * S-norm / AS-norm of cosine similarities against a cohort of impostor embeddings
+ *
+ * Raw cosine scores sit in a different range for every embedding model, so a fixed
+ * threshold like 0.75 means something different after each model switch. Normalizing
+ * a score by how the test embedding and the speaker score against a cohort of other
+ * voices turns it into a z-score, which is then mapped back onto a reference cosine
+ * scale so the existing thresholds and boosting settings keep working unchanged.
+ *
+ * The cohort comes from past recordings' segments and from enrollments; each entry keeps
+ * its source so an enrollment is never normalized against itself.
+ */
+
+import { l2NormalizeCopy, cosineSimilarity } from './embeddingUtils.js';
+import { SCORE_NORMALIZATION_DEFAULTS } from '../../config/index.js';
+
+// Floor for cohort standard deviations (a degenerate cohort would otherwise divide by ~0)
+const MIN_STD = 0.01;
+
+/**
+ * @typedef {Object} CohortEntry
+ * @property {Float32Array|number[]} embedding - Impostor embedding
+ * @property {string} source - Where it came from ('recording:<id>' or 'enrollment:<id>')
+ */
+
+/**
+ * @typedef {Object} CohortStats
+ * @property {number} mean - Mean similarity to the (top) cohort
+ * @property {number} std - Standard deviation of those similarities
+ */
+
+export class ScoreNormalizer {
+  /**
+   * @param {CohortEntry[]} cohort - Impostor embeddings
+   * @param {Object} [options] - Overrides for SCORE_NORMALIZATION_DEFAULTS
+   * @param {'s-norm'|'as-norm'} [options.method]
+   * @param {number} [options.topN] - Cohort scores used per vector with AS-norm
+   * @param {number} [options.referenceMean] - Cosine value a z-score of 0 maps to
+   * @param {number} [options.referenceStd] - Cosine distance one unit of z maps to
+   */
+  constructor(cohort, options = {}) {
+    const config = { ...SCORE_NORMALIZATION_DEFAULTS, ...options };
+    this.method = config.method === 's-norm' ? 's-norm' : 'as-norm';
+    this.topN = config.topN;
+    this.referenceMean = config.referenceMean;
+    this.referenceStd = config.referenceStd;
+
+    this.cohort = (cohort || [])
+      .map((entry) => ({ embedding: l2NormalizeCopy(entry.embedding), source: entry.source || null }))
+      .filter((entry) => entry.embedding);
+  }
+
+  /**
+   * Number of usable cohort embeddings
+   * @returns {number}
+   */
+  get size() {
+    return this.cohort.length;
+  }
+
+  /**
+   * Score statistics of a vector against the cohort
+   * @param {Float32Array|Array} vector - Test embedding or speaker centroid
+   * @param {string|null} [excludeSource] - Leave out cohort entries from this source
+   * @returns {CohortStats}
+   */
+  getStats(vector, excludeSource = null) {
+    let scores = [];
+    for (const entry of this.cohort) {
+      if (excludeSource && entry.source === excludeSource) continue;
+      if (entry.embedding.length !== vector.length) continue;
+      scores.push(cosineSimilarity(vector, entry.embedding));
+    }
+
+    if (this.method === 'as-norm') {
+      scores = scores.sort((a, b) => b - a).slice(0, this.topN);
+    }
+    if (scores.length === 0) return { mean: 0, std: 1 };
+
+    const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+    const variance = scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / scores.length;
+    return { mean, std: Math.max(MIN_STD, Math.sqrt(variance)) };
+  }
+
+  /**
+   * Normalize a raw similarity (symmetric: averages the z-scores on the test and target sides)
+   * @param {number} score - Raw cosine similarity
+   * @param {CohortStats} testStats - Stats of the test embedding
+   * @param {CohortStats} targetStats - Stats of the speaker model
+   * @returns {number} Normalized score on the reference cosine scale
+   */
+  normalize(score, testStats, targetStats) {
+    const z = 0.5 * ((score - testStats.mean) / testStats.std + (score - targetStats.mean) / targetStats.std);
+    return this.referenceMean + z * this.referenceStd;
+  }
+}
+
+/**
+ * Collect impostor embeddings for one embedding model from saved recordings and enrollments.
+ * Uses the first processed job per recording that was run with the model, and leaves out
+ * environmental segments and segments attributed to an enrolled speaker.
+ * @param {Object[]} recordings - Recordings (with jobs and segments)
+ * @param {Array<{id: string, centroid: Float32Array|number[]}>} enrollments - Enrollments with centroids for the model
+ * @param {string} modelId - Embedding model ID
+ * @param {Object} [options]
+ * @param {number} [options.maxCohortSize] - Evenly subsample down to this many entries
+ * @returns {CohortEntry[]}
+ */
+export function collectCohort(recordings, enrollments, modelId, options = {}) {
+  const { maxCohortSize = SCORE_NORMALIZATION_DEFAULTS.maxCohortSize } = options;
+  const entries = [];
+
+  for (const recording of recordings || []) {
+    const job = (recording.jobs || []).find(
+      (j) => j.segments?.length && j.settings?.embeddingModel?.id === modelId
+    );
+    if (!job) continue;
+
+    for (const segment of job.segments) {
+      if (!segment.embedding || segment.isEnvironmental) continue;
+      if (segment.debug?.clustering?.isEnrolled && segment.speaker >= 0) continue;
+      entries.push({ embedding: segment.embedding, source: `recording:${recording.id}` });
+    }
+  }
+
+  for (const enrollment of enrollments || []) {
+    if (!enrollment.centroid) continue;
+    entries.push({ embedding: enrollment.centroid, source: `enrollment:${enrollment.id}` });
+  }
+
+  if (entries.length <= maxCohortSize) return entries;
+
+  // Even subsample keeps every recording represented (entries are grouped by source)
+  const step = entries.length / maxCohortSize;
+  return Array.from({ length: maxCohortSize }, (_, i) => entries[Math.floor(i * step)]);
+}
+
+/**
+ * Identify the data a cohort was built from, to tell when a cached cohort is stale
+ * @param {Object[]} recordings - Recordings (with jobs)
+ * @param {Array<{id: string}>} enrollments - Enrollments for the model
+ * @param {string} modelId - Embedding model ID
+ * @returns {string}
+ */
+export function getCohortSignature(recordings, enrollments, modelId) {
+  const recordingKeys = (recordings || [])
+    .map((r) => {
+      const job = (r.jobs || []).find((j) => j.segments?.length && j.settings?.embeddingModel?.id === modelId);
+      return job ? `${r.id}@${job.processedAt || 0}` : null;
+    })
+    .filter(Boolean)
+    .sort();
+  const enrollmentKeys = (enrollments || []).map((e) => e.id).sort();
+  return `${modelId}|${recordingKeys.join(',')}|${enrollmentKeys.join(',')}`;
+}
+
+export default {
+  ScoreNormalizer,
+  collectCohort,
+  getCohortSignature,
+};
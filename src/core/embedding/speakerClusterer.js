@@ -4,7 +4,8 @@
  */
 
 import { l2Normalize, l2NormalizeCopy, cosineSimilarity } from './embeddingUtils.js';
-import { CLUSTERING_DEFAULTS } from '../../config/index.js';
+import { scoreAgainstCentroids } from './multiCentroid.js';
+import { CLUSTERING_DEFAULTS, MULTI_CENTROID_DEFAULTS } from '../../config/index.js';
 
 // Special speaker ID for unknown/unassignable speakers
 export const UNKNOWN_SPEAKER_ID = -1;
@@ -18,6 +19,8 @@ export class SpeakerClusterer {
    * @param {number} [options.minimumSimilarityThreshold] - Below this, assign to Unknown
    * @param {number} [options.confidenceMargin] - Min margin between best and second-best
    * @param {number} [options.interEnrollmentWarningThreshold] - Warn when enrolled speakers are too similar
+   * @param {'max'|'topk'} [options.centroidScoring] - How speakers with sub-centroids are scored
+   * @param {number} [options.centroidTopK] - Sub-centroids averaged when centroidScoring is 'topk'
    */
   constructor(numSpeakersOrOptions = 2, options = {}) {
     // Support both old API (number) and new API (options object)
@@ -31,7 +34,8 @@ export class SpeakerClusterer {
     // Apply defaults from config
     const config = { ...CLUSTERING_DEFAULTS, ...options };
 
-    // Each speaker has { centroid: Float32Array, count: number }
+    // Each speaker has { centroid: Float32Array, count: number }, plus
+    // subCentroids: Float32Array[] for enrolled speakers with multi-centroid models
     this.speakers = [];
     // Similarity threshold for confident matching (cosine similarity)
     this.similarityThreshold = config.similarityThreshold;
@@ -41,24 +45,89 @@ export class SpeakerClusterer {
     this.confidenceMargin = config.confidenceMargin;
     // Threshold for warning about similar enrolled speakers
     this.interEnrollmentWarningThreshold = config.interEnrollmentWarningThreshold;
+    // Scoring against sub-centroids ('max' or 'topk' mean)
+    this.centroidScoring = options.centroidScoring || MULTI_CENTROID_DEFAULTS.scoring;
+    this.centroidTopK = options.centroidTopK || MULTI_CENTROID_DEFAULTS.topK;
+    // Optional S-norm/AS-norm layer (see setScoreNormalizer)
+    this.scoreNormalizer = null;
+    this._targetStatsCache = new WeakMap();
     // Debug logging flag - can be toggled via console: window.speakerClusterer.debugLogging = true
     this.debugLogging = options.debugLogging || false;
   }
 
+  /**
+   * Similarity of an embedding to a speaker: against their sub-centroids when they
+   * have several, otherwise against the single centroid
+   * @param {Float32Array|Array} embedding - The speaker embedding
+   * @param {Object} speaker - Entry from this.speakers
+   * @returns {number}
+   */
+  scoreSpeaker(embedding, speaker) {
+    if (speaker.subCentroids?.length > 1) {
+      return scoreAgainstCentroids(embedding, speaker.subCentroids, {
+        scoring: this.centroidScoring,
+        topK: this.centroidTopK,
+      });
+    }
+    return cosineSimilarity(embedding, speaker.centroid);
+  }
+
+  /**
+   * Normalize all similarity scores against an impostor cohort, or pass null to use raw cosine scores
+   * @param {import('./scoreNormalizer.js').ScoreNormalizer|null} normalizer
+   */
+  setScoreNormalizer(normalizer) {
+    this.scoreNormalizer = normalizer || null;
+    this._targetStatsCache = new WeakMap();
+  }
+
+  /**
+   * Cohort statistics of a speaker model (cached for enrolled speakers, whose centroids don't change)
+   * @param {Object} speaker - Entry from this.speakers
+   * @returns {{mean: number, std: number}}
+   */
+  _getTargetStats(speaker) {
+    if (!speaker.enrolled) return this.scoreNormalizer.getStats(speaker.centroid);
+
+    let stats = this._targetStatsCache.get(speaker);
+    if (!stats) {
+      stats = this.scoreNormalizer.getStats(speaker.centroid, `enrollment:${speaker.enrollmentId}`);
+      this._targetStatsCache.set(speaker, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Score an embedding against every speaker, normalized when a score normalizer is set
+   * @param {Float32Array|Array} embedding - The speaker embedding
+   * @returns {number[]} One score per entry in this.speakers
+   */
+  scoreAllSpeakers(embedding) {
+    const scores = this.speakers.map((s) => this.scoreSpeaker(embedding, s));
+    if (!this.scoreNormalizer) return scores;
+
+    const testStats = this.scoreNormalizer.getStats(embedding);
+    return scores.map((score, i) =>
+      this.scoreNormalizer.normalize(score, testStats, this._getTargetStats(this.speakers[i]))
+    );
+  }
+
   /**
    * Find the best and second-best matching speakers for an embedding
    * @param {Float32Array|Array} embedding - The speaker embedding
-   * @returns {{ speakerId: number, similarity: number, secondBestSimilarity: number } | null}
+   * @returns {{ speakerId: number, similarity: number, secondBestSimilarity: number, scores: number[] } | null}
+   *   scores holds the similarity to every speaker
    */
   findBestMatch(embedding) {
     if (!embedding || this.speakers.length === 0) return null;
 
     let bestSpeaker = -1;
-    let bestSimilarity = -1;
-    let secondBestSimilarity = -1;
+    let bestSimilarity = -Infinity;
+    let secondBestSimilarity = -Infinity;
+    const scores = this.scoreAllSpeakers(embedding);
 
     for (let i = 0; i < this.speakers.length; i++) {
-      const similarity = cosineSimilarity(embedding, this.speakers[i].centroid);
+      const similarity = scores[i];
       if (similarity > bestSimilarity) {
         secondBestSimilarity = bestSimilarity;
         bestSimilarity = similarity;
@@ -68,7 +137,8 @@ export class SpeakerClusterer {
       }
     }
 
-    return { speakerId: bestSpeaker, similarity: bestSimilarity, secondBestSimilarity };
+    if (secondBestSimilarity === -Infinity) secondBestSimilarity = -1;
+    return { speakerId: bestSpeaker, similarity: bestSimilarity, secondBestSimilarity, scores };
   }
 
   /**
@@ -239,7 +309,7 @@ export class SpeakerClusterer {
     const allSimilarities = this.speakers.map((s, i) => ({
       speaker: s.name || `Speaker ${i + 1}`,
       speakerIdx: i,
-      similarity: cosineSimilarity(embedding, s.centroid),
+      similarity: match.scores[i],
       enrolled: s.enrolled || false,
     }));
 
@@ -252,12 +322,15 @@ export class SpeakerClusterer {
       allSimilarities: allSimilarities, // Full breakdown
       reason: '',
     };
+    if (this.scoreNormalizer) {
+      debug.scoreNormalization = this.scoreNormalizer.method;
+    }
 
     // Find second-best speaker name if available
     if (this.speakers.length > 1 && match.secondBestSimilarity > 0) {
       for (let i = 0; i < this.speakers.length; i++) {
         if (i !== match.speakerId) {
-          const sim = cosineSimilarity(embedding, this.speakers[i].centroid);
+          const sim = match.scores[i];
           if (Math.abs(sim - match.secondBestSimilarity) < 0.001) {
             debug.secondBestSpeaker = this.speakers[i].name || `Speaker ${i + 1}`;
             break;
@@ -447,8 +520,9 @@ export class SpeakerClusterer {
    * @param {Float32Array|Array} embedding - The speaker's voice embedding
    * @param {string} enrollmentId - Unique ID for this enrollment
    * @param {number} colorIndex - Color index for UI display
+   * @param {Array<Float32Array|Array>} [subCentroids] - Sub-centroids for multi-centroid scoring
    */
-  enrollSpeaker(name, embedding, enrollmentId = null, colorIndex = 0) {
+  enrollSpeaker(name, embedding, enrollmentId = null, colorIndex = 0, subCentroids = null) {
     // Add enrolled speaker at the end of enrolled speakers (before discovered ones)
     const enrolledCount = this.getEnrolledCount();
     const newSpeaker = {
@@ -458,6 +532,7 @@ export class SpeakerClusterer {
       enrolled: true,
       enrollmentId: enrollmentId || Date.now().toString(),
       colorIndex: colorIndex,
+      subCentroids: subCentroids?.length ? subCentroids.map((c) => l2NormalizeCopy(c)) : null,
     };
 
     // Insert at the position after other enrolled speakers
@@ -482,7 +557,7 @@ export class SpeakerClusterer {
 
   /**
    * Import all enrolled speakers from saved data
-   * @param {Array} enrollments - Array of {id, name, centroid, colorIndex}
+   * @param {Array} enrollments - Array of {id, name, centroid, colorIndex, subCentroids?}
    * @returns {Array} Warnings about similar enrollments
    */
   importEnrolledSpeakers(enrollments) {
@@ -504,6 +579,9 @@ export class SpeakerClusterer {
         enrolled: true,
         enrollmentId: e.id,
         colorIndex: e.colorIndex ?? i,
+        subCentroids: e.subCentroids?.length
+          ? e.subCentroids.map((c) => l2NormalizeCopy(new Float32Array(c)))
+          : null,
       });
     }
 
@@ -589,6 +667,7 @@ export class SpeakerClusterer {
         name: s.name,
         centroid: Array.from(s.centroid),
         colorIndex: s.colorIndex,
+        subCentroids: s.subCentroids?.map((c) => Array.from(c)) || null,
       }));
   }
 
@@ -611,7 +690,7 @@ export class SpeakerClusterer {
 
   /**
    * Get all speakers (enrolled + discovered) for visualization
-   * @returns {Array} Array of {id, name, centroid, enrolled, colorIndex}
+   * @returns {Array} Array of {id, name, centroid, enrolled, colorIndex, subCentroids}
    */
   getAllSpeakersForVisualization() {
     return this.speakers.map((s, i) => ({
@@ -620,6 +699,7 @@ export class SpeakerClusterer {
       centroid: s.centroid,
       enrolled: !!s.enrolled,
       colorIndex: s.colorIndex ?? i,
+      subCentroids: s.subCentroids || null,
     }));
   }
 
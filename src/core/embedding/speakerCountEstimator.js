@@ -0,0 +1,75 @@
+/**
+ * Speaker Count Estimator
+ * Proposes how many speakers are present from a set of segment embeddings
+ *
+ * Each candidate count k is tried by cutting an average-linkage agglomerative
+ * clustering at k clusters and scoring the split with the silhouette coefficient.
+ * The best-scoring k wins, unless no split is convincing, in which case one speaker is assumed.
+ */
+
+import { agglomerativeCluster } from './agglomerativeClusterer.js';
+import { computeSilhouetteScore } from './discriminabilityMetrics.js';
+import { SPEAKER_COUNT_DEFAULTS } from '../../config/index.js';
+
+/**
+ * Estimate the number of speakers in a set of embeddings
+ * @param {Array<Float32Array|Array>} embeddings - One embedding per segment
+ * @param {Object} [options] - Overrides for SPEAKER_COUNT_DEFAULTS
+ * @param {number} [options.minSpeakers]
+ * @param {number} [options.maxSpeakers]
+ * @param {number} [options.minSamples] - Fewer embeddings than this gives no estimate
+ * @param {number} [options.maxSamples] - Only the last maxSamples embeddings are used
+ * @param {number} [options.minSilhouette] - Best score needed to prefer a split over one speaker
+ * @param {number} [options.minClusterSize] - Smallest cluster a candidate split may contain
+ * @returns {{count: number|null, silhouette: number|null, scores: Array<{k: number, silhouette: number|null}>,
+ *   sampleCount: number, reason: 'insufficient_samples'|'silhouette'|'single_speaker'|'min_speakers'}}
+ *   count is null when there are too few samples; scores has one entry per candidate k >= 2
+ */
+export function estimateSpeakerCount(embeddings, options = {}) {
+  const config = { ...SPEAKER_COUNT_DEFAULTS, ...options };
+  const samples = (embeddings || []).filter(Boolean).slice(-config.maxSamples);
+  const sampleCount = samples.length;
+
+  if (sampleCount < Math.max(2, config.minSamples)) {
+    return { count: null, silhouette: null, scores: [], sampleCount, reason: 'insufficient_samples' };
+  }
+
+  const minK = Math.max(2, config.minSpeakers);
+  const maxK = Math.min(config.maxSpeakers, Math.floor(sampleCount / config.minClusterSize));
+
+  const scores = [];
+  let best = null;
+  for (let k = minK; k <= maxK; k++) {
+    const { labels, clusters } = agglomerativeCluster(samples, { linkage: 'average', numClusters: k });
+
+    // A split that isolates a stray segment or two is an outlier, not a speaker
+    const tooSmall = clusters.some((c) => c.members.length < config.minClusterSize);
+    const silhouette = tooSmall
+      ? null
+      : computeSilhouetteScore(samples.map((embedding, i) => ({ speakerId: labels[i], embedding })));
+
+    scores.push({ k, silhouette });
+    if (silhouette !== null && (best === null || silhouette > best.silhouette)) {
+      best = { k, silhouette };
+    }
+  }
+
+  if (config.minSpeakers >= 2 && best === null) {
+    return { count: minK, silhouette: null, scores, sampleCount, reason: 'min_speakers' };
+  }
+  if (best === null || (config.minSpeakers < 2 && best.silhouette < config.minSilhouette)) {
+    return {
+      count: Math.max(1, config.minSpeakers),
+      silhouette: best?.silhouette ?? null,
+      scores,
+      sampleCount,
+      reason: 'single_speaker',
+    };
+  }
+
+  return { count: best.k, silhouette: best.silhouette, scores, sampleCount, reason: 'silhouette' };
+}
+
+export default {
+  estimateSpeakerCount,
+};
@@ -0,0 +1,313 @@
+/**
+ * Diarization Metrics
+ * Scores a job's speaker attribution against a reference annotation (DER/JER)
+ *
+ * DER = (missed speech + false alarm + speaker confusion) / total reference speech,
+ * using the one-to-one speaker mapping that maximizes overlap (Hungarian assignment).
+ */
+
+import { EVALUATION_DEFAULTS } from '../../config/index.js';
+import { resolveEffectiveSpeaker } from '../recording/subtitleExporter.js';
+
+/**
+ * Solve the assignment problem (minimum total cost) with the Hungarian algorithm.
+ * Rectangular matrices are padded with zero-cost dummy rows/columns.
+ * @param {number[][]} costMatrix - costMatrix[row][col]
+ * @returns {number[]} Column assigned to each row (-1 if the row got a dummy column)
+ */
+export function hungarianAssignment(costMatrix) {
+  const rows = costMatrix?.length || 0;
+  if (rows === 0) return [];
+  const cols = Math.max(0, ...costMatrix.map((r) => r.length));
+  if (cols === 0) return new Array(rows).fill(-1);
+
+  const n = Math.max(rows, cols);
+  const cost = (i, j) => costMatrix[i]?.[j] ?? 0;
+
+  // Potentials and matching (1-indexed, column 0 is a sentinel)
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // match[col] = row
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Augment along the alternating path
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    const i = match[j] - 1;
+    if (i >= 0 && i < rows && j - 1 < cols) {
+      assignment[i] = j - 1;
+    }
+  }
+  return assignment;
+}
+
+/**
+ * Convert segments to per-speaker turn lists, merging overlapping turns of the same speaker.
+ * Works for job segments (effective speaker label) and parsed RTTM segments.
+ * @param {Array} segments - Segments with startTime/endTime and a speaker label
+ * @returns {Map<string, Array<[number, number]>>} Speaker label -> sorted, disjoint [start, end] intervals
+ */
+export function toSpeakerTurns(segments) {
+  const bySpeaker = new Map();
+
+  for (const seg of segments || []) {
+    if (seg.isEnvironmental) continue;
+    const { label } = resolveEffectiveSpeaker(seg);
+    const start = seg.startTime;
+    const end = seg.endTime;
+    if (!label || !Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+
+    if (!bySpeaker.has(label)) bySpeaker.set(label, []);
+    bySpeaker.get(label).push([start, end]);
+  }
+
+  for (const [label, turns] of bySpeaker) {
+    turns.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const turn of turns) {
+      const last = merged[merged.length - 1];
+      if (last && turn[0] <= last[1]) {
+        last[1] = Math.max(last[1], turn[1]);
+      } else {
+        merged.push([...turn]);
+      }
+    }
+    bySpeaker.set(label, merged);
+  }
+
+  return bySpeaker;
+}
+
+/**
+ * Total duration of a disjoint interval list
+ * @param {Array<[number, number]>} intervals
+ * @returns {number}
+ */
+function totalDuration(intervals) {
+  return intervals.reduce((sum, [s, e]) => sum + (e - s), 0);
+}
+
+/**
+ * Overlap duration between two sorted, disjoint interval lists
+ * @param {Array<[number, number]>} a
+ * @param {Array<[number, number]>} b
+ * @returns {number}
+ */
+function intersectionDuration(a, b) {
+  let i = 0;
+  let j = 0;
+  let total = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (end > start) total += end - start;
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return total;
+}
+
+/**
+ * Check whether any interval in a sorted list contains time t (start inclusive, end exclusive)
+ * @param {Array<[number, number]>} intervals
+ * @param {number} t
+ * @returns {boolean}
+ */
+function isActiveAt(intervals, t) {
+  let lo = 0;
+  let hi = intervals.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (t < intervals[mid][0]) hi = mid - 1;
+    else if (t >= intervals[mid][1]) lo = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+/**
+ * Compute the reference-to-hypothesis speaker mapping that maximizes total overlap
+ * @param {Map<string, Array<[number, number]>>} refTurns
+ * @param {Map<string, Array<[number, number]>>} hypTurns
+ * @returns {Map<string, string>} Reference label -> hypothesis label (only pairs with overlap)
+ */
+export function computeOptimalMapping(refTurns, hypTurns) {
+  const refLabels = [...refTurns.keys()];
+  const hypLabels = [...hypTurns.keys()];
+  const overlap = refLabels.map((r) =>
+    hypLabels.map((h) => intersectionDuration(refTurns.get(r), hypTurns.get(h)))
+  );
+
+  const assignment = hungarianAssignment(overlap.map((row) => row.map((d) => -d)));
+  const mapping = new Map();
+  assignment.forEach((col, row) => {
+    if (col >= 0 && overlap[row][col] > 0) {
+      mapping.set(refLabels[row], hypLabels[col]);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Compute diarization error rate (with missed/false alarm/confusion breakdown) and
+ * Jaccard error rate of a hypothesis against a reference.
+ *
+ * The collar is applied to DER only; JER is computed over the full timeline.
+ * @param {Array} referenceSegments - Reference segments (RTTM import or a hand-corrected job)
+ * @param {Array} hypothesisSegments - Job segments to score
+ * @param {Object} [options]
+ * @param {number} [options.collar] - No-score collar (seconds) around reference boundaries
+ * @param {boolean} [options.skipOverlap] - Exclude overlapped reference speech from scoring
+ * @returns {Object} Metrics: der, jer, missed/falseAlarm/confusion (seconds and rates),
+ *   scoredReference, mapping, speakers[]
+ */
+export function computeDiarizationMetrics(referenceSegments, hypothesisSegments, options = {}) {
+  const {
+    collar = EVALUATION_DEFAULTS.collar,
+    skipOverlap = EVALUATION_DEFAULTS.skipOverlap,
+  } = options;
+
+  const refTurns = toSpeakerTurns(referenceSegments);
+  const hypTurns = toSpeakerTurns(hypothesisSegments);
+  const mapping = computeOptimalMapping(refTurns, hypTurns);
+
+  // Collar zones around every reference boundary
+  const collarZones = [];
+  if (collar > 0) {
+    for (const turns of refTurns.values()) {
+      for (const [start, end] of turns) {
+        collarZones.push([start - collar, start + collar], [end - collar, end + collar]);
+      }
+    }
+  }
+  const inCollar = (t) => collarZones.some(([s, e]) => t >= s && t < e);
+
+  // Elementary intervals between all boundaries
+  const boundaries = new Set();
+  for (const turns of [...refTurns.values(), ...hypTurns.values()]) {
+    for (const [start, end] of turns) {
+      boundaries.add(start);
+      boundaries.add(end);
+    }
+  }
+  for (const [s, e] of collarZones) {
+    boundaries.add(Math.max(0, s));
+    boundaries.add(e);
+  }
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  let scoredReference = 0;
+  let missed = 0;
+  let falseAlarm = 0;
+  let confusion = 0;
+
+  for (let k = 0; k < points.length - 1; k++) {
+    const duration = points[k + 1] - points[k];
+    if (duration <= 0) continue;
+    const mid = (points[k] + points[k + 1]) / 2;
+    if (inCollar(mid)) continue;
+
+    const refActive = [...refTurns.keys()].filter((label) => isActiveAt(refTurns.get(label), mid));
+    if (skipOverlap && refActive.length > 1) continue;
+    const hypActive = new Set([...hypTurns.keys()].filter((label) => isActiveAt(hypTurns.get(label), mid)));
+
+    const nRef = refActive.length;
+    const nHyp = hypActive.size;
+    const nCorrect = refActive.filter((label) => hypActive.has(mapping.get(label))).length;
+
+    scoredReference += duration * nRef;
+    missed += duration * Math.max(0, nRef - nHyp);
+    falseAlarm += duration * Math.max(0, nHyp - nRef);
+    confusion += duration * (Math.min(nRef, nHyp) - nCorrect);
+  }
+
+  // Per-speaker Jaccard error (unmapped reference speakers count as 100%)
+  const speakers = [...refTurns.keys()].map((label) => {
+    const hypLabel = mapping.get(label) || null;
+    const refTime = totalDuration(refTurns.get(label));
+    if (!hypLabel) {
+      return { reference: label, hypothesis: null, jer: 1, referenceTime: refTime };
+    }
+    const hypTime = totalDuration(hypTurns.get(hypLabel));
+    const intersection = intersectionDuration(refTurns.get(label), hypTurns.get(hypLabel));
+    const union = refTime + hypTime - intersection;
+    return {
+      reference: label,
+      hypothesis: hypLabel,
+      jer: union > 0 ? 1 - intersection / union : 0,
+      referenceTime: refTime,
+    };
+  });
+
+  const rate = (value) => (scoredReference > 0 ? value / scoredReference : null);
+
+  return {
+    der: rate(missed + falseAlarm + confusion),
+    missedRate: rate(missed),
+    falseAlarmRate: rate(falseAlarm),
+    confusionRate: rate(confusion),
+    missed,
+    falseAlarm,
+    confusion,
+    scoredReference,
+    jer: speakers.length > 0
+      ? speakers.reduce((sum, s) => sum + s.jer, 0) / speakers.length
+      : null,
+    mapping: Object.fromEntries(mapping),
+    speakers,
+    referenceSpeakerCount: refTurns.size,
+    hypothesisSpeakerCount: hypTurns.size,
+    collar,
+    skipOverlap,
+  };
+}
+
+export default {
+  hungarianAssignment,
+  toSpeakerTurns,
+  computeOptimalMapping,
+  computeDiarizationMetrics,
+};
@@ -0,0 +1,27 @@
+/**
+ * Evaluation Module
+ * Scoring of job output against reference annotations
+ */
+
+export {
+  hungarianAssignment,
+  toSpeakerTurns,
+  computeOptimalMapping,
+  computeDiarizationMetrics,
+} from './diarizationMetrics.js';
+
+export {
+  tokenizeForWer,
+  getHypothesisWords,
+  alignWords,
+  computeWordErrorRate,
+} from './wordErrorRate.js';
+
+export {
+  buildSweepValues,
+  countSweepCombinations,
+  expandSweepGrid,
+  applySweepCombination,
+  formatSweepLabel,
+  summarizeBoostStats,
+} from './parameterSweep.js';
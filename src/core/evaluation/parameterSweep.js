@@ -0,0 +1,132 @@
+/**
+ * Parameter Sweep
+ * Expands ranges of job settings into a grid of combinations for batch processing
+ *
+ * Swept parameters are addressed by dotted paths into JobSettings
+ * ('clustering.similarityThreshold', 'boosting.boostFactor', 'segmentationParams.gapThreshold').
+ */
+
+import { SWEEP_DEFAULTS } from '../../config/index.js';
+
+/**
+ * Count decimal places in a step so generated values don't accumulate float error
+ * @param {number} step
+ * @returns {number}
+ */
+function stepDecimals(step) {
+  const [, fraction = ''] = String(step).split('.');
+  return fraction.length;
+}
+
+/**
+ * Generate the values from min to max (inclusive) at the given step
+ * @param {number} min - First value
+ * @param {number} max - Last value (included when it lands on a step)
+ * @param {number} step - Increment
+ * @param {number} [maxValues] - Cap on the number of values generated
+ * @returns {number[]} Values in ascending order ([min] when the range is empty or the step invalid)
+ */
+export function buildSweepValues(min, max, step, maxValues = SWEEP_DEFAULTS.maxValuesPerParam) {
+  if (!Number.isFinite(min)) return [];
+  if (!Number.isFinite(max) || !(step > 0) || max <= min) return [min];
+
+  const decimals = Math.max(stepDecimals(step), stepDecimals(min));
+  const count = Math.min(Math.floor((max - min) / step + 1e-9) + 1, maxValues);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(Number((min + i * step).toFixed(decimals)));
+  }
+  return values;
+}
+
+/**
+ * Number of combinations a set of ranges expands to
+ * @param {Array<{key: string, values: number[]}>} ranges
+ * @returns {number}
+ */
+export function countSweepCombinations(ranges) {
+  if (!ranges?.length) return 0;
+  return ranges.reduce((total, range) => total * (range.values?.length || 0), 1);
+}
+
+/**
+ * Expand ranges into every combination of values (the first range varies slowest)
+ * @param {Array<{key: string, values: number[]}>} ranges - Swept parameters and their values
+ * @returns {Array<Record<string, number>>} Combinations keyed by parameter path
+ */
+export function expandSweepGrid(ranges) {
+  if (countSweepCombinations(ranges) === 0) return [];
+
+  let combinations = [{}];
+  for (const { key, values } of ranges) {
+    const next = [];
+    for (const combination of combinations) {
+      for (const value of values) {
+        next.push({ ...combination, [key]: value });
+      }
+    }
+    combinations = next;
+  }
+  return combinations;
+}
+
+/**
+ * Apply a combination to job settings without mutating the source
+ * @param {Object} settings - JobSettings to start from
+ * @param {Record<string, number>} combination - Values keyed by 'group.name' path
+ * @returns {Object} New JobSettings
+ */
+export function applySweepCombination(settings, combination) {
+  const result = {
+    ...settings,
+    clustering: { ...settings.clustering },
+    boosting: { ...settings.boosting },
+    segmentationParams: { ...settings.segmentationParams },
+  };
+
+  for (const [key, value] of Object.entries(combination)) {
+    const [group, name] = key.split('.');
+    if (!name || !result[group] || typeof result[group] !== 'object') {
+      throw new Error(`Unknown sweep parameter: ${key}`);
+    }
+    result[group][name] = value;
+  }
+  return result;
+}
+
+/**
+ * Build a short label for a combination, e.g. "similarityThreshold=0.7, boostFactor=1.1"
+ * @param {Record<string, number>} combination
+ * @returns {string}
+ */
+export function formatSweepLabel(combination) {
+  return Object.entries(combination)
+    .map(([key, value]) => `${key.split('.').pop()}=${value}`)
+    .join(', ');
+}
+
+/**
+ * Count how boosting affected a job's segments
+ * @param {Array} segments - Job segments
+ * @returns {{applied: number, skipped: number, changedResult: number}}
+ */
+export function summarizeBoostStats(segments) {
+  const stats = { applied: 0, skipped: 0, changedResult: 0 };
+  for (const seg of segments || []) {
+    const inf = seg.inferenceAttribution;
+    if (!inf) continue;
+    if (inf.wasBoosted) stats.applied++;
+    if (inf.boostSkipped) stats.skipped++;
+    if (inf.wasInfluenced) stats.changedResult++;
+  }
+  return stats;
+}
+
+export default {
+  buildSweepValues,
+  countSweepCombinations,
+  expandSweepGrid,
+  applySweepCombination,
+  formatSweepLabel,
+  summarizeBoostStats,
+};
@@ -0,0 +1,166 @@
+/**
+ * Word Error Rate
+ * Scores a job's transcript against a reference transcript (WER with S/I/D breakdown)
+ *
+ * WER = (substitutions + insertions + deletions) / reference word count,
+ * from a weighted edit distance word alignment.
+ */
+
+/**
+ * Normalize text into comparable word tokens.
+ * Lowercases, drops bracketed sound markers ([MUSIC], (laughs)) and punctuation,
+ * keeping apostrophes inside words ("don't").
+ * @param {string} text
+ * @returns {string[]} Tokens
+ */
+export function tokenizeForWer(text) {
+  return (text || '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((token) => token.replace(/[^\p{L}\p{N}']/gu, '').replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Collect a job's merged words (after overlap dedup) in time order.
+ * Environmental segments are skipped; segments without word timestamps fall back to their text.
+ * @param {Array} segments - Job segments
+ * @returns {Array<{text: string, start: number|null, segmentIndex: number}>} Normalized hypothesis tokens
+ */
+export function getHypothesisWords(segments) {
+  const ordered = (segments || [])
+    .map((seg, index) => ({ seg, index }))
+    .filter(({ seg }) => !seg.isEnvironmental)
+    .sort((a, b) => (a.seg.startTime || 0) - (b.seg.startTime || 0));
+
+  const words = [];
+  for (const { seg, index } of ordered) {
+    const source = seg.words?.length > 0
+      ? seg.words
+      : [{ text: seg.text, start: seg.startTime }];
+
+    for (const word of source) {
+      for (const token of tokenizeForWer(word.text)) {
+        words.push({ text: token, start: word.start ?? null, segmentIndex: index });
+      }
+    }
+  }
+  return words;
+}
+
+// Alignment costs (NIST sclite defaults): a substitution is cheaper than an
+// insertion+deletion pair, but a run of substitutions loses to a shifted alignment
+const SUBSTITUTION_COST = 4;
+const INSERTION_COST = 3;
+const DELETION_COST = 3;
+
+/**
+ * Align reference and hypothesis tokens with weighted minimum edit distance.
+ * @param {string[]} reference - Reference tokens
+ * @param {string[]} hypothesis - Hypothesis tokens
+ * @returns {Array<{op: 'equal'|'substitute'|'insert'|'delete', ref?: string, hyp?: string, hypIndex?: number}>}
+ *   Alignment in order; 'insert' is an extra hypothesis word, 'delete' a missing reference word
+ */
+export function alignWords(reference, hypothesis) {
+  const n = reference.length;
+  const m = hypothesis.length;
+  const width = m + 1;
+
+  // Backtrace: 0 = diagonal, 1 = deletion (up), 2 = insertion (left)
+  const trace = new Uint8Array((n + 1) * width);
+  let prev = new Uint32Array(width);
+  let curr = new Uint32Array(width);
+
+  for (let j = 0; j <= m; j++) {
+    prev[j] = j * INSERTION_COST;
+    trace[j] = 2;
+  }
+
+  for (let i = 1; i <= n; i++) {
+    curr[0] = i * DELETION_COST;
+    trace[i * width] = 1;
+    for (let j = 1; j <= m; j++) {
+      const diagonal = prev[j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : SUBSTITUTION_COST);
+      const deletion = prev[j] + DELETION_COST;
+      const insertion = curr[j - 1] + INSERTION_COST;
+
+      if (diagonal <= deletion && diagonal <= insertion) {
+        curr[j] = diagonal;
+        trace[i * width + j] = 0;
+      } else if (deletion <= insertion) {
+        curr[j] = deletion;
+        trace[i * width + j] = 1;
+      } else {
+        curr[j] = insertion;
+        trace[i * width + j] = 2;
+      }
+    }
+    [prev, curr] = [curr, prev];
+  }
+
+  const alignment = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const step = i === 0 ? 2 : j === 0 ? 1 : trace[i * width + j];
+    if (step === 0) {
+      const ref = reference[i - 1];
+      const hyp = hypothesis[j - 1];
+      alignment.push({ op: ref === hyp ? 'equal' : 'substitute', ref, hyp, hypIndex: j - 1 });
+      i--;
+      j--;
+    } else if (step === 1) {
+      alignment.push({ op: 'delete', ref: reference[i - 1] });
+      i--;
+    } else {
+      alignment.push({ op: 'insert', hyp: hypothesis[j - 1], hypIndex: j - 1 });
+      j--;
+    }
+  }
+
+  return alignment.reverse();
+}
+
+/**
+ * Compute word error rate of a job's segments against a reference transcript
+ * @param {string} referenceText - Reference transcript (plain text)
+ * @param {Array} segments - Job segments
+ * @returns {Object} { wer, substitutions, insertions, deletions, correct,
+ *   referenceWordCount, hypothesisWordCount, alignment } where alignment entries carry
+ *   the hypothesis word start time (seconds) when available
+ */
+export function computeWordErrorRate(referenceText, segments) {
+  const reference = tokenizeForWer(referenceText);
+  const hypothesisWords = getHypothesisWords(segments);
+  const alignment = alignWords(reference, hypothesisWords.map((w) => w.text));
+
+  const counts = { equal: 0, substitute: 0, insert: 0, delete: 0 };
+  for (const entry of alignment) {
+    counts[entry.op]++;
+    if (entry.hypIndex !== undefined) {
+      entry.start = hypothesisWords[entry.hypIndex].start;
+      delete entry.hypIndex;
+    }
+  }
+
+  const errors = counts.substitute + counts.insert + counts.delete;
+
+  return {
+    wer: reference.length > 0 ? errors / reference.length : null,
+    substitutions: counts.substitute,
+    insertions: counts.insert,
+    deletions: counts.delete,
+    correct: counts.equal,
+    referenceWordCount: reference.length,
+    hypothesisWordCount: hypothesisWords.length,
+    alignment,
+  };
+}
+
+export default {
+  tokenizeForWer,
+  getHypothesisWords,
+  alignWords,
+  computeWordErrorRate,
+};
@@ -29,6 +29,9 @@ export { AudioValidator } from './validation/index.js';
 // Conversation-level inference
 export { ConversationInference } from './inference/index.js';
 
+// Evaluation against reference annotations
+export { computeDiarizationMetrics, computeWordErrorRate } from './evaluation/index.js';
+
 // Recording utilities
 export {
   serializeAudio,
@@ -8,6 +8,7 @@
 
 import { CONVERSATION_INFERENCE_DEFAULTS, CLUSTERING_DEFAULTS, ATTRIBUTION_UI_DEFAULTS, UNKNOWN_CLUSTERING_DEFAULTS } from '../../config/defaults.js';
 import { UnknownClusterer } from './unknownClusterer.js';
+import { applyTemporalSmoothing } from './temporalSmoother.js';
 import { UNKNOWN_SPEAKER_ID } from '../embedding/speakerClusterer.js';
 
 /**
@@ -229,6 +230,9 @@ export class ConversationInference {
 
     const stats = this.assignmentStats.get(speakerName);
     stats.count++;
+    if (UnknownClusterer.isUnknownId(attribution.speakerId)) {
+      stats.unknownId = attribution.speakerId;
+    }
 
     // Track similarity if available
     const similarity = attribution.debug?.similarity;
@@ -333,6 +337,7 @@ export class ConversationInference {
         avgSimilarity,
         score,
         isUnknown: stats.isUnknown || false,
+        ...(stats.unknownId !== undefined && { unknownId: stats.unknownId }),
       });
     }
 
@@ -768,10 +773,20 @@ export class ConversationInference {
         continue;
       }
 
+      // Keep the unknown cluster a saved segment was put in (the clusterer itself starts empty)
+      const unknownClustering = segment.speaker === UNKNOWN_SPEAKER_ID && !segment.manuallyReassigned
+        ? this.getSavedUnknownClustering(segment)
+        : null;
+      const speakerId = unknownClustering?.unknownId ?? segment.speaker;
+      const speakerLabel = unknownClustering
+        ? this.unknownClusterer.getLabel(unknownClustering.unknownId)
+        : segment.speakerLabel;
+
       // Track actual assignment for hypothesis building
-      if (segment.speakerLabel) {
+      if (speakerLabel) {
         const assignmentAttribution = {
-          speakerName: segment.speakerLabel,
+          speakerId,
+          speakerName: speakerLabel,
           debug: {
             similarity: segment.debug?.clustering?.similarity ?? segment.attribution?.similarity,
           },
@@ -799,13 +814,14 @@ export class ConversationInference {
 
       // Build attribution object
       const originalAttribution = {
-        speakerId: segment.speaker,
-        speakerName: segment.speakerLabel || 'Unknown',
+        speakerId,
+        speakerName: speakerLabel || 'Unknown',
         debug: {
           allMatches,
           similarity: clustering.similarity,
           margin: clustering.margin,
           reason: clustering.reason,
+          ...(unknownClustering && { unknownClustering }),
         },
       };
 
@@ -851,9 +867,34 @@ export class ConversationInference {
       segment.inferenceAttribution = this.segmentAttributions[index];
     }
 
+    // Third pass: smooth one-off speaker flips now that boosted scores are final
+    this.smoothSegments(segments);
+
     return this.getHypothesis();
   }
 
+  /**
+   * Unknown cluster info from a segment's saved attribution
+   * @param {Object} segment - Segment with inferenceAttribution from an earlier run
+   * @returns {Object|null} {unknownId, closestEnrolled, reason}, or null when it wasn't clustered
+   */
+  getSavedUnknownClustering(segment) {
+    const original = segment.inferenceAttribution?.originalAttribution;
+    if (!UnknownClusterer.isUnknownId(original?.speakerId)) return null;
+    return original.debug?.unknownClustering || { unknownId: original.speakerId };
+  }
+
+  /**
+   * Post-processing stage: Viterbi-smooth speaker assignments across the segment
+   * sequence using boosted similarities as emission scores. Run after
+   * processNewSegment() for live segments; rebuildFromSegments() runs it itself.
+   * @param {Object[]} segments - All segments in transcript order (with inferenceAttribution)
+   * @returns {number[]} Indices of segments whose smoothed speaker changed
+   */
+  smoothSegments(segments) {
+    return applyTemporalSmoothing(segments, { changePenalty: this.config.smoothingChangePenalty });
+  }
+
   /**
    * Update config parameters at runtime (for tuning panel)
    * @param {Object} updates - Key-value pairs of config parameters to update
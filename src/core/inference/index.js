@@ -5,3 +5,10 @@
 
 export { ConversationInference } from './conversationInference.js';
 export { UnknownClusterer } from './unknownClusterer.js';
+export { viterbiDecode, applyTemporalSmoothing } from './temporalSmoother.js';
+export {
+  getUnknownClusterId,
+  findSpeakerSegments,
+  resolveSpeakerIdForName,
+  relabelSegments,
+} from './speakerRelabel.js';
@@ -0,0 +1,113 @@
+/**
+ * Speaker Relabel
+ * Naming a speaker across a whole job, e.g. "Unknown 1 is Priya"
+ *
+ * Unknown speakers are identified either by their unknown cluster ID (-100, -101, ...)
+ * or by the label the transcript shows for them. Relabeling moves every segment of the
+ * speaker to one (new or existing) speaker ID and marks it as manually reassigned, the
+ * same way a single-segment reassignment does, so inference and smoothing leave it alone.
+ */
+
+import { UNKNOWN_SPEAKER_BASE } from '../../config/index.js';
+import { resolveEffectiveSpeaker } from '../recording/subtitleExporter.js';
+
+/**
+ * Unknown cluster ID of a segment, from its speaker or its inference attribution
+ * @param {Object} segment
+ * @returns {number|null} Cluster ID (e.g. -100), or null when the segment isn't in an unknown cluster
+ */
+export function getUnknownClusterId(segment) {
+  if (segment?.speaker != null && segment.speaker <= UNKNOWN_SPEAKER_BASE) return segment.speaker;
+  const attributed = segment?.inferenceAttribution?.originalAttribution?.speakerId;
+  if (attributed != null && attributed <= UNKNOWN_SPEAKER_BASE) return attributed;
+  return null;
+}
+
+/**
+ * Find the segments a speaker was attributed
+ * @param {Object[]} segments
+ * @param {Object} speaker
+ * @param {string} speaker.label - Label shown for the speaker (e.g. "Unknown 1")
+ * @param {number} [speaker.unknownId] - Unknown cluster ID, when the speaker is one
+ * @returns {number[]} Segment indices
+ */
+export function findSpeakerSegments(segments, { label, unknownId = null }) {
+  const indices = [];
+  (segments || []).forEach((segment, i) => {
+    if (segment.isEnvironmental || segment.speaker === null) return;
+    const inCluster = unknownId != null && !segment.manuallyReassigned && getUnknownClusterId(segment) === unknownId;
+    if (inCluster || resolveEffectiveSpeaker(segment).label === label) {
+      indices.push(i);
+    }
+  });
+  return indices;
+}
+
+/**
+ * Pick the speaker ID for a name: the ID of a speaker already known by that name
+ * (enrolled or discovered), otherwise one past the highest speaker ID in the job
+ * @param {Object[]} segments
+ * @param {string} name
+ * @returns {{speakerId: number, isExisting: boolean}}
+ */
+export function resolveSpeakerIdForName(segments, name) {
+  const key = (name || '').trim().toLowerCase();
+  let maxId = -1;
+
+  for (const segment of segments || []) {
+    const candidates = segment.debug?.clustering?.allSimilarities || [];
+    for (const candidate of candidates) {
+      if (candidate.speakerIdx >= 0 && candidate.speaker?.trim().toLowerCase() === key) {
+        return { speakerId: candidate.speakerIdx, isExisting: true };
+      }
+      if (candidate.speakerIdx > maxId) maxId = candidate.speakerIdx;
+    }
+    if (segment.speaker >= 0 && segment.speakerLabel?.trim().toLowerCase() === key) {
+      return { speakerId: segment.speaker, isExisting: true };
+    }
+    if (segment.speaker > maxId) maxId = segment.speaker;
+  }
+
+  return { speakerId: maxId + 1, isExisting: false };
+}
+
+/**
+ * Attribute segments to a speaker (in place), recording the change like a manual reassignment
+ * @param {Object[]} segments
+ * @param {number[]} indices - Segments to relabel
+ * @param {number} speakerId
+ * @param {string} label
+ * @returns {number} Number of segments changed
+ */
+export function relabelSegments(segments, indices, speakerId, label) {
+  let changed = 0;
+  for (const index of indices) {
+    const segment = segments[index];
+    if (!segment) continue;
+
+    const { label: fromLabel } = resolveEffectiveSpeaker(segment);
+    segment.debug = segment.debug || {};
+    segment.debug.clustering = segment.debug.clustering || {};
+    segment.debug.clustering.manualOverride = {
+      fromSpeaker: segment.speaker,
+      fromLabel,
+      toSpeaker: speakerId,
+      toLabel: label,
+      bulk: true,
+      timestamp: Date.now(),
+    };
+
+    segment.speaker = speakerId;
+    segment.speakerLabel = label;
+    segment.manuallyReassigned = true;
+    changed++;
+  }
+  return changed;
+}
+
+export default {
+  getUnknownClusterId,
+  findSpeakerSegments,
+  resolveSpeakerIdForName,
+  relabelSegments,
+};
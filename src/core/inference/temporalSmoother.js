@@ -0,0 +1,165 @@
+/**
+ * Temporal Smoother
+ * Viterbi pass over each input's segment sequence to remove one-off speaker flips
+ *
+ * Each segment's candidate similarities (after boosting) act as emission scores and
+ * every speaker change costs a fixed penalty, so a short segment only keeps a different
+ * speaker from its neighbours when its own evidence outweighs the cost of switching twice.
+ *
+ * Decisions are written to segment.debug.smoothing; the stored speaker and attributions
+ * are left untouched so smoothing can be re-run or disabled at any time.
+ */
+
+import { CONVERSATION_INFERENCE_DEFAULTS } from '../../config/defaults.js';
+
+/**
+ * @typedef {Object} SmoothingDecision
+ * @property {boolean} applied - Whether smoothing changed the displayed speaker
+ * @property {string} from - Speaker before smoothing
+ * @property {string} to - Speaker after smoothing (same as from when not applied)
+ * @property {number|undefined} speakerIdx - Clusterer index of the smoothed speaker
+ * @property {number} changePenalty - Penalty used for the decode
+ */
+
+/**
+ * Find the best state sequence given per-step scores and a cost for changing state
+ * @param {Array<Map<string, number>>} emissions - Score per state at each step (higher is better).
+ *   A state missing from a step can't be chosen at that step.
+ * @param {number} changePenalty - Cost of moving to a different state between steps
+ * @returns {string[]} Best state at each step (staying put wins ties)
+ */
+export function viterbiDecode(emissions, changePenalty) {
+  if (!emissions?.length) return [];
+
+  const states = [...new Set(emissions.flatMap((e) => [...e.keys()]))];
+  const scoreAt = (emission, state) => (emission.has(state) ? emission.get(state) : -Infinity);
+
+  let scores = states.map((state) => scoreAt(emissions[0], state));
+  const backpointers = [];
+
+  for (let t = 1; t < emissions.length; t++) {
+    // Best previous state to switch from (staying is compared separately)
+    let bestPrev = 0;
+    for (let p = 1; p < states.length; p++) {
+      if (scores[p] > scores[bestPrev]) bestPrev = p;
+    }
+
+    const next = new Array(states.length);
+    const pointers = new Array(states.length);
+    for (let s = 0; s < states.length; s++) {
+      // The best switch may be from s itself; then find the best other state
+      let switchFrom = bestPrev;
+      if (switchFrom === s) {
+        switchFrom = -1;
+        for (let p = 0; p < states.length; p++) {
+          if (p !== s && (switchFrom === -1 || scores[p] > scores[switchFrom])) switchFrom = p;
+        }
+      }
+
+      const stay = scores[s];
+      const change = switchFrom === -1 ? -Infinity : scores[switchFrom] - changePenalty;
+      pointers[s] = stay >= change ? s : switchFrom;
+      next[s] = Math.max(stay, change) + scoreAt(emissions[t], states[s]);
+    }
+    scores = next;
+    backpointers.push(pointers);
+  }
+
+  let state = 0;
+  for (let s = 1; s < states.length; s++) {
+    if (scores[s] > scores[state]) state = s;
+  }
+  const path = [state];
+  for (let t = backpointers.length - 1; t >= 0; t--) {
+    state = backpointers[t][state];
+    path.push(state);
+  }
+  return path.reverse().map((s) => states[s]);
+}
+
+/**
+ * Get the candidate similarities and current speaker of a segment, or null when
+ * the segment can't take part in smoothing (environmental, manually reassigned,
+ * no candidates, or currently assigned to someone outside its candidates such as Unknown)
+ * @param {Object} segment
+ * @returns {{current: string, matches: Array<{speakerName: string, speakerIdx: number, similarity: number}>}|null}
+ */
+function getSmoothingInput(segment) {
+  if (!segment || segment.isEnvironmental || segment.speaker === null || segment.manuallyReassigned) {
+    return null;
+  }
+
+  const boosted = segment.inferenceAttribution?.boostedAttribution;
+  const matches = boosted?.debug?.allMatches?.length
+    ? boosted.debug.allMatches
+    : (segment.debug?.clustering?.allSimilarities || []).map((s) => ({
+      speakerName: s.speaker,
+      speakerIdx: s.speakerIdx,
+      similarity: s.similarity,
+    }));
+
+  const current = boosted?.speakerName ?? segment.speakerLabel;
+  if (!matches.some((m) => m.speakerName === current)) return null;
+
+  return { current, matches };
+}
+
+/**
+ * Smooth speaker assignments over time, per input channel, and record the decision
+ * on each eligible segment (segment.debug.smoothing, a SmoothingDecision). Ineligible segments are skipped
+ * without breaking the sequence and have any previous decision removed.
+ * @param {Array} segments - Segments in transcript order
+ * @param {Object} [options]
+ * @param {number} [options.changePenalty] - Cost of a speaker change; 0 or less disables smoothing
+ * @returns {number[]} Indices of segments whose smoothed speaker changed
+ */
+export function applyTemporalSmoothing(segments, options = {}) {
+  const { changePenalty = CONVERSATION_INFERENCE_DEFAULTS.smoothingChangePenalty } = options;
+  const changed = [];
+  const sequences = new Map(); // channelId -> [{ index, current, matches }]
+
+  (segments || []).forEach((segment, index) => {
+    const input = changePenalty > 0 ? getSmoothingInput(segment) : null;
+    if (input) {
+      const channelId = segment.channelId ?? 0;
+      if (!sequences.has(channelId)) sequences.set(channelId, []);
+      sequences.get(channelId).push({ index, ...input });
+    } else if (segment?.debug?.smoothing) {
+      if (segment.debug.smoothing.applied) changed.push(index);
+      delete segment.debug.smoothing;
+    }
+  });
+
+  for (const sequence of sequences.values()) {
+    sequence.sort((a, b) => (segments[a.index].startTime || 0) - (segments[b.index].startTime || 0));
+    const emissions = sequence.map(({ matches }) => new Map(matches.map((m) => [m.speakerName, m.similarity])));
+    const path = viterbiDecode(emissions, changePenalty);
+
+    sequence.forEach(({ index, current, matches }, i) => {
+      const segment = segments[index];
+      const to = path[i];
+      const previous = segment.debug?.smoothing;
+      const applied = to !== current;
+
+      if (!segment.debug) segment.debug = {};
+      segment.debug.smoothing = {
+        applied,
+        from: current,
+        to,
+        speakerIdx: matches.find((m) => m.speakerName === to)?.speakerIdx,
+        changePenalty,
+      };
+
+      if ((previous?.applied || false) !== applied || (applied && previous.to !== to)) {
+        changed.push(index);
+      }
+    });
+  }
+
+  return changed.sort((a, b) => a - b);
+}
+
+export default {
+  viterbiDecode,
+  applyTemporalSmoothing,
+};
@@ -0,0 +1,127 @@
+/**
+ * Enrollment Samples
+ * Picks and checks the audio of a saved recording that a speaker is enrolled from
+ *
+ * Instead of reading the enrollment passages, a speaker can be enrolled from segments
+ * of a recording (the longest ones first) or from a time range (cut into sample-sized
+ * windows). Each sample is sliced from the recording's 16kHz audio and must pass the
+ * same level checks as a live enrollment recording; the speech-content check runs on
+ * the samples together, since a single segment is often shorter than a read passage.
+ */
+
+import { SEGMENT_ENROLLMENT_DEFAULTS } from '../../config/index.js';
+import { AudioValidator } from '../validation/index.js';
+
+/**
+ * @typedef {Object} EnrollmentSample
+ * @property {number} start - Seconds from the start of the recording
+ * @property {number} end
+ * @property {string} [text] - Transcript of the sample, when it comes from a segment
+ */
+
+/**
+ * Choose the segments to build an enrollment from: the longest ones first,
+ * skipping segments too short for a reliable embedding
+ * @param {Object[]} segments - Candidate segments (with startTime/endTime)
+ * @param {Object} [options] - Overrides for SEGMENT_ENROLLMENT_DEFAULTS
+ * @returns {EnrollmentSample[]} Sample time ranges (long segments cut to maxSampleDuration), longest first
+ */
+export function selectEnrollmentSamples(segments, options = {}) {
+  const { maxSamples, minSampleDuration, maxSampleDuration } = { ...SEGMENT_ENROLLMENT_DEFAULTS, ...options };
+
+  return (segments || [])
+    .filter((s) => !s.isEnvironmental && s.endTime - s.startTime >= minSampleDuration)
+    .sort((a, b) => (b.endTime - b.startTime) - (a.endTime - a.startTime))
+    .slice(0, maxSamples)
+    .map((segment) => ({
+      start: segment.startTime,
+      end: Math.min(segment.endTime, segment.startTime + maxSampleDuration),
+      text: (segment.text || '').trim(),
+    }));
+}
+
+/**
+ * Cut a time range into enrollment samples of at most maxSampleDuration
+ * (a remainder shorter than minSampleDuration is added to the previous sample)
+ * @param {number} start - Range start (seconds)
+ * @param {number} end - Range end (seconds)
+ * @param {Object} [options] - Overrides for SEGMENT_ENROLLMENT_DEFAULTS
+ * @returns {EnrollmentSample[]}
+ */
+export function splitTimeRange(start, end, options = {}) {
+  const { maxSamples, minSampleDuration, maxSampleDuration } = { ...SEGMENT_ENROLLMENT_DEFAULTS, ...options };
+  if (!(end - start >= minSampleDuration)) return [];
+
+  const samples = [];
+  for (let time = start; time < end && samples.length < maxSamples; time += maxSampleDuration) {
+    samples.push({ start: time, end: Math.min(end, time + maxSampleDuration) });
+  }
+
+  const last = samples[samples.length - 1];
+  if (samples.length > 1 && last.end - last.start < minSampleDuration) {
+    samples.pop();
+    samples[samples.length - 1].end = last.end;
+  }
+  return samples;
+}
+
+/**
+ * Slice samples from a recording's audio and run the enrollment audio checks
+ * @param {Float32Array} audio - Whole recording (mono)
+ * @param {EnrollmentSample[]} samples - Time ranges to slice
+ * @param {number} [sampleRate=16000]
+ * @returns {{
+ *   accepted: Array<EnrollmentSample & {audio: Float32Array}>,
+ *   rejected: Array<EnrollmentSample & {errors: string[]}>,
+ *   warnings: string[],
+ *   errors: string[],
+ *   passed: boolean
+ * }} Samples that passed the level checks, and whether together they hold enough speech
+ */
+export function prepareEnrollmentSamples(audio, samples, sampleRate = 16000) {
+  const accepted = [];
+  const rejected = [];
+  const warnings = [];
+
+  for (const sample of samples || []) {
+    const startSample = Math.max(0, Math.floor(sample.start * sampleRate));
+    const endSample = Math.min(audio.length, Math.ceil(sample.end * sampleRate));
+    const sliced = audio.slice(startSample, endSample);
+
+    const quality = AudioValidator.validateAudioQuality(sliced);
+    if (sliced.length === 0 || !quality.passed) {
+      rejected.push({ ...sample, errors: quality.errors });
+      continue;
+    }
+    warnings.push(...quality.warnings);
+    accepted.push({ ...sample, audio: sliced });
+  }
+
+  const errors = [];
+  if (accepted.length === 0) {
+    errors.push(rejected[0]?.errors[0] || 'No audio to enroll from.');
+  } else {
+    const combined = new Float32Array(accepted.reduce((sum, s) => sum + s.audio.length, 0));
+    let offset = 0;
+    for (const sample of accepted) {
+      combined.set(sample.audio, offset);
+      offset += sample.audio.length;
+    }
+    const speech = AudioValidator.validateSpeechContent(AudioValidator.analyzeSpeechContent(combined, sampleRate));
+    errors.push(...speech.errors);
+  }
+
+  return {
+    accepted,
+    rejected,
+    warnings: [...new Set(warnings)],
+    errors,
+    passed: errors.length === 0,
+  };
+}
+
+export default {
+  selectEnrollmentSamples,
+  splitTimeRange,
+  prepareEnrollmentSamples,
+};
@@ -23,3 +23,23 @@ export {
   combineChunks,
   downloadBlob,
 } from './wavEncoder.js';
+
+export {
+  resolveEffectiveSpeaker,
+  formatSubtitleTimestamp,
+  wrapSubtitleText,
+  buildSubtitleCues,
+  toSrt,
+  toWebVtt,
+} from './subtitleExporter.js';
+
+export {
+  segmentsToRttm,
+  parseRttm,
+} from './rttmSerializer.js';
+
+export {
+  selectEnrollmentSamples,
+  splitTimeRange,
+  prepareEnrollmentSamples,
+} from './enrollmentSamples.js';
@@ -35,6 +35,7 @@ function serializeChunk(chunk) {
     isFinal: chunk.isFinal || false,
     channelId: chunk.channelId,
     wallTime: chunk.wallTime,
+    speechRegions: chunk.speechRegions || null,
   };
 }
 
@@ -78,14 +79,29 @@ export function deserializeChunks(chunks) {
     isFinal: chunk.isFinal || false,
     channelId: chunk.channelId,
     wallTime: chunk.wallTime,
+    speechRegions: chunk.speechRegions || null,
+  }));
+}
+
+/**
+ * Serialize raw Whisper words, keeping timing, confidence and hallucination flags
+ * @param {Object[]} [words] - Word-level ASR chunks
+ * @returns {Object[]|undefined}
+ */
+function serializeRawWords(words) {
+  return words?.map((w) => ({
+    text: w.text,
+    timestamp: w.timestamp,
+    ...(w.confidence != null && { confidence: w.confidence }),
+    ...(w.hallucination && { hallucination: w.hallucination }),
   }));
 }
 
 /**
  * Serialize transcription data for storage
- * Contains raw Whisper output per chunk (words, timestamps, merge info, debug timing)
+ * Contains raw Whisper output per chunk (words with timestamps and confidence, merge info, debug timing)
  * @param {Object[]} transcriptionData - Array of per-chunk transcription data
- * @returns {Object[]} Serialized transcription data (currently passthrough, future-proofs for type changes)
+ * @returns {Object[]} Serialized transcription data
  */
 export function serializeTranscriptionData(transcriptionData) {
   if (!transcriptionData || transcriptionData.length === 0) {
@@ -93,7 +109,11 @@ export function serializeTranscriptionData(transcriptionData) {
   }
   return transcriptionData.map((chunk) => ({
     chunkIndex: chunk.chunkIndex,
-    rawAsr: chunk.rawAsr,
+    rawAsr: chunk.rawAsr && {
+      ...chunk.rawAsr,
+      allWords: serializeRawWords(chunk.rawAsr.allWords),
+      keptWords: serializeRawWords(chunk.rawAsr.keptWords),
+    },
     overlapDuration: chunk.overlapDuration,
     mergeInfo: chunk.mergeInfo,
     debug: chunk.debug,
@@ -0,0 +1,127 @@
+/**
+ * RTTM Serializer
+ * Converts transcript segments to/from NIST RTTM for diarization interchange
+ *
+ * Each segment becomes one SPEAKER line:
+ *   SPEAKER <file-id> <channel> <onset> <duration> <NA> <NA> <speaker> <NA> <NA>
+ * RTTM channels are 1-based, while our channelConfigs ids are 0-based.
+ */
+
+import { resolveEffectiveSpeaker } from './subtitleExporter.js';
+
+/**
+ * Make a token safe for a whitespace-delimited RTTM field
+ * @param {string} value
+ * @param {string} fallback - Used when value is empty
+ * @returns {string}
+ */
+function toRttmToken(value, fallback) {
+  const token = String(value ?? '').trim().replace(/\s+/g, '_');
+  return token || fallback;
+}
+
+/**
+ * Serialize transcript segments to RTTM
+ * Environmental segments and segments without a speaker are skipped.
+ * @param {Array} segments - Transcript segments (job.segments)
+ * @param {Object} [options]
+ * @param {string} [options.fileId='recording'] - RTTM file id (whitespace is replaced with _)
+ * @param {Array<{id: number}>} [options.channelConfigs] - Recording channel configs; segments on
+ *   channels not listed here are written to the first configured channel
+ * @returns {string} RTTM file contents
+ */
+export function segmentsToRttm(segments, options = {}) {
+  const fileId = toRttmToken(options.fileId, 'recording');
+  const channelIds = (options.channelConfigs || []).map((c) => c.id);
+
+  const lines = [...(segments || [])]
+    .filter((seg) => !seg.isEnvironmental)
+    .sort((a, b) => (a.startTime || 0) - (b.startTime || 0))
+    .map((seg) => {
+      const { label } = resolveEffectiveSpeaker(seg);
+      if (!label) return null;
+
+      const onset = Math.max(0, seg.startTime || 0);
+      const duration = Math.max(0, (seg.endTime || onset) - onset);
+      if (duration === 0) return null;
+
+      let channelId = seg.channelId ?? 0;
+      if (channelIds.length > 0 && !channelIds.includes(channelId)) {
+        channelId = channelIds[0];
+      }
+
+      return [
+        'SPEAKER',
+        fileId,
+        channelId + 1,
+        onset.toFixed(3),
+        duration.toFixed(3),
+        '<NA>',
+        '<NA>',
+        toRttmToken(label, 'unknown'),
+        '<NA>',
+        '<NA>',
+      ].join(' ');
+    })
+    .filter(Boolean);
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Parse RTTM contents into a segment list
+ * Only SPEAKER lines are read; comments (;; or #) and other record types are ignored.
+ * Speakers are numbered in order of first appearance.
+ * @param {string} text - RTTM file contents
+ * @param {Object} [options]
+ * @param {string} [options.fileId] - Only keep lines for this file id
+ * @returns {Array<{speaker: number, speakerLabel: string, startTime: number, endTime: number, channelId: number, fileId: string}>}
+ *   Segments sorted by start time
+ * @throws {Error} If a SPEAKER line is malformed
+ */
+export function parseRttm(text, options = {}) {
+  const speakerIndex = new Map();
+  const segments = [];
+
+  (text || '').split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';;') || line.startsWith('#')) return;
+
+    const fields = line.split(/\s+/);
+    if (fields[0] !== 'SPEAKER') return;
+
+    if (fields.length < 8) {
+      throw new Error(`RTTM line ${i + 1}: expected at least 8 fields, got ${fields.length}`);
+    }
+
+    const [, fileId, channel, onsetStr, durationStr, , , speakerLabel] = fields;
+    if (options.fileId && fileId !== options.fileId) return;
+
+    const onset = parseFloat(onsetStr);
+    const duration = parseFloat(durationStr);
+    if (!Number.isFinite(onset) || !Number.isFinite(duration) || onset < 0 || duration < 0) {
+      throw new Error(`RTTM line ${i + 1}: invalid onset/duration "${onsetStr} ${durationStr}"`);
+    }
+
+    if (!speakerIndex.has(speakerLabel)) {
+      speakerIndex.set(speakerLabel, speakerIndex.size);
+    }
+
+    const channelNum = parseInt(channel, 10);
+    segments.push({
+      speaker: speakerIndex.get(speakerLabel),
+      speakerLabel,
+      startTime: onset,
+      endTime: onset + duration,
+      channelId: Number.isFinite(channelNum) && channelNum > 0 ? channelNum - 1 : 0,
+      fileId,
+    });
+  });
+
+  return segments.sort((a, b) => a.startTime - b.startTime);
+}
+
+export default {
+  segmentsToRttm,
+  parseRttm,
+};
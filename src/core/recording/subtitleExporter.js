@@ -0,0 +1,258 @@
+/**
+ * Subtitle Exporter
+ * Converts transcript segments to SRT and WebVTT caption files
+ */
+
+import { SUBTITLE_DEFAULTS } from '../../config/index.js';
+
+/**
+ * Resolve the speaker the UI actually displays for a segment.
+ * Boosting and temporal smoothing can change the attribution after clustering,
+ * so the stored speaker/speakerLabel are not always what the user sees.
+ * @param {Object} segment - Transcript segment
+ * @returns {{speaker: number|null, label: string|null}} Effective speaker id and label
+ */
+export function resolveEffectiveSpeaker(segment) {
+  const inference = segment?.inferenceAttribution;
+  const smoothing = segment?.debug?.smoothing;
+  let speaker = segment?.speaker ?? null;
+  let label = segment?.speakerLabel ?? null;
+
+  if (segment?.manuallyReassigned) {
+    // A manual reassignment wins over smoothing and boosting
+    return { speaker, label };
+  }
+  if (smoothing?.applied) {
+    // Smoothing overrides both clustering and boosting
+    if (smoothing.speakerIdx !== undefined) {
+      speaker = smoothing.speakerIdx;
+    }
+    label = smoothing.to;
+  } else if (inference?.wasInfluenced && inference?.boostedAttribution?.debug?.allMatches?.length > 0) {
+    // Boosting changed the result - use boosted speaker
+    const boostedBest = inference.boostedAttribution.debug.allMatches[0];
+    if (boostedBest.speakerIdx !== undefined) {
+      speaker = boostedBest.speakerIdx;
+    }
+    label = inference.displayInfo?.label || boostedBest.speakerName || label;
+  } else if (inference?.displayInfo?.label) {
+    // No boosting influence, but displayInfo may have the correct label
+    label = inference.displayInfo.label;
+  }
+
+  return { speaker, label };
+}
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+ * @param {number} seconds - Time in seconds
+ * @param {string} [separator=','] - Separator between seconds and milliseconds
+ * @returns {string} Formatted timestamp
+ */
+export function formatSubtitleTimestamp(seconds, separator = ',') {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Wrap text into lines no longer than maxLineLength, breaking at spaces.
+ * Single words longer than the limit are kept whole on their own line.
+ * @param {string} text - Text to wrap
+ * @param {number} [maxLineLength] - Maximum characters per line
+ * @returns {string[]} Wrapped lines
+ */
+export function wrapSubtitleText(text, maxLineLength = SUBTITLE_DEFAULTS.maxLineLength) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= maxLineLength) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+
+  return lines;
+}
+
+/**
+ * Get timed tokens for a segment, falling back to evenly distributed
+ * timings (by character count) when word timestamps are missing.
+ * Translations have no word timestamps, so they are distributed evenly
+ * (unless the segment was already English and is its own translation).
+ * @param {Object} segment - Transcript segment
+ * @param {'original'|'translation'} [track='original'] - Which text to use
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function getSegmentTokens(segment, track = 'original') {
+  if (track === 'original' || segment.translatedText === segment.text) {
+    const timedWords = (segment.words || [])
+      .map((w) => ({ text: (w.text || '').trim(), start: w.start, end: w.end }))
+      .filter((w) => w.text && Number.isFinite(w.start) && Number.isFinite(w.end));
+
+    if (timedWords.length > 0) return timedWords;
+  }
+
+  const text = track === 'translation' ? segment.translatedText : segment.text;
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const start = segment.startTime || 0;
+  const duration = Math.max(0, (segment.endTime || start) - start);
+  const totalChars = words.reduce((sum, w) => sum + w.length, 0);
+
+  let cursor = start;
+  return words.map((text) => {
+    const tokenStart = cursor;
+    cursor += duration * (text.length / totalChars);
+    return { text, start: tokenStart, end: cursor };
+  });
+}
+
+/**
+ * Build subtitle cues from transcript segments.
+ * Long segments are split at word boundaries so each cue stays within
+ * maxLinesPerCue wrapped lines and maxCueDuration seconds.
+ * @param {Array} segments - Transcript segments (job.segments)
+ * @param {Object} [options]
+ * @param {'prefix'|'voice'|'none'} [options.speakerStyle='prefix'] - How to mark the speaker:
+ *   'prefix' adds "Name: " to the text, 'voice' leaves it for a WebVTT <v> tag
+ * @param {number} [options.maxLineLength] - Maximum characters per line
+ * @param {number} [options.maxLinesPerCue] - Maximum lines per cue
+ * @param {number} [options.maxCueDuration] - Maximum cue duration in seconds
+ * @param {number} [options.minCueDuration] - Minimum cue duration in seconds
+ * @param {boolean} [options.includeEnvironmental] - Include environmental sound segments
+ * @param {'original'|'translation'} [options.track='original'] - Original text, or the English
+ *   translation of translate jobs (segments without a translation are skipped)
+ * @returns {Array<{start: number, end: number, speaker: string|null, language: string|null, lines: string[]}>} Cues in time order
+ */
+export function buildSubtitleCues(segments, options = {}) {
+  const {
+    speakerStyle = 'prefix',
+    maxLineLength = SUBTITLE_DEFAULTS.maxLineLength,
+    maxLinesPerCue = SUBTITLE_DEFAULTS.maxLinesPerCue,
+    maxCueDuration = SUBTITLE_DEFAULTS.maxCueDuration,
+    minCueDuration = SUBTITLE_DEFAULTS.minCueDuration,
+    includeEnvironmental = SUBTITLE_DEFAULTS.includeEnvironmental,
+    track = 'original',
+  } = options;
+
+  const cues = [];
+  const ordered = [...(segments || [])].sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+
+  for (const segment of ordered) {
+    if (segment.isEnvironmental && !includeEnvironmental) continue;
+
+    const tokens = getSegmentTokens(segment, track);
+    if (tokens.length === 0) continue;
+
+    const speaker = segment.isEnvironmental ? null : resolveEffectiveSpeaker(segment).label;
+    const language = track === 'translation' ? 'en' : segment.language || null;
+    const prefix = speakerStyle === 'prefix' && speaker ? `${speaker}: ` : '';
+
+    const layout = (words) => wrapSubtitleText(prefix + words.map((w) => w.text).join(' '), maxLineLength);
+
+    const flush = (words) => {
+      const start = words[0].start;
+      const end = Math.max(words[words.length - 1].end, start + minCueDuration);
+      cues.push({ start, end, speaker, language, lines: layout(words) });
+    };
+
+    let current = [];
+    for (const token of tokens) {
+      if (current.length > 0) {
+        const candidate = [...current, token];
+        const tooLong = layout(candidate).length > maxLinesPerCue;
+        const tooSlow = token.end - current[0].start > maxCueDuration;
+        if (tooLong || tooSlow) {
+          flush(current);
+          current = [];
+        }
+      }
+      current.push(token);
+    }
+    if (current.length > 0) flush(current);
+  }
+
+  return cues;
+}
+
+/**
+ * Escape text for use in a WebVTT cue payload
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert transcript segments to SRT
+ * @param {Array} segments - Transcript segments
+ * @param {Object} [options] - Cue options (see buildSubtitleCues); speakerStyle 'voice' is treated as 'prefix'
+ * @returns {string} SRT file contents
+ */
+export function toSrt(segments, options = {}) {
+  const speakerStyle = options.speakerStyle === 'none' ? 'none' : 'prefix';
+  const cues = buildSubtitleCues(segments, { ...options, speakerStyle });
+
+  return cues
+    .map((cue, i) => [
+      String(i + 1),
+      `${formatSubtitleTimestamp(cue.start, ',')} --> ${formatSubtitleTimestamp(cue.end, ',')}`,
+      ...cue.lines,
+    ].join('\n'))
+    .join('\n\n') + (cues.length > 0 ? '\n' : '');
+}
+
+/**
+ * Convert transcript segments to WebVTT.
+ * When the transcript mixes languages, each cue is wrapped in a <lang> span
+ * so players and screen readers know which language every caption is in.
+ * @param {Array} segments - Transcript segments
+ * @param {Object} [options] - Cue options (see buildSubtitleCues); speakerStyle defaults to 'voice'
+ * @returns {string} WebVTT file contents
+ */
+export function toWebVtt(segments, options = {}) {
+  const speakerStyle = options.speakerStyle || 'voice';
+  const cues = buildSubtitleCues(segments, { ...options, speakerStyle });
+  const tagLanguages = new Set(cues.map((cue) => cue.language).filter(Boolean)).size > 1;
+
+  const blocks = cues.map((cue) => {
+    const lines = cue.lines.map(escapeVtt);
+    if (tagLanguages && cue.language) {
+      lines[0] = `<lang ${cue.language}>${lines[0]}`;
+      lines[lines.length - 1] = `${lines[lines.length - 1]}</lang>`;
+    }
+    if (speakerStyle === 'voice' && cue.speaker) {
+      lines[0] = `<v ${escapeVtt(cue.speaker)}>${lines[0]}`;
+    }
+    return [
+      `${formatSubtitleTimestamp(cue.start, '.')} --> ${formatSubtitleTimestamp(cue.end, '.')}`,
+      ...lines,
+    ].join('\n');
+  });
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+export default {
+  resolveEffectiveSpeaker,
+  formatSubtitleTimestamp,
+  wrapSubtitleText,
+  buildSubtitleCues,
+  toSrt,
+  toWebVtt,
+};
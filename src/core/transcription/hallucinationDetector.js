@@ -0,0 +1,227 @@
+/**
+ * Hallucination Detector
+ * Flags Whisper output that was probably not spoken
+ *
+ * Small Whisper models sometimes loop ("thank you. thank you. thank you.") or produce
+ * text over silence, which would otherwise be attributed to whoever the phrase embedding
+ * happens to match. Three checks run on the word-level output of one chunk:
+ * - repetition: the same word or short phrase repeated back to back (the first
+ *   occurrence is kept, the repeats are flagged)
+ * - outside_speech: words whose timestamps don't touch any VAD speech region
+ * - text_rate: more characters than anyone can say in the chunk's speech time
+ *   (a chunk-level flag, since it doesn't say which words are wrong)
+ */
+
+import { HALLUCINATION_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} SpeechRegion
+ * @property {number} start - Seconds from the start of the chunk audio
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} TextRateCheck
+ * @property {number} charsPerSecond - Characters of text per second of speech
+ * @property {number} speechDuration - Seconds of speech the rate is based on
+ * @property {boolean} anomalous - Whether the rate is implausibly high
+ */
+
+/**
+ * Lower-case a word and strip surrounding punctuation; bracketed markers
+ * ([BLANK_AUDIO], [Music]) become '' so they never count as repeats
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeToken(text) {
+  const trimmed = (text || '').trim();
+  if (/^\[.*\]$/.test(trimmed)) return '';
+  return trimmed.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Turn per-frame VAD speech probabilities into speech regions
+ * @param {number[]} probabilities - Speech probability per frame
+ * @param {number} frameDuration - Seconds per frame
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.5] - Frames at or above this are speech
+ * @param {number} [options.offset=0] - Seconds to add to every region (audio before the first frame)
+ * @returns {SpeechRegion[]}
+ */
+export function getSpeechRegions(probabilities, frameDuration, options = {}) {
+  const { threshold = 0.5, offset = 0 } = options;
+  const regions = [];
+  let start = null;
+
+  (probabilities || []).forEach((probability, i) => {
+    if (probability >= threshold) {
+      if (start === null) start = i;
+    } else if (start !== null) {
+      regions.push({ start: offset + start * frameDuration, end: offset + i * frameDuration });
+      start = null;
+    }
+  });
+  if (start !== null) {
+    regions.push({ start: offset + start * frameDuration, end: offset + probabilities.length * frameDuration });
+  }
+  return regions;
+}
+
+/**
+ * Find words that repeat the words right before them
+ * @param {Array<{text: string}>} words
+ * @param {Object} [options]
+ * @param {number} [options.maxNgram] - Longest repeated phrase (in words) to look for
+ * @param {number} [options.minRepeats] - Occurrences of a phrase that count as a loop
+ * @param {number} [options.minSingleWordRepeats] - Occurrences of a single word that count as a loop
+ * @returns {Set<number>} Indices of repeated words (every occurrence after the first)
+ */
+export function findRepeatedWords(words, options = {}) {
+  const {
+    maxNgram = HALLUCINATION_DEFAULTS.maxNgram,
+    minRepeats = HALLUCINATION_DEFAULTS.minRepeats,
+    minSingleWordRepeats = HALLUCINATION_DEFAULTS.minSingleWordRepeats,
+  } = options;
+  const tokens = (words || []).map((w) => normalizeToken(w.text));
+  const flagged = new Set();
+
+  // Longest phrases first, so "thank you thank you" isn't read as single words
+  for (let n = Math.min(maxNgram, Math.floor(tokens.length / 2)); n >= 1; n--) {
+    const needed = n === 1 ? minSingleWordRepeats : minRepeats;
+    let i = 0;
+    while (i + n <= tokens.length) {
+      const phrase = tokens.slice(i, i + n);
+      if (phrase.some((t) => !t)) {
+        i++;
+        continue;
+      }
+
+      let repeats = 1;
+      while (phrase.every((t, k) => tokens[i + repeats * n + k] === t)) repeats++;
+
+      if (repeats >= needed) {
+        for (let j = i + n; j < i + repeats * n; j++) flagged.add(j);
+        i += repeats * n;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  return flagged;
+}
+
+/**
+ * Find words whose timestamps don't touch any speech region
+ * @param {Array<{timestamp: [number, number]}>} words
+ * @param {SpeechRegion[]|null} speechRegions - Null or empty skips the check
+ * @param {Object} [options]
+ * @param {number} [options.speechPadding] - Seconds a word may sit outside a region and still count
+ * @returns {Set<number>} Indices of words outside speech
+ */
+export function findWordsOutsideSpeech(words, speechRegions, options = {}) {
+  const { speechPadding = HALLUCINATION_DEFAULTS.speechPadding } = options;
+  const flagged = new Set();
+  if (!speechRegions?.length) return flagged;
+
+  (words || []).forEach((word, i) => {
+    const [start, end] = word.timestamp || [];
+    if (!Number.isFinite(start)) return;
+    const wordEnd = Number.isFinite(end) ? end : start;
+    const touchesSpeech = speechRegions.some(
+      (region) => start <= region.end + speechPadding && wordEnd >= region.start - speechPadding
+    );
+    if (!touchesSpeech) flagged.add(i);
+  });
+
+  return flagged;
+}
+
+/**
+ * Compare the amount of text with the time there was to say it
+ * @param {Array<{text: string}>} words
+ * @param {number} audioDuration - Chunk duration in seconds
+ * @param {SpeechRegion[]|null} [speechRegions] - When given, only speech time counts
+ * @param {Object} [options]
+ * @param {number} [options.maxCharsPerSecond]
+ * @param {number} [options.minCharsForRate] - Less text than this is never anomalous
+ * @returns {TextRateCheck}
+ */
+export function checkTextRate(words, audioDuration, speechRegions = null, options = {}) {
+  const {
+    maxCharsPerSecond = HALLUCINATION_DEFAULTS.maxCharsPerSecond,
+    minCharsForRate = HALLUCINATION_DEFAULTS.minCharsForRate,
+  } = options;
+
+  const chars = (words || [])
+    .filter((w) => normalizeToken(w.text))
+    .map((w) => w.text.trim())
+    .join(' ').length;
+  const speechDuration = speechRegions?.length
+    ? speechRegions.reduce((sum, r) => sum + Math.max(0, r.end - r.start), 0)
+    : audioDuration;
+
+  // Very short speech still gets a floor, so one clipped word doesn't look impossible
+  const charsPerSecond = chars / Math.max(speechDuration, 0.5);
+  return {
+    charsPerSecond,
+    speechDuration,
+    anomalous: chars >= minCharsForRate && charsPerSecond > maxCharsPerSecond,
+  };
+}
+
+/**
+ * Run all checks on the words of one chunk
+ * @param {Array<{text: string, timestamp: [number, number]}>} words - Word-level ASR chunks
+ * @param {Object} [options] - Overrides for HALLUCINATION_DEFAULTS, plus:
+ * @param {number} [options.audioDuration] - Chunk duration in seconds
+ * @param {SpeechRegion[]|null} [options.speechRegions] - VAD speech regions of the chunk
+ * @returns {{words: Array, textRate: TextRateCheck, flaggedCount: number}} Copies of the words, with
+ *   `hallucination` (list of reasons) on flagged ones
+ */
+export function detectHallucinations(words, options = {}) {
+  const config = { ...HALLUCINATION_DEFAULTS, ...options };
+  const list = words || [];
+
+  const repeated = findRepeatedWords(list, config);
+  const outside = findWordsOutsideSpeech(list, config.speechRegions, config);
+
+  let flaggedCount = 0;
+  const annotated = list.map((word, i) => {
+    const reasons = [];
+    if (repeated.has(i)) reasons.push('repetition');
+    if (outside.has(i)) reasons.push('outside_speech');
+    if (reasons.length === 0) return word;
+    flaggedCount++;
+    return { ...word, hallucination: reasons };
+  });
+
+  return {
+    words: annotated,
+    textRate: checkTextRate(list, config.audioDuration || 0, config.speechRegions, config),
+    flaggedCount,
+  };
+}
+
+/**
+ * Collect the hallucination reasons of a segment from its words and its chunk
+ * @param {Array<{hallucination?: string[]}>} words - Words of the segment
+ * @param {string[]} [chunkReasons=[]] - Chunk-level reasons (e.g. 'text_rate')
+ * @returns {{reasons: string[]}|null} Null when nothing is suspect
+ */
+export function getSegmentHallucination(words, chunkReasons = []) {
+  const reasons = new Set(chunkReasons || []);
+  for (const word of words || []) {
+    for (const reason of word.hallucination || []) reasons.add(reason);
+  }
+  return reasons.size > 0 ? { reasons: [...reasons] } : null;
+}
+
+export default {
+  getSpeechRegions,
+  findRepeatedWords,
+  findWordsOutsideSpeech,
+  checkTextRate,
+  detectHallucinations,
+  getSegmentHallucination,
+};
@@ -6,3 +6,34 @@ export { PhraseDetector } from './phraseDetector.js';
 export { OverlapMerger } from './overlapMerger.js';
 export { TranscriptMerger } from './transcriptMerger.js';
 export { mapWordsToSegments, debugPrintMapping } from './wordSegmentMapper.js';
+export { detectLanguageFromLogits, pickChunkLanguage, getTranscriptLanguages } from './languageDetector.js';
+export { mapTranslationToPhrases } from './translationMapper.js';
+export {
+  dedupeTerms,
+  parseVocabularyTerms,
+  parseReplacementRules,
+  formatReplacementRules,
+  buildInitialPrompt,
+  applyReplacements,
+} from './vocabulary.js';
+export {
+  getSpeechRegions,
+  findRepeatedWords,
+  findWordsOutsideSpeech,
+  checkTextRate,
+  detectHallucinations,
+  getSegmentHallucination,
+} from './hallucinationDetector.js';
+export { getTokenLogprob, attachWordConfidence, findLowConfidenceSpans } from './wordConfidence.js';
+export {
+  alignEditedText,
+  getSegmentEditState,
+  editSegmentText,
+  createEditHistory,
+  recordEdit,
+  undoEdit,
+  redoEdit,
+  remapEditHistory,
+} from './transcriptEditor.js';
+export { splitSegment, canMergeSegments, mergeSegments, rescoreSegmentSpeakers } from './segmentEditor.js';
+export { computeTalkTimeStats } from './talkTimeAnalytics.js';
@@ -0,0 +1,94 @@
+/**
+ * Language Detector
+ * Picks the spoken language of an audio chunk from Whisper's first decoder step
+ *
+ * Multilingual Whisper predicts a language token right after <|startoftranscript|>,
+ * so a softmax over just the language-token logits of that step gives a probability
+ * per language. Short chunks give noisy guesses, so a low-confidence detection keeps
+ * the language of the previous chunk on the same input instead of flipping.
+ */
+
+import { LANGUAGE_DETECTION_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} LanguageDetection
+ * @property {string} language - Most likely language code (e.g. 'es')
+ * @property {number} probability - Its probability among language tokens
+ * @property {Array<{language: string, probability: number}>} candidates - Top languages, most likely first
+ */
+
+/**
+ * Rank languages from the logits of the first decoder step
+ * @param {Float32Array|number[]} logits - Vocabulary logits for the step after <|startoftranscript|>
+ * @param {Record<string, number>} langToId - Language token ('<|en|>') to token ID (generation_config.lang_to_id)
+ * @param {Object} [options]
+ * @param {number} [options.topCandidates] - Number of candidates to return
+ * @returns {LanguageDetection|null} Null when no language token has a logit
+ */
+export function detectLanguageFromLogits(logits, langToId, options = {}) {
+  const { topCandidates = LANGUAGE_DETECTION_DEFAULTS.topCandidates } = options;
+
+  const entries = Object.entries(langToId || {})
+    .filter(([, id]) => id < logits.length)
+    .map(([token, id]) => ({ language: token.replace(/^<\|/, '').replace(/\|>$/, ''), logit: logits[id] }));
+  if (entries.length === 0) return null;
+
+  // Softmax over language tokens only (shifted by the max for stability)
+  const maxLogit = Math.max(...entries.map((e) => e.logit));
+  const weights = entries.map((e) => Math.exp(e.logit - maxLogit));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  const ranked = entries
+    .map((e, i) => ({ language: e.language, probability: weights[i] / total }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return {
+    language: ranked[0].language,
+    probability: ranked[0].probability,
+    candidates: ranked.slice(0, Math.max(1, topCandidates)),
+  };
+}
+
+/**
+ * Decide the language to transcribe a chunk in
+ * @param {LanguageDetection|null} detection - Detection for this chunk
+ * @param {string|null} previousLanguage - Language of the previous chunk on the same input
+ * @param {Object} [options]
+ * @param {number} [options.minProbability] - Detections below this keep the previous language
+ * @param {string} [options.fallbackLanguage] - Used when there is no usable detection or previous language
+ * @returns {{language: string, reason: 'detected'|'previous'|'fallback'}}
+ */
+export function pickChunkLanguage(detection, previousLanguage, options = {}) {
+  const {
+    minProbability = LANGUAGE_DETECTION_DEFAULTS.minProbability,
+    fallbackLanguage = LANGUAGE_DETECTION_DEFAULTS.fallbackLanguage,
+  } = options;
+
+  if (detection && (detection.probability >= minProbability || !previousLanguage)) {
+    return { language: detection.language, reason: 'detected' };
+  }
+  if (previousLanguage) {
+    return { language: previousLanguage, reason: 'previous' };
+  }
+  return { language: fallbackLanguage, reason: 'fallback' };
+}
+
+/**
+ * Distinct languages of a transcript, most used (by segment count) first
+ * @param {Array<{language?: string, isEnvironmental?: boolean}>} segments
+ * @returns {string[]}
+ */
+export function getTranscriptLanguages(segments) {
+  const counts = new Map();
+  for (const segment of segments || []) {
+    if (!segment?.language || segment.isEnvironmental) continue;
+    counts.set(segment.language, (counts.get(segment.language) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([language]) => language);
+}
+
+export default {
+  detectLanguageFromLogits,
+  pickChunkLanguage,
+  getTranscriptLanguages,
+};
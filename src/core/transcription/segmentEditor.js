@@ -0,0 +1,202 @@
+/**
+ * Segment Editor
+ * Manual splitting and merging of transcript segments
+ *
+ * A phrase sometimes holds two speakers, or one speaker's sentence ends up in several
+ * segments. Splitting cuts a segment at a word boundary; merging joins a segment with
+ * the next one. Both keep the speaker of the (first) source segment and clear the
+ * embedding, which the caller re-extracts for the new time span before re-scoring the
+ * speaker candidates with rescoreSegmentSpeakers.
+ */
+
+import { l2NormalizeCopy, cosineSimilarity } from '../embedding/embeddingUtils.js';
+import { getSegmentHallucination } from './hallucinationDetector.js';
+
+/**
+ * Chunk-level hallucination reasons of a segment (not tied to any of its words)
+ * @param {Object} segment
+ * @returns {string[]}
+ */
+function getChunkReasons(segment) {
+  const wordReasons = new Set((segment.words || []).flatMap((w) => w.hallucination || []));
+  return (segment.hallucination?.reasons || []).filter((reason) => !wordReasons.has(reason));
+}
+
+/**
+ * Debug info of a source segment without its temporal smoothing (which was decided for the old span)
+ * @param {Object} segment
+ * @returns {Object}
+ */
+function getUnsmoothedDebug(segment) {
+  const { smoothing, ...debug } = segment.debug || {};
+  return debug;
+}
+
+/**
+ * Split the ASR text of a hand-edited segment where its (edited) words are split.
+ * The edited words don't map one-to-one to the ASR words, so the cut falls at the
+ * same share of the ASR words.
+ * @param {string} originalText
+ * @param {number} wordIndex - First edited word of the second part
+ * @param {number} wordCount - Number of edited words
+ * @returns {[string, string]}
+ */
+function splitOriginalText(originalText, wordIndex, wordCount) {
+  const tokens = originalText.match(/\s*\S+/g) || [];
+  const cut = Math.round((wordIndex / wordCount) * tokens.length);
+  return [tokens.slice(0, cut).join(''), tokens.slice(cut).join('')];
+}
+
+/**
+ * Build one part of a split segment from a run of its words
+ * @param {Object} segment - Segment being split
+ * @param {Object[]} words - Words of the part
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {string} [originalText] - The part's share of the ASR text (hand-edited segments)
+ * @returns {Object}
+ */
+function buildPart(segment, words, startTime, endTime, originalText) {
+  const { embedding, inferenceAttribution, originalText: _, ...rest } = segment;
+  return {
+    ...rest,
+    ...(segment.humanEdited && { originalText }),
+    text: words.map((w) => w.text).join(''),
+    // The translation covers the whole phrase and can't be cut at a source word
+    translatedText: null,
+    startTime,
+    endTime,
+    words,
+    hallucination: getSegmentHallucination(words, getChunkReasons(segment)),
+    embedding: null,
+    debug: {
+      ...getUnsmoothedDebug(segment),
+      duration: endTime - startTime,
+      manualSplit: { from: [segment.startTime, segment.endTime], timestamp: Date.now() },
+    },
+  };
+}
+
+/**
+ * Split a segment before one of its words
+ * @param {Object} segment - Segment with words ({text, start, end})
+ * @param {number} wordIndex - First word of the second part
+ * @returns {[Object, Object]|null} The two parts, or null when the index doesn't split the words
+ */
+export function splitSegment(segment, wordIndex) {
+  const words = segment?.words || [];
+  if (wordIndex <= 0 || wordIndex >= words.length) return null;
+
+  const head = words.slice(0, wordIndex);
+  const tail = words.slice(wordIndex);
+  const [headOriginal, tailOriginal] = segment.humanEdited
+    ? splitOriginalText(segment.originalText ?? segment.text, wordIndex, words.length)
+    : [];
+  return [
+    buildPart(segment, head, segment.startTime, head[head.length - 1].end ?? segment.startTime, headOriginal),
+    buildPart(segment, tail, tail[0].start ?? segment.endTime, segment.endTime, tailOriginal),
+  ];
+}
+
+/**
+ * Check whether two segments can be merged into one
+ * @param {Object} first
+ * @param {Object} second
+ * @returns {boolean}
+ */
+export function canMergeSegments(first, second) {
+  return !!first && !!second
+    && !first.isEnvironmental && !second.isEnvironmental
+    && (first.channelId ?? null) === (second.channelId ?? null);
+}
+
+/**
+ * Merge a segment with the one after it
+ * @param {Object} first
+ * @param {Object} second
+ * @returns {Object|null} Merged segment (speaker of the first), or null when they can't be merged
+ */
+export function mergeSegments(first, second) {
+  if (!canMergeSegments(first, second)) return null;
+
+  const { embedding, inferenceAttribution, ...rest } = first;
+  const words = [...(first.words || []), ...(second.words || [])];
+  const startTime = Math.min(first.startTime, second.startTime);
+  const endTime = Math.max(first.endTime, second.endTime);
+  const translations = [first.translatedText, second.translatedText].filter((t) => t?.trim());
+  const humanEdited = !!(first.humanEdited || second.humanEdited);
+
+  return {
+    ...rest,
+    text: `${first.text}${second.text}`,
+    translatedText: translations.length > 0 ? translations.map((t) => t.trim()).join(' ') : null,
+    startTime,
+    endTime,
+    words,
+    hallucination: getSegmentHallucination(words, [...getChunkReasons(first), ...getChunkReasons(second)]),
+    humanEdited,
+    ...(humanEdited && { originalText: `${first.originalText ?? first.text}${second.originalText ?? second.text}` }),
+    manuallyReassigned: !!(first.manuallyReassigned || second.manuallyReassigned),
+    embedding: null,
+    debug: {
+      ...getUnsmoothedDebug(first),
+      duration: endTime - startTime,
+      manualMerge: { from: [[first.startTime, first.endTime], [second.startTime, second.endTime]], timestamp: Date.now() },
+    },
+  };
+}
+
+/**
+ * Re-score a segment's speaker candidates with its (new) embedding.
+ * Each candidate is compared to the mean embedding of the other segments attributed to it;
+ * candidates with no other segments keep their previous score.
+ * @param {Object} segment - Segment with embedding and debug.clustering.allSimilarities
+ * @param {Object[]} segments - All segments of the transcript
+ * @param {Object} [options]
+ * @param {Object[]} [options.exclude=[]] - Segments to leave out of the speaker means
+ *   (e.g. the other part of a split, which may be someone else)
+ * @returns {Object|null} Updated clustering debug info, or null when there is nothing to score
+ */
+export function rescoreSegmentSpeakers(segment, segments, options = {}) {
+  const { exclude = [] } = options;
+  const clustering = segment?.debug?.clustering;
+  const candidates = clustering?.allSimilarities || [];
+  if (!segment.embedding || candidates.length === 0) return null;
+
+  const sums = new Map();
+  for (const other of segments || []) {
+    if (other === segment || exclude.includes(other) || !other.embedding || other.isEnvironmental) continue;
+    const normalized = l2NormalizeCopy(other.embedding);
+    const sum = sums.get(other.speaker);
+    if (sum) {
+      normalized.forEach((v, i) => { sum[i] += v; });
+    } else {
+      sums.set(other.speaker, normalized);
+    }
+  }
+
+  const allSimilarities = candidates.map((candidate) => {
+    const centroid = sums.get(candidate.speakerIdx);
+    return centroid ? { ...candidate, similarity: cosineSimilarity(segment.embedding, centroid) } : candidate;
+  });
+
+  const ranked = [...allSimilarities].sort((a, b) => b.similarity - a.similarity);
+  const assigned = allSimilarities.find((c) => c.speakerIdx === segment.speaker) || ranked[0];
+  const runnerUp = ranked.find((c) => c !== assigned) || null;
+
+  return {
+    ...clustering,
+    allSimilarities,
+    similarity: assigned.similarity,
+    secondBestSimilarity: runnerUp?.similarity ?? 0,
+    secondBestSpeaker: runnerUp?.speaker ?? null,
+    margin: assigned.similarity - (runnerUp?.similarity ?? 0),
+  };
+}
+
+export default {
+  splitSegment,
+  canMergeSegments,
+  mergeSegments,
+  rescoreSegmentSpeakers,
+};
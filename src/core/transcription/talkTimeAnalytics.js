@@ -0,0 +1,170 @@
+/**
+ * Talk-Time Analytics
+ * Per-speaker talk time and turn-taking statistics for a job's transcript
+ *
+ * Segments are attributed to the speaker the UI shows (after smoothing, boosting and
+ * manual reassignment). Consecutive segments of one speaker form a turn until someone
+ * else speaks or they pause longer than maxTurnPause. A turn that starts before the
+ * previous speaker's turn ends, or within interruptionGap of it, is an interruption.
+ */
+
+import { resolveEffectiveSpeaker } from '../recording/subtitleExporter.js';
+import { TALK_TIME_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} SpeakerTalkStats
+ * @property {string} speaker - Speaker label
+ * @property {number} talkTime - Seconds of speech (overlapping segments counted once)
+ * @property {number} share - Fraction of all speakers' talk time (0-1)
+ * @property {number} turns - Number of turns
+ * @property {number} averageTurnLength - Seconds of speech per turn
+ * @property {{duration: number, startTime: number, endTime: number}} longestMonologue - Longest turn
+ *   (from its first word to its last, pauses included)
+ * @property {number} interruptions - Turns that cut in on another speaker
+ * @property {number} interrupted - Times another speaker cut in on this one
+ * @property {number} wordCount
+ * @property {number|null} wordsPerMinute - Words per minute of talk time (null without talk time)
+ */
+
+/**
+ * @typedef {Object} Turn
+ * @property {string} speaker
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {boolean} isInterruption
+ */
+
+/**
+ * Number of words in a segment (timed words when present, otherwise its text)
+ * @param {Object} segment
+ * @returns {number}
+ */
+function countWords(segment) {
+  const timed = (segment.words || []).filter((w) => (w.text || '').trim());
+  if (timed.length > 0) return timed.length;
+  return (segment.text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Total length of a set of intervals, counting overlaps once
+ * @param {Array<{start: number, end: number}>} intervals - Sorted by start
+ * @returns {number}
+ */
+function unionLength(intervals) {
+  let total = 0;
+  let coveredUntil = -Infinity;
+  for (const { start, end } of intervals) {
+    if (end <= coveredUntil) continue;
+    total += end - Math.max(start, coveredUntil);
+    coveredUntil = end;
+  }
+  return total;
+}
+
+/**
+ * Compute talk-time and turn-taking statistics from a job's segments
+ * @param {Object[]} segments - Transcript segments (job.segments)
+ * @param {Object} [options] - Overrides for TALK_TIME_DEFAULTS
+ * @returns {{
+ *   duration: number,
+ *   totalTalkTime: number,
+ *   turnCount: number,
+ *   interruptionCount: number,
+ *   speakers: SpeakerTalkStats[],
+ *   turns: Turn[]
+ * }} Speakers are sorted by talk time, most first
+ */
+export function computeTalkTimeStats(segments, options = {}) {
+  const config = { ...TALK_TIME_DEFAULTS, ...options };
+
+  const spoken = (segments || [])
+    .filter((seg) => !seg.isEnvironmental)
+    .map((seg) => ({
+      speaker: resolveEffectiveSpeaker(seg).label,
+      start: Math.max(0, seg.startTime || 0),
+      end: seg.endTime || 0,
+      wordCount: countWords(seg),
+    }))
+    .filter((seg) => seg.speaker && seg.end > seg.start)
+    .sort((a, b) => a.start - b.start);
+
+  const bySpeaker = new Map();
+  const statsFor = (speaker) => {
+    if (!bySpeaker.has(speaker)) {
+      bySpeaker.set(speaker, {
+        intervals: [],
+        turns: 0,
+        longest: null,
+        interruptions: 0,
+        interrupted: 0,
+        wordCount: 0,
+      });
+    }
+    return bySpeaker.get(speaker);
+  };
+
+  const turns = [];
+  for (const seg of spoken) {
+    const stats = statsFor(seg.speaker);
+    stats.intervals.push(seg);
+    stats.wordCount += seg.wordCount;
+
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === seg.speaker && seg.start - last.endTime <= config.maxTurnPause) {
+      last.endTime = Math.max(last.endTime, seg.end);
+      continue;
+    }
+
+    const isInterruption = !!last && last.speaker !== seg.speaker
+      && seg.start - last.endTime < config.interruptionGap;
+    if (isInterruption) {
+      stats.interruptions++;
+      statsFor(last.speaker).interrupted++;
+    }
+    stats.turns++;
+    turns.push({ speaker: seg.speaker, startTime: seg.start, endTime: seg.end, isInterruption });
+  }
+
+  for (const turn of turns) {
+    const stats = bySpeaker.get(turn.speaker);
+    const duration = turn.endTime - turn.startTime;
+    if (!stats.longest || duration > stats.longest.duration) {
+      stats.longest = { duration, startTime: turn.startTime, endTime: turn.endTime };
+    }
+  }
+
+  const speakers = [...bySpeaker.entries()].map(([speaker, stats]) => {
+    const talkTime = unionLength(stats.intervals);
+    return {
+      speaker,
+      talkTime,
+      share: 0,
+      turns: stats.turns,
+      averageTurnLength: talkTime / stats.turns,
+      longestMonologue: stats.longest,
+      interruptions: stats.interruptions,
+      interrupted: stats.interrupted,
+      wordCount: stats.wordCount,
+      wordsPerMinute: talkTime > 0 ? stats.wordCount / (talkTime / 60) : null,
+    };
+  });
+
+  const totalTalkTime = speakers.reduce((sum, s) => sum + s.talkTime, 0);
+  for (const s of speakers) {
+    s.share = totalTalkTime > 0 ? s.talkTime / totalTalkTime : 0;
+  }
+  speakers.sort((a, b) => b.talkTime - a.talkTime);
+
+  return {
+    duration: spoken.length > 0 ? Math.max(...spoken.map((s) => s.end)) - spoken[0].start : 0,
+    totalTalkTime,
+    turnCount: turns.length,
+    interruptionCount: turns.filter((t) => t.isInterruption).length,
+    speakers,
+    turns,
+  };
+}
+
+export default {
+  computeTalkTimeStats,
+};
@@ -0,0 +1,275 @@
+/**
+ * Transcript Editor
+ * Hand edits of segment text, kept aligned to the ASR word timestamps, with undo/redo
+ *
+ * An edit replaces a segment's text, but its words keep their timing: the edited words
+ * are diffed against the original ones, words that survive the edit keep their timestamps,
+ * and new or rewritten words share the time of the words they replaced (or the gap
+ * between their neighbours). Each edit is recorded as a before/after snapshot of the
+ * segment in a history that lives on the job, so it can be undone after a reload.
+ */
+
+import { TRANSCRIPT_EDIT_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} SegmentWord
+ * @property {string} text - Word text with its leading space
+ * @property {number} start - Seconds from the start of the recording
+ * @property {number} end
+ * @property {number} [confidence] - ASR confidence (dropped when the word is edited)
+ * @property {boolean} [edited] - Set on words the user typed or changed
+ */
+
+/**
+ * @typedef {Object} SegmentEditState
+ * @property {string} text
+ * @property {SegmentWord[]} words
+ * @property {boolean} humanEdited
+ * @property {string|null} originalText - ASR text before the first edit
+ */
+
+/**
+ * @typedef {Object} EditEntry
+ * @property {number} segmentIndex
+ * @property {SegmentEditState} before
+ * @property {SegmentEditState} after
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} EditHistory
+ * @property {EditEntry[]} entries - Edits in the order they were made
+ * @property {number} position - Number of entries currently applied (entries after it can be redone)
+ */
+
+/**
+ * Lower-case a word and strip surrounding punctuation for matching
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeToken(text) {
+  return (text || '').trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Pair up words of two token lists that survive an edit (longest common subsequence)
+ * @param {string[]} a - Normalized original tokens
+ * @param {string[]} b - Normalized edited tokens
+ * @returns {Array<[number, number]>} Matched [originalIndex, editedIndex] pairs in order
+ */
+function matchTokens(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] && a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] && a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Give new words a share of a time range, in proportion to their length
+ * @param {string[]} texts - Word texts
+ * @param {number} start
+ * @param {number} end
+ * @returns {SegmentWord[]}
+ */
+function spreadWords(texts, start, end) {
+  const lengths = texts.map((t) => Math.max(1, t.trim().length));
+  const total = lengths.reduce((sum, n) => sum + n, 0);
+  const duration = Math.max(0, end - start);
+  let time = start;
+  return texts.map((text, k) => {
+    const wordStart = time;
+    time += (duration * lengths[k]) / total;
+    return { text, start: wordStart, end: time, edited: true };
+  });
+}
+
+/**
+ * Re-align edited text to the timestamped words it was edited from
+ * @param {SegmentWord[]} words - Current words of the segment
+ * @param {string} text - Edited text
+ * @param {Object} [options]
+ * @param {number} [options.start] - Segment start (for words added before the first word)
+ * @param {number} [options.end] - Segment end (for words added after the last word)
+ * @returns {SegmentWord[]} New words; unchanged words are the original objects
+ */
+export function alignEditedText(words, text, options = {}) {
+  const original = words || [];
+  const {
+    start = original[0]?.start ?? 0,
+    end = original[original.length - 1]?.end ?? start,
+  } = options;
+  const edited = (text || '').trim().split(/\s+/).filter(Boolean).map((t) => ` ${t}`);
+
+  const pairs = matchTokens(original.map((w) => normalizeToken(w.text)), edited.map(normalizeToken));
+  // Sentinels so text before the first and after the last match is handled like any gap
+  const anchors = [[-1, -1], ...pairs, [original.length, edited.length]];
+  const result = [];
+
+  for (let k = 0; k < anchors.length - 1; k++) {
+    const [prevOld, prevNew] = anchors[k];
+    const [nextOld, nextNew] = anchors[k + 1];
+
+    if (prevOld >= 0 && prevNew >= 0) {
+      const word = original[prevOld];
+      const newText = edited[prevNew];
+      if (word.text.trim() === newText.trim()) {
+        result.push(word);
+      } else {
+        // Same word, different spelling or punctuation: keep the timing, not the ASR scores
+        const { confidence, hallucination, ...rest } = word;
+        result.push({ ...rest, text: newText, edited: true });
+      }
+    }
+
+    const inserted = edited.slice(prevNew + 1, nextNew);
+    if (inserted.length === 0) continue;
+
+    const removed = original.slice(prevOld + 1, nextOld);
+    const gapStart = removed.length > 0 ? removed[0].start : (original[prevOld]?.end ?? start);
+    const gapEnd = removed.length > 0 ? removed[removed.length - 1].end : (original[nextOld]?.start ?? end);
+    result.push(...spreadWords(inserted, gapStart, Math.max(gapStart, gapEnd)));
+  }
+
+  return result;
+}
+
+/**
+ * Snapshot the editable fields of a segment
+ * @param {Object} segment
+ * @returns {SegmentEditState}
+ */
+export function getSegmentEditState(segment) {
+  return {
+    text: segment.text,
+    words: segment.words || [],
+    humanEdited: segment.humanEdited || false,
+    originalText: segment.originalText ?? null,
+  };
+}
+
+/**
+ * Work out a segment's state after its text is edited
+ * @param {Object} segment - Segment with text, words, startTime and endTime
+ * @param {string} text - Edited text
+ * @returns {SegmentEditState|null} Null when the text is empty or didn't change
+ */
+export function editSegmentText(segment, text) {
+  const normalized = (text || '').trim().replace(/\s+/g, ' ');
+  if (!normalized || normalized === (segment.text || '').trim()) return null;
+
+  const words = alignEditedText(segment.words, normalized, {
+    start: segment.startTime,
+    end: segment.endTime,
+  });
+  return {
+    text: words.map((w) => w.text).join(''),
+    words,
+    humanEdited: true,
+    originalText: segment.originalText ?? segment.text,
+  };
+}
+
+/**
+ * Create an empty edit history
+ * @returns {EditHistory}
+ */
+export function createEditHistory() {
+  return { entries: [], position: 0 };
+}
+
+/**
+ * Record an edit, dropping anything that could have been redone
+ * @param {EditHistory|null} history
+ * @param {EditEntry} entry
+ * @param {Object} [options]
+ * @param {number} [options.maxHistory] - Entries to keep (oldest go first)
+ * @returns {EditHistory}
+ */
+export function recordEdit(history, entry, options = {}) {
+  const { maxHistory = TRANSCRIPT_EDIT_DEFAULTS.maxHistory } = options;
+  const current = history || createEditHistory();
+  const entries = [...current.entries.slice(0, current.position), entry].slice(-maxHistory);
+  return { entries, position: entries.length };
+}
+
+/**
+ * Step back one edit
+ * @param {EditHistory|null} history
+ * @returns {{history: EditHistory, entry: EditEntry}|null} The entry to revert (restore its `before`),
+ *   or null when there is nothing to undo
+ */
+export function undoEdit(history) {
+  if (!history || history.position <= 0) return null;
+  const position = history.position - 1;
+  return { history: { ...history, position }, entry: history.entries[position] };
+}
+
+/**
+ * Step forward one undone edit
+ * @param {EditHistory|null} history
+ * @returns {{history: EditHistory, entry: EditEntry}|null} The entry to re-apply (restore its `after`),
+ *   or null when there is nothing to redo
+ */
+export function redoEdit(history) {
+  if (!history || history.position >= history.entries.length) return null;
+  return {
+    history: { ...history, position: history.position + 1 },
+    entry: history.entries[history.position],
+  };
+}
+
+/**
+ * Follow segments being replaced (split or merged): entries of later segments move to
+ * their new index, entries of the replaced segments are dropped (their snapshots
+ * describe segments that no longer exist)
+ * @param {EditHistory|null} history
+ * @param {number} index - First replaced segment
+ * @param {number} count - Number of replaced segments
+ * @param {number} replacementCount - Number of segments that took their place
+ * @returns {EditHistory|null}
+ */
+export function remapEditHistory(history, index, count, replacementCount) {
+  if (!history) return null;
+
+  const entries = [];
+  let position = 0;
+  history.entries.forEach((entry, i) => {
+    if (entry.segmentIndex >= index && entry.segmentIndex < index + count) return;
+    entries.push(entry.segmentIndex < index
+      ? entry
+      : { ...entry, segmentIndex: entry.segmentIndex + replacementCount - count });
+    if (i < history.position) position++;
+  });
+  return { entries, position };
+}
+
+export default {
+  alignEditedText,
+  getSegmentEditState,
+  editSegmentText,
+  createEditHistory,
+  recordEdit,
+  undoEdit,
+  redoEdit,
+  remapEditHistory,
+};
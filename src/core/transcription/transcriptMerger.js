@@ -5,6 +5,7 @@
 
 import { SpeakerClusterer } from '../embedding/speakerClusterer.js';
 import { SoundClassifier } from '../sound/soundClassifier.js';
+import { getSegmentHallucination } from './hallucinationDetector.js';
 
 export class TranscriptMerger {
   /**
@@ -39,13 +40,25 @@ export class TranscriptMerger {
 
   /**
    * Merge ASR results with phrase-based diarization
-   * @param {Object} asrResult - Whisper output with text
+   * @param {Object} asrResult - Whisper output with text (and the chunk's language and
+   *   hallucination check, when known)
    * @param {Array} phrases - Phrases from PhraseDetector with words, start, end, embedding
    * @param {number} chunkStartTime - Start time offset for this audio chunk
    * @returns {Array} Merged segments with speaker labels and text
    */
   merge(asrResult, phrases, chunkStartTime = 0) {
     const result = [];
+    // Whole chunks are transcribed in one language, so every segment inherits it
+    const language = asrResult?.language || null;
+    const languageDetection = asrResult?.languageDetection || null;
+    // Translate jobs: English chunks are their own translation
+    const translation = asrResult?.translation || null;
+    const translate = (text, phraseTranslation) => {
+      if (!translation) return null;
+      return translation.skipped ? text : phraseTranslation ?? null;
+    };
+    // Chunk-level hallucination reasons (e.g. implausible text rate) apply to every segment
+    const chunkHallucinationReasons = asrResult?.hallucination?.reasons || [];
 
     // Handle case with no phrases
     if (!phrases || phrases.length === 0) {
@@ -58,6 +71,9 @@ export class TranscriptMerger {
           speaker: speakerId,
           speakerLabel: this.speakerClusterer.getSpeakerLabel(speakerId),
           text,
+          translatedText: translate(text, translation?.text?.trim() || null),
+          language,
+          hallucination: getSegmentHallucination(asrResult.chunks, chunkHallucinationReasons),
           startTime: chunkStartTime,
           endTime: chunkStartTime + (asrResult.chunks?.length > 0
             ? (asrResult.chunks[asrResult.chunks.length - 1].timestamp?.[1] || 0)
@@ -114,12 +130,18 @@ export class TranscriptMerger {
         speaker: phrase.clusteredSpeakerId,
         speakerLabel: this.speakerClusterer.getSpeakerLabel(phrase.clusteredSpeakerId),
         text,
+        translatedText: translate(text, phrase.translatedText),
+        language,
+        // Suspected hallucination (repetition loop, text over silence): shown with a badge
+        hallucination: getSegmentHallucination(words, chunkHallucinationReasons),
         startTime: chunkStartTime + phrase.start,
         endTime: chunkStartTime + phrase.end,
         words: words.map((w) => ({
           text: w.text,
           start: chunkStartTime + (w.timestamp?.[0] || phrase.start),
           end: chunkStartTime + (w.timestamp?.[1] || phrase.end),
+          ...(w.confidence != null && { confidence: w.confidence }),
+          ...(w.hallucination && { hallucination: w.hallucination }),
         })),
         // Feature 7: Preserve embedding for segment comparison mode
         embedding: phrase.embedding ? Array.from(phrase.embedding) : null,
@@ -129,6 +151,7 @@ export class TranscriptMerger {
           frameCount: phrase.frameCount || 0,
           type: 'speech',
           clustering: phrase.clusteringDebug || null,
+          languageDetection,
         },
       });
     }
@@ -148,6 +171,8 @@ export class TranscriptMerger {
         speaker: null,
         speakerLabel: null,
         text,
+        translatedText: null,
+        language,
         startTime: chunkStartTime + phrase.start,
         endTime: chunkStartTime + phrase.end,
         isEnvironmental: true,
@@ -0,0 +1,56 @@
+/**
+ * Translation Mapper
+ * Distributes Whisper's translated text over the phrases of the original transcript
+ *
+ * The translate task only yields sentence-level timestamps (word timings for translated
+ * tokens don't line up with the audio), so each translated sentence is given to the
+ * phrase it overlaps most in time. Sentences that fall in a gap go to the nearest phrase
+ * so no translated text is dropped.
+ */
+
+/**
+ * Map translated chunks onto phrases
+ * @param {Array<{start: number, end: number}>} phrases - Phrases (times relative to the audio chunk)
+ * @param {Array<{text: string, timestamp: [number, number|null]}>} translationChunks - Whisper translate output chunks
+ * @returns {Array<string|null>} Translated text per phrase (null when none was assigned)
+ */
+export function mapTranslationToPhrases(phrases, translationChunks) {
+  const texts = (phrases || []).map(() => []);
+  if (texts.length === 0) return [];
+
+  const lastEnd = Math.max(...phrases.map((p) => p.end));
+
+  for (const chunk of translationChunks || []) {
+    const text = chunk.text?.trim();
+    if (!text) continue;
+
+    const start = chunk.timestamp?.[0] ?? 0;
+    // Whisper leaves the end of the final sentence open
+    const end = chunk.timestamp?.[1] ?? Math.max(start, lastEnd);
+
+    let best = -1;
+    let bestOverlap = 0;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    phrases.forEach((phrase, i) => {
+      const overlap = Math.min(end, phrase.end) - Math.max(start, phrase.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        best = i;
+      }
+      const distance = Math.max(phrase.start - end, start - phrase.end, 0);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = i;
+      }
+    });
+
+    texts[best >= 0 ? best : nearest].push(text);
+  }
+
+  return texts.map((parts) => (parts.length > 0 ? parts.join(' ') : null));
+}
+
+export default {
+  mapTranslationToPhrases,
+};
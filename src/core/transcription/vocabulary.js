@@ -0,0 +1,167 @@
+/**
+ * Vocabulary
+ * Custom vocabulary for Whisper: a decoder prompt that biases spelling toward known
+ * terms and names, and a find/replace dictionary for what it still gets wrong
+ *
+ * Whisper reads the prompt as text that preceded the audio, so listing product names
+ * and people makes it far more likely to spell them the same way. Replacement rules run
+ * on the timestamped words before phrase detection, so corrected words keep their timing.
+ */
+
+import { VOCABULARY_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} ReplacementRule
+ * @property {string} find - Word or phrase as Whisper writes it (matched case-insensitively)
+ * @property {string} replace - Text to put in its place
+ */
+
+/**
+ * Lower-case a word and strip surrounding punctuation for matching
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeToken(text) {
+  return (text || '').trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Trim terms and drop empty and duplicate (case-insensitive) entries, keeping the first spelling
+ * @param {string[]} terms
+ * @returns {string[]}
+ */
+export function dedupeTerms(terms) {
+  const seen = new Set();
+  const result = [];
+  for (const term of terms || []) {
+    const trimmed = (term || '').trim();
+    const key = trimmed.toLowerCase();
+    if (!trimmed || seen.has(key)) continue;
+    seen.add(key);
+    result.push(trimmed);
+  }
+  return result;
+}
+
+/**
+ * Parse a vocabulary list typed as one term per line (commas also separate terms)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseVocabularyTerms(text) {
+  return dedupeTerms((text || '').split(/[\n,]/));
+}
+
+/**
+ * Parse replacement rules typed as one "find => replace" (or "find -> replace") per line.
+ * Lines without a separator or with an empty side are ignored.
+ * @param {string} text
+ * @returns {ReplacementRule[]}
+ */
+export function parseReplacementRules(text) {
+  const rules = [];
+  const seen = new Set();
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(/^(.*?)\s*(?:=>|->)\s*(.*)$/);
+    if (!match) continue;
+    const find = match[1].trim();
+    const replace = match[2].trim();
+    const key = find.split(/\s+/).map(normalizeToken).join(' ');
+    if (!find || !replace || !key.trim() || seen.has(key)) continue;
+    seen.add(key);
+    rules.push({ find, replace });
+  }
+  return rules;
+}
+
+/**
+ * Format replacement rules back into the "find => replace" text form
+ * @param {ReplacementRule[]} rules
+ * @returns {string}
+ */
+export function formatReplacementRules(rules) {
+  return (rules || []).map((rule) => `${rule.find} => ${rule.replace}`).join('\n');
+}
+
+/**
+ * Build the decoder prompt from vocabulary terms and enrolled speaker names.
+ * When it is too long, terms are dropped from the start, so the names come first
+ * and the user's own terms are the last to go.
+ * @param {string[]} terms - Vocabulary terms
+ * @param {string[]} [names=[]] - Enrolled speaker names
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - Longest prompt in characters
+ * @returns {string} Prompt text ('' when there is nothing to prompt with)
+ */
+export function buildInitialPrompt(terms, names = [], options = {}) {
+  const { maxChars = VOCABULARY_DEFAULTS.maxPromptChars } = options;
+  const entries = dedupeTerms([...(names || []), ...(terms || [])]);
+
+  while (entries.length > 0) {
+    const prompt = `${entries.join(', ')}.`;
+    if (prompt.length <= maxChars) return prompt;
+    entries.shift();
+  }
+  return '';
+}
+
+/**
+ * Apply replacement rules to Whisper word chunks.
+ * A multi-word match becomes one word spanning the matched words' time range;
+ * the first word's leading space and the last word's trailing punctuation are kept.
+ * Longer rules win over shorter ones that match at the same word.
+ * @param {Array<{text: string, timestamp: [number, number]}>} words - Word-level ASR chunks
+ * @param {ReplacementRule[]} rules
+ * @returns {{words: Array<{text: string, timestamp: [number, number]}>, count: number}} Words and number of replacements made
+ */
+export function applyReplacements(words, rules) {
+  const compiled = (rules || [])
+    .map((rule) => ({
+      replace: (rule.replace || '').trim(),
+      tokens: (rule.find || '').split(/\s+/).map(normalizeToken).filter(Boolean),
+    }))
+    .filter((rule) => rule.replace && rule.tokens.length > 0)
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+
+  if (compiled.length === 0 || !words?.length) return { words: words || [], count: 0 };
+
+  const normalized = words.map((w) => normalizeToken(w.text));
+  const result = [];
+  let count = 0;
+  let i = 0;
+
+  while (i < words.length) {
+    const match = compiled.find(({ tokens }) => tokens.every((token, k) => normalized[i + k] === token));
+    if (!match) {
+      result.push(words[i]);
+      i++;
+      continue;
+    }
+
+    const first = words[i];
+    const last = words[i + match.tokens.length - 1];
+    const leading = (first.text || '').match(/^\s*/)[0];
+    const trailing = (last.text || '').trim().match(/[.,!?;:]+$/)?.[0] || '';
+    const text = `${leading}${match.replace}${trailing}`;
+    const original = words.slice(i, i + match.tokens.length).map((w) => w.text).join('');
+
+    result.push({
+      ...first,
+      text,
+      timestamp: [first.timestamp?.[0] ?? null, last.timestamp?.[1] ?? null],
+    });
+    if (text !== original) count++;
+    i += match.tokens.length;
+  }
+
+  return { words: result, count };
+}
+
+export default {
+  dedupeTerms,
+  parseVocabularyTerms,
+  parseReplacementRules,
+  formatReplacementRules,
+  buildInitialPrompt,
+  applyReplacements,
+};
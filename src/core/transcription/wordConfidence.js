@@ -0,0 +1,119 @@
+/**
+ * Word Confidence
+ * Per-word confidence from Whisper token log-probabilities
+ *
+ * Whisper words are made of one or more BPE tokens. The probability the decoder gave
+ * each token it picked is averaged over the tokens of a word (as openai-whisper does),
+ * so every word carries a 0-1 `confidence` next to its `timestamp`. Runs of low-confidence
+ * words are what a reviewer should check first.
+ */
+
+import { CONFIDENCE_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} TokenScore
+ * @property {string} text - Decoded text of the token (may be '' for special tokens)
+ * @property {number} logprob - Log-probability the decoder gave the token
+ */
+
+/**
+ * @typedef {Object} ConfidenceSpan
+ * @property {number} start - Index of the first word of the span
+ * @property {number} end - Index after the last word of the span
+ * @property {number} confidence - Lowest word confidence in the span
+ */
+
+/**
+ * Log-probability of one token under the softmax of a logits row
+ * @param {Float32Array|number[]} logits - Vocabulary logits of one decoder step
+ * @param {number} tokenId
+ * @returns {number}
+ */
+export function getTokenLogprob(logits, tokenId) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] > max) max = logits[i];
+  }
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    sum += Math.exp(logits[i] - max);
+  }
+  return logits[tokenId] - max - Math.log(sum);
+}
+
+/**
+ * Attach a confidence to each word from the scores of the tokens it was decoded from.
+ * Tokens are matched to words by character position (whitespace ignored), so a token
+ * that straddles two words counts for both.
+ * @param {Array<{text: string, timestamp: [number, number]}>} words - Word-level ASR chunks
+ * @param {TokenScore[]} tokens - Generated tokens in order
+ * @returns {Array} Copies of the words with `confidence` (mean token probability, 3 decimals);
+ *   words no token maps to are returned unchanged
+ */
+export function attachWordConfidence(words, tokens) {
+  if (!words?.length || !tokens?.length) return words || [];
+
+  const strippedLength = (text) => (text || '').replace(/\s+/g, '').length;
+  const tokenSpans = [];
+  let position = 0;
+  for (const token of tokens) {
+    const length = strippedLength(token.text);
+    if (length > 0) {
+      tokenSpans.push({ start: position, end: position + length, probability: Math.exp(token.logprob) });
+    }
+    position += length;
+  }
+
+  let wordStart = 0;
+  let first = 0; // First token that may still overlap the current or a later word
+  return words.map((word) => {
+    const wordEnd = wordStart + strippedLength(word.text);
+    while (first < tokenSpans.length && tokenSpans[first].end <= wordStart) first++;
+
+    const probabilities = [];
+    for (let k = first; k < tokenSpans.length && tokenSpans[k].start < wordEnd; k++) {
+      probabilities.push(tokenSpans[k].probability);
+    }
+    wordStart = wordEnd;
+
+    if (probabilities.length === 0) return word;
+    const mean = probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+    return { ...word, confidence: Math.round(mean * 1000) / 1000 };
+  });
+}
+
+/**
+ * Find runs of consecutive low-confidence words
+ * @param {Array<{text: string, confidence?: number}>} words
+ * @param {Object} [options]
+ * @param {number} [options.lowThreshold] - Words below this confidence are low
+ * @returns {ConfidenceSpan[]}
+ */
+export function findLowConfidenceSpans(words, options = {}) {
+  const { lowThreshold = CONFIDENCE_DEFAULTS.lowThreshold } = options;
+  const spans = [];
+  let current = null;
+
+  (words || []).forEach((word, i) => {
+    const isLow = word.confidence != null && word.confidence < lowThreshold && word.text?.trim();
+    if (!isLow) {
+      current = null;
+      return;
+    }
+    if (current) {
+      current.end = i + 1;
+      current.confidence = Math.min(current.confidence, word.confidence);
+    } else {
+      current = { start: i, end: i + 1, confidence: word.confidence };
+      spans.push(current);
+    }
+  });
+
+  return spans;
+}
+
+export default {
+  getTokenLogprob,
+  attachWordConfidence,
+  findLowConfidenceSpans,
+};
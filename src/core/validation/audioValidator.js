@@ -19,6 +19,34 @@ const {
   minVadSpeechDuration: MIN_VAD_SPEECH_DURATION,
 } = VALIDATION_DEFAULTS;
 
+// Scripts written without spaces between words: each character counts as a word
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+/**
+ * Split text into lower-case words for matching, in any script
+ * Punctuation is dropped (letters with accents are kept); scripts without word spaces
+ * are split into characters. Bracketed noise tags like "[Music]" stay one word.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForMatch(text) {
+  const words = [];
+  for (const raw of (text || '').toLowerCase().split(/\s+/)) {
+    if (/^\[.*\]$/.test(raw)) {
+      words.push(raw);
+      continue;
+    }
+    const word = raw.replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    if (!word) continue;
+    if (UNSPACED_SCRIPT.test(word)) {
+      words.push(...Array.from(word).filter((c) => /[\p{L}\p{N}]/u.test(c)));
+    } else {
+      words.push(word);
+    }
+  }
+  return words;
+}
+
 export class AudioValidator {
   /**
    * Check for audio clipping (samples at or near max amplitude)
@@ -185,25 +213,14 @@ export class AudioValidator {
    * Validate transcription matches expected sentence
    * Uses word overlap to account for minor transcription errors
    * @param {string} transcribed - Transcribed text from Whisper
-   * @param {string} expected - Expected Rainbow Passage sentence
+   * @param {string} expected - Expected enrollment passage (any language)
    * @returns {{ passed: boolean, warnings: string[], matchRatio: number }}
    */
   static validateTranscription(transcribed, expected) {
     const warnings = [];
 
-    // Normalize text: lowercase, remove punctuation, split into words
-    const normalizeText = (text) => {
-      return (text || '')
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '') // Remove punctuation
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim()
-        .split(' ')
-        .filter((w) => w.length > 0);
-    };
-
-    const transcribedWords = normalizeText(transcribed);
-    const expectedWords = normalizeText(expected);
+    const transcribedWords = tokenizeForMatch(transcribed);
+    const expectedWords = tokenizeForMatch(expected);
 
     // Handle edge cases
     if (transcribedWords.length === 0) {
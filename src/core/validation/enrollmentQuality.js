@@ -0,0 +1,229 @@
+/**
+ * Enrollment Quality
+ * Health report for one enrolled speaker, with what to do about it
+ *
+ * Combines the checks that enrollment runs (and mostly only logs): each sample's levels
+ * (AudioValidator clipping/RMS), how well each sample matches the speaker's centroid
+ * (the outlier test of EnrollmentManager), and how close the speaker's centroid is to
+ * every other enrolled speaker under each embedding model. Problems are turned into
+ * concrete recommendations ("Re-record sample 3", "enroll with a different microphone").
+ */
+
+import { AudioValidator } from './audioValidator.js';
+import { cosineSimilarity } from '../embedding/embeddingUtils.js';
+import { CLUSTERING_DEFAULTS, ENROLLMENT_DEFAULTS, VALIDATION_DEFAULTS } from '../../config/index.js';
+
+/**
+ * @typedef {Object} SampleQuality
+ * @property {number} index - Sample index (0-based)
+ * @property {number|null} rms - RMS level (null without audio)
+ * @property {number|null} clippingRatio - Share of samples at max level (null without audio)
+ * @property {string[]} levelIssues - Clipping/RMS messages from AudioValidator
+ * @property {boolean} clipped
+ * @property {'quiet'|'loud'|null} levelError - RMS outside the accepted range
+ * @property {number|null} similarity - Similarity to the speaker's centroid (null without an embedding)
+ * @property {boolean} isOutlier - Doesn't sound like the other samples
+ */
+
+/**
+ * @typedef {Object} ModelConfusability
+ * @property {string} modelId
+ * @property {string} modelName
+ * @property {boolean} isCurrent - The model used for transcription
+ * @property {Array<{name: string, similarity: number, confusable: boolean}>} speakers - Other speakers, most similar first
+ */
+
+/**
+ * Check each enrollment sample's levels and similarity to the centroid
+ * @param {Array<Float32Array|null>} audioSamples - Sample audio (may be empty when not stored)
+ * @param {Array<Float32Array|number[]|null>} sampleEmbeddings - Embedding of each sample
+ * @param {Float32Array|number[]} centroid - Speaker centroid for the same model
+ * @param {Object} [options]
+ * @param {number} [options.outlierThreshold] - Below this similarity a sample is an outlier
+ * @returns {SampleQuality[]}
+ */
+export function analyzeEnrollmentSamples(audioSamples, sampleEmbeddings, centroid, options = {}) {
+  const { outlierThreshold = ENROLLMENT_DEFAULTS.outlierThreshold } = options;
+  const count = Math.max(audioSamples?.length || 0, sampleEmbeddings?.length || 0);
+  const samples = [];
+
+  for (let index = 0; index < count; index++) {
+    const audio = audioSamples?.[index];
+    const embedding = sampleEmbeddings?.[index];
+
+    let rms = null;
+    let clippingRatio = null;
+    let clipped = false;
+    let levelError = null;
+    const levelIssues = [];
+    if (audio?.length > 0) {
+      const quality = AudioValidator.validateAudioQuality(audio);
+      rms = quality.details.rms.rms;
+      clippingRatio = quality.details.clipping.ratio;
+      clipped = !quality.details.clipping.passed;
+      if (!quality.details.rms.passed) levelError = rms < VALIDATION_DEFAULTS.rmsMin ? 'quiet' : 'loud';
+      levelIssues.push(...quality.errors, ...quality.warnings);
+    }
+
+    const similarity = embedding && centroid ? cosineSimilarity(embedding, centroid) : null;
+    samples.push({
+      index,
+      rms,
+      clippingRatio,
+      levelIssues,
+      clipped,
+      levelError,
+      similarity,
+      isOutlier: similarity !== null && similarity < outlierThreshold,
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * How close a speaker is to every other enrolled speaker, per embedding model
+ * @param {Array<{id: string, name: string, isCurrent?: boolean, centroid: Float32Array|number[]|null,
+ *   others: Array<{name: string, centroid: Float32Array|number[]}>}>} models - The speaker's centroid
+ *   and the other speakers' centroids under each model
+ * @param {Object} [options]
+ * @param {number} [options.confusableThreshold] - Above this similarity two speakers are easily confused
+ * @returns {ModelConfusability[]} Models the speaker has a centroid for
+ */
+export function computeConfusability(models, options = {}) {
+  const { confusableThreshold = CLUSTERING_DEFAULTS.interEnrollmentWarningThreshold } = options;
+
+  return (models || [])
+    .filter((model) => model.centroid)
+    .map((model) => ({
+      modelId: model.id,
+      modelName: model.name || model.id,
+      isCurrent: !!model.isCurrent,
+      speakers: (model.others || [])
+        .filter((other) => other.centroid?.length === model.centroid.length)
+        .map((other) => {
+          const similarity = cosineSimilarity(model.centroid, other.centroid);
+          return { name: other.name, similarity, confusable: similarity > confusableThreshold };
+        })
+        .sort((a, b) => b.similarity - a.similarity),
+    }));
+}
+
+/**
+ * Whether a sample should be re-recorded
+ * @param {SampleQuality} sample
+ * @returns {boolean}
+ */
+function hasProblem(sample) {
+  return sample.clipped || !!sample.levelError || sample.isOutlier;
+}
+
+/**
+ * Turn sample and confusability checks into recommendations
+ * @param {SampleQuality[]} samples
+ * @param {ModelConfusability[]} confusability
+ * @param {Object} [options]
+ * @param {number} [options.minSamples] - Samples a reliable enrollment needs
+ * @returns {string[]}
+ */
+function recommend(samples, confusability, options) {
+  const { minSamples = ENROLLMENT_DEFAULTS.minSamplesRequired } = options;
+  const recommendations = [];
+
+  const problems = samples.filter(hasProblem);
+  if (samples.length > 1 && problems.length > samples.length / 2) {
+    const levels = problems.some((s) => s.clipped || s.levelError);
+    recommendations.push(
+      `Most samples have problems (${problems.length} of ${samples.length}): re-enroll with a different microphone` +
+      (levels ? ' or adjust the input level' : ' in a quieter room')
+    );
+  } else {
+    for (const sample of problems) {
+      const reasons = [];
+      if (sample.clipped) reasons.push('it clips, so lower the microphone gain');
+      if (sample.levelError) reasons.push(`it is too ${sample.levelError}`);
+      if (sample.isOutlier) {
+        reasons.push(`it doesn't sound like the other samples (similarity ${sample.similarity.toFixed(2)})`);
+      }
+      recommendations.push(`Re-record sample ${sample.index + 1}: ${reasons.join(', ')}`);
+    }
+  }
+
+  if (samples.length < minSamples) {
+    recommendations.push(`Record more samples (${samples.length} of ${minSamples} needed for a reliable profile)`);
+  }
+
+  const current = confusability.find((m) => m.isCurrent);
+  for (const other of current?.speakers.filter((s) => s.confusable) || []) {
+    // Another model may tell the two apart
+    const better = confusability
+      .filter((m) => !m.isCurrent)
+      .map((m) => ({ model: m, match: m.speakers.find((s) => s.name === other.name) }))
+      .filter(({ match }) => match && !match.confusable)
+      .sort((a, b) => a.match.similarity - b.match.similarity)[0];
+
+    recommendations.push(
+      `Easily confused with "${other.name}" under ${current.modelName} (similarity ${other.similarity.toFixed(2)}): ` +
+      (better
+        ? `${better.model.modelName} tells them apart better (${better.match.similarity.toFixed(2)})`
+        : 're-enroll both with longer samples, each on the microphone used for recordings')
+    );
+  }
+
+  return recommendations;
+}
+
+/**
+ * Build the quality report for an enrolled speaker
+ * @param {Object} input
+ * @param {string} input.name - Speaker name
+ * @param {Array<Float32Array|null>} [input.audioSamples] - Enrollment audio samples
+ * @param {Array<Float32Array|number[]|null>} [input.sampleEmbeddings] - Current-model embedding of each sample
+ * @param {Float32Array|number[]} input.centroid - Current-model centroid
+ * @param {Array} [input.models] - Per-model centroids (see computeConfusability)
+ * @param {Object} [options] - outlierThreshold, confusableThreshold, minSamples
+ * @returns {{
+ *   name: string,
+ *   status: 'good'|'fair'|'poor',
+ *   samples: SampleQuality[],
+ *   meanSimilarity: number|null,
+ *   confusability: ModelConfusability[],
+ *   recommendations: string[]
+ * }}
+ */
+export function buildEnrollmentQualityReport(input, options = {}) {
+  const samples = analyzeEnrollmentSamples(input.audioSamples, input.sampleEmbeddings, input.centroid, options);
+  const confusability = computeConfusability(input.models, options);
+  const recommendations = recommend(samples, confusability, options);
+
+  const similarities = samples.map((s) => s.similarity).filter((s) => s !== null);
+  const meanSimilarity = similarities.length > 0
+    ? similarities.reduce((sum, s) => sum + s, 0) / similarities.length
+    : null;
+
+  const hasLevelErrors = samples.some((s) => s.levelError);
+  const confusedNow = confusability.some((m) => m.isCurrent && m.speakers.some((s) => s.confusable));
+  const mostlyBad = samples.filter(hasProblem).length > samples.length / 2;
+
+  let status = 'good';
+  if (hasLevelErrors || confusedNow || mostlyBad) {
+    status = 'poor';
+  } else if (recommendations.length > 0) {
+    status = 'fair';
+  }
+
+  return {
+    name: input.name,
+    status,
+    samples,
+    meanSimilarity,
+    confusability,
+    recommendations,
+  };
+}
+
+export default {
+  analyzeEnrollmentSamples,
+  computeConfusability,
+  buildEnrollmentQualityReport,
+};
@@ -3,3 +3,17 @@
  */
 
 export { AudioValidator } from './audioValidator.js';
+
+export {
+  analyzeEnrollmentSamples,
+  computeConfusability,
+  buildEnrollmentQualityReport,
+} from './enrollmentQuality.js';
+
+export {
+  parsePassageText,
+  formatPassageText,
+  validatePassageSet,
+  listPassageSets,
+  resolvePassageSet,
+} from './passageSets.js';
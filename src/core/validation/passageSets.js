@@ -0,0 +1,114 @@
+/**
+ * Passage Sets
+ * The texts a speaker reads aloud during enrollment
+ *
+ * Built-in sets (the Rainbow Passage in several languages) come from config; users can
+ * add their own, e.g. a team's own jargon or a language without a built-in set. Each set
+ * carries the ASR language its samples are transcribed in, so the transcription-match
+ * check compares what was said against the passage in the same language.
+ */
+
+import {
+  ENROLLMENT_DEFAULTS,
+  ENROLLMENT_PASSAGE_SETS,
+  DEFAULT_PASSAGE_SET_ID,
+  ASR_LANGUAGES,
+} from '../../config/index.js';
+
+/**
+ * @typedef {Object} PassageSet
+ * @property {string} id
+ * @property {string} name
+ * @property {string} language - ASR language code (e.g. 'en', 'es')
+ * @property {string[]} passages - One entry per enrollment sample
+ * @property {boolean} [custom] - Defined by the user
+ */
+
+// A passage this short gives too little speech for a reliable embedding
+const MIN_PASSAGE_LENGTH = 20;
+
+/**
+ * Parse passages typed as paragraphs separated by blank lines
+ * Line breaks inside a paragraph are joined with spaces.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parsePassageText(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter((paragraph) => paragraph.length > 0);
+}
+
+/**
+ * Format passages back into the paragraph text form
+ * @param {string[]} passages
+ * @returns {string}
+ */
+export function formatPassageText(passages) {
+  return (passages || []).join('\n\n');
+}
+
+/**
+ * Check a custom passage set before saving it
+ * @param {{name: string, language: string, passages: string[]}} set
+ * @param {Object} [options]
+ * @param {number} [options.minPassages] - Passages needed to complete an enrollment
+ * @returns {string[]} Problems (empty when the set is usable)
+ */
+export function validatePassageSet(set, options = {}) {
+  const { minPassages = ENROLLMENT_DEFAULTS.minSamplesRequired } = options;
+  const errors = [];
+
+  if (!set?.name?.trim()) {
+    errors.push('Give the passage set a name.');
+  }
+  if (!ASR_LANGUAGES[set?.language]) {
+    errors.push('Choose the language the passages are written in.');
+  }
+
+  const passages = set?.passages || [];
+  if (passages.length < minPassages) {
+    errors.push(`Add at least ${minPassages} passages (${passages.length} so far), separated by blank lines.`);
+  }
+  passages.forEach((passage, index) => {
+    // Count characters rather than words so unspaced scripts aren't penalized
+    if (Array.from(passage.replace(/\s+/g, '')).length < MIN_PASSAGE_LENGTH) {
+      errors.push(`Passage ${index + 1} is too short to give a reliable voice sample.`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * All passage sets to choose from: built-in first, then custom
+ * @param {PassageSet[]} [customSets]
+ * @returns {PassageSet[]}
+ */
+export function listPassageSets(customSets = []) {
+  return [
+    ...ENROLLMENT_PASSAGE_SETS.map((set) => ({ ...set, custom: false })),
+    ...customSets.map((set) => ({ ...set, custom: true })),
+  ];
+}
+
+/**
+ * Find a passage set by ID, falling back to the default set
+ * @param {string|null} id
+ * @param {PassageSet[]} [customSets]
+ * @returns {PassageSet}
+ */
+export function resolvePassageSet(id, customSets = []) {
+  const sets = listPassageSets(customSets);
+  return sets.find((set) => set.id === id)
+    || sets.find((set) => set.id === DEFAULT_PASSAGE_SET_ID);
+}
+
+export default {
+  parsePassageText,
+  formatPassageText,
+  validatePassageSet,
+  listPassageSets,
+  resolvePassageSet,
+};
@@ -12,7 +12,24 @@ import {
   getDefaultSegmentationParams,
   getSegmentationParamConfigs,
 } from './config/segmentation.js';
-import { ModelSelectionStore, SegmentationModelStore } from './storage/index.js';
+import {
+  getAvailableAsrModels,
+  getAsrQuantizations,
+  ASR_LANGUAGES,
+  ASR_TASKS,
+  AUTO_LANGUAGE,
+  DEFAULT_ASR_MODEL,
+  DEFAULT_ASR_QUANTIZATION,
+  DEFAULT_ASR_TASK,
+} from './config/asr.js';
+import { getSweepableParams } from './config/jobDefaults.js';
+import { SWEEP_DEFAULTS, HALLUCINATION_DEFAULTS, HALLUCINATION_ACTIONS } from './config/defaults.js';
+import {
+  parseVocabularyTerms,
+  parseReplacementRules,
+  formatReplacementRules,
+} from './core/transcription/vocabulary.js';
+import { ModelSelectionStore, SegmentationModelStore, AsrModelStore } from './storage/index.js';
 
 // Migrate old segmentation model default to new default
 SegmentationModelStore.migrateOldDefaults();
@@ -31,6 +48,22 @@ window.embeddingModels = {
   },
 };
 
+// ASR models load on demand in the worker, so changing them doesn't need a reload
+window.asrModels = {
+  available: getAvailableAsrModels(),
+  quantizations: getAsrQuantizations(),
+  selected: AsrModelStore.getAsrModel(),
+  languages: Object.entries(ASR_LANGUAGES).map(([code, name]) => ({ code, name })),
+  tasks: Object.values(ASR_TASKS),
+  selectedQuantization: AsrModelStore.getQuantization(),
+  defaultModel: DEFAULT_ASR_MODEL,
+  defaultQuantization: DEFAULT_ASR_QUANTIZATION,
+  autoLanguage: AUTO_LANGUAGE,
+  defaultTask: DEFAULT_ASR_TASK,
+  hallucinationActions: Object.values(HALLUCINATION_ACTIONS),
+  defaultHallucinationAction: HALLUCINATION_DEFAULTS.action,
+};
+
 window.segmentationModels = {
   available: getAvailableSegmentationModels(),
   selected: SegmentationModelStore.getSegmentationModel(),
@@ -57,9 +90,26 @@ window.segmentationModels = {
   },
 };
 
+// Expose sweepable job parameters for the parameter sweep UI
+window.jobSweep = {
+  maxCombinations: SWEEP_DEFAULTS.maxCombinations,
+  maxValuesPerParam: SWEEP_DEFAULTS.maxValuesPerParam,
+  getParams(segmentationModelId) {
+    return getSweepableParams(segmentationModelId);
+  },
+};
+
+// Expose vocabulary parsing for the job settings text areas
+window.asrVocabulary = {
+  parseTerms: parseVocabularyTerms,
+  parseReplacements: parseReplacementRules,
+  formatReplacements: formatReplacementRules,
+};
+
 // Notify Alpine components that model data is ready
 // (main.js is a module that runs after Alpine's deferred scripts)
 window.dispatchEvent(new CustomEvent('embedding-models-ready'));
+window.dispatchEvent(new CustomEvent('asr-models-ready'));
 window.dispatchEvent(new CustomEvent('segmentation-models-ready'));
 
 // Initialize app when DOM is ready
@@ -13,6 +13,9 @@ export {
   DebugSettingsStore,
   ModelSelectionStore,
   SegmentationModelStore,
+  AsrModelStore,
+  VocabularyStore,
+  PassageSetStore,
 } from './localStorage/index.js';
 
 // IndexedDB
@@ -22,4 +25,5 @@ export {
   RecordingStore,
   EnrollmentStore,
   enrollmentStore,
+  CohortStore,
 } from './indexedDB/index.js';
@@ -7,3 +7,4 @@ export { IndexedDBAdapter } from './indexedDBAdapter.js';
 export { DebugLogStore } from './stores/debugLogStore.js';
 export { RecordingStore } from './stores/recordingStore.js';
 export { EnrollmentStore, enrollmentStore } from './stores/enrollmentStore.js';
+export { CohortStore } from './stores/cohortStore.js';
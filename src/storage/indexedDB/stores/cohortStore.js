@@ -0,0 +1,80 @@
+/**
+ * Cohort Store (IndexedDB)
+ * Cache of impostor cohorts used for score normalization, one record per embedding model
+ *
+ * Building a cohort means walking every saved recording, so the result is cached
+ * together with a signature of the data it came from and rebuilt when that changes.
+ */
+
+import { IndexedDBAdapter } from '../indexedDBAdapter.js';
+import { INDEXED_DB_CONFIG } from '../../keys.js';
+
+const config = INDEXED_DB_CONFIG.COHORTS;
+
+/**
+ * @typedef {Object} CachedCohort
+ * @property {string} modelId - Embedding model ID (key)
+ * @property {string} signature - Identifies the recordings/enrollments the cohort was built from
+ * @property {Array<{embedding: number[], source: string}>} entries - Cohort embeddings
+ * @property {number} builtAt - When the cohort was built
+ */
+
+export class CohortStore {
+  constructor() {
+    this.adapter = new IndexedDBAdapter(config.name, config.version);
+  }
+
+  /**
+   * Initialize the database (creates schema if needed)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this.adapter.open((db) => {
+      if (!db.objectStoreNames.contains(config.stores.COHORTS)) {
+        db.createObjectStore(config.stores.COHORTS, { keyPath: 'modelId' });
+      }
+    });
+  }
+
+  /**
+   * Get the cached cohort for a model
+   * @param {string} modelId
+   * @returns {Promise<CachedCohort|undefined>}
+   */
+  async get(modelId) {
+    return this.adapter.get(config.stores.COHORTS, modelId);
+  }
+
+  /**
+   * Cache a cohort for a model (replaces any previous one)
+   * @param {string} modelId
+   * @param {string} signature
+   * @param {Array<{embedding: Float32Array|number[], source: string}>} entries
+   * @returns {Promise<void>}
+   */
+  async save(modelId, signature, entries) {
+    await this.adapter.put(config.stores.COHORTS, {
+      modelId,
+      signature,
+      entries: entries.map((e) => ({ embedding: Array.from(e.embedding), source: e.source })),
+      builtAt: Date.now(),
+    });
+  }
+
+  /**
+   * Remove all cached cohorts
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    await this.adapter.clear(config.stores.COHORTS);
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.adapter.close();
+  }
+}
+
+export default CohortStore;
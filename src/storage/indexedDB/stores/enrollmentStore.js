@@ -11,6 +11,7 @@ import { IndexedDBAdapter } from '../indexedDBAdapter.js';
 import { INDEXED_DB_CONFIG, LOCAL_STORAGE_KEYS } from '../../keys.js';
 import { LocalStorageAdapter } from '../../localStorage/localStorageAdapter.js';
 import { DEFAULT_EMBEDDING_MODEL } from '../../../config/models.js';
+import { ADAPTIVE_ENROLLMENT_DEFAULTS } from '../../../config/defaults.js';
 
 const config = INDEXED_DB_CONFIG.ENROLLMENTS;
 
@@ -20,8 +21,20 @@ const config = INDEXED_DB_CONFIG.ENROLLMENTS;
  * @property {string} name - Speaker name
  * @property {number[]} centroid - Default model embedding centroid
  * @property {Object.<string, number[]>} [embeddings] - Embeddings keyed by model ID
+ * @property {Object.<string, number[][]>} [embeddingSamples] - Per-sample embeddings keyed by model ID
  * @property {number} timestamp - Creation timestamp
  * @property {number} colorIndex - Color index for UI (0-5)
+ * @property {Object.<string, number[]>} [baseEmbeddings] - Embeddings as enrolled, keyed by model ID
+ *   (kept once adaptation has changed that model's embedding)
+ * @property {Object.<string, CentroidVersion[]>} [centroidHistory] - Earlier embeddings keyed by model ID, oldest first
+ */
+
+/**
+ * @typedef {Object} CentroidVersion
+ * @property {number[]} centroid - Embedding before the update
+ * @property {number[][]} [samples] - Per-sample embeddings before the update
+ * @property {number} timestamp - When it was replaced
+ * @property {number} segmentCount - Segments the replacing update learned from
  */
 
 /**
@@ -161,26 +174,38 @@ export class EnrollmentStore {
    * @param {Float32Array|number[]} centroid - Embedding centroid
    * @param {Object} [options] - Additional options
    * @param {Array<Float32Array|number[]>} [options.audioSamples] - Raw audio samples
+   * @param {Array<Float32Array|number[]>} [options.embeddingSamples] - Individual sample embeddings
    * @param {string} [options.modelId] - Model ID used to compute the centroid
+   * @param {number} [options.colorIndex] - Color to use instead of the next one in order
    * @returns {Promise<SpeakerEnrollment>} The created enrollment
    */
   async add(name, centroid, options = {}) {
     if (!this._initialized) await this.init();
 
-    const { audioSamples, modelId = DEFAULT_EMBEDDING_MODEL } = options;
+    const { audioSamples, embeddingSamples, modelId = DEFAULT_EMBEDDING_MODEL, colorIndex } = options;
     const all = await this.getAll();
 
+    // IDs are creation times; bump past any taken one (imports add several per millisecond)
+    let id = Date.now();
+    while (all.some((e) => e.id === id.toString())) id++;
+
     const newEnrollment = {
-      id: Date.now().toString(),
+      id: id.toString(),
       name,
       centroid: Array.from(centroid),
       timestamp: Date.now(),
-      colorIndex: all.length % 6,
+      colorIndex: colorIndex ?? all.length % 6,
       embeddings: {
         [modelId]: Array.from(centroid),
       },
     };
 
+    if (embeddingSamples && embeddingSamples.length > 0) {
+      newEnrollment.embeddingSamples = {
+        [modelId]: embeddingSamples.map((s) => Array.from(s)),
+      };
+    }
+
     // Save enrollment metadata
     await this.adapter.put(config.stores.ENROLLMENTS, newEnrollment);
 
@@ -350,6 +375,10 @@ export class EnrollmentStore {
       enrollment.centroid = Array.from(embedding);
     }
 
+    // A freshly computed embedding replaces any adaptation of the old one
+    delete enrollment.centroidHistory?.[modelId];
+    delete enrollment.baseEmbeddings?.[modelId];
+
     await this.update(enrollment);
     return true;
   }
@@ -421,6 +450,116 @@ export class EnrollmentStore {
     return null;
   }
 
+  // ==================== Adaptation Operations ====================
+
+  /**
+   * Replace a model's embedding with an adapted one, keeping the previous version for rollback
+   * @param {string} id - Enrollment ID
+   * @param {string} modelId - Model ID
+   * @param {Float32Array|number[]} embedding - Adapted centroid
+   * @param {Array<Float32Array|number[]>} [samples] - Adapted per-sample embeddings
+   * @param {number} [segmentCount=0] - Segments the update learned from
+   * @returns {Promise<boolean>}
+   */
+  async adaptEmbeddingForModel(id, modelId, embedding, samples = null, segmentCount = 0) {
+    const enrollment = await this.getById(id);
+    const previous = await this.getEmbeddingForModel(id, modelId);
+    if (!enrollment || !previous) return false;
+
+    const previousSamples = enrollment.embeddingSamples?.[modelId] || null;
+    enrollment.baseEmbeddings = enrollment.baseEmbeddings || {};
+    if (!enrollment.baseEmbeddings[modelId]) {
+      enrollment.baseEmbeddings[modelId] = Array.from(previous);
+    }
+
+    enrollment.centroidHistory = enrollment.centroidHistory || {};
+    const history = enrollment.centroidHistory[modelId] || [];
+    history.push({
+      centroid: Array.from(previous),
+      samples: previousSamples,
+      timestamp: Date.now(),
+      segmentCount,
+    });
+    enrollment.centroidHistory[modelId] = history.slice(-ADAPTIVE_ENROLLMENT_DEFAULTS.maxHistory);
+
+    enrollment.embeddings = enrollment.embeddings || {};
+    enrollment.embeddings[modelId] = Array.from(embedding);
+    if (samples?.length > 0) {
+      enrollment.embeddingSamples = enrollment.embeddingSamples || {};
+      enrollment.embeddingSamples[modelId] = samples.map((s) => Array.from(s));
+    }
+    if (modelId === DEFAULT_EMBEDDING_MODEL) {
+      enrollment.centroid = Array.from(embedding);
+    }
+
+    await this.update(enrollment);
+    return true;
+  }
+
+  /**
+   * Get the earlier embeddings of a model, oldest first
+   * @param {string} id - Enrollment ID
+   * @param {string} modelId - Model ID
+   * @returns {Promise<CentroidVersion[]>}
+   */
+  async getCentroidHistory(id, modelId) {
+    const enrollment = await this.getById(id);
+    return enrollment?.centroidHistory?.[modelId] || [];
+  }
+
+  /**
+   * Get a model's embedding as it was enrolled, before any adaptation
+   * @param {string} id - Enrollment ID
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Float32Array|null>}
+   */
+  async getBaseEmbeddingForModel(id, modelId) {
+    const enrollment = await this.getById(id);
+    if (enrollment?.baseEmbeddings?.[modelId]) {
+      return new Float32Array(enrollment.baseEmbeddings[modelId]);
+    }
+    return this.getEmbeddingForModel(id, modelId);
+  }
+
+  /**
+   * Restore a model's embedding to an earlier version, dropping that version and any later ones
+   * @param {string} id - Enrollment ID
+   * @param {string} modelId - Model ID
+   * @param {number} [versionIndex] - Index in the history (defaults to the latest, undoing one update)
+   * @returns {Promise<boolean>} False when there is nothing to roll back to
+   */
+  async rollbackEmbeddingForModel(id, modelId, versionIndex = null) {
+    const enrollment = await this.getById(id);
+    const history = enrollment?.centroidHistory?.[modelId];
+    if (!history?.length) return false;
+
+    const index = versionIndex ?? history.length - 1;
+    const version = history[index];
+    if (!version) return false;
+
+    enrollment.embeddings[modelId] = version.centroid;
+    if (version.samples) {
+      enrollment.embeddingSamples = enrollment.embeddingSamples || {};
+      enrollment.embeddingSamples[modelId] = version.samples;
+    }
+    if (modelId === DEFAULT_EMBEDDING_MODEL) {
+      enrollment.centroid = version.centroid;
+    }
+
+    enrollment.centroidHistory[modelId] = history.slice(0, index);
+    if (index === 0) {
+      delete enrollment.centroidHistory[modelId];
+      // Back to the enrolled embedding, unless older versions were trimmed from the history
+      const base = enrollment.baseEmbeddings?.[modelId];
+      if (base && base.every((v, i) => v === version.centroid[i])) {
+        delete enrollment.baseEmbeddings[modelId];
+      }
+    }
+
+    await this.update(enrollment);
+    return true;
+  }
+
   // ==================== Visualization Operations ====================
 
   /**
@@ -28,9 +28,14 @@ const config = INDEXED_DB_CONFIG.RECORDINGS;
  * @property {'unprocessed'|'processing'|'processed'} status - Job status
  * @property {number} createdAt - When job was created
  * @property {number|null} processedAt - When processing completed
+ * @property {'quick'|'global'|'full'} [processingMode] - How the job was processed
  * @property {Object} settings - Frozen settings for this job
  * @property {Object[]|null} segments - Processing results (null until processed)
  * @property {Object[]|null} participants - Speakers found (null until processed)
+ * @property {Object|null} [evaluation] - DER/JER scores against a reference (cleared on reprocessing)
+ * @property {Object|null} [asrEvaluation] - WER scores and word alignment against the reference transcript
+ * @property {{entries: Object[], position: number}|null} [editHistory] - Hand edits of segment text, for undo/redo (cleared on reprocessing)
+ * @property {Object} [sweep] - Parameter sweep membership: { id, baseJobId, index, params, mode, boostStats }
  */
 
 /**
@@ -40,6 +45,14 @@ const config = INDEXED_DB_CONFIG.RECORDINGS;
  * @property {number} expectedSpeakers - Expected speakers for this channel
  */
 
+/**
+ * @typedef {Object} ReferenceAnnotation
+ * @property {'rttm'} source - Format the reference was imported from
+ * @property {string} fileName - Name of the imported file
+ * @property {number} importedAt - When the reference was imported
+ * @property {Object[]} segments - Reference segments ({speaker, speakerLabel, startTime, endTime, channelId})
+ */
+
 /**
  * @typedef {Object} RecordingV2
  * @property {string} id - UUID
@@ -49,6 +62,8 @@ const config = INDEXED_DB_CONFIG.RECORDINGS;
  * @property {Object[]} enrollmentsSnapshot - Enrollments active at recording time
  * @property {ChannelConfig[]} [channelConfigs] - Per-channel audio input configs (optional for backward compat)
  * @property {Object} metadata - Additional metadata (chunkCount, sizeBytes)
+ * @property {ReferenceAnnotation} [referenceAnnotation] - Imported ground-truth diarization (optional)
+ * @property {{text: string, fileName: string|null, updatedAt: number}} [referenceTranscript] - Reference transcript for WER (optional)
  * @property {Job[]} jobs - Array of processing jobs
  * @property {string} activeJobId - Currently displayed job ID
  * @property {number} schemaVersion - Schema version (2)
@@ -15,6 +15,9 @@ export const LOCAL_STORAGE_KEYS = {
   // Speaker Enrollment
   SPEAKER_ENROLLMENTS: 'speaker-enrollments',
   SPEAKER_ENROLLMENT_LEGACY: 'speaker-enrollment', // For migration only
+  ADAPTIVE_ENROLLMENT_ENABLED: 'adaptive-enrollment-enabled',
+  ENROLLMENT_PASSAGE_SETS: 'enrollment-passage-sets',
+  ENROLLMENT_PASSAGE_SET_SELECTION: 'enrollment-passage-set-selection',
 
   // Debug Settings
   DEBUG_LOGGING_ENABLED: 'debug-logging-enabled',
@@ -23,6 +26,14 @@ export const LOCAL_STORAGE_KEYS = {
   // Model Selection
   EMBEDDING_MODEL_SELECTION: 'embedding-model-selection',
   SEGMENTATION_MODEL_SELECTION: 'segmentation-model-selection',
+  ASR_MODEL_SELECTION: 'asr-model-selection',
+  ASR_QUANTIZATION_SELECTION: 'asr-quantization-selection',
+  ASR_LANGUAGE_SELECTION: 'asr-language-selection',
+  ASR_TASK_SELECTION: 'asr-task-selection',
+  ASR_HALLUCINATION_ACTION: 'asr-hallucination-action',
+
+  // ASR vocabulary (terms and replacements for new live jobs)
+  ASR_VOCABULARY: 'asr-vocabulary',
 };
 
 // IndexedDB configuration
@@ -51,6 +62,13 @@ export const INDEXED_DB_CONFIG = {
       AUDIO_SAMPLES: 'enrollment-audio-samples',
     },
   },
+  COHORTS: {
+    name: 'transcription-cohorts',
+    version: 1,
+    stores: {
+      COHORTS: 'cohorts',
+    },
+  },
 };
 
 // Recording schema version (for lazy migration)
@@ -64,4 +82,6 @@ Object.freeze(INDEXED_DB_CONFIG.RECORDINGS.stores);
 Object.freeze(INDEXED_DB_CONFIG.RECORDINGS);
 Object.freeze(INDEXED_DB_CONFIG.ENROLLMENTS.stores);
 Object.freeze(INDEXED_DB_CONFIG.ENROLLMENTS);
+Object.freeze(INDEXED_DB_CONFIG.COHORTS.stores);
+Object.freeze(INDEXED_DB_CONFIG.COHORTS);
 Object.freeze(INDEXED_DB_CONFIG);
@@ -9,3 +9,6 @@ export { EnrollmentStore } from './stores/enrollmentStore.js';
 export { DebugSettingsStore } from './stores/debugSettingsStore.js';
 export { ModelSelectionStore } from './stores/modelSelectionStore.js';
 export { SegmentationModelStore } from './stores/segmentationModelStore.js';
+export { AsrModelStore } from './stores/asrModelStore.js';
+export { VocabularyStore } from './stores/vocabularyStore.js';
+export { PassageSetStore } from './stores/passageSetStore.js';
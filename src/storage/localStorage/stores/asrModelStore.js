@@ -0,0 +1,178 @@
+/**
+ * ASR Model Selection Store
+ * Persists user's selected Whisper model, quantization, language, task and hallucination
+ * filter for live capture
+ */
+
+import { LocalStorageAdapter } from '../localStorageAdapter.js';
+import { LOCAL_STORAGE_KEYS } from '../../keys.js';
+import {
+  DEFAULT_ASR_MODEL,
+  DEFAULT_ASR_QUANTIZATION,
+  ASR_MODELS,
+  ASR_QUANTIZATIONS,
+  ASR_LANGUAGES,
+  ASR_TASKS,
+  AUTO_LANGUAGE,
+  DEFAULT_ASR_TASK,
+  getAsrModelConfig,
+} from '../../../config/asr.js';
+import { HALLUCINATION_DEFAULTS, HALLUCINATION_ACTIONS } from '../../../config/defaults.js';
+
+export const AsrModelStore = {
+  /**
+   * Get the selected ASR model ID
+   * Returns the default if none is stored or stored value is invalid
+   * @returns {string} Model ID
+   */
+  getAsrModel() {
+    const stored = LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ASR_MODEL_SELECTION);
+    // Validate that the stored model ID is still valid
+    if (stored && ASR_MODELS[stored]) {
+      return stored;
+    }
+    return DEFAULT_ASR_MODEL;
+  },
+
+  /**
+   * Set the selected ASR model ID
+   * @param {string} modelId - Must be a valid model ID from ASR_MODELS
+   * @returns {boolean} Success
+   */
+  setAsrModel(modelId) {
+    // Validate model ID before storing
+    if (!ASR_MODELS[modelId]) {
+      console.warn(`Invalid ASR model ID: ${modelId}`);
+      return false;
+    }
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ASR_MODEL_SELECTION, modelId);
+  },
+
+  /**
+   * Get the full config for the selected ASR model
+   * @returns {import('../../../config/asr.js').AsrModelConfig}
+   */
+  getAsrModelConfig() {
+    const modelId = this.getAsrModel();
+    return getAsrModelConfig(modelId);
+  },
+
+  /**
+   * Get the selected quantization ID
+   * @returns {string} Quantization ID
+   */
+  getQuantization() {
+    const stored = LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ASR_QUANTIZATION_SELECTION);
+    if (stored && ASR_QUANTIZATIONS[stored]) {
+      return stored;
+    }
+    return DEFAULT_ASR_QUANTIZATION;
+  },
+
+  /**
+   * Set the selected quantization ID
+   * @param {string} quantization - Must be a valid ID from ASR_QUANTIZATIONS
+   * @returns {boolean} Success
+   */
+  setQuantization(quantization) {
+    if (!ASR_QUANTIZATIONS[quantization]) {
+      console.warn(`Invalid ASR quantization: ${quantization}`);
+      return false;
+    }
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ASR_QUANTIZATION_SELECTION, quantization);
+  },
+
+  /**
+   * Get the selected transcription language ('auto' to detect per chunk)
+   * @returns {string} Language code
+   */
+  getLanguage() {
+    const stored = LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ASR_LANGUAGE_SELECTION);
+    if (stored && ASR_LANGUAGES[stored]) {
+      return stored;
+    }
+    return AUTO_LANGUAGE;
+  },
+
+  /**
+   * Set the transcription language
+   * @param {string} language - 'auto' or a code from ASR_LANGUAGES
+   * @returns {boolean} Success
+   */
+  setLanguage(language) {
+    if (language === AUTO_LANGUAGE) {
+      return LocalStorageAdapter.remove(LOCAL_STORAGE_KEYS.ASR_LANGUAGE_SELECTION);
+    }
+    if (!ASR_LANGUAGES[language]) {
+      console.warn(`Invalid ASR language: ${language}`);
+      return false;
+    }
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ASR_LANGUAGE_SELECTION, language);
+  },
+
+  /**
+   * Get the selected Whisper task
+   * @returns {'transcribe'|'translate'}
+   */
+  getTask() {
+    const stored = LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ASR_TASK_SELECTION);
+    if (stored && ASR_TASKS[stored]) {
+      return stored;
+    }
+    return DEFAULT_ASR_TASK;
+  },
+
+  /**
+   * Set the Whisper task
+   * @param {string} task - ID from ASR_TASKS
+   * @returns {boolean} Success
+   */
+  setTask(task) {
+    if (!ASR_TASKS[task]) {
+      console.warn(`Invalid ASR task: ${task}`);
+      return false;
+    }
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ASR_TASK_SELECTION, task);
+  },
+
+  /**
+   * Get what to do with suspected hallucinations
+   * @returns {'flag'|'drop'|'off'}
+   */
+  getHallucinationAction() {
+    const stored = LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ASR_HALLUCINATION_ACTION);
+    if (stored && HALLUCINATION_ACTIONS[stored]) {
+      return stored;
+    }
+    return HALLUCINATION_DEFAULTS.action;
+  },
+
+  /**
+   * Set what to do with suspected hallucinations
+   * @param {string} action - ID from HALLUCINATION_ACTIONS
+   * @returns {boolean} Success
+   */
+  setHallucinationAction(action) {
+    if (!HALLUCINATION_ACTIONS[action]) {
+      console.warn(`Invalid hallucination action: ${action}`);
+      return false;
+    }
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ASR_HALLUCINATION_ACTION, action);
+  },
+
+  /**
+   * Clear the model, quantization, language, task and hallucination filter selection (revert to defaults)
+   * @returns {boolean} Success
+   */
+  clearAsrModel() {
+    return [
+      LOCAL_STORAGE_KEYS.ASR_MODEL_SELECTION,
+      LOCAL_STORAGE_KEYS.ASR_QUANTIZATION_SELECTION,
+      LOCAL_STORAGE_KEYS.ASR_LANGUAGE_SELECTION,
+      LOCAL_STORAGE_KEYS.ASR_TASK_SELECTION,
+      LOCAL_STORAGE_KEYS.ASR_HALLUCINATION_ACTION,
+    ].map((key) => LocalStorageAdapter.remove(key)).every(Boolean);
+  },
+};
+
+export default AsrModelStore;
@@ -0,0 +1,70 @@
+/**
+ * Passage Set Store
+ * Persists custom enrollment passage sets and the set chosen for new enrollments
+ */
+
+import { LocalStorageAdapter } from '../localStorageAdapter.js';
+import { LOCAL_STORAGE_KEYS } from '../../keys.js';
+import { DEFAULT_PASSAGE_SET_ID } from '../../../config/defaults.js';
+
+export const PassageSetStore = {
+  /**
+   * Get the saved custom passage sets
+   * @returns {Array<{id: string, name: string, language: string, passages: string[]}>}
+   */
+  getCustomSets() {
+    const stored = LocalStorageAdapter.getJSON(LOCAL_STORAGE_KEYS.ENROLLMENT_PASSAGE_SETS, []);
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .filter((set) => typeof set?.id === 'string' && typeof set?.name === 'string' && Array.isArray(set?.passages))
+      .map((set) => ({
+        id: set.id,
+        name: set.name,
+        language: typeof set.language === 'string' ? set.language : 'en',
+        passages: set.passages.filter((p) => typeof p === 'string'),
+      }));
+  },
+
+  /**
+   * Add a custom passage set, or replace the one with the same ID
+   * @param {{id: string, name: string, language: string, passages: string[]}} set
+   * @returns {boolean} Success
+   */
+  saveCustomSet(set) {
+    const sets = this.getCustomSets().filter((s) => s.id !== set.id);
+    sets.push({ id: set.id, name: set.name, language: set.language, passages: set.passages });
+    return LocalStorageAdapter.setJSON(LOCAL_STORAGE_KEYS.ENROLLMENT_PASSAGE_SETS, sets);
+  },
+
+  /**
+   * Delete a custom passage set (the selection falls back to the default if it was chosen)
+   * @param {string} id
+   * @returns {boolean} Success
+   */
+  removeCustomSet(id) {
+    const sets = this.getCustomSets().filter((s) => s.id !== id);
+    if (this.getSelectedSetId() === id) {
+      this.setSelectedSetId(DEFAULT_PASSAGE_SET_ID);
+    }
+    return LocalStorageAdapter.setJSON(LOCAL_STORAGE_KEYS.ENROLLMENT_PASSAGE_SETS, sets);
+  },
+
+  /**
+   * Get the passage set last chosen for enrollment
+   * @returns {string} Set ID
+   */
+  getSelectedSetId() {
+    return LocalStorageAdapter.getString(LOCAL_STORAGE_KEYS.ENROLLMENT_PASSAGE_SET_SELECTION) || DEFAULT_PASSAGE_SET_ID;
+  },
+
+  /**
+   * Remember the passage set chosen for enrollment
+   * @param {string} id
+   * @returns {boolean} Success
+   */
+  setSelectedSetId(id) {
+    return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.ENROLLMENT_PASSAGE_SET_SELECTION, id);
+  },
+};
+
+export default PassageSetStore;
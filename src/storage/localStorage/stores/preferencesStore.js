@@ -1,6 +1,6 @@
 /**
  * Preferences Store
- * Typed storage for UI preferences (microphone selection, panel states)
+ * Typed storage for UI preferences (microphone selection, panel states, adaptive enrollment)
  */
 
 import { LocalStorageAdapter } from '../localStorageAdapter.js';
@@ -106,6 +106,23 @@ export const PreferencesStore = {
   setSidebarWidth(width) {
     return LocalStorageAdapter.setString(LOCAL_STORAGE_KEYS.SIDEBAR_WIDTH, String(width));
   },
+
+  /**
+   * Get whether enrolled centroids adapt from confirmed segments
+   * @returns {boolean} Default false
+   */
+  getAdaptiveEnrollment() {
+    return LocalStorageAdapter.getBoolean(LOCAL_STORAGE_KEYS.ADAPTIVE_ENROLLMENT_ENABLED, false);
+  },
+
+  /**
+   * Set whether enrolled centroids adapt from confirmed segments
+   * @param {boolean} enabled
+   * @returns {boolean} Success
+   */
+  setAdaptiveEnrollment(enabled) {
+    return LocalStorageAdapter.setBoolean(LOCAL_STORAGE_KEYS.ADAPTIVE_ENROLLMENT_ENABLED, enabled);
+  },
 };
 
 export default PreferencesStore;
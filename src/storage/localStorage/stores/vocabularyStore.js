@@ -0,0 +1,50 @@
+/**
+ * ASR Vocabulary Store
+ * Persists the vocabulary terms and replacement rules used for new live jobs
+ */
+
+import { LocalStorageAdapter } from '../localStorageAdapter.js';
+import { LOCAL_STORAGE_KEYS } from '../../keys.js';
+import { VOCABULARY_DEFAULTS } from '../../../config/defaults.js';
+
+export const VocabularyStore = {
+  /**
+   * Get the saved vocabulary (empty lists when none is stored)
+   * @returns {{terms: string[], includeEnrolledNames: boolean, replacements: Array<{find: string, replace: string}>}}
+   */
+  getVocabulary() {
+    const stored = LocalStorageAdapter.getJSON(LOCAL_STORAGE_KEYS.ASR_VOCABULARY, {}) || {};
+    return {
+      terms: Array.isArray(stored.terms) ? stored.terms.filter((t) => typeof t === 'string') : [],
+      includeEnrolledNames: typeof stored.includeEnrolledNames === 'boolean'
+        ? stored.includeEnrolledNames
+        : VOCABULARY_DEFAULTS.includeEnrolledNames,
+      replacements: Array.isArray(stored.replacements)
+        ? stored.replacements.filter((r) => typeof r?.find === 'string' && typeof r?.replace === 'string')
+        : [],
+    };
+  },
+
+  /**
+   * Save the vocabulary
+   * @param {{terms: string[], includeEnrolledNames: boolean, replacements: Array<{find: string, replace: string}>}} vocabulary
+   * @returns {boolean} Success
+   */
+  setVocabulary(vocabulary) {
+    return LocalStorageAdapter.setJSON(LOCAL_STORAGE_KEYS.ASR_VOCABULARY, {
+      terms: vocabulary?.terms || [],
+      includeEnrolledNames: vocabulary?.includeEnrolledNames ?? VOCABULARY_DEFAULTS.includeEnrolledNames,
+      replacements: vocabulary?.replacements || [],
+    });
+  },
+
+  /**
+   * Clear the saved vocabulary
+   * @returns {boolean} Success
+   */
+  clearVocabulary() {
+    return LocalStorageAdapter.remove(LOCAL_STORAGE_KEYS.ASR_VOCABULARY);
+  },
+};
+
+export default VocabularyStore;
@@ -5,5 +5,6 @@
 
 export { SpeakerVisualizer } from './speakerVisualizer.js';
 export { ParticipantsPanel } from './participantsPanel.js';
+export { TalkTimePanel } from './talkTimePanel.js';
 export { DebugPanel } from './debugPanel.js';
 export { ResizeDividers } from './resizeDividers.js';
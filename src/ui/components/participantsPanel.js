@@ -16,6 +16,7 @@ export class ParticipantsPanel {
    * @param {string} [options.statusId='participants-status'] - Status element ID
    * @param {string[]} [options.colors] - Custom color palette
    * @param {string[]} [options.unknownColors] - Custom color palette for unknown speakers
+   * @param {Function} [options.onRelabel] - Called as (participant, name, {enroll}) when the user names a speaker
    */
   constructor(options = {}) {
     // Resolve container element
@@ -31,6 +32,7 @@ export class ParticipantsPanel {
     this.statusId = options.statusId || 'participants-status';
     this.colors = options.colors || SPEAKER_COLORS;
     this.unknownColors = options.unknownColors || UNKNOWN_SPEAKER_COLORS;
+    this.onRelabel = options.onRelabel || null;
 
     // Track previous state for change detection
     this.previousVersion = -1;
@@ -67,8 +69,10 @@ export class ParticipantsPanel {
    * @param {Object} [enrolledSpeakers] - Map of enrolled speakers for color lookup
    * @param {Object} [speakerStats] - Per-speaker statistics for enhanced display
    * @param {Array} [hypothesisHistory] - History of hypothesis changes
+   * @param {Object} [options]
+   * @param {boolean} [options.relabelEnabled=false] - Offer naming unknown speakers
    */
-  render(hypothesis, enrolledSpeakers = [], speakerStats = {}, hypothesisHistory = []) {
+  render(hypothesis, enrolledSpeakers = [], speakerStats = {}, hypothesisHistory = [], options = {}) {
     const listEl = this.getListElement();
     const statusEl = this.getStatusElement();
 
@@ -79,6 +83,9 @@ export class ParticipantsPanel {
 
     // Render participant list with enhanced stats
     this.renderParticipants(listEl, hypothesis.participants, enrolledSpeakers, versionChanged, speakerStats);
+    if (options.relabelEnabled && this.onRelabel) {
+      this.attachRelabelActions(listEl, hypothesis.participants);
+    }
 
     // Render status with version info
     this.renderStatus(statusEl, hypothesis);
@@ -192,7 +199,7 @@ export class ParticipantsPanel {
         : '';
 
       return `
-        <div class="participant-item${animClass}${unknownClass}" style="--participant-color: ${color}">
+        <div class="participant-item${animClass}${unknownClass}" data-participant-index="${idx}" style="--participant-color: ${color}">
           <div class="participant-header">
             <span class="participant-color" style="background-color: ${color}">${unknownBadgeHtml}</span>
             <span class="participant-name">${this.escapeHtml(participant.speakerName)}</span>
@@ -213,6 +220,62 @@ export class ParticipantsPanel {
     listEl.innerHTML = html;
   }
 
+  /**
+   * Add a "Name this speaker" action to unknown participants, with an inline form
+   * for the name and whether to enroll them
+   */
+  attachRelabelActions(listEl, participants) {
+    listEl.querySelectorAll('.participant-item').forEach((itemEl) => {
+      const participant = participants[Number(itemEl.dataset.participantIndex)];
+      if (!participant?.isUnknown) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn-icon-sm participant-relabel-btn';
+      button.title = 'Name this speaker';
+      button.innerHTML = '<i class="ti ti-pencil"></i>';
+      button.addEventListener('click', () => this.showRelabelForm(itemEl, participant));
+      itemEl.querySelector('.participant-header')?.appendChild(button);
+    });
+  }
+
+  /**
+   * Show the inline form for naming a participant
+   */
+  showRelabelForm(itemEl, participant) {
+    if (itemEl.querySelector('.participant-relabel-form')) return;
+
+    const form = document.createElement('form');
+    form.className = 'participant-relabel-form';
+    form.innerHTML = `
+      <input type="text" class="form-input participant-relabel-input" placeholder="Name" required>
+      <label class="participant-relabel-enroll" title="Create an enrollment from this speaker's segments">
+        <input type="checkbox"> Enroll for future recordings
+      </label>
+      <div class="participant-relabel-actions">
+        <button type="submit" class="btn primary small">Rename ${participant.segmentCount} segment${participant.segmentCount !== 1 ? 's' : ''}</button>
+        <button type="button" class="btn secondary small participant-relabel-cancel">Cancel</button>
+      </div>
+    `;
+
+    const input = form.querySelector('.participant-relabel-input');
+    const enroll = form.querySelector('.participant-relabel-enroll input');
+    form.querySelector('.participant-relabel-cancel').addEventListener('click', () => form.remove());
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') form.remove();
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = input.value.trim();
+      if (!name) return;
+      form.querySelectorAll('input, button').forEach((el) => { el.disabled = true; });
+      this.onRelabel(participant, name, { enroll: enroll.checked });
+    });
+
+    itemEl.appendChild(form);
+    input.focus();
+  }
+
   /**
    * Render status message with hypothesis version
    */
@@ -105,12 +105,23 @@ export class SpeakerVisualizer {
       return;
     }
 
+    // Sub-centroids of multi-centroid speakers are projected alongside the speakers
+    const subPoints = [];
+    speakers.forEach((s, parentIndex) => {
+      if (!(s.subCentroids?.length > 1)) return;
+      for (const centroid of s.subCentroids) {
+        subPoints.push({ centroid, colorIndex: s.colorIndex, enrolled: s.enrolled, parentIndex });
+      }
+    });
+
     // Project to 2D
-    const projected = this.pca.fitTransform(speakers);
+    const points = this.pca.fitTransform([...speakers, ...subPoints]);
+    const projected = points.slice(0, speakers.length);
+    const projectedSubs = points.slice(speakers.length);
 
     // Find bounds
-    const xs = projected.map((p) => p.x);
-    const ys = projected.map((p) => p.y);
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
     let minX = Math.min(...xs);
     let maxX = Math.max(...xs);
     let minY = Math.min(...ys);
@@ -133,19 +144,27 @@ export class SpeakerVisualizer {
     const scaleX = maxX === minX ? 1 : plotWidth / (maxX - minX);
     const scaleY = maxY === minY ? 1 : plotHeight / (maxY - minY);
 
-    // Draw each speaker
-    for (const p of projected) {
-      let cx, cy;
-
-      if (projected.length === 1) {
+    const toCanvas = (p) => {
+      if (points.length === 1) {
         // Single point - center it
-        cx = width / 2;
-        cy = height / 2;
-      } else {
-        cx = this.padding + (p.x - minX) * scaleX;
-        cy = this.padding + (maxY - p.y) * scaleY; // Flip Y for canvas coords
+        return { cx: width / 2, cy: height / 2 };
       }
+      return {
+        cx: this.padding + (p.x - minX) * scaleX,
+        cy: this.padding + (maxY - p.y) * scaleY, // Flip Y for canvas coords
+      };
+    };
 
+    // Draw sub-centroids first so speaker dots sit on top
+    for (const p of projectedSubs) {
+      const { cx, cy } = toCanvas(p);
+      const parent = toCanvas(projected[p.parentIndex]);
+      this.drawSubCentroid(cx, cy, parent.cx, parent.cy, p);
+    }
+
+    // Draw each speaker
+    for (const p of projected) {
+      const { cx, cy } = toCanvas(p);
       this.drawSpeaker(cx, cy, p);
     }
 
@@ -224,6 +243,29 @@ export class SpeakerVisualizer {
     this.ctx.fillText(name, cx, cy - this.dotRadius - 4);
   }
 
+  /**
+   * Draw a sub-centroid as a small dot linked to its speaker's dot
+   */
+  drawSubCentroid(cx, cy, parentX, parentY, point) {
+    const color = this.colors[point.colorIndex % this.colors.length];
+    const radius = Math.max(3, this.dotRadius * 0.4);
+
+    this.ctx.beginPath();
+    this.ctx.moveTo(parentX, parentY);
+    this.ctx.lineTo(cx, cy);
+    this.ctx.strokeStyle = '#cbd5e1';
+    this.ctx.lineWidth = 1;
+    this.ctx.stroke();
+
+    this.ctx.beginPath();
+    this.ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    this.ctx.fillStyle = point.enrolled ? color : '#f8fafc';
+    this.ctx.fill();
+    this.ctx.strokeStyle = point.enrolled ? '#1e293b' : '#94a3b8';
+    this.ctx.lineWidth = 1;
+    this.ctx.stroke();
+  }
+
   /**
    * Draw legend in bottom corner
    */
@@ -0,0 +1,196 @@
+/**
+ * Talk Time Panel
+ * Charts per-speaker talk time and turn-taking next to the participants list
+ *
+ * Reusable component - accepts container element or ID
+ */
+
+import { SPEAKER_COLORS, UNKNOWN_SPEAKER_COLORS } from '../../config/index.js';
+
+export class TalkTimePanel {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {HTMLElement} [options.container] - Container element
+   * @param {string} [options.containerId='talk-time-panel'] - Container element ID (alternative)
+   * @param {string[]} [options.colors] - Custom color palette
+   * @param {string[]} [options.unknownColors] - Custom color palette for unknown speakers
+   */
+  constructor(options = {}) {
+    this.container = options.container || null;
+    this.containerId = options.containerId || 'talk-time-panel';
+    this.colors = options.colors || SPEAKER_COLORS;
+    this.unknownColors = options.unknownColors || UNKNOWN_SPEAKER_COLORS;
+  }
+
+  /**
+   * Get container element
+   * @returns {HTMLElement|null}
+   */
+  getContainer() {
+    return this.container || document.getElementById(this.containerId);
+  }
+
+  /**
+   * Render the panel
+   * @param {Object} stats - From computeTalkTimeStats()
+   * @param {Array<{name: string}>} [enrolledSpeakers] - Enrolled speakers for color lookup
+   */
+  render(stats, enrolledSpeakers = []) {
+    const container = this.getContainer();
+    if (!container) return;
+
+    if (!stats || stats.speakers.length === 0) {
+      this.renderEmpty();
+      return;
+    }
+
+    const colors = this.assignColors(stats.speakers, enrolledSpeakers);
+
+    container.innerHTML = `
+      <div class="talk-time-header">
+        <span class="talk-time-title">Talk Time</span>
+        <span class="talk-time-summary">
+          ${this.formatDuration(stats.totalTalkTime)} ·
+          ${stats.turnCount} turn${stats.turnCount !== 1 ? 's' : ''} ·
+          ${stats.interruptionCount} interruption${stats.interruptionCount !== 1 ? 's' : ''}
+        </span>
+      </div>
+      ${this.renderShareBar(stats.speakers, colors)}
+      <div class="talk-time-speakers">
+        ${stats.speakers.map((speaker) => this.renderSpeaker(speaker, colors.get(speaker.speaker), stats.speakers[0].talkTime)).join('')}
+      </div>
+      ${this.renderTimeline(stats, colors)}
+    `;
+  }
+
+  /**
+   * Color speakers like the participants list: enrolled speakers by enrollment order,
+   * everyone else from the unknown palette
+   * @returns {Map<string, string>}
+   */
+  assignColors(speakers, enrolledSpeakers) {
+    const enrolledIndex = new Map(enrolledSpeakers.map((speaker, idx) => [speaker.name, idx]));
+    const colors = new Map();
+    let unknownColorIdx = 0;
+    for (const { speaker } of speakers) {
+      if (enrolledIndex.has(speaker)) {
+        colors.set(speaker, this.colors[enrolledIndex.get(speaker) % this.colors.length]);
+      } else {
+        colors.set(speaker, this.unknownColors[unknownColorIdx % this.unknownColors.length]);
+        unknownColorIdx++;
+      }
+    }
+    return colors;
+  }
+
+  /**
+   * Stacked bar of each speaker's share of talk time
+   */
+  renderShareBar(speakers, colors) {
+    const parts = speakers.map((s) => {
+      const pct = s.share * 100;
+      return `<div class="talk-time-share-part" style="width: ${pct}%; background-color: ${colors.get(s.speaker)}" title="${this.escapeHtml(s.speaker)}: ${Math.round(pct)}%"></div>`;
+    }).join('');
+    return `<div class="talk-time-share-bar">${parts}</div>`;
+  }
+
+  /**
+   * One speaker's talk time bar (scaled to the most talkative speaker) and turn stats
+   */
+  renderSpeaker(speaker, color, maxTalkTime) {
+    const widthPct = maxTalkTime > 0 ? (speaker.talkTime / maxTalkTime) * 100 : 0;
+    const wpm = speaker.wordsPerMinute !== null ? Math.round(speaker.wordsPerMinute) : '—';
+
+    return `
+      <div class="talk-time-speaker" style="--participant-color: ${color}">
+        <div class="talk-time-speaker-header">
+          <span class="participant-color" style="background-color: ${color}"></span>
+          <span class="talk-time-speaker-name">${this.escapeHtml(speaker.speaker)}</span>
+          <span class="talk-time-speaker-total">${this.formatDuration(speaker.talkTime)} (${Math.round(speaker.share * 100)}%)</span>
+        </div>
+        <div class="participant-bar-container">
+          <div class="participant-bar" style="width: ${widthPct}%; background-color: ${color}"></div>
+        </div>
+        <div class="talk-time-speaker-stats">
+          <span title="Turns and average turn length">${speaker.turns} turn${speaker.turns !== 1 ? 's' : ''}, avg ${this.formatDuration(speaker.averageTurnLength)}</span>
+          <span title="Longest monologue">longest ${this.formatDuration(speaker.longestMonologue.duration)}</span>
+          <span title="Words per minute">${wpm} wpm</span>
+          <span title="Interruptions made / received">${speaker.interruptions} / ${speaker.interrupted} interruptions</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Turns on a timeline, one lane per speaker (interruptions outlined)
+   */
+  renderTimeline(stats, colors) {
+    if (stats.duration <= 0) return '';
+    const origin = stats.turns[0].startTime;
+
+    const lanes = stats.speakers.map(({ speaker }) => {
+      const blocks = stats.turns
+        .filter((turn) => turn.speaker === speaker)
+        .map((turn) => {
+          const left = ((turn.startTime - origin) / stats.duration) * 100;
+          const width = Math.max(0.5, ((turn.endTime - turn.startTime) / stats.duration) * 100);
+          const interruptionClass = turn.isInterruption ? ' talk-time-turn-interruption' : '';
+          const title = `${this.formatDuration(turn.startTime)}–${this.formatDuration(turn.endTime)}${turn.isInterruption ? ' (interruption)' : ''}`;
+          return `<div class="talk-time-turn${interruptionClass}" style="left: ${left}%; width: ${width}%; background-color: ${colors.get(speaker)}" title="${title}"></div>`;
+        })
+        .join('');
+      return `<div class="talk-time-lane" title="${this.escapeHtml(speaker)}">${blocks}</div>`;
+    }).join('');
+
+    return `
+      <div class="talk-time-timeline">
+        ${lanes}
+        <div class="talk-time-timeline-axis">
+          <span>${this.formatDuration(origin)}</span>
+          <span>${this.formatDuration(origin + stats.duration)}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render empty/initial state
+   */
+  renderEmpty() {
+    const container = this.getContainer();
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Format seconds as m:ss (or s for under a minute)
+   * @param {number} seconds
+   * @returns {string}
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    if (total < 60) return `${total}s`;
+    const mins = Math.floor(total / 60);
+    const secs = total % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Escape HTML for safe rendering
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Reset panel state
+   */
+  reset() {
+    this.renderEmpty();
+  }
+}
+
+export default TalkTimePanel;
@@ -4,4 +4,10 @@
  */
 
 // Components
-export { SpeakerVisualizer, ParticipantsPanel, DebugPanel, ResizeDividers } from './components/index.js';
+export {
+  SpeakerVisualizer,
+  ParticipantsPanel,
+  TalkTimePanel,
+  DebugPanel,
+  ResizeDividers,
+} from './components/index.js';
@@ -1,6 +1,6 @@
 /**
  * Enrollment Manager
- * Handles voice enrollment workflow using the Rainbow Passage
+ * Handles voice enrollment workflow using a passage set (the Rainbow Passage by default)
  * Supports multiple speaker enrollments and re-recording of samples
  */
 
@@ -12,6 +12,7 @@ export class EnrollmentManager {
   /**
    * @param {Object} [options] - Configuration options
    * @param {string[]} [options.passages] - Custom passages for enrollment
+   * @param {string} [options.language] - ASR language the passages are written in
    * @param {number} [options.minSamplesRequired] - Minimum samples to complete
    * @param {number} [options.outlierThreshold] - Similarity threshold for outlier detection
    */
@@ -21,6 +22,8 @@ export class EnrollmentManager {
 
     // Configuration
     this.passages = options.passages || RAINBOW_PASSAGES;
+    this.language = options.language || 'en';
+    this.passageSetId = null;
     this.minSamplesRequired = config.minSamplesRequired;
     this.outlierThreshold = config.outlierThreshold;
 
@@ -32,9 +35,28 @@ export class EnrollmentManager {
     this.speakerName = '';
     this.currentGroupIndex = 0; // Which group is currently selected
     this.rejectedSamples = []; // Track samples rejected during centroid computation
+    this.acceptedSamples = []; // Samples the last centroid was computed from
     this.usedFallback = false; // True if >50% rejected and fallback was used
   }
 
+  /**
+   * Switch to another passage set (clears recorded samples)
+   * @param {{id: string, language: string, passages: string[]}} passageSet
+   */
+  setPassageSet(passageSet) {
+    this.passages = passageSet.passages;
+    this.language = passageSet.language;
+    this.passageSetId = passageSet.id;
+    this.reset();
+  }
+
+  /**
+   * Get the ASR language the passages are written in
+   */
+  getLanguage() {
+    return this.language;
+  }
+
   /**
    * Get all passage groups
    */
@@ -259,6 +281,8 @@ export class EnrollmentManager {
       );
     }
 
+    this.acceptedSamples = samplesToUse;
+
     // Step 4: Recompute centroid from valid samples only
     const avg = new Float32Array(dim);
     for (const sample of samplesToUse) {
@@ -282,6 +306,15 @@ export class EnrollmentManager {
     return this.rejectedSamples?.length || 0;
   }
 
+  /**
+   * Get the samples used by the last centroid computation (outliers excluded),
+   * e.g. to build sub-centroids
+   * @returns {Float32Array[]}
+   */
+  getAcceptedSamples() {
+    return this.acceptedSamples;
+  }
+
   /**
    * Check if fallback was used due to high outlier rate (>50% rejected)
    * @returns {boolean}
@@ -299,6 +332,7 @@ export class EnrollmentManager {
     this.speakerName = '';
     this.currentGroupIndex = 0;
     this.rejectedSamples = [];
+    this.acceptedSamples = [];
     this.usedFallback = false;
   }
 
@@ -326,12 +360,14 @@ export class EnrollmentManager {
    * @param {Float32Array|Array} embedding - Averaged embedding
    * @param {Object} [options] - Additional options
    * @param {Array<Float32Array|number[]>} [options.audioSamples] - Raw audio samples for recomputing embeddings
+   * @param {Array<Float32Array|number[]>} [options.embeddingSamples] - Per-sample embeddings (for sub-centroids)
    * @returns {Promise<Object>} The created enrollment
    */
   static async addEnrollment(name, embedding, options = {}) {
     const modelId = ModelSelectionStore.getEmbeddingModel();
     return enrollmentStore.add(name, embedding, {
       audioSamples: options.audioSamples,
+      embeddingSamples: options.embeddingSamples,
       modelId,
     });
   }
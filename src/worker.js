@@ -4,14 +4,29 @@
  * Uses phrase-based diarization: Whisper word timestamps + WavLM frame features.
  */
 
-import { pipeline, env as transformersEnv } from '@huggingface/transformers';
+import { pipeline, Tensor, env as transformersEnv } from '@huggingface/transformers';
 import * as ort from 'onnxruntime-web';
 
 import { TransformersBackend, OnnxBackend } from './worker/backends/index.js';
 import { PhraseGapBackend, PyannoteSegBackend, OnnxSegBackend } from './worker/backends/segmentation/index.js';
 import { mapWordsToSegments } from './core/transcription/wordSegmentMapper.js';
+import { detectLanguageFromLogits, pickChunkLanguage } from './core/transcription/languageDetector.js';
+import { mapTranslationToPhrases } from './core/transcription/translationMapper.js';
+import { applyReplacements } from './core/transcription/vocabulary.js';
+import { detectHallucinations, checkTextRate } from './core/transcription/hallucinationDetector.js';
+import { getTokenLogprob, attachWordConfidence } from './core/transcription/wordConfidence.js';
+import { VOCABULARY_DEFAULTS } from './config/defaults.js';
 import { getEmbeddingModelConfig, DEFAULT_EMBEDDING_MODEL } from './config/models.js';
 import { getSegmentationModelConfig, DEFAULT_SEGMENTATION_MODEL } from './config/segmentation.js';
+import {
+  getAsrModelConfig,
+  getMultilingualModelConfig,
+  getAsrPipelineOptions,
+  DEFAULT_ASR_MODEL,
+  DEFAULT_ASR_QUANTIZATION,
+  AUTO_LANGUAGE,
+  DEFAULT_ASR_TASK,
+} from './config/asr.js';
 
 // Configure ONNX Runtime globally to limit threads
 // This reduces idle CPU usage and Safari energy warnings
@@ -21,61 +36,49 @@ ort.env.wasm.numThreads = 2;
 // Transformers.js uses onnxruntime-web internally
 transformersEnv.backends.onnx.wasm.numThreads = 2;
 
-// Model identifiers
-const ASR_MODEL_ID = 'Xenova/whisper-tiny.en';
-
 // Singleton model manager
 class ModelManager {
   static transcriber = null;
+  static asrModelConfig = null;
+  static asrQuantization = DEFAULT_ASR_QUANTIZATION;
   static embeddingBackend = null;
   static embeddingModelConfig = null;
   static isLoaded = false;
   static device = 'wasm';
   // Cache for multiple embedding backends (for visualization)
   static embeddingBackendCache = new Map();
+  // Cache of ASR pipelines keyed by model ID + quantization (for per-job ASR models)
+  static transcriberCache = new Map();
+  // Last chunk language per input channel (for low-confidence language detections)
+  static lastLanguageByChannel = new Map();
 
   /**
    * Load all models
    * @param {string} device - Device to use for ASR ('webgpu' or 'wasm')
    * @param {import('./config/models.js').EmbeddingModelConfig} [embeddingModelConfig] - Embedding model config
    * @param {function} progressCallback - Progress callback
+   * @param {{id: string, quantization?: string}} [asrModel] - ASR model selection
    */
-  static async load(device, embeddingModelConfig, progressCallback) {
+  static async load(device, embeddingModelConfig, progressCallback, asrModel) {
     if (this.isLoaded) return;
 
     this.device = device;
 
     // Use provided config or fall back to default
     this.embeddingModelConfig = embeddingModelConfig || getEmbeddingModelConfig(DEFAULT_EMBEDDING_MODEL);
-
-    // Configure device-specific settings for ASR
-    const asrConfig = {
-      progress_callback: progressCallback,
-    };
-
-    // Use WebGPU if available, otherwise WASM
-    if (device === 'webgpu') {
-      asrConfig.device = 'webgpu';
-      asrConfig.dtype = {
-        encoder_model: 'fp32',
-        decoder_model_merged: 'q4', // 4-bit quantized decoder
-      };
-    } else {
-      asrConfig.device = 'wasm';
-      asrConfig.dtype = 'q8'; // 8-bit quantized for WASM
-    }
+    this.asrModelConfig = getAsrModelConfig(asrModel?.id || DEFAULT_ASR_MODEL);
+    this.asrQuantization = asrModel?.quantization || DEFAULT_ASR_QUANTIZATION;
 
     // Load Whisper ASR pipeline
     self.postMessage({
       type: 'loading-stage',
-      stage: 'Loading Whisper ASR model...',
+      stage: `Loading Whisper ASR model (${this.asrModelConfig.name})...`,
     });
 
-    this.transcriber = await pipeline(
-      'automatic-speech-recognition',
-      ASR_MODEL_ID,
-      asrConfig
-    );
+    this.transcriber = await this.createTranscriber(this.asrModelConfig, this.asrQuantization, progressCallback);
+
+    // Cache the primary transcriber
+    this.transcriberCache.set(this.getTranscriberKey(this.asrModelConfig.id, this.asrQuantization), this.transcriber);
 
     // Load speaker embedding model using appropriate backend
     self.postMessage({
@@ -100,15 +103,277 @@ class ModelManager {
     console.log(`[ModelManager] Loaded embedding model: ${this.embeddingModelConfig.name} (${this.embeddingModelConfig.backend})`);
   }
 
+  /**
+   * Create an ASR pipeline for a model with device-specific settings
+   * @param {import('./config/asr.js').AsrModelConfig} modelConfig
+   * @param {string} quantization - Quantization ID
+   * @param {function} [progressCallback]
+   */
+  static async createTranscriber(modelConfig, quantization, progressCallback) {
+    return await pipeline('automatic-speech-recognition', modelConfig.source, {
+      ...getAsrPipelineOptions(this.device, quantization),
+      progress_callback: progressCallback,
+    });
+  }
+
+  /**
+   * Cache key for an ASR pipeline
+   * @param {string} modelId
+   * @param {string} quantization
+   * @returns {string}
+   */
+  static getTranscriberKey(modelId, quantization) {
+    return `${modelId}:${quantization}`;
+  }
+
+  /**
+   * Get or load the ASR pipeline for a model selection.
+   * Falls back to the primary (live) transcriber when no selection is given.
+   * Only one non-primary pipeline is kept at a time, since Whisper Small
+   * alone can take several hundred MB.
+   * @param {{id: string, quantization?: string}} [asrModel] - ASR model selection
+   * @returns {Promise<{transcriber: Function, config: import('./config/asr.js').AsrModelConfig}>}
+   */
+  static async getOrLoadTranscriber(asrModel) {
+    if (!asrModel?.id) {
+      return { transcriber: this.transcriber, config: this.asrModelConfig };
+    }
+
+    const config = getAsrModelConfig(asrModel.id);
+    const key = this.getTranscriberKey(config.id, asrModel.quantization || DEFAULT_ASR_QUANTIZATION);
+    if (this.transcriberCache.has(key)) {
+      return { transcriber: this.transcriberCache.get(key), config };
+    }
+
+    await this.clearSecondaryTranscribers();
+
+    console.log(`[ModelManager] Loading ASR model: ${config.name} (${asrModel.quantization || DEFAULT_ASR_QUANTIZATION})`);
+    const transcriber = await this.createTranscriber(config, asrModel.quantization || DEFAULT_ASR_QUANTIZATION, () => {});
+    this.transcriberCache.set(key, transcriber);
+
+    console.log(`[ModelManager] Cached ASR model: ${config.name}`);
+    return { transcriber, config };
+  }
+
+  /**
+   * Dispose ASR pipelines other than the primary (live) one
+   * @returns {Promise<number>} Number of pipelines cleared
+   */
+  static async clearSecondaryTranscribers() {
+    const primaryKey = this.getTranscriberKey(this.asrModelConfig?.id, this.asrQuantization);
+    let clearedCount = 0;
+
+    for (const [key, transcriber] of this.transcriberCache.entries()) {
+      if (key === primaryKey) continue;
+
+      try {
+        console.log(`[ModelManager] Disposing ASR model: ${key}`);
+        await transcriber.dispose();
+        this.transcriberCache.delete(key);
+        clearedCount++;
+      } catch (error) {
+        console.error(`[ModelManager] Error disposing ASR model ${key}:`, error);
+      }
+    }
+
+    return clearedCount;
+  }
+
+  /**
+   * Detect the spoken language of an audio chunk with a multilingual Whisper pipeline.
+   * Runs a single decoder step after <|startoftranscript|> and ranks the language tokens
+   * (Transformers.js itself defaults to English instead of detecting).
+   * @param {Function} transcriber - Multilingual ASR pipeline
+   * @param {Float32Array} audio
+   * @returns {Promise<import('./core/transcription/languageDetector.js').LanguageDetection|null>} Null if detection failed
+   */
+  static async detectLanguage(transcriber, audio) {
+    try {
+      const { input_features } = await transcriber.processor(audio);
+      const generationConfig = transcriber.model.generation_config;
+      const startToken = BigInt(generationConfig.decoder_start_token_id);
+      const decoderInputIds = new Tensor('int64', BigInt64Array.from([startToken]), [1, 1]);
+
+      const { logits } = await transcriber.model({ input_features, decoder_input_ids: decoderInputIds });
+      return detectLanguageFromLogits(logits.data, generationConfig.lang_to_id);
+    } catch (error) {
+      console.warn('[ModelManager] Language detection failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Token IDs of a decoder prompt: <|startofprev|> followed by the prompt text
+   * (only the end of a long prompt is kept, as Whisper does with previous text)
+   * @param {Function} transcriber - ASR pipeline
+   * @param {string} prompt
+   * @returns {number[]|null} Null when there is no prompt or the model has no prompt token
+   */
+  static getPromptIds(transcriber, prompt) {
+    if (!prompt?.trim()) return null;
+    const { tokenizer } = transcriber;
+    const startOfPrev = tokenizer.model.tokens_to_ids.get('<|startofprev|>');
+    if (startOfPrev === undefined) return null;
+
+    const ids = tokenizer.encode(` ${prompt.trim()}`, { add_special_tokens: false });
+    return [startOfPrev, ...ids.slice(-VOCABULARY_DEFAULTS.maxPromptTokens)];
+  }
+
+  /**
+   * Run an ASR pipeline with a decoder prompt in front of the usual start tokens.
+   * Transformers.js has no prompt_ids support, so the pipeline is run on a per-call view
+   * of itself whose model's generate() passes the prompt as decoder_input_ids and strips
+   * it from the output again before the pipeline decodes text and word timings. The
+   * shared cached pipeline and model are never modified.
+   * @param {Function} transcriber - ASR pipeline
+   * @param {Float32Array} audio
+   * @param {Object} asrOptions - Pipeline options
+   * @param {number[]|null} promptIds - From getPromptIds (runs the pipeline as is when null)
+   * @returns {Promise<Object>} Whisper output
+   */
+  static async transcribeWithPrompt(transcriber, audio, asrOptions, promptIds) {
+    if (!promptIds?.length) return transcriber(audio, asrOptions);
+
+    const { model } = transcriber;
+    const promptedModel = Object.create(model);
+    promptedModel.generate = async (args) => {
+      const config = model.generation_config;
+      const startTokens = [config.decoder_start_token_id];
+      if (args.language) {
+        startTokens.push(config.lang_to_id[`<|${args.language}|>`], config.task_to_id[args.task || 'transcribe']);
+      }
+      if (!args.return_timestamps && config.no_timestamps_token_id) {
+        startTokens.push(config.no_timestamps_token_id);
+      }
+
+      const output = await model.generate({ ...args, decoder_input_ids: [...promptIds, ...startTokens] });
+      const withoutPrompt = [promptIds.length, null];
+      if (args.return_token_timestamps) {
+        output.sequences = output.sequences.slice(null, withoutPrompt);
+        output.token_timestamps = output.token_timestamps.slice(null, withoutPrompt);
+        return output;
+      }
+      return output.slice(null, withoutPrompt);
+    };
+
+    // Pipelines are callable closures that delegate to _call(), which reads this.model
+    const promptedTranscriber = Object.create(transcriber, { model: { value: promptedModel } });
+    return promptedTranscriber._call(audio, asrOptions);
+  }
+
+  /**
+   * Create a logits processor that records the log-probability of every generated token.
+   * Transformers.js can't return scores from generate(), so the processor only reads the
+   * logits of each step; the token picked from them is known one step later, as the last
+   * input ID. (The final pick of a sequence, normally end-of-text, is never recorded.)
+   * @returns {{processor: Function, tokens: Array<{id: number, logprob: number}>}}
+   */
+  static createTokenScoreRecorder() {
+    const tokens = [];
+    let previous = null;
+    const processor = (inputIds, logits) => {
+      const ids = inputIds[0];
+      if (previous && ids.length === previous.length + 1) {
+        const id = Number(ids[ids.length - 1]);
+        tokens.push({ id, logprob: getTokenLogprob(previous.logits, id) });
+      }
+      // Copy the first batch row; later processors modify the logits in place
+      previous = { logits: logits.data.slice(0, logits.dims.at(-1)), length: ids.length };
+      return logits;
+    };
+    return { processor, tokens };
+  }
+
+  /**
+   * Attach per-word confidence to Whisper word chunks from recorded token scores
+   * @param {Function} transcriber - ASR pipeline (for its tokenizer)
+   * @param {Array} words - Word-level chunks
+   * @param {Array<{id: number, logprob: number}>} tokens - From createTokenScoreRecorder
+   * @returns {Array} Words with `confidence`
+   */
+  static attachConfidence(transcriber, words, tokens) {
+    if (!tokens.length) return words;
+    // Decode growing prefixes so multi-byte characters split across tokens come out whole
+    const ids = tokens.map((t) => t.id);
+    let previousText = '';
+    const scored = tokens.map((token, k) => {
+      const text = transcriber.tokenizer.decode(ids.slice(0, k + 1), { skip_special_tokens: true });
+      const piece = text.slice(previousText.length);
+      previousText = text;
+      return { text: piece, logprob: token.logprob };
+    });
+    return attachWordConfidence(words, scored);
+  }
+
   /**
    * Run transcription on audio
+   * @param {Float32Array} audio
+   * @param {Object} [options]
+   * @param {{id: string, quantization?: string}} [options.asrModel] - ASR model to use (defaults to the primary)
+   * @param {string} [options.language] - Fixed language code, or 'auto' to detect per chunk
+   *   (ignored by English-only models)
+   * @param {number} [options.channelId=0] - Input channel (detection falls back to its previous language)
+   * @param {'transcribe'|'translate'} [options.task='transcribe'] - 'translate' also translates the chunk
+   *   to English, using the multilingual counterpart of an English-only model
+   * @param {string} [options.prompt] - Decoder prompt (vocabulary terms and names) to bias spelling
+   * @returns {Promise<Object>} Whisper output (word chunks with `confidence`) plus `language`,
+   *   `languageDetection` (null unless detected) and `translation` (null unless translating;
+   *   `skipped` when the chunk is already English)
    */
-  static async runTranscription(audio) {
-    // Note: Don't pass 'language' for English-only models like whisper-tiny.en
-    return await this.transcriber(audio, {
+  static async runTranscription(audio, options = {}) {
+    const { language = AUTO_LANGUAGE, channelId = 0, task = DEFAULT_ASR_TASK, prompt = '' } = options;
+    let asrModel = options.asrModel;
+    if (task === 'translate') {
+      const baseConfig = getAsrModelConfig(asrModel?.id || this.asrModelConfig?.id);
+      asrModel = {
+        id: getMultilingualModelConfig(baseConfig.id).id,
+        quantization: asrModel?.quantization || this.asrQuantization,
+      };
+    }
+    const { transcriber, config } = await this.getOrLoadTranscriber(asrModel);
+    const asrOptions = {
       return_timestamps: 'word',
       chunk_length_s: 30,
-    });
+    };
+
+    // Note: Don't pass 'language' for English-only models like whisper-tiny.en
+    let chunkLanguage = 'en';
+    let languageDetection = null;
+    if (config?.multilingual) {
+      if (language && language !== AUTO_LANGUAGE) {
+        chunkLanguage = language;
+      } else {
+        const detection = await this.detectLanguage(transcriber, audio);
+        const picked = pickChunkLanguage(detection, this.lastLanguageByChannel.get(channelId) || null);
+        chunkLanguage = picked.language;
+        languageDetection = detection ? { ...detection, reason: picked.reason } : null;
+        this.lastLanguageByChannel.set(channelId, chunkLanguage);
+      }
+      asrOptions.language = chunkLanguage;
+      asrOptions.task = 'transcribe';
+    }
+
+    const promptIds = this.getPromptIds(transcriber, prompt);
+    const recorder = this.createTokenScoreRecorder();
+    asrOptions.logits_processor = [recorder.processor];
+    const result = await this.transcribeWithPrompt(transcriber, audio, asrOptions, promptIds);
+    result.chunks = this.attachConfidence(transcriber, result.chunks || [], recorder.tokens);
+
+    // Second pass through the translate task (sentence timestamps only; word timings
+    // of translated tokens don't follow the audio)
+    let translation = null;
+    if (task === 'translate') {
+      translation = chunkLanguage === 'en'
+        ? { skipped: true, text: result.text, chunks: [] }
+        : await this.transcribeWithPrompt(transcriber, audio, {
+          return_timestamps: true,
+          chunk_length_s: 30,
+          language: chunkLanguage,
+          task: 'translate',
+        }, promptIds);
+    }
+
+    return { ...result, language: chunkLanguage, languageDetection, translation };
   }
 
   /**
@@ -477,9 +742,10 @@ async function checkWebGPU(requestId) {
  * @param {import('./config/models.js').EmbeddingModelConfig} [params.embeddingModel] - Embedding model config
  * @param {import('./config/segmentation.js').SegmentationModelConfig} [params.segmentationModel] - Segmentation model config
  * @param {Record<string, number>} [params.segmentationParams] - Initial segmentation parameter values
+ * @param {{id: string, quantization?: string}} [params.asrModel] - ASR model selection for live capture
  * @param {string} requestId
  */
-async function handleLoad({ device, embeddingModel, segmentationModel, segmentationParams }, requestId) {
+async function handleLoad({ device, embeddingModel, segmentationModel, segmentationParams, asrModel }, requestId) {
   try {
     const modelName = embeddingModel?.name || 'default';
     self.postMessage({
@@ -496,7 +762,7 @@ async function handleLoad({ device, embeddingModel, segmentationModel, segmentat
       }
     };
 
-    await ModelManager.load(device, embeddingModel, progressCallback);
+    await ModelManager.load(device, embeddingModel, progressCallback, asrModel);
 
     // Load segmentation model
     const segModelName = segmentationModel?.name || 'default';
@@ -516,12 +782,9 @@ async function handleLoad({ device, embeddingModel, segmentationModel, segmentat
       });
 
       // Run a tiny inference to trigger shader compilation
-      // Note: Don't pass 'language' for English-only models like whisper-tiny.en
+      // (fixed language so silence doesn't seed the per-channel language memory)
       const warmupAudio = new Float32Array(16000); // 1 second of silence
-      await ModelManager.transcriber(warmupAudio, {
-        return_timestamps: 'word',
-        chunk_length_s: 30,
-      });
+      await ModelManager.runTranscription(warmupAudio, { language: 'en' });
     }
 
     const embeddingModelInfo = ModelManager.getEmbeddingModelInfo();
@@ -642,7 +905,7 @@ function isBlankAudioMarker(word) {
  * - Overlap audio is prepended by AudioCapture
  * - ALL words are kept (no discard) - overlap merging happens in app.js
  */
-async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDuration = 0, isFinal = false, channelId = 0, skipEmbedding = false }, requestId) {
+async function handleTranscribe({ audio, language = AUTO_LANGUAGE, task = DEFAULT_ASR_TASK, chunkIndex, overlapDuration = 0, isFinal = false, channelId = 0, skipEmbedding = false, asrModel = null, vocabulary = null, hallucination = null }, requestId) {
   try {
     const startTime = performance.now();
 
@@ -653,12 +916,26 @@ async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDur
 
     // 1. Run ASR to get transcript with word-level timestamps
     const asrStartTime = performance.now();
-    const asrResult = await ModelManager.runTranscription(audioData);
+    // A new session (or reprocess) starts at chunk 0; forget the previous language there
+    if (chunkIndex === 0) {
+      ModelManager.lastLanguageByChannel.delete(channelId);
+    }
+    const asrResult = await ModelManager.runTranscription(audioData, {
+      asrModel,
+      language,
+      channelId,
+      task,
+      prompt: vocabulary?.prompt,
+    });
     const asrTime = performance.now() - asrStartTime;
 
     // Join split bracketed markers (e.g., "[BLANK" + "_AUDIO]" → "[BLANK_AUDIO]")
     const rawWords = asrResult.chunks || [];
-    const words = joinSplitBracketedMarkers(rawWords);
+    // Vocabulary replacements run before segmentation so corrected words keep their timestamps
+    const { words, count: replacementCount } = applyReplacements(
+      joinSplitBracketedMarkers(rawWords),
+      vocabulary?.replacements
+    );
 
     // Debug: Log raw Whisper output
     self.postMessage({
@@ -667,6 +944,10 @@ async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDur
       data: {
         chunkIndex,
         text: asrResult.text,
+        language: asrResult.language,
+        languageDetection: asrResult.languageDetection,
+        prompt: vocabulary?.prompt || null,
+        replacementCount,
         wordCount: words.length,
         asrTimeMs: Math.round(asrTime),
         words: words.map(w => ({
@@ -677,8 +958,33 @@ async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDur
     });
 
     // 2. Keep ALL words - overlap merging handled by app.js
-    // No more last-word-discard or splitPoint calculation
-    const wordsToKeep = words;
+    // No more last-word-discard or splitPoint calculation.
+    // Likely hallucinations (repetition loops, words outside VAD speech) are flagged,
+    // or dropped before segmentation so they never reach speaker attribution.
+    let wordsToKeep = words;
+    let hallucinationSummary = null;
+    if (hallucination) {
+      const check = detectHallucinations(words, {
+        audioDuration,
+        speechRegions: hallucination.speechRegions,
+      });
+      wordsToKeep = check.words;
+      let textRate = check.textRate;
+
+      if (hallucination.action === 'drop') {
+        wordsToKeep = wordsToKeep.filter((w) => !w.hallucination);
+        // Dropping the loop usually brings the rate back to normal
+        textRate = checkTextRate(wordsToKeep, audioDuration, hallucination.speechRegions);
+      }
+
+      hallucinationSummary = {
+        action: hallucination.action,
+        reasons: textRate.anomalous ? ['text_rate'] : [],
+        flaggedCount: check.flaggedCount,
+        droppedCount: words.length - wordsToKeep.length,
+        charsPerSecond: textRate.charsPerSecond,
+      };
+    }
 
     // 3. Segment audio using configured backend (text-gap or acoustic)
     const segStartTime = performance.now();
@@ -762,6 +1068,14 @@ async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDur
       });
     }
 
+    // Attach translated sentences to the phrases they were spoken in
+    if (asrResult.translation && !asrResult.translation.skipped) {
+      const translatedTexts = mapTranslationToPhrases(phrasesWithEmbeddings, asrResult.translation.chunks);
+      phrasesWithEmbeddings.forEach((phrase, i) => {
+        phrase.translatedText = translatedTexts[i];
+      });
+    }
+
     const embeddingTime = performance.now() - embeddingStartTime;
     const processingTime = performance.now() - startTime;
 
@@ -797,14 +1111,15 @@ async function handleTranscribe({ audio, language = 'en', chunkIndex, overlapDur
       data: {
         transcript: {
           ...asrResult,
-          // All words are kept now
+          // All words are kept now (unless hallucination filtering dropped some)
           chunks: wordsToKeep,
           text: wordsToKeep.map(w => w.text).join(''),
+          hallucination: hallucinationSummary,
         },
         // Raw ASR output for debugging display
         rawAsr: {
           allWords: words, // All words from Whisper
-          keptWords: wordsToKeep, // Same as allWords now (no discard)
+          keptWords: wordsToKeep, // Same as allWords unless hallucination filtering dropped some
           audioDuration: audioDuration,
         },
         phrases: phrasesWithEmbeddings,
@@ -934,12 +1249,20 @@ async function handleBatchExtractEmbeddings({ segments }, requestId) {
  * Transcribe audio for enrollment validation
  * Returns just the text for comparison against expected sentence
  */
-async function handleTranscribeForValidation({ audio, sampleId }, requestId) {
+async function handleTranscribeForValidation({ audio, sampleId, language = 'en' }, requestId) {
   try {
     const audioData = audio instanceof Float32Array ? audio : new Float32Array(audio);
 
-    // Run transcription
-    const result = await ModelManager.runTranscription(audioData);
+    // Transcribe in the language of the enrollment passage set
+    const options = { language };
+    if (language !== 'en') {
+      // English-only models can't transcribe other languages, so use the multilingual variant
+      options.asrModel = {
+        id: getMultilingualModelConfig(ModelManager.asrModelConfig?.id).id,
+        quantization: ModelManager.asrQuantization,
+      };
+    }
+    const result = await ModelManager.runTranscription(audioData, options);
     const text = result.text || '';
     const words = result.chunks || [];
 
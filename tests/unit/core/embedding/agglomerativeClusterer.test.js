@@ -0,0 +1,104 @@
+/**
+ * Unit tests for offline agglomerative clustering
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  agglomerativeCluster,
+  matchClustersToSpeakers,
+} from '../../../../src/core/embedding/agglomerativeClusterer.js';
+
+// Embedding pointing mostly along one axis, with a little spread along another
+function near(axis, spread = 0, spreadAxis = 3) {
+  const e = new Float32Array(4);
+  e[axis] = 1;
+  e[spreadAxis] += spread;
+  return e;
+}
+
+describe('agglomerativeCluster', () => {
+  it('should group similar embeddings regardless of order', () => {
+    const embeddings = [near(0), near(1), near(0, 0.1), near(1, 0.1), near(0, 0.2)];
+    const { labels, clusters } = agglomerativeCluster(embeddings, { threshold: 0.8 });
+
+    expect(clusters).toHaveLength(2);
+    expect(labels).toEqual([0, 1, 0, 1, 0]);
+    expect(clusters[0].members).toEqual([0, 2, 4]);
+  });
+
+  it('should number clusters by first appearance', () => {
+    const { labels } = agglomerativeCluster([near(2), near(0), near(2)], { threshold: 0.8 });
+    expect(labels).toEqual([0, 1, 0]);
+  });
+
+  it('should merge down to a target cluster count, ignoring the threshold', () => {
+    const embeddings = [near(0), near(1), near(2), near(0, 0.1)];
+    const { clusters } = agglomerativeCluster(embeddings, { threshold: 0.99, numClusters: 2 });
+    expect(clusters).toHaveLength(2);
+  });
+
+  it('should keep every item separate when nothing clears the threshold', () => {
+    const { clusters } = agglomerativeCluster([near(0), near(1), near(2)], { threshold: 0.5 });
+    expect(clusters).toHaveLength(3);
+  });
+
+  it('should merge less with complete linkage than average linkage', () => {
+    // A chain: a~b and b~c are close, a and c are not
+    const a = new Float32Array([1, 0, 0, 0]);
+    const b = new Float32Array([0.8, 0.6, 0, 0]);
+    const c = new Float32Array([0.28, 0.96, 0, 0]);
+    const average = agglomerativeCluster([a, b, c], { linkage: 'average', threshold: 0.5 });
+    const complete = agglomerativeCluster([a, b, c], { linkage: 'complete', threshold: 0.5 });
+
+    expect(average.clusters).toHaveLength(1);
+    expect(complete.clusters).toHaveLength(2);
+  });
+
+  it('should return unit-norm centroids', () => {
+    const { clusters } = agglomerativeCluster([near(0), near(0, 0.5)], { threshold: 0.5 });
+    const norm = Math.sqrt(clusters[0].centroid.reduce((sum, v) => sum + v * v, 0));
+    expect(norm).toBeCloseTo(1);
+  });
+
+  it('should handle empty input', () => {
+    expect(agglomerativeCluster([])).toEqual({ labels: [], clusters: [] });
+  });
+});
+
+describe('matchClustersToSpeakers', () => {
+  const speakers = [near(0), near(1)];
+
+  it('should match clusters to the most similar speaker', () => {
+    const matches = matchClustersToSpeakers([near(1, 0.1), near(0, 0.1)], speakers);
+    expect(matches.map((m) => m.speakerIndex)).toEqual([1, 0]);
+  });
+
+  it('should leave clusters unmatched below the similarity threshold', () => {
+    const [match] = matchClustersToSpeakers([near(2)], speakers, { similarityThreshold: 0.75 });
+    expect(match.speakerIndex).toBe(-1);
+  });
+
+  it('should leave ambiguous clusters unmatched', () => {
+    const between = new Float32Array([1, 1, 0, 0]);
+    const [match] = matchClustersToSpeakers([between], speakers, { similarityThreshold: 0.5, confidenceMargin: 0.1 });
+    expect(match.speakerIndex).toBe(-1);
+    expect(match.margin).toBeCloseTo(0);
+  });
+
+  it('should allow several clusters to map to one speaker', () => {
+    const matches = matchClustersToSpeakers([near(0, 0.1), near(0, 0.2)], speakers);
+    expect(matches.map((m) => m.speakerIndex)).toEqual([0, 0]);
+  });
+
+  it('should score with the given speaker scoring', () => {
+    // Scores that prefer speaker 1 even though the cluster sits on speaker 0
+    const scoreSpeakers = () => [0.2, 0.9];
+    const [match] = matchClustersToSpeakers([near(0)], speakers, { scoreSpeakers });
+    expect(match.speakerIndex).toBe(1);
+    expect(match.similarity).toBeCloseTo(0.9);
+  });
+
+  it('should return unmatched results when there are no speakers', () => {
+    expect(matchClustersToSpeakers([near(0)], [])).toEqual([{ speakerIndex: -1, similarity: 0, margin: 0 }]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for adapting enrolled centroids from confirmed segments
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  collectAdaptationEmbeddings,
+  computeAdaptedCentroid,
+} from '../../../../src/core/embedding/centroidAdaptation.js';
+import { cosineSimilarity } from '../../../../src/core/embedding/embeddingUtils.js';
+
+const ALICE = { id: 'a', name: 'Alice', centroid: [1, 0, 0] };
+const BOB = { id: 'b', name: 'Bob', centroid: [0, 1, 0] };
+
+function segment(speakerLabel, embedding, clustering = {}, extra = {}) {
+  return {
+    speakerLabel,
+    embedding,
+    startTime: 0,
+    endTime: 3,
+    debug: {
+      clustering: { isEnrolled: true, reason: 'confident_match', similarity: 0.9, margin: 0.4, ...clustering },
+    },
+    ...extra,
+  };
+}
+
+describe('collectAdaptationEmbeddings', () => {
+  it('should group confident matches by enrollment', () => {
+    const segments = [
+      segment('Alice', [0.9, 0.1, 0]),
+      segment('bob', [0.1, 0.9, 0]),
+      segment('Alice', [0.95, 0, 0.05]),
+    ];
+    const collected = collectAdaptationEmbeddings(segments, [ALICE, BOB]);
+    expect(collected.get('a')).toHaveLength(2);
+    expect(collected.get('b')).toHaveLength(1);
+  });
+
+  it('should skip weak, ambiguous, short and overridden segments', () => {
+    const segments = [
+      segment('Alice', [1, 0, 0], { similarity: 0.7 }),
+      segment('Alice', [1, 0, 0], { margin: 0.05 }),
+      segment('Alice', [1, 0, 0], {}, { endTime: 1 }),
+      segment('Alice', [1, 0, 0], {}, { inferenceAttribution: { wasInfluenced: true } }),
+      segment('Alice', [1, 0, 0], { isEnrolled: false }),
+      segment('Alice', [1, 0, 0, 0]),
+      segment('Carol', [1, 0, 0]),
+    ];
+    expect(collectAdaptationEmbeddings(segments, [ALICE]).size).toBe(0);
+  });
+
+  it('should count manual reassignments regardless of clustering', () => {
+    const reassigned = segment('Alice', [0.8, 0.2, 0], { reason: 'ambiguous_match', similarity: 0.5 }, {
+      manuallyReassigned: true,
+    });
+    expect(collectAdaptationEmbeddings([reassigned], [ALICE]).get('a')).toHaveLength(1);
+  });
+});
+
+describe('computeAdaptedCentroid', () => {
+  const options = { learningRatePerSegment: 0.1, maxLearningRate: 0.3, minAnchorSimilarity: 0.8 };
+
+  it('should move the centroid and samples a bounded step toward the segments', () => {
+    const target = [0, 1, 0];
+    const result = computeAdaptedCentroid(
+      { centroid: [1, 0, 0], samples: [[1, 0, 0], [0.9, 0, 0.1]] },
+      [new Float32Array(target), new Float32Array(target)],
+      { ...options, minAnchorSimilarity: 0 }
+    );
+
+    expect(result.applied).toBe(true);
+    expect(result.rate).toBeCloseTo(0.2);
+    expect(result.samples).toHaveLength(2);
+    const moved = cosineSimilarity(result.centroid, target);
+    expect(moved).toBeGreaterThan(0);
+    expect(moved).toBeLessThan(0.5);
+  });
+
+  it('should cap the rate however many segments there are', () => {
+    const embeddings = Array.from({ length: 50 }, () => new Float32Array([0.9, 0.1, 0]));
+    const result = computeAdaptedCentroid({ centroid: [1, 0, 0] }, embeddings, options);
+    expect(result.rate).toBe(0.3);
+    expect(result.samples).toEqual([]);
+  });
+
+  it('should refuse updates that drift too far from the enrollment', () => {
+    const result = computeAdaptedCentroid(
+      { centroid: [0.8, 0.6, 0], anchor: [1, 0, 0] },
+      [new Float32Array([0, 1, 0])],
+      { ...options, learningRatePerSegment: 0.3 }
+    );
+    expect(result.applied).toBe(false);
+    expect(result.reason).toBe('drift_limit');
+    expect(result.anchorSimilarity).toBeLessThan(0.8);
+  });
+
+  it('should do nothing without segments', () => {
+    expect(computeAdaptedCentroid({ centroid: [1, 0, 0] }, [])).toMatchObject({ applied: false, reason: 'no_segments' });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for enrollment file export and import
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ENROLLMENT_FILE_FORMAT,
+  ENROLLMENT_FILE_VERSION,
+  encodeAudioSample,
+  decodeAudioSample,
+  buildEnrollmentFile,
+  parseEnrollmentFile,
+  planEnrollmentImport,
+} from '../../../../src/core/embedding/enrollmentSerializer.js';
+
+const MODELS = {
+  'model-a': { id: 'model-a', dimensions: 4 },
+  'model-b': { id: 'model-b', dimensions: 2 },
+};
+
+function file(enrollments) {
+  return { format: ENROLLMENT_FILE_FORMAT, version: ENROLLMENT_FILE_VERSION, enrollments };
+}
+
+describe('encodeAudioSample / decodeAudioSample', () => {
+  it('should round-trip Float32 audio', () => {
+    const audio = new Float32Array([0, 0.5, -0.25, 1e-7, -1]);
+    expect(decodeAudioSample(encodeAudioSample(audio))).toEqual(audio);
+  });
+
+  it('should handle audio longer than one encoding chunk', () => {
+    const audio = new Float32Array(20000).map((_, i) => Math.sin(i / 10));
+    expect(decodeAudioSample(encodeAudioSample(audio))).toEqual(audio);
+  });
+});
+
+describe('buildEnrollmentFile', () => {
+  const stored = {
+    id: '1',
+    name: 'Alice',
+    colorIndex: 2,
+    timestamp: 1000,
+    centroid: [1, 0, 0, 0],
+    embeddings: { 'model-a': [1, 0, 0, 0], 'model-b': [0, 1] },
+    embeddingSamples: { 'model-a': [[1, 0, 0, 0]] },
+  };
+
+  it('should write each model embedding and skip audio unless given', () => {
+    const data = buildEnrollmentFile([stored]);
+    expect(data.format).toBe(ENROLLMENT_FILE_FORMAT);
+    expect(data.version).toBe(ENROLLMENT_FILE_VERSION);
+    expect(data.enrollments[0]).toEqual({
+      name: 'Alice',
+      colorIndex: 2,
+      timestamp: 1000,
+      embeddings: { 'model-a': [1, 0, 0, 0], 'model-b': [0, 1] },
+      embeddingSamples: { 'model-a': [[1, 0, 0, 0]] },
+    });
+  });
+
+  it('should include audio samples by enrollment ID', () => {
+    const data = buildEnrollmentFile([stored], { audioSamples: { 1: [new Float32Array([0.5])] } });
+    expect(decodeAudioSample(data.enrollments[0].audioSamples[0])).toEqual(new Float32Array([0.5]));
+  });
+
+  it('should file a legacy centroid under the given model', () => {
+    const legacy = { id: '2', name: 'Bob', colorIndex: 0, centroid: [0, 0, 1, 0] };
+    const data = buildEnrollmentFile([legacy], { legacyModelId: 'model-a' });
+    expect(data.enrollments[0].embeddings).toEqual({ 'model-a': [0, 0, 1, 0] });
+  });
+
+  it('should parse back what it builds', () => {
+    const data = JSON.parse(JSON.stringify(
+      buildEnrollmentFile([stored], { audioSamples: { 1: [new Float32Array([0.25, -0.5])] } })
+    ));
+    const { enrollments, warnings } = parseEnrollmentFile(data, { models: MODELS });
+    expect(warnings).toEqual([]);
+    expect(enrollments[0]).toEqual({
+      name: 'Alice',
+      colorIndex: 2,
+      embeddings: stored.embeddings,
+      embeddingSamples: stored.embeddingSamples,
+      audioSamples: [new Float32Array([0.25, -0.5])],
+    });
+  });
+});
+
+describe('parseEnrollmentFile', () => {
+  it('should reject other files and newer versions', () => {
+    expect(() => parseEnrollmentFile({ segments: [] })).toThrow(/Not an enrollment file/);
+    expect(() => parseEnrollmentFile({ ...file([]), version: ENROLLMENT_FILE_VERSION + 1 })).toThrow(/version/);
+  });
+
+  it('should drop embeddings of unknown models or the wrong size', () => {
+    const { enrollments, warnings } = parseEnrollmentFile(file([{
+      name: 'Alice',
+      embeddings: { 'model-a': [1, 0, 0], 'model-b': [0, 1], 'model-x': [1] },
+      embeddingSamples: { 'model-b': [[0, 1], [1]] },
+    }]), { models: MODELS });
+
+    expect(enrollments[0].embeddings).toEqual({ 'model-b': [0, 1] });
+    expect(enrollments[0].embeddingSamples).toEqual({ 'model-b': [[0, 1]] });
+    expect(warnings).toHaveLength(2);
+    expect(warnings.join(' ')).toMatch(/model-a.*4 dimensions/);
+    expect(warnings.join(' ')).toMatch(/unknown model model-x/);
+  });
+
+  it('should keep audio-only enrollments and skip ones with nothing usable', () => {
+    const { enrollments, warnings } = parseEnrollmentFile(file([
+      { name: 'Alice', embeddings: {}, audioSamples: [encodeAudioSample([0.1, 0.2])] },
+      { name: 'Bob', embeddings: { 'model-a': [1, 2] } },
+      { name: '  ', embeddings: { 'model-b': [0, 1] } },
+    ]), { models: MODELS });
+
+    expect(enrollments.map((e) => e.name)).toEqual(['Alice']);
+    expect(enrollments[0].audioSamples).toHaveLength(1);
+    expect(warnings.some((w) => w.includes('Skipped "Bob"'))).toBe(true);
+    expect(warnings.some((w) => w.includes('without a name'))).toBe(true);
+  });
+});
+
+describe('planEnrollmentImport', () => {
+  const existing = [{ id: '1', name: 'Alice' }, { id: '2', name: 'Alice (2)' }];
+  const imported = [{ name: 'alice' }, { name: 'Carol' }];
+
+  it('should rename to the next free name', () => {
+    const { toAdd, skipped } = planEnrollmentImport(imported, existing, 'rename');
+    expect(toAdd.map((a) => a.name)).toEqual(['alice (3)', 'Carol']);
+    expect(skipped).toEqual([]);
+  });
+
+  it('should replace the existing enrollment under its own name', () => {
+    const { toAdd } = planEnrollmentImport(imported, existing, 'replace');
+    expect(toAdd[0]).toMatchObject({ name: 'Alice', replacesId: '1' });
+    expect(toAdd[1]).toMatchObject({ name: 'Carol', replacesId: null });
+  });
+
+  it('should skip taken names, including repeats within the file', () => {
+    const { toAdd, skipped } = planEnrollmentImport([...imported, { name: 'Carol' }], existing, 'skip');
+    expect(toAdd.map((a) => a.name)).toEqual(['Carol']);
+    expect(skipped).toEqual(['alice', 'Carol']);
+  });
+});
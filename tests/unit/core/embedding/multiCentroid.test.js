@@ -0,0 +1,78 @@
+/**
+ * Unit tests for multi-centroid speaker models
+ */
+
+import { describe, it, expect } from 'vitest';
+import { computeSubCentroids, scoreAgainstCentroids } from '../../../../src/core/embedding/multiCentroid.js';
+
+// Deterministic jitter so tests don't depend on Math.random
+function jitter(seed) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return (x - Math.floor(x) - 0.5) * 0.1;
+}
+
+// Samples of one voice recorded on a given "mic" (axis)
+function recordings(axis, count, offset = 0, dims = 8) {
+  return Array.from({ length: count }, (_, n) => {
+    const e = new Float32Array(dims);
+    e[axis] = 1;
+    for (let d = 0; d < dims; d++) e[d] += jitter((offset + n) * dims + d);
+    return e;
+  });
+}
+
+describe('computeSubCentroids', () => {
+  it('should keep a consistent voice at a single centroid', () => {
+    expect(computeSubCentroids(recordings(0, 6))).toHaveLength(1);
+  });
+
+  it('should give each mic setup its own sub-centroid', () => {
+    const samples = [...recordings(0, 4), ...recordings(1, 3, 10)];
+    const centroids = computeSubCentroids(samples);
+
+    expect(centroids).toHaveLength(2);
+    // Largest group first
+    expect(centroids[0][0]).toBeGreaterThan(0.9);
+    expect(centroids[1][1]).toBeGreaterThan(0.9);
+  });
+
+  it('should not give a single stray sample its own sub-centroid', () => {
+    const samples = [...recordings(0, 5), ...recordings(2, 1, 10)];
+    expect(computeSubCentroids(samples)).toHaveLength(1);
+  });
+
+  it('should respect maxCentroids', () => {
+    const samples = [...recordings(0, 3), ...recordings(1, 3, 10), ...recordings(2, 3, 20)];
+    expect(computeSubCentroids(samples)).toHaveLength(3);
+    expect(computeSubCentroids(samples, { maxCentroids: 2 })).toHaveLength(2);
+  });
+
+  it('should return unit-norm centroids', () => {
+    for (const c of computeSubCentroids([...recordings(0, 3), ...recordings(1, 3, 10)])) {
+      const norm = Math.sqrt(c.reduce((sum, v) => sum + v * v, 0));
+      expect(norm).toBeCloseTo(1);
+    }
+  });
+
+  it('should handle empty input', () => {
+    expect(computeSubCentroids([])).toEqual([]);
+    expect(computeSubCentroids(null)).toEqual([]);
+  });
+});
+
+describe('scoreAgainstCentroids', () => {
+  const centroids = [new Float32Array([1, 0, 0]), new Float32Array([0, 1, 0])];
+
+  it('should use the best sub-centroid by default', () => {
+    expect(scoreAgainstCentroids(new Float32Array([0, 1, 0]), centroids)).toBeCloseTo(1);
+  });
+
+  it('should average the best topK sub-centroids', () => {
+    const score = scoreAgainstCentroids(new Float32Array([0, 1, 0]), centroids, { scoring: 'topk', topK: 2 });
+    expect(score).toBeCloseTo(0.5);
+  });
+
+  it('should score 0 without centroids', () => {
+    expect(scoreAgainstCentroids(new Float32Array([1, 0, 0]), [])).toBe(0);
+  });
+});
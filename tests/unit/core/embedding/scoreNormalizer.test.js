@@ -0,0 +1,123 @@
+/**
+ * Unit tests for S-norm / AS-norm score normalization
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ScoreNormalizer,
+  collectCohort,
+  getCohortSignature,
+} from '../../../../src/core/embedding/scoreNormalizer.js';
+
+// Deterministic jitter so tests don't depend on Math.random
+function jitter(seed) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return (x - Math.floor(x) - 0.5) * 0.4;
+}
+
+// Unit-ish vectors along one axis with per-seed jitter
+function voice(axis, seed, dims = 16) {
+  const e = new Float32Array(dims);
+  e[axis] = 1;
+  for (let d = 0; d < dims; d++) e[d] += jitter(seed * dims + d);
+  return e;
+}
+
+function cohortOf(count, source = 'recording:r1') {
+  return Array.from({ length: count }, (_, i) => ({ embedding: voice(4 + (i % 10), i + 100), source }));
+}
+
+describe('ScoreNormalizer', () => {
+  it('should map an average impostor score to the reference mean', () => {
+    const normalizer = new ScoreNormalizer(cohortOf(40), { method: 's-norm', referenceMean: 0.6, referenceStd: 0.1 });
+    const stats = { mean: 0.3, std: 0.05 };
+
+    expect(normalizer.normalize(0.3, stats, stats)).toBeCloseTo(0.6);
+    expect(normalizer.normalize(0.35, stats, stats)).toBeCloseTo(0.7);
+  });
+
+  it('should only use the topN closest cohort scores with AS-norm', () => {
+    const cohort = cohortOf(40);
+    const probe = voice(4, 1);
+    const sNorm = new ScoreNormalizer(cohort, { method: 's-norm' }).getStats(probe);
+    const asNorm = new ScoreNormalizer(cohort, { method: 'as-norm', topN: 5 }).getStats(probe);
+
+    expect(asNorm.mean).toBeGreaterThan(sNorm.mean);
+  });
+
+  it('should leave out cohort entries from an excluded source', () => {
+    const self = voice(0, 1);
+    const normalizer = new ScoreNormalizer(
+      [...cohortOf(30), { embedding: self, source: 'enrollment:alice' }],
+      { method: 'as-norm', topN: 1 }
+    );
+
+    expect(normalizer.getStats(self).mean).toBeCloseTo(1);
+    expect(normalizer.getStats(self, 'enrollment:alice').mean).toBeLessThan(0.9);
+  });
+
+  it('should separate same- and different-speaker pairs on the reference scale', () => {
+    const normalizer = new ScoreNormalizer(cohortOf(60));
+    const alice = voice(0, 1);
+    const target = normalizer.getStats(alice);
+    const score = (probe) => {
+      const raw = probe.reduce((sum, v, i) => sum + v * alice[i], 0)
+        / Math.hypot(...probe) / Math.hypot(...alice);
+      return normalizer.normalize(raw, normalizer.getStats(probe), target);
+    };
+
+    expect(score(voice(0, 2))).toBeGreaterThan(0.75);
+    expect(score(voice(1, 3))).toBeLessThan(0.75);
+  });
+
+  it('should skip cohort embeddings with a different dimension', () => {
+    const normalizer = new ScoreNormalizer([...cohortOf(10), { embedding: new Float32Array(8).fill(1), source: 'x' }]);
+    expect(normalizer.size).toBe(11);
+    expect(Number.isFinite(normalizer.getStats(voice(0, 1)).mean)).toBe(true);
+  });
+});
+
+describe('collectCohort', () => {
+  const recordings = [
+    {
+      id: 'r1',
+      jobs: [{
+        settings: { embeddingModel: { id: 'wavlm' } },
+        processedAt: 1,
+        segments: [
+          { embedding: voice(4, 1), speaker: 0 },
+          { embedding: voice(5, 2), speaker: 1, debug: { clustering: { isEnrolled: true } } },
+          { embedding: voice(6, 3), isEnvironmental: true },
+          { embedding: null },
+        ],
+      }],
+    },
+    {
+      id: 'r2',
+      jobs: [{ settings: { embeddingModel: { id: 'other-model' } }, segments: [{ embedding: voice(7, 4) }] }],
+    },
+  ];
+  const enrollments = [{ id: 'alice', centroid: voice(0, 5) }];
+
+  it('should take unattributed segments from jobs run with the model, plus enrollments', () => {
+    const cohort = collectCohort(recordings, enrollments, 'wavlm');
+    expect(cohort.map((e) => e.source)).toEqual(['recording:r1', 'enrollment:alice']);
+  });
+
+  it('should subsample to maxCohortSize', () => {
+    const many = [{ id: 'r3', jobs: [{ settings: { embeddingModel: { id: 'wavlm' } }, segments: cohortOf(50).map((c) => ({ embedding: c.embedding, speaker: 0 })) }] }];
+    expect(collectCohort(many, [], 'wavlm', { maxCohortSize: 20 })).toHaveLength(20);
+  });
+});
+
+describe('getCohortSignature', () => {
+  it('should change when a recording is reprocessed or an enrollment is added', () => {
+    const recordings = [{ id: 'r1', jobs: [{ settings: { embeddingModel: { id: 'wavlm' } }, processedAt: 1, segments: [{}] }] }];
+    const before = getCohortSignature(recordings, [{ id: 'a' }], 'wavlm');
+
+    expect(getCohortSignature(recordings, [{ id: 'a' }], 'wavlm')).toBe(before);
+    expect(getCohortSignature(recordings, [{ id: 'a' }, { id: 'b' }], 'wavlm')).not.toBe(before);
+    recordings[0].jobs[0].processedAt = 2;
+    expect(getCohortSignature(recordings, [{ id: 'a' }], 'wavlm')).not.toBe(before);
+  });
+});
@@ -186,6 +186,65 @@ describe('SpeakerClusterer', () => {
       expect(clusterer.speakers.length).toBe(1);
       expect(clusterer.speakers[0].name).toBe('Bob');
     });
+
+    it('should score multi-centroid speakers against their closest sub-centroid', () => {
+      const laptopMic = createEmbedding(1);
+      const headset = createEmbedding(2);
+      const averaged = laptopMic.map((v, i) => (v + headset[i]) / 2);
+
+      clusterer.importEnrolledSpeakers([
+        { id: '1', name: 'Alice', centroid: Array.from(averaged), colorIndex: 0, subCentroids: [laptopMic, headset] },
+      ]);
+      const result = clusterer.findBestMatch(headset);
+
+      expect(result.speakerId).toBe(0);
+      expect(result.similarity).toBeCloseTo(1);
+    });
+
+    it('should average the best sub-centroids with topk scoring', () => {
+      clusterer = new SpeakerClusterer({ numSpeakers: 2, centroidScoring: 'topk', centroidTopK: 2 });
+      const a = createEmbedding(1);
+      const b = createEmbedding(2);
+
+      clusterer.importEnrolledSpeakers([
+        { id: '1', name: 'Alice', centroid: Array.from(a), colorIndex: 0, subCentroids: [a, b] },
+      ]);
+      const similarity = clusterer.findBestMatch(a).similarity;
+
+      expect(similarity).toBeLessThan(1);
+      expect(similarity).toBeCloseTo((1 + clusterer.scoreSpeaker(b, { centroid: a })) / 2);
+    });
+  });
+
+  describe('setScoreNormalizer', () => {
+    // Normalizer that adds a fixed offset, to check where normalized scores are used
+    const offsetNormalizer = {
+      method: 'as-norm',
+      getStats: () => ({ mean: 0, std: 1 }),
+      normalize: (score) => score - 0.1,
+    };
+
+    it('should use normalized scores for matching and allSimilarities', () => {
+      const alice = createEmbedding(1);
+      clusterer.importEnrolledSpeakers([{ id: '1', name: 'Alice', centroid: Array.from(alice), colorIndex: 0 }]);
+      clusterer.setScoreNormalizer(offsetNormalizer);
+
+      const result = clusterer.assignSpeaker(alice, true);
+
+      expect(result.debug.reason).toBe('confident_match');
+      expect(result.debug.similarity).toBeCloseTo(0.9);
+      expect(result.debug.allSimilarities[0].similarity).toBeCloseTo(0.9);
+      expect(result.debug.scoreNormalization).toBe('as-norm');
+    });
+
+    it('should go back to raw cosine scores when cleared', () => {
+      const alice = createEmbedding(1);
+      clusterer.importEnrolledSpeakers([{ id: '1', name: 'Alice', centroid: Array.from(alice), colorIndex: 0 }]);
+      clusterer.setScoreNormalizer(offsetNormalizer);
+      clusterer.setScoreNormalizer(null);
+
+      expect(clusterer.findBestMatch(alice).similarity).toBeCloseTo(1);
+    });
   });
 
   describe('exportEnrolledSpeakers', () => {
@@ -204,6 +263,17 @@ describe('SpeakerClusterer', () => {
       expect(exported[0].colorIndex).toBe(0);
     });
 
+    it('should round-trip sub-centroids', () => {
+      const subCentroids = [Array.from(createEmbedding(1)), Array.from(createEmbedding(2))];
+      clusterer.importEnrolledSpeakers([
+        { id: '1', name: 'Alice', centroid: Array.from(createEmbedding(1)), colorIndex: 0, subCentroids },
+      ]);
+      const [exported] = clusterer.exportEnrolledSpeakers();
+
+      expect(exported.subCentroids).toHaveLength(2);
+      expect(exported.subCentroids[1][0]).toBeCloseTo(subCentroids[1][0]);
+    });
+
     it('should not export non-enrolled speakers', () => {
       // Add enrolled speaker
       clusterer.importEnrolledSpeakers([
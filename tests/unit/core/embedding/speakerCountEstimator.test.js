@@ -0,0 +1,71 @@
+/**
+ * Unit tests for automatic speaker-count estimation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { estimateSpeakerCount } from '../../../../src/core/embedding/speakerCountEstimator.js';
+
+// Deterministic jitter so tests don't depend on Math.random
+function jitter(seed) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return (x - Math.floor(x) - 0.5) * 0.2;
+}
+
+// Samples around one axis per speaker, interleaved like a conversation
+function conversation(numSpeakers, perSpeaker, dims = 8) {
+  const embeddings = [];
+  for (let i = 0; i < perSpeaker; i++) {
+    for (let s = 0; s < numSpeakers; s++) {
+      const e = new Float32Array(dims);
+      e[s] = 1;
+      for (let d = 0; d < dims; d++) e[d] += jitter(embeddings.length * dims + d);
+      embeddings.push(e);
+    }
+  }
+  return embeddings;
+}
+
+describe('estimateSpeakerCount', () => {
+  it('should find the number of well-separated speakers', () => {
+    expect(estimateSpeakerCount(conversation(2, 5)).count).toBe(2);
+    expect(estimateSpeakerCount(conversation(3, 5)).count).toBe(3);
+    expect(estimateSpeakerCount(conversation(4, 4)).count).toBe(4);
+  });
+
+  it('should report a single speaker when no split is convincing', () => {
+    const result = estimateSpeakerCount(conversation(1, 10));
+    expect(result.count).toBe(1);
+    expect(result.reason).toBe('single_speaker');
+  });
+
+  it('should not estimate from too few samples', () => {
+    const result = estimateSpeakerCount(conversation(2, 2), { minSamples: 6 });
+    expect(result.count).toBeNull();
+    expect(result.reason).toBe('insufficient_samples');
+  });
+
+  it('should respect the speaker count bounds', () => {
+    expect(estimateSpeakerCount(conversation(4, 4), { maxSpeakers: 3 }).count).toBeLessThanOrEqual(3);
+    expect(estimateSpeakerCount(conversation(1, 10), { minSpeakers: 2 }).count).toBe(2);
+  });
+
+  it('should not count an isolated outlier as a speaker', () => {
+    const embeddings = conversation(2, 5);
+    const outlier = new Float32Array(8);
+    outlier[7] = 1;
+    embeddings.push(outlier);
+
+    expect(estimateSpeakerCount(embeddings).count).toBe(2);
+  });
+
+  it('should score every candidate count', () => {
+    const { scores, sampleCount } = estimateSpeakerCount(conversation(2, 5), { maxSpeakers: 4 });
+    expect(sampleCount).toBe(10);
+    expect(scores.map((s) => s.k)).toEqual([2, 3, 4]);
+  });
+
+  it('should only use the most recent samples', () => {
+    const { sampleCount } = estimateSpeakerCount(conversation(2, 10), { maxSamples: 8 });
+    expect(sampleCount).toBe(8);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for diarization metrics (DER/JER)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  hungarianAssignment,
+  toSpeakerTurns,
+  computeOptimalMapping,
+  computeDiarizationMetrics,
+} from '../../../../src/core/evaluation/diarizationMetrics.js';
+
+// Helper to create a segment
+function seg(speakerLabel, startTime, endTime, extra = {}) {
+  return { speakerLabel, startTime, endTime, ...extra };
+}
+
+const NO_COLLAR = { collar: 0 };
+
+describe('hungarianAssignment', () => {
+  it('should find the minimum cost assignment', () => {
+    const cost = [
+      [4, 1, 3],
+      [2, 0, 5],
+      [3, 2, 2],
+    ];
+    // Optimal: 0->1 (1), 1->0 (2), 2->2 (2) = 5
+    expect(hungarianAssignment(cost)).toEqual([1, 0, 2]);
+  });
+
+  it('should handle more rows than columns', () => {
+    const assignment = hungarianAssignment([[1], [0], [2]]);
+    expect(assignment).toEqual([-1, 0, -1]);
+  });
+
+  it('should handle more columns than rows', () => {
+    expect(hungarianAssignment([[5, 1, 3]])).toEqual([1]);
+  });
+
+  it('should return an empty array for an empty matrix', () => {
+    expect(hungarianAssignment([])).toEqual([]);
+  });
+});
+
+describe('toSpeakerTurns', () => {
+  it('should merge overlapping turns of the same speaker', () => {
+    const turns = toSpeakerTurns([seg('A', 0, 2), seg('A', 1, 3), seg('A', 5, 6)]);
+    expect(turns.get('A')).toEqual([[0, 3], [5, 6]]);
+  });
+
+  it('should skip environmental and invalid segments', () => {
+    const turns = toSpeakerTurns([
+      seg(null, 0, 1, { isEnvironmental: true }),
+      seg('A', 2, 2),
+      seg('B', 3, 1),
+    ]);
+    expect(turns.size).toBe(0);
+  });
+
+  it('should use effective speaker labels', () => {
+    const turns = toSpeakerTurns([
+      seg('Speaker 1', 0, 1, { inferenceAttribution: { displayInfo: { label: 'Alice' } } }),
+    ]);
+    expect([...turns.keys()]).toEqual(['Alice']);
+  });
+});
+
+describe('computeOptimalMapping', () => {
+  it('should map speakers by maximum overlap regardless of labels', () => {
+    const ref = toSpeakerTurns([seg('alice', 0, 5), seg('bob', 5, 10)]);
+    const hyp = toSpeakerTurns([seg('Speaker 1', 5, 10), seg('Speaker 2', 0, 5)]);
+    const mapping = computeOptimalMapping(ref, hyp);
+    expect(Object.fromEntries(mapping)).toEqual({ alice: 'Speaker 2', bob: 'Speaker 1' });
+  });
+});
+
+describe('computeDiarizationMetrics', () => {
+  it('should score a perfect hypothesis as zero error', () => {
+    const ref = [seg('alice', 0, 5), seg('bob', 5, 10)];
+    const hyp = [seg('S1', 0, 5), seg('S2', 5, 10)];
+    const metrics = computeDiarizationMetrics(ref, hyp, NO_COLLAR);
+
+    expect(metrics.der).toBe(0);
+    expect(metrics.jer).toBe(0);
+    expect(metrics.scoredReference).toBe(10);
+    expect(metrics.mapping).toEqual({ alice: 'S1', bob: 'S2' });
+  });
+
+  it('should break errors down into missed, false alarm and confusion', () => {
+    const ref = [seg('alice', 0, 4), seg('bob', 4, 10)];
+    const hyp = [
+      seg('S1', 0, 3),  // alice correct 0-3, missed 3-4
+      seg('S2', 4, 8),  // bob correct 4-8
+      seg('S1', 8, 10), // confusion 8-10 (S1 is mapped to alice)
+      seg('S2', 11, 12), // false alarm 11-12
+    ];
+    const metrics = computeDiarizationMetrics(ref, hyp, NO_COLLAR);
+
+    expect(metrics.missed).toBeCloseTo(1);
+    expect(metrics.confusion).toBeCloseTo(2);
+    expect(metrics.falseAlarm).toBeCloseTo(1);
+    expect(metrics.der).toBeCloseTo(0.4);
+    expect(metrics.missedRate).toBeCloseTo(0.1);
+  });
+
+  it('should exclude the collar around reference boundaries', () => {
+    const ref = [seg('alice', 0, 5), seg('bob', 5, 10)];
+    // Speaker change detected 0.2s late
+    const hyp = [seg('S1', 0, 5.2), seg('S2', 5.2, 10)];
+
+    expect(computeDiarizationMetrics(ref, hyp, NO_COLLAR).der).toBeGreaterThan(0);
+    expect(computeDiarizationMetrics(ref, hyp, { collar: 0.25 }).der).toBe(0);
+  });
+
+  it('should optionally skip overlapped reference speech', () => {
+    const ref = [seg('alice', 0, 6), seg('bob', 4, 10)];
+    const hyp = [seg('S1', 0, 5), seg('S2', 5, 10)];
+
+    const withOverlap = computeDiarizationMetrics(ref, hyp, NO_COLLAR);
+    const skipped = computeDiarizationMetrics(ref, hyp, { collar: 0, skipOverlap: true });
+
+    expect(withOverlap.missed).toBeCloseTo(2);
+    expect(skipped.scoredReference).toBeCloseTo(8);
+    expect(skipped.der).toBe(0);
+  });
+
+  it('should count unmapped reference speakers as full Jaccard error', () => {
+    const ref = [seg('alice', 0, 5), seg('bob', 5, 10)];
+    const hyp = [seg('S1', 0, 10)];
+    const metrics = computeDiarizationMetrics(ref, hyp, NO_COLLAR);
+
+    const bob = metrics.speakers.find((s) => s.reference === 'bob');
+    expect(bob.hypothesis).toBeNull();
+    expect(bob.jer).toBe(1);
+    // alice: intersection 5, union 10
+    expect(metrics.jer).toBeCloseTo((0.5 + 1) / 2);
+    expect(metrics.confusion).toBeCloseTo(5);
+  });
+
+  it('should return null rates when the reference is empty', () => {
+    const metrics = computeDiarizationMetrics([], [seg('S1', 0, 1)], NO_COLLAR);
+    expect(metrics.der).toBeNull();
+    expect(metrics.jer).toBeNull();
+    expect(metrics.falseAlarm).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for parameter sweep grid expansion
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildSweepValues,
+  countSweepCombinations,
+  expandSweepGrid,
+  applySweepCombination,
+  formatSweepLabel,
+  summarizeBoostStats,
+} from '../../../../src/core/evaluation/parameterSweep.js';
+
+// Minimal JobSettings
+function settings() {
+  return {
+    embeddingModel: { id: 'wavlm-base-sv', name: 'WavLM' },
+    segmentationParams: { gapThreshold: 0.2 },
+    clustering: { similarityThreshold: 0.75, confidenceMargin: 0.15, numSpeakers: 2 },
+    boosting: { boostFactor: 1.1 },
+    enrollmentSource: 'snapshot',
+  };
+}
+
+describe('buildSweepValues', () => {
+  it('should include both ends of the range', () => {
+    expect(buildSweepValues(0.6, 0.8, 0.05)).toEqual([0.6, 0.65, 0.7, 0.75, 0.8]);
+  });
+
+  it('should not accumulate floating point error', () => {
+    const values = buildSweepValues(0.1, 0.3, 0.1);
+    expect(values).toEqual([0.1, 0.2, 0.3]);
+  });
+
+  it('should stop before max when it does not land on a step', () => {
+    expect(buildSweepValues(1, 2, 0.4)).toEqual([1, 1.4, 1.8]);
+  });
+
+  it('should return a single value for empty ranges or invalid steps', () => {
+    expect(buildSweepValues(0.5, 0.5, 0.1)).toEqual([0.5]);
+    expect(buildSweepValues(0.5, 0.4, 0.1)).toEqual([0.5]);
+    expect(buildSweepValues(0.5, 0.9, 0)).toEqual([0.5]);
+  });
+
+  it('should cap the number of values', () => {
+    expect(buildSweepValues(0, 1, 0.01, 5)).toHaveLength(5);
+  });
+});
+
+describe('expandSweepGrid', () => {
+  it('should produce the cartesian product with the first range varying slowest', () => {
+    const ranges = [
+      { key: 'clustering.similarityThreshold', values: [0.7, 0.8] },
+      { key: 'boosting.boostFactor', values: [1, 1.1, 1.2] },
+    ];
+    const grid = expandSweepGrid(ranges);
+
+    expect(countSweepCombinations(ranges)).toBe(6);
+    expect(grid).toHaveLength(6);
+    expect(grid[0]).toEqual({ 'clustering.similarityThreshold': 0.7, 'boosting.boostFactor': 1 });
+    expect(grid[3]).toEqual({ 'clustering.similarityThreshold': 0.8, 'boosting.boostFactor': 1 });
+  });
+
+  it('should return no combinations for no ranges or an empty range', () => {
+    expect(expandSweepGrid([])).toEqual([]);
+    expect(expandSweepGrid([{ key: 'clustering.numSpeakers', values: [] }])).toEqual([]);
+  });
+});
+
+describe('applySweepCombination', () => {
+  it('should set values by path without mutating the source', () => {
+    const source = settings();
+    const result = applySweepCombination(source, {
+      'clustering.similarityThreshold': 0.8,
+      'segmentationParams.gapThreshold': 0.3,
+    });
+
+    expect(result.clustering).toEqual({ similarityThreshold: 0.8, confidenceMargin: 0.15, numSpeakers: 2 });
+    expect(result.segmentationParams.gapThreshold).toBe(0.3);
+    expect(source.clustering.similarityThreshold).toBe(0.75);
+    expect(source.segmentationParams.gapThreshold).toBe(0.2);
+  });
+
+  it('should reject unknown parameter groups', () => {
+    expect(() => applySweepCombination(settings(), { 'nope.value': 1 })).toThrow(/nope\.value/);
+    expect(() => applySweepCombination(settings(), { enrollmentSource: 1 })).toThrow();
+  });
+});
+
+describe('formatSweepLabel', () => {
+  it('should list parameter names and values', () => {
+    expect(formatSweepLabel({ 'clustering.similarityThreshold': 0.7, 'boosting.boostFactor': 1.1 }))
+      .toBe('similarityThreshold=0.7, boostFactor=1.1');
+  });
+});
+
+describe('summarizeBoostStats', () => {
+  it('should count boosted, skipped and changed segments', () => {
+    const stats = summarizeBoostStats([
+      { inferenceAttribution: { wasBoosted: true, wasInfluenced: true } },
+      { inferenceAttribution: { wasBoosted: true } },
+      { inferenceAttribution: { boostSkipped: true } },
+      { text: 'no inference' },
+    ]);
+    expect(stats).toEqual({ applied: 2, skipped: 1, changedResult: 1 });
+  });
+});
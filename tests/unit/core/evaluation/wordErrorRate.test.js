@@ -0,0 +1,119 @@
+/**
+ * Unit tests for word error rate scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeForWer,
+  getHypothesisWords,
+  alignWords,
+  computeWordErrorRate,
+} from '../../../../src/core/evaluation/wordErrorRate.js';
+
+// Helper to create a job segment from [text, start] word tuples
+function segment(startTime, tuples, extra = {}) {
+  const words = tuples.map(([text, start]) => ({ text: ` ${text}`, start, end: start + 0.3 }));
+  return { text: words.map((w) => w.text).join(''), startTime, endTime: startTime + 1, words, ...extra };
+}
+
+describe('tokenizeForWer', () => {
+  it('should lowercase and strip punctuation', () => {
+    expect(tokenizeForWer('Hello, World! How are you?')).toEqual(['hello', 'world', 'how', 'are', 'you']);
+  });
+
+  it('should keep apostrophes inside words', () => {
+    expect(tokenizeForWer("Don't 'quote' me")).toEqual(["don't", 'quote', 'me']);
+  });
+
+  it('should drop bracketed sound markers', () => {
+    expect(tokenizeForWer('[MUSIC] okay (laughs) fine [BLANK_AUDIO]')).toEqual(['okay', 'fine']);
+  });
+
+  it('should return no tokens for empty input', () => {
+    expect(tokenizeForWer('')).toEqual([]);
+    expect(tokenizeForWer(undefined)).toEqual([]);
+  });
+});
+
+describe('getHypothesisWords', () => {
+  it('should flatten segment words in time order', () => {
+    const words = getHypothesisWords([
+      segment(5, [['later', 5]]),
+      segment(0, [['Hello,', 0], ['there', 0.4]]),
+    ]);
+    expect(words.map((w) => w.text)).toEqual(['hello', 'there', 'later']);
+    expect(words[0]).toMatchObject({ start: 0, segmentIndex: 1 });
+  });
+
+  it('should skip environmental segments and fall back to segment text', () => {
+    const words = getHypothesisWords([
+      segment(0, [['[Music]', 0]], { isEnvironmental: true }),
+      { text: 'no timestamps here', startTime: 2, endTime: 3, words: [] },
+    ]);
+    expect(words.map((w) => w.text)).toEqual(['no', 'timestamps', 'here']);
+    expect(words[0].start).toBe(2);
+  });
+});
+
+describe('alignWords', () => {
+  it('should align identical sequences as equal', () => {
+    const alignment = alignWords(['a', 'b'], ['a', 'b']);
+    expect(alignment.map((a) => a.op)).toEqual(['equal', 'equal']);
+  });
+
+  it('should detect substitutions, insertions and deletions', () => {
+    const alignment = alignWords(['the', 'cat', 'sat', 'down'], ['the', 'bat', 'sat', 'on', 'down']);
+    expect(alignment.map((a) => a.op)).toEqual(['equal', 'substitute', 'equal', 'insert', 'equal']);
+    expect(alignment[1]).toMatchObject({ ref: 'cat', hyp: 'bat' });
+
+    const dropped = alignWords(['a', 'b', 'c'], ['a', 'c']);
+    expect(dropped.map((a) => a.op)).toEqual(['equal', 'delete', 'equal']);
+    expect(dropped[1].ref).toBe('b');
+  });
+
+  it('should prefer a shifted alignment over a run of substitutions', () => {
+    const alignment = alignWords(['a', 'b', 'c', 'd'], ['x', 'a', 'b', 'c']);
+    expect(alignment.map((a) => a.op)).toEqual(['insert', 'equal', 'equal', 'equal', 'delete']);
+  });
+
+  it('should handle empty sides', () => {
+    expect(alignWords([], ['x']).map((a) => a.op)).toEqual(['insert']);
+    expect(alignWords(['x'], []).map((a) => a.op)).toEqual(['delete']);
+    expect(alignWords([], [])).toEqual([]);
+  });
+});
+
+describe('computeWordErrorRate', () => {
+  it('should score a perfect transcript as zero', () => {
+    const result = computeWordErrorRate('Hello there.', [segment(0, [['Hello', 0], ['there.', 0.4]])]);
+    expect(result.wer).toBe(0);
+    expect(result.correct).toBe(2);
+  });
+
+  it('should count S/I/D against the reference length', () => {
+    // Duplicated word at a chunk boundary (insertion) and a substitution
+    const segments = [
+      segment(0, [['the', 0], ['quick', 0.3], ['quick', 0.6]]),
+      segment(1, [['brown', 1], ['box', 1.3]]),
+    ];
+    const result = computeWordErrorRate('the quick brown fox jumps', segments);
+
+    expect(result.substitutions).toBe(1);
+    expect(result.insertions).toBe(1);
+    expect(result.deletions).toBe(1);
+    expect(result.wer).toBeCloseTo(3 / 5);
+    expect(result.referenceWordCount).toBe(5);
+    expect(result.hypothesisWordCount).toBe(5);
+  });
+
+  it('should attach hypothesis word start times to the alignment', () => {
+    const result = computeWordErrorRate('a b', [segment(0, [['a', 0], ['c', 0.5]])]);
+    expect(result.alignment[1]).toEqual({ op: 'substitute', ref: 'b', hyp: 'c', start: 0.5 });
+  });
+
+  it('should return null WER for an empty reference', () => {
+    const result = computeWordErrorRate('', [segment(0, [['extra', 0]])]);
+    expect(result.wer).toBeNull();
+    expect(result.insertions).toBe(1);
+  });
+});
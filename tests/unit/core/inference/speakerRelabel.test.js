@@ -0,0 +1,93 @@
+/**
+ * Unit tests for relabeling a speaker across a job
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getUnknownClusterId,
+  findSpeakerSegments,
+  resolveSpeakerIdForName,
+  relabelSegments,
+} from '../../../../src/core/inference/speakerRelabel.js';
+
+function segment(speaker, speakerLabel, startTime, endTime, extra = {}) {
+  return { speaker, speakerLabel, startTime, endTime, text: ' hi', ...extra };
+}
+
+// Segment that clustering left unassigned but unknown clustering grouped
+function unknownSegment(unknownId, startTime, endTime) {
+  return segment(-1, 'Unknown', startTime, endTime, {
+    inferenceAttribution: {
+      originalAttribution: { speakerId: unknownId },
+      displayInfo: { label: `Unknown ${-100 - unknownId + 1}` },
+    },
+  });
+}
+
+describe('getUnknownClusterId', () => {
+  it('should read the cluster from the speaker or the attribution', () => {
+    expect(getUnknownClusterId(segment(-101, 'Unknown 2', 0, 1))).toBe(-101);
+    expect(getUnknownClusterId(unknownSegment(-100, 0, 1))).toBe(-100);
+    expect(getUnknownClusterId(segment(0, 'Alice', 0, 1))).toBeNull();
+  });
+});
+
+describe('findSpeakerSegments', () => {
+  const segments = [
+    unknownSegment(-100, 0, 2),
+    segment(0, 'Alice', 2, 4),
+    unknownSegment(-101, 4, 5),
+    segment(-100, 'Unknown 1', 5, 8),
+    segment(null, null, 8, 9, { isEnvironmental: true }),
+  ];
+
+  it('should find every segment of an unknown cluster', () => {
+    expect(findSpeakerSegments(segments, { label: 'Unknown 1', unknownId: -100 })).toEqual([0, 3]);
+  });
+
+  it('should match by displayed label when there is no cluster ID', () => {
+    expect(findSpeakerSegments(segments, { label: 'Alice' })).toEqual([1]);
+  });
+
+  it('should skip segments already reassigned by hand', () => {
+    const reassigned = [{ ...unknownSegment(-100, 0, 2), speaker: 0, speakerLabel: 'Alice', manuallyReassigned: true }];
+    expect(findSpeakerSegments(reassigned, { label: 'Unknown 1', unknownId: -100 })).toEqual([]);
+  });
+});
+
+describe('resolveSpeakerIdForName', () => {
+  const segments = [
+    segment(0, 'Alice', 0, 1, {
+      debug: { clustering: { allSimilarities: [{ speaker: 'Alice', speakerIdx: 0 }, { speaker: 'Priya', speakerIdx: 3 }] } },
+    }),
+    segment(1, 'Speaker 2', 1, 2),
+  ];
+
+  it('should reuse the ID of a speaker with the same name', () => {
+    expect(resolveSpeakerIdForName(segments, ' priya ')).toEqual({ speakerId: 3, isExisting: true });
+    expect(resolveSpeakerIdForName(segments, 'Alice')).toEqual({ speakerId: 0, isExisting: true });
+  });
+
+  it('should pick a new ID past every known speaker', () => {
+    expect(resolveSpeakerIdForName(segments, 'Bob')).toEqual({ speakerId: 4, isExisting: false });
+  });
+});
+
+describe('relabelSegments', () => {
+  it('should reassign the segments and record the manual override', () => {
+    const segments = [unknownSegment(-100, 0, 2), segment(0, 'Alice', 2, 4)];
+    expect(relabelSegments(segments, [0], 4, 'Priya')).toBe(1);
+
+    expect(segments[0].speaker).toBe(4);
+    expect(segments[0].speakerLabel).toBe('Priya');
+    expect(segments[0].manuallyReassigned).toBe(true);
+    expect(segments[0].debug.clustering.manualOverride).toMatchObject({
+      fromSpeaker: -1,
+      fromLabel: 'Unknown 1',
+      toSpeaker: 4,
+      toLabel: 'Priya',
+      bulk: true,
+    });
+    expect(segments[1].speakerLabel).toBe('Alice');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for Viterbi temporal smoothing of speaker assignments
+ */
+
+import { describe, it, expect } from 'vitest';
+import { viterbiDecode, applyTemporalSmoothing } from '../../../../src/core/inference/temporalSmoother.js';
+
+// Segment assigned to its best candidate, with similarities as { name: similarity }
+function segment(similarities, extra = {}) {
+  const allSimilarities = Object.entries(similarities).map(([speaker, similarity], speakerIdx) => ({
+    speaker,
+    speakerIdx,
+    similarity,
+  }));
+  const best = [...allSimilarities].sort((a, b) => b.similarity - a.similarity)[0];
+  return {
+    speaker: best.speakerIdx,
+    speakerLabel: best.speaker,
+    startTime: 0,
+    debug: { clustering: { allSimilarities } },
+    ...extra,
+  };
+}
+
+function emissions(rows) {
+  return rows.map((row) => new Map(Object.entries(row)));
+}
+
+describe('viterbiDecode', () => {
+  it('should follow the best state when there is no penalty', () => {
+    const path = viterbiDecode(emissions([{ A: 0.8, B: 0.7 }, { A: 0.7, B: 0.75 }, { A: 0.8, B: 0.7 }]), 0);
+    expect(path).toEqual(['A', 'B', 'A']);
+  });
+
+  it('should remove a weak one-step flip', () => {
+    const path = viterbiDecode(emissions([{ A: 0.8, B: 0.7 }, { A: 0.7, B: 0.75 }, { A: 0.8, B: 0.7 }]), 0.05);
+    expect(path).toEqual(['A', 'A', 'A']);
+  });
+
+  it('should keep a flip backed by strong evidence', () => {
+    const path = viterbiDecode(emissions([{ A: 0.8, B: 0.7 }, { A: 0.6, B: 0.9 }, { A: 0.8, B: 0.7 }]), 0.05);
+    expect(path).toEqual(['A', 'B', 'A']);
+  });
+
+  it('should not choose a state missing from a step', () => {
+    const path = viterbiDecode(emissions([{ A: 0.8 }, { A: 0.7, B: 0.72 }, { A: 0.6, B: 0.9 }]), 0.5);
+    expect(path[0]).toBe('A');
+  });
+
+  it('should handle empty input', () => {
+    expect(viterbiDecode([], 0.1)).toEqual([]);
+  });
+});
+
+describe('applyTemporalSmoothing', () => {
+  it('should record smoothed segments without changing their stored speaker', () => {
+    const segments = [
+      segment({ Alice: 0.85, Bob: 0.7 }),
+      segment({ Alice: 0.74, Bob: 0.76 }),
+      segment({ Alice: 0.85, Bob: 0.7 }),
+    ];
+    const changed = applyTemporalSmoothing(segments, { changePenalty: 0.05 });
+
+    expect(changed).toEqual([1]);
+    expect(segments[1].speakerLabel).toBe('Bob');
+    expect(segments[1].debug.smoothing).toMatchObject({ applied: true, from: 'Bob', to: 'Alice', speakerIdx: 0 });
+    expect(segments[0].debug.smoothing.applied).toBe(false);
+  });
+
+  it('should prefer boosted similarities over raw clustering scores', () => {
+    const middle = segment({ Alice: 0.74, Bob: 0.76 });
+    middle.inferenceAttribution = {
+      boostedAttribution: {
+        speakerName: 'Bob',
+        debug: { allMatches: [{ speakerName: 'Bob', speakerIdx: 1, similarity: 0.95 }, { speakerName: 'Alice', speakerIdx: 0, similarity: 0.74 }] },
+      },
+    };
+    const segments = [segment({ Alice: 0.85, Bob: 0.7 }), middle, segment({ Alice: 0.85, Bob: 0.7 })];
+
+    expect(applyTemporalSmoothing(segments, { changePenalty: 0.05 })).toEqual([]);
+    expect(middle.debug.smoothing.applied).toBe(false);
+  });
+
+  it('should smooth each channel separately', () => {
+    const segments = [
+      segment({ Alice: 0.85, Bob: 0.7 }, { channelId: 0 }),
+      segment({ Alice: 0.74, Bob: 0.76 }, { channelId: 1 }),
+      segment({ Alice: 0.85, Bob: 0.7 }, { channelId: 0 }),
+    ];
+    applyTemporalSmoothing(segments, { changePenalty: 0.05 });
+    expect(segments[1].debug.smoothing.applied).toBe(false);
+  });
+
+  it('should skip environmental, unknown and manually reassigned segments', () => {
+    const unknown = segment({ Alice: 0.4, Bob: 0.35 });
+    unknown.speaker = -1;
+    unknown.speakerLabel = 'Unknown';
+    const segments = [
+      segment({ Alice: 0.85, Bob: 0.7 }),
+      { isEnvironmental: true, speaker: null, debug: {} },
+      unknown,
+      segment({ Alice: 0.74, Bob: 0.76 }, { manuallyReassigned: true }),
+      segment({ Alice: 0.85, Bob: 0.7 }),
+    ];
+    applyTemporalSmoothing(segments, { changePenalty: 0.05 });
+
+    expect(segments[1].debug.smoothing).toBeUndefined();
+    expect(segments[2].debug.smoothing).toBeUndefined();
+    expect(segments[3].debug.smoothing).toBeUndefined();
+  });
+
+  it('should clear previous decisions when disabled', () => {
+    const segments = [
+      segment({ Alice: 0.85, Bob: 0.7 }),
+      segment({ Alice: 0.74, Bob: 0.76 }),
+      segment({ Alice: 0.85, Bob: 0.7 }),
+    ];
+    applyTemporalSmoothing(segments, { changePenalty: 0.05 });
+
+    expect(applyTemporalSmoothing(segments, { changePenalty: 0 })).toEqual([1]);
+    expect(segments.every((s) => s.debug.smoothing === undefined)).toBe(true);
+  });
+});
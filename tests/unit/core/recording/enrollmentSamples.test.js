@@ -0,0 +1,108 @@
+/**
+ * Unit tests for picking and checking enrollment samples from a recording
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  selectEnrollmentSamples,
+  splitTimeRange,
+  prepareEnrollmentSamples,
+} from '../../../../src/core/recording/enrollmentSamples.js';
+
+const SAMPLE_RATE = 16000;
+
+function segment(startTime, endTime, extra = {}) {
+  return { speaker: 0, speakerLabel: 'A', startTime, endTime, text: ' hello there', ...extra };
+}
+
+// Recording of consecutive [seconds, amplitude] parts (a sine wave, 0 = silence)
+function recording(parts) {
+  const total = parts.reduce((sum, [seconds]) => sum + seconds, 0);
+  const audio = new Float32Array(Math.round(total * SAMPLE_RATE));
+  let offset = 0;
+  for (const [seconds, amplitude] of parts) {
+    const length = Math.round(seconds * SAMPLE_RATE);
+    for (let i = 0; i < length; i++) {
+      audio[offset + i] = amplitude * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE);
+    }
+    offset += length;
+  }
+  return audio;
+}
+
+describe('selectEnrollmentSamples', () => {
+  it('should take the longest segments and cut long ones', () => {
+    const segments = [segment(0, 1), segment(1, 4), segment(4, 24), segment(24, 30)];
+    const samples = selectEnrollmentSamples(segments, { maxSamples: 2, minSampleDuration: 2, maxSampleDuration: 15 });
+    expect(samples).toEqual([
+      { start: 4, end: 19, text: 'hello there' },
+      { start: 24, end: 30, text: 'hello there' },
+    ]);
+  });
+
+  it('should skip short segments and environmental sounds', () => {
+    const segments = [segment(0, 1), segment(1, 5, { isEnvironmental: true })];
+    expect(selectEnrollmentSamples(segments, { minSampleDuration: 2 })).toEqual([]);
+  });
+});
+
+describe('splitTimeRange', () => {
+  const options = { maxSamples: 6, minSampleDuration: 2, maxSampleDuration: 10 };
+
+  it('should cut a range into sample-sized windows', () => {
+    expect(splitTimeRange(5, 30, options)).toEqual([
+      { start: 5, end: 15 },
+      { start: 15, end: 25 },
+      { start: 25, end: 30 },
+    ]);
+  });
+
+  it('should add a short remainder to the previous window', () => {
+    expect(splitTimeRange(0, 21, options)).toEqual([
+      { start: 0, end: 10 },
+      { start: 10, end: 21 },
+    ]);
+  });
+
+  it('should stop at the sample limit and ignore ranges that are too short', () => {
+    expect(splitTimeRange(0, 100, { ...options, maxSamples: 2 })).toHaveLength(2);
+    expect(splitTimeRange(3, 4, options)).toEqual([]);
+    expect(splitTimeRange(4, 3, options)).toEqual([]);
+  });
+});
+
+describe('prepareEnrollmentSamples', () => {
+  it('should slice the samples from the recording', () => {
+    const audio = recording([[4, 0.1], [4, 0.1]]);
+    const result = prepareEnrollmentSamples(audio, [{ start: 0, end: 3 }, { start: 5, end: 8 }]);
+
+    expect(result.passed).toBe(true);
+    expect(result.accepted).toHaveLength(2);
+    expect(result.accepted[1].audio.length).toBe(3 * SAMPLE_RATE);
+    expect(result.accepted[1].start).toBe(5);
+  });
+
+  it('should reject samples that are too quiet', () => {
+    const audio = recording([[6, 0.1], [3, 0.001]]);
+    const result = prepareEnrollmentSamples(audio, [{ start: 0, end: 6 }, { start: 6, end: 9 }]);
+
+    expect(result.accepted).toHaveLength(1);
+    expect(result.rejected[0].start).toBe(6);
+    expect(result.rejected[0].errors[0]).toMatch(/too quiet/);
+    expect(result.passed).toBe(true);
+  });
+
+  it('should fail when the samples together hold too little speech', () => {
+    const audio = recording([[3, 0.1]]);
+    const result = prepareEnrollmentSamples(audio, [{ start: 0, end: 3 }]);
+
+    expect(result.passed).toBe(false);
+    expect(result.errors[0]).toMatch(/Not enough speech/);
+  });
+
+  it('should fail when nothing passes', () => {
+    const result = prepareEnrollmentSamples(recording([[3, 0.001]]), [{ start: 0, end: 3 }]);
+    expect(result.passed).toBe(false);
+    expect(result.accepted).toEqual([]);
+  });
+});
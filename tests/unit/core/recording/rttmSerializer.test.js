@@ -0,0 +1,105 @@
+/**
+ * Unit tests for RTTM export/import
+ */
+
+import { describe, it, expect } from 'vitest';
+import { segmentsToRttm, parseRttm } from '../../../../src/core/recording/rttmSerializer.js';
+
+// Helper to create a job segment
+function segment(speakerLabel, startTime, endTime, extra = {}) {
+  return { text: 'hello', speaker: 0, speakerLabel, startTime, endTime, ...extra };
+}
+
+describe('segmentsToRttm', () => {
+  it('should write one SPEAKER line per segment', () => {
+    const rttm = segmentsToRttm([
+      segment('Alice', 0, 1.5),
+      segment('Bob', 2, 3.25),
+    ], { fileId: 'meeting' });
+
+    expect(rttm).toBe(
+      'SPEAKER meeting 1 0.000 1.500 <NA> <NA> Alice <NA> <NA>\n' +
+      'SPEAKER meeting 1 2.000 1.250 <NA> <NA> Bob <NA> <NA>\n'
+    );
+  });
+
+  it('should replace whitespace in file ids and speaker labels', () => {
+    const rttm = segmentsToRttm([segment('Unknown 1', 0, 1)], { fileId: 'Team Sync' });
+    expect(rttm).toContain('SPEAKER Team_Sync 1 ');
+    expect(rttm).toContain(' Unknown_1 ');
+  });
+
+  it('should use effective speaker labels', () => {
+    const rttm = segmentsToRttm([
+      segment('Speaker 2', 0, 1, { inferenceAttribution: { displayInfo: { label: 'Alice' } } }),
+    ]);
+    expect(rttm).toContain(' Alice ');
+  });
+
+  it('should map channel ids to 1-based RTTM channels', () => {
+    const channelConfigs = [{ id: 0, label: 'Input 1' }, { id: 1, label: 'Input 2' }];
+    const rttm = segmentsToRttm([
+      segment('Alice', 0, 1, { channelId: 1 }),
+      segment('Bob', 1, 2, { channelId: 5 }),
+    ], { channelConfigs });
+
+    const channels = rttm.trim().split('\n').map((line) => line.split(' ')[2]);
+    expect(channels).toEqual(['2', '1']);
+  });
+
+  it('should skip environmental, unlabeled and zero-length segments', () => {
+    const rttm = segmentsToRttm([
+      segment(null, 0, 1, { isEnvironmental: true }),
+      segment(null, 1, 2),
+      segment('Alice', 3, 3),
+    ]);
+    expect(rttm).toBe('');
+  });
+});
+
+describe('parseRttm', () => {
+  it('should parse SPEAKER lines into segments', () => {
+    const segments = parseRttm(
+      'SPEAKER meeting 1 2.000 1.000 <NA> <NA> Bob <NA> <NA>\n' +
+      'SPEAKER meeting 2 0.500 1.000 <NA> <NA> Alice <NA> <NA>\n'
+    );
+
+    expect(segments).toEqual([
+      { speaker: 1, speakerLabel: 'Alice', startTime: 0.5, endTime: 1.5, channelId: 1, fileId: 'meeting' },
+      { speaker: 0, speakerLabel: 'Bob', startTime: 2, endTime: 3, channelId: 0, fileId: 'meeting' },
+    ]);
+  });
+
+  it('should ignore comments, blank lines and other record types', () => {
+    const segments = parseRttm(
+      ';; comment\n\n# another\n' +
+      'SPKR-INFO meeting 1 <NA> <NA> <NA> unknown Alice <NA> <NA>\n' +
+      'SPEAKER meeting 1 0 1 <NA> <NA> Alice <NA> <NA>\r\n'
+    );
+    expect(segments).toHaveLength(1);
+  });
+
+  it('should filter by file id', () => {
+    const segments = parseRttm(
+      'SPEAKER a 1 0 1 <NA> <NA> Alice <NA> <NA>\n' +
+      'SPEAKER b 1 0 1 <NA> <NA> Bob <NA> <NA>\n',
+      { fileId: 'b' }
+    );
+    expect(segments.map((s) => s.speakerLabel)).toEqual(['Bob']);
+  });
+
+  it('should throw on malformed lines', () => {
+    expect(() => parseRttm('SPEAKER a 1 0 1')).toThrow(/line 1/);
+    expect(() => parseRttm('\nSPEAKER a 1 x 1 <NA> <NA> Alice <NA> <NA>')).toThrow(/line 2/);
+  });
+
+  it('should round-trip exported segments', () => {
+    const original = [segment('Alice', 0, 1.25), segment('Bob', 1.5, 4)];
+    const parsed = parseRttm(segmentsToRttm(original, { fileId: 'rt' }));
+
+    expect(parsed.map((s) => [s.speakerLabel, s.startTime, s.endTime])).toEqual([
+      ['Alice', 0, 1.25],
+      ['Bob', 1.5, 4],
+    ]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for subtitle export (SRT / WebVTT)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolveEffectiveSpeaker,
+  formatSubtitleTimestamp,
+  wrapSubtitleText,
+  buildSubtitleCues,
+  toSrt,
+  toWebVtt,
+} from '../../../../src/core/recording/subtitleExporter.js';
+
+// Helper to create a segment word with absolute timestamps (as stored on job segments)
+function word(text, start, end) {
+  return { text: ` ${text}`, start, end };
+}
+
+// Helper to create a segment from a list of [text, start, end] tuples
+function segment(label, tuples, extra = {}) {
+  const words = tuples.map(([text, start, end]) => word(text, start, end));
+  return {
+    text: words.map((w) => w.text).join(''),
+    speaker: 0,
+    speakerLabel: label,
+    startTime: tuples[0][1],
+    endTime: tuples[tuples.length - 1][2],
+    words,
+    ...extra,
+  };
+}
+
+describe('resolveEffectiveSpeaker', () => {
+  it('should fall back to the clustering result', () => {
+    expect(resolveEffectiveSpeaker({ speaker: 1, speakerLabel: 'Bob' })).toEqual({ speaker: 1, label: 'Bob' });
+  });
+
+  it('should use displayInfo label when not influenced by boosting', () => {
+    const seg = { speaker: 1, speakerLabel: 'Speaker 2', inferenceAttribution: { displayInfo: { label: 'Alice' } } };
+    expect(resolveEffectiveSpeaker(seg)).toEqual({ speaker: 1, label: 'Alice' });
+  });
+
+  it('should use the boosted speaker when boosting changed the result', () => {
+    const seg = {
+      speaker: 1,
+      speakerLabel: 'Bob',
+      inferenceAttribution: {
+        wasInfluenced: true,
+        displayInfo: { label: 'Alice' },
+        boostedAttribution: { debug: { allMatches: [{ speakerIdx: 0, speakerName: 'Alice' }] } },
+      },
+    };
+    expect(resolveEffectiveSpeaker(seg)).toEqual({ speaker: 0, label: 'Alice' });
+  });
+
+  it('should use the smoothed speaker over clustering and boosting', () => {
+    const seg = {
+      speaker: 1,
+      speakerLabel: 'Bob',
+      inferenceAttribution: { displayInfo: { label: 'Bob' } },
+      debug: { smoothing: { applied: true, from: 'Bob', to: 'Alice', speakerIdx: 0 } },
+    };
+    expect(resolveEffectiveSpeaker(seg)).toEqual({ speaker: 0, label: 'Alice' });
+  });
+
+  it('should keep a manual reassignment over smoothing', () => {
+    const seg = {
+      speaker: 2,
+      speakerLabel: 'Priya',
+      manuallyReassigned: true,
+      debug: { smoothing: { applied: true, from: 'Priya', to: 'Alice', speakerIdx: 0 } },
+    };
+    expect(resolveEffectiveSpeaker(seg)).toEqual({ speaker: 2, label: 'Priya' });
+  });
+});
+
+describe('formatSubtitleTimestamp', () => {
+  it('should format SRT timestamps with a comma', () => {
+    expect(formatSubtitleTimestamp(3723.456)).toBe('01:02:03,456');
+  });
+
+  it('should format WebVTT timestamps with a period', () => {
+    expect(formatSubtitleTimestamp(1.5, '.')).toBe('00:00:01.500');
+  });
+
+  it('should clamp negative and missing values to zero', () => {
+    expect(formatSubtitleTimestamp(-2)).toBe('00:00:00,000');
+    expect(formatSubtitleTimestamp(undefined)).toBe('00:00:00,000');
+  });
+});
+
+describe('wrapSubtitleText', () => {
+  it('should wrap at word boundaries', () => {
+    expect(wrapSubtitleText('the quick brown fox jumps', 10)).toEqual(['the quick', 'brown fox', 'jumps']);
+  });
+
+  it('should keep overlong words whole', () => {
+    expect(wrapSubtitleText('a supercalifragilistic b', 8)).toEqual(['a', 'supercalifragilistic', 'b']);
+  });
+
+  it('should return no lines for empty text', () => {
+    expect(wrapSubtitleText('   ', 10)).toEqual([]);
+  });
+});
+
+describe('buildSubtitleCues', () => {
+  it('should create one cue per short segment with a speaker prefix', () => {
+    const cues = buildSubtitleCues([segment('Alice', [['Hello', 0, 0.5], ['there', 0.5, 1.0]])]);
+    expect(cues).toHaveLength(1);
+    expect(cues[0]).toMatchObject({ start: 0, end: 1.0, speaker: 'Alice', lines: ['Alice: Hello there'] });
+  });
+
+  it('should split long segments at word boundaries using word timestamps', () => {
+    const tuples = [];
+    for (let i = 0; i < 12; i++) tuples.push([`word${i}`, i * 0.4, i * 0.4 + 0.4]);
+    const cues = buildSubtitleCues([segment('Alice', tuples)], { maxLineLength: 20, maxLinesPerCue: 1 });
+
+    expect(cues.length).toBeGreaterThan(1);
+    cues.forEach((cue) => expect(cue.lines).toHaveLength(1));
+    // Cue boundaries follow the word timings
+    expect(cues[1].start).toBe(cues[0].end);
+    expect(cues[cues.length - 1].end).toBeCloseTo(4.8);
+  });
+
+  it('should split segments that exceed the maximum cue duration', () => {
+    const cues = buildSubtitleCues(
+      [segment('Alice', [['one', 0, 2], ['two', 2, 4], ['three', 4, 6], ['four', 6, 8]])],
+      { maxCueDuration: 4 }
+    );
+    expect(cues.map((c) => c.lines[0])).toEqual(['Alice: one two', 'Alice: three four']);
+  });
+
+  it('should distribute timings when word timestamps are missing', () => {
+    const cues = buildSubtitleCues(
+      [{ text: 'aaaa bbbb', speakerLabel: 'Bob', startTime: 10, endTime: 12, words: [] }],
+      { maxLineLength: 8, maxLinesPerCue: 1, speakerStyle: 'none' }
+    );
+    expect(cues).toHaveLength(2);
+    expect(cues[0]).toMatchObject({ start: 10, end: 11, lines: ['aaaa'] });
+    expect(cues[1]).toMatchObject({ start: 11, end: 12, lines: ['bbbb'] });
+  });
+
+  it('should enforce a minimum cue duration', () => {
+    const cues = buildSubtitleCues([segment('Alice', [['Hi', 1, 1.1]])], { minCueDuration: 0.5 });
+    expect(cues[0].end).toBeCloseTo(1.5);
+  });
+
+  it('should leave environmental segments unattributed or drop them', () => {
+    const env = { text: ' [Music]', isEnvironmental: true, speakerLabel: null, startTime: 0, endTime: 2, words: [word('[Music]', 0, 2)] };
+    expect(buildSubtitleCues([env])[0]).toMatchObject({ speaker: null, lines: ['[Music]'] });
+    expect(buildSubtitleCues([env], { includeEnvironmental: false })).toEqual([]);
+  });
+
+  it('should order cues by segment start time', () => {
+    const cues = buildSubtitleCues([
+      segment('Bob', [['later', 5, 6]]),
+      segment('Alice', [['earlier', 1, 2]]),
+    ]);
+    expect(cues.map((c) => c.speaker)).toEqual(['Alice', 'Bob']);
+  });
+
+  it('should build the translation track from translated text in English', () => {
+    const cues = buildSubtitleCues(
+      [
+        segment('Alice', [['Hola', 0, 1], ['amigos', 1, 2]], { language: 'es', translatedText: 'Hello friends' }),
+        segment('Bob', [['Nada', 3, 4]], { language: 'es', translatedText: null }),
+      ],
+      { track: 'translation' }
+    );
+    expect(cues).toHaveLength(1);
+    expect(cues[0]).toMatchObject({ start: 0, end: 2, speaker: 'Alice', language: 'en', lines: ['Alice: Hello friends'] });
+  });
+
+  it('should keep word timings for segments that are their own translation', () => {
+    const seg = segment('Alice', [['one', 0, 3], ['two', 3, 4]], { language: 'en' });
+    seg.translatedText = seg.text;
+    const cues = buildSubtitleCues([seg], { track: 'translation', maxCueDuration: 3, speakerStyle: 'none' });
+    expect(cues.map((c) => [c.start, c.end])).toEqual([[0, 3], [3, 4]]);
+  });
+});
+
+describe('toSrt', () => {
+  it('should produce numbered SRT cues', () => {
+    const srt = toSrt([
+      segment('Alice', [['Hello', 0, 1]]),
+      segment('Bob', [['Hi', 1.5, 2.5]]),
+    ]);
+    expect(srt).toBe(
+      '1\n00:00:00,000 --> 00:00:01,000\nAlice: Hello\n\n' +
+      '2\n00:00:01,500 --> 00:00:02,500\nBob: Hi\n'
+    );
+  });
+
+  it('should return an empty string when there are no cues', () => {
+    expect(toSrt([])).toBe('');
+  });
+});
+
+describe('toWebVtt', () => {
+  it('should use voice tags by default', () => {
+    const vtt = toWebVtt([segment('Alice', [['Hello', 0, 1]])]);
+    expect(vtt).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v Alice>Hello\n');
+  });
+
+  it('should support speaker prefixes instead of voice tags', () => {
+    const vtt = toWebVtt([segment('Alice', [['Hello', 0, 1]])], { speakerStyle: 'prefix' });
+    expect(vtt).toContain('\nAlice: Hello\n');
+    expect(vtt).not.toContain('<v ');
+  });
+
+  it('should escape markup characters', () => {
+    const vtt = toWebVtt([segment('A<B>', [['x&y', 0, 1]])]);
+    expect(vtt).toContain('<v A&lt;B&gt;>x&amp;y');
+  });
+
+  it('should tag cue languages when the transcript mixes languages', () => {
+    const vtt = toWebVtt([
+      segment('Alice', [['Hello', 0, 1]], { language: 'en' }),
+      segment('Bob', [['Hola', 1, 2]], { language: 'es' }),
+    ]);
+    expect(vtt).toContain('<v Alice><lang en>Hello</lang>');
+    expect(vtt).toContain('<v Bob><lang es>Hola</lang>');
+  });
+
+  it('should not tag languages in a single-language transcript', () => {
+    const vtt = toWebVtt([segment('Alice', [['Hello', 0, 1]], { language: 'en' })]);
+    expect(vtt).not.toContain('<lang');
+  });
+});
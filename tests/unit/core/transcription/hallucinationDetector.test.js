@@ -0,0 +1,117 @@
+/**
+ * Unit tests for Whisper hallucination detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSpeechRegions,
+  findRepeatedWords,
+  findWordsOutsideSpeech,
+  checkTextRate,
+  detectHallucinations,
+  getSegmentHallucination,
+} from '../../../../src/core/transcription/hallucinationDetector.js';
+
+// Whisper word chunk (leading space, [start, end] timestamp)
+function word(text, start, end) {
+  return { text: ` ${text}`, timestamp: [start, end] };
+}
+
+// Words spaced 0.4s apart
+function sentence(text, start = 0) {
+  return text.split(' ').map((t, i) => word(t, start + i * 0.4, start + i * 0.4 + 0.3));
+}
+
+describe('getSpeechRegions', () => {
+  it('should merge consecutive speech frames into regions', () => {
+    const regions = getSpeechRegions([0.1, 0.8, 0.9, 0.2, 0.7], 0.1, { offset: 1 });
+    expect(regions).toHaveLength(2);
+    expect(regions[0].start).toBeCloseTo(1.1);
+    expect(regions[0].end).toBeCloseTo(1.3);
+    expect(regions[1].start).toBeCloseTo(1.4);
+    expect(regions[1].end).toBeCloseTo(1.5);
+  });
+
+  it('should return no regions for silence', () => {
+    expect(getSpeechRegions([0.1, 0.2], 0.1)).toEqual([]);
+  });
+});
+
+describe('findRepeatedWords', () => {
+  it('should flag phrase repeats after the first occurrence', () => {
+    const words = sentence('so thank you. thank you. thank you. bye');
+    expect([...findRepeatedWords(words)]).toEqual([3, 4, 5, 6]);
+  });
+
+  it('should not flag a phrase said twice', () => {
+    expect(findRepeatedWords(sentence('thank you thank you all')).size).toBe(0);
+  });
+
+  it('should need more repeats for single words', () => {
+    expect(findRepeatedWords(sentence('no no no')).size).toBe(0);
+    expect([...findRepeatedWords(sentence('no no no no'))]).toEqual([1, 2, 3]);
+  });
+
+  it('should ignore bracketed markers', () => {
+    const words = [word('[BLANK_AUDIO]', 0, 1), word('[BLANK_AUDIO]', 1, 2), word('[BLANK_AUDIO]', 2, 3), word('[BLANK_AUDIO]', 3, 4)];
+    expect(findRepeatedWords(words).size).toBe(0);
+  });
+});
+
+describe('findWordsOutsideSpeech', () => {
+  it('should flag words that miss every speech region', () => {
+    const words = [word('hello', 0.2, 0.5), word('there', 0.6, 0.9), word('thanks', 4.0, 4.3)];
+    expect([...findWordsOutsideSpeech(words, [{ start: 0, end: 1 }])]).toEqual([2]);
+  });
+
+  it('should allow words just outside a region', () => {
+    expect(findWordsOutsideSpeech([word('hi', 1.1, 1.3)], [{ start: 0, end: 1 }]).size).toBe(0);
+  });
+
+  it('should skip the check without speech regions', () => {
+    expect(findWordsOutsideSpeech([word('hi', 5, 6)], null).size).toBe(0);
+    expect(findWordsOutsideSpeech([word('hi', 5, 6)], []).size).toBe(0);
+  });
+});
+
+describe('checkTextRate', () => {
+  it('should flag far more text than the chunk had time for', () => {
+    const words = sentence('this is a very long sentence that nobody could say in one second');
+    const result = checkTextRate(words, 1);
+    expect(result.anomalous).toBe(true);
+    expect(result.charsPerSecond).toBeGreaterThan(30);
+  });
+
+  it('should accept normal speech', () => {
+    expect(checkTextRate(sentence('this is a normal sentence'), 2).anomalous).toBe(false);
+  });
+
+  it('should use speech time when regions are given', () => {
+    const words = sentence('this is a normal sentence said quickly');
+    expect(checkTextRate(words, 10).anomalous).toBe(false);
+    expect(checkTextRate(words, 10, [{ start: 0, end: 0.5 }]).anomalous).toBe(true);
+  });
+});
+
+describe('detectHallucinations', () => {
+  it('should annotate flagged words with their reasons', () => {
+    const words = [...sentence('hello there'), word('thanks', 8, 8.3)];
+    const result = detectHallucinations(words, { audioDuration: 9, speechRegions: [{ start: 0, end: 1 }] });
+
+    expect(result.flaggedCount).toBe(1);
+    expect(result.words[2].hallucination).toEqual(['outside_speech']);
+    expect(result.words[0]).toBe(words[0]);
+    expect(result.textRate.anomalous).toBe(false);
+  });
+});
+
+describe('getSegmentHallucination', () => {
+  it('should combine word and chunk reasons', () => {
+    const words = [{ text: ' a' }, { text: ' b', hallucination: ['repetition'] }];
+    expect(getSegmentHallucination(words, ['text_rate'])).toEqual({ reasons: ['text_rate', 'repetition'] });
+  });
+
+  it('should return null when nothing is suspect', () => {
+    expect(getSegmentHallucination([{ text: ' a' }])).toBeNull();
+  });
+});
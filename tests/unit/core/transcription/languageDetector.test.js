@@ -0,0 +1,76 @@
+/**
+ * Unit tests for Whisper language detection helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectLanguageFromLogits,
+  pickChunkLanguage,
+  getTranscriptLanguages,
+} from '../../../../src/core/transcription/languageDetector.js';
+
+const LANG_TO_ID = { '<|en|>': 2, '<|es|>': 3, '<|fr|>': 4 };
+
+// Vocabulary logits with the given values at the language token IDs
+function logits(values) {
+  const data = new Float32Array(6).fill(-10);
+  data[0] = 50; // A non-language token must not take part in the softmax
+  Object.entries(values).forEach(([id, value]) => { data[id] = value; });
+  return data;
+}
+
+describe('detectLanguageFromLogits', () => {
+  it('should pick the language token with the highest logit', () => {
+    const detection = detectLanguageFromLogits(logits({ 2: 1, 3: 4, 4: 0 }), LANG_TO_ID);
+    expect(detection.language).toBe('es');
+    expect(detection.candidates.map((c) => c.language)).toEqual(['es', 'en', 'fr']);
+  });
+
+  it('should normalize probabilities over language tokens only', () => {
+    const detection = detectLanguageFromLogits(logits({ 2: 0, 3: 0, 4: 0 }), LANG_TO_ID);
+    expect(detection.probability).toBeCloseTo(1 / 3, 5);
+    const total = detection.candidates.reduce((sum, c) => sum + c.probability, 0);
+    expect(total).toBeCloseTo(1, 5);
+  });
+
+  it('should limit the candidates', () => {
+    const detection = detectLanguageFromLogits(logits({ 2: 1, 3: 2, 4: 3 }), LANG_TO_ID, { topCandidates: 1 });
+    expect(detection.candidates).toHaveLength(1);
+  });
+
+  it('should return null without language tokens', () => {
+    expect(detectLanguageFromLogits(logits({}), {})).toBeNull();
+    expect(detectLanguageFromLogits(new Float32Array(2), LANG_TO_ID)).toBeNull();
+  });
+});
+
+describe('pickChunkLanguage', () => {
+  it('should use a confident detection', () => {
+    expect(pickChunkLanguage({ language: 'es', probability: 0.9 }, 'en')).toEqual({ language: 'es', reason: 'detected' });
+  });
+
+  it('should keep the previous language when the detection is unsure', () => {
+    expect(pickChunkLanguage({ language: 'es', probability: 0.3 }, 'en')).toEqual({ language: 'en', reason: 'previous' });
+  });
+
+  it('should use an unsure detection when there is no previous language', () => {
+    expect(pickChunkLanguage({ language: 'es', probability: 0.3 }, null).language).toBe('es');
+  });
+
+  it('should fall back when nothing is known', () => {
+    expect(pickChunkLanguage(null, null, { fallbackLanguage: 'fr' })).toEqual({ language: 'fr', reason: 'fallback' });
+  });
+});
+
+describe('getTranscriptLanguages', () => {
+  it('should list languages by segment count and skip environmental segments', () => {
+    const segments = [
+      { language: 'es' },
+      { language: 'en' },
+      { language: 'en' },
+      { language: 'fr', isEnvironmental: true },
+      { text: 'no language' },
+    ];
+    expect(getTranscriptLanguages(segments)).toEqual(['en', 'es']);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for manual segment splitting and merging
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  splitSegment,
+  canMergeSegments,
+  mergeSegments,
+  rescoreSegmentSpeakers,
+} from '../../../../src/core/transcription/segmentEditor.js';
+
+function word(text, start, end, extra = {}) {
+  return { text: ` ${text}`, start, end, ...extra };
+}
+
+function segment(words, extra = {}) {
+  return {
+    speaker: 0,
+    speakerLabel: 'Alice',
+    text: words.map((w) => w.text).join(''),
+    words,
+    startTime: words[0].start,
+    endTime: words[words.length - 1].end,
+    embedding: [1, 0],
+    inferenceAttribution: { speakerId: 0 },
+    debug: { duration: 1, smoothing: { applied: true }, clustering: { reason: 'confident_match' } },
+    ...extra,
+  };
+}
+
+describe('splitSegment', () => {
+  const seg = segment([word('hi', 0, 0.4), word('there.', 0.4, 0.9), word('Hello!', 1.2, 1.8)]);
+
+  it('should split the words and times before the given word', () => {
+    const [head, tail] = splitSegment(seg, 2);
+    expect(head.text).toBe(' hi there.');
+    expect(head.startTime).toBe(0);
+    expect(head.endTime).toBe(0.9);
+    expect(tail.text).toBe(' Hello!');
+    expect(tail.startTime).toBe(1.2);
+    expect(tail.endTime).toBe(1.8);
+  });
+
+  it('should keep the speaker and clear what belonged to the old span', () => {
+    const [head, tail] = splitSegment(seg, 1);
+    expect(tail.speaker).toBe(0);
+    expect(tail.speakerLabel).toBe('Alice');
+    expect(tail.embedding).toBeNull();
+    expect(tail.inferenceAttribution).toBeUndefined();
+    expect(tail.debug.smoothing).toBeUndefined();
+    expect(tail.debug.clustering).toEqual({ reason: 'confident_match' });
+    expect(head.debug.manualSplit.from).toEqual([0, 1.8]);
+  });
+
+  it('should keep each part\'s hallucination reasons', () => {
+    const flagged = segment([word('bye', 0, 0.5), word('bye', 0.5, 1, { hallucination: ['repetition'] })], {
+      hallucination: { reasons: ['text_rate', 'repetition'] },
+    });
+    const [head, tail] = splitSegment(flagged, 1);
+    expect(head.hallucination).toEqual({ reasons: ['text_rate'] });
+    expect(tail.hallucination).toEqual({ reasons: ['text_rate', 'repetition'] });
+  });
+
+  it('should split the ASR text of an edited segment with it', () => {
+    const edited = { ...seg, humanEdited: true, originalText: ' high there. Hello!' };
+    const [head, tail] = splitSegment(edited, 2);
+    expect(head.humanEdited).toBe(true);
+    expect(head.originalText).toBe(' high there.');
+    expect(tail.originalText).toBe(' Hello!');
+    expect(mergeSegments(head, tail).originalText).toBe(edited.originalText);
+    expect(splitSegment(seg, 2)[0].originalText).toBeUndefined();
+  });
+
+  it('should return null at the segment edges', () => {
+    expect(splitSegment(seg, 0)).toBeNull();
+    expect(splitSegment(seg, 3)).toBeNull();
+  });
+});
+
+describe('mergeSegments', () => {
+  const first = segment([word('one', 0, 0.5)], { translatedText: 'uno' });
+  const second = segment([word('two', 0.8, 1.2)], { speaker: 1, speakerLabel: 'Bob', translatedText: 'dos' });
+
+  it('should join text, words and time range under the first speaker', () => {
+    const merged = mergeSegments(first, second);
+    expect(merged.text).toBe(' one two');
+    expect(merged.words).toHaveLength(2);
+    expect(merged.startTime).toBe(0);
+    expect(merged.endTime).toBe(1.2);
+    expect(merged.speaker).toBe(0);
+    expect(merged.translatedText).toBe('uno dos');
+    expect(merged.embedding).toBeNull();
+    expect(merged.humanEdited).toBe(false);
+    expect(merged.originalText).toBeUndefined();
+  });
+
+  it('should combine the ASR text of edited segments', () => {
+    const edited = { ...second, humanEdited: true, originalText: ' too' };
+    expect(mergeSegments(first, edited).originalText).toBe(' one too');
+  });
+
+  it('should not merge environmental sounds or different channels', () => {
+    expect(canMergeSegments(first, { ...second, isEnvironmental: true })).toBe(false);
+    expect(mergeSegments(first, { ...second, channelId: 1 })).toBeNull();
+    expect(canMergeSegments(first, second)).toBe(true);
+  });
+});
+
+describe('rescoreSegmentSpeakers', () => {
+  const candidates = [
+    { speaker: 'Alice', speakerIdx: 0, similarity: 0.9, enrolled: true },
+    { speaker: 'Bob', speakerIdx: 1, similarity: 0.2, enrolled: false },
+    { speaker: 'Carol', speakerIdx: 2, similarity: 0.5, enrolled: true },
+  ];
+
+  it('should score candidates against the mean embedding of their other segments', () => {
+    const target = { speaker: 0, embedding: [0, 1], debug: { clustering: { allSimilarities: candidates } } };
+    const others = [
+      { speaker: 0, embedding: [1, 0] },
+      { speaker: 1, embedding: [0, 2] },
+      { speaker: 1, embedding: [0.1, 1] },
+    ];
+
+    const clustering = rescoreSegmentSpeakers(target, [target, ...others]);
+    expect(clustering.allSimilarities[0].similarity).toBeCloseTo(0);
+    expect(clustering.allSimilarities[1].similarity).toBeGreaterThan(0.99);
+    expect(clustering.allSimilarities[2].similarity).toBe(0.5);
+    expect(clustering.similarity).toBeCloseTo(0);
+    expect(clustering.secondBestSpeaker).toBe('Bob');
+    expect(clustering.margin).toBeLessThan(0);
+  });
+
+  it('should leave excluded segments out of the means', () => {
+    const target = { speaker: 0, embedding: [0, 1], debug: { clustering: { allSimilarities: candidates } } };
+    const sibling = { speaker: 0, embedding: [1, 0] };
+    const clustering = rescoreSegmentSpeakers(target, [target, sibling], { exclude: [sibling] });
+    expect(clustering.allSimilarities[0].similarity).toBe(0.9);
+  });
+
+  it('should return null without an embedding or candidates', () => {
+    expect(rescoreSegmentSpeakers({ embedding: null, debug: { clustering: { allSimilarities: candidates } } }, [])).toBeNull();
+    expect(rescoreSegmentSpeakers({ embedding: [1, 0], debug: {} }, [])).toBeNull();
+  });
+});
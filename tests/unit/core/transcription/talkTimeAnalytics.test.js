@@ -0,0 +1,85 @@
+/**
+ * Unit tests for talk-time and turn-taking analytics
+ */
+
+import { describe, it, expect } from 'vitest';
+import { computeTalkTimeStats } from '../../../../src/core/transcription/talkTimeAnalytics.js';
+
+function seg(speakerLabel, startTime, endTime, text = 'one two three', extra = {}) {
+  return { speakerLabel, startTime, endTime, text, ...extra };
+}
+
+describe('computeTalkTimeStats', () => {
+  it('should sum talk time, shares and turns per speaker', () => {
+    const stats = computeTalkTimeStats([
+      seg('Alice', 0, 4),
+      seg('Alice', 4.5, 6),
+      seg('Bob', 7, 9),
+      seg('Alice', 10, 12),
+    ]);
+
+    expect(stats.totalTalkTime).toBeCloseTo(9.5);
+    expect(stats.duration).toBe(12);
+    expect(stats.turnCount).toBe(3);
+    expect(stats.speakers.map((s) => s.speaker)).toEqual(['Alice', 'Bob']);
+
+    const [alice, bob] = stats.speakers;
+    expect(alice).toMatchObject({ turns: 2, wordCount: 9 });
+    expect(alice.talkTime).toBeCloseTo(7.5);
+    expect(alice.share).toBeCloseTo(7.5 / 9.5);
+    expect(alice.averageTurnLength).toBeCloseTo(3.75);
+    expect(alice.longestMonologue).toEqual({ duration: 6, startTime: 0, endTime: 6 });
+    expect(bob.wordsPerMinute).toBeCloseTo(90);
+  });
+
+  it('should count overlaps and quick cut-ins as interruptions', () => {
+    const stats = computeTalkTimeStats([
+      seg('Alice', 0, 5),
+      seg('Bob', 4, 6), // overlaps Alice
+      seg('Alice', 6.2, 8), // 200ms gap
+      seg('Bob', 9, 10), // 1s gap: a normal handover
+    ]);
+
+    expect(stats.interruptionCount).toBe(2);
+    const alice = stats.speakers.find((s) => s.speaker === 'Alice');
+    const bob = stats.speakers.find((s) => s.speaker === 'Bob');
+    expect(bob).toMatchObject({ interruptions: 1, interrupted: 1 });
+    expect(alice).toMatchObject({ interruptions: 1, interrupted: 1 });
+    expect(stats.turns.map((t) => t.isInterruption)).toEqual([false, true, true, false]);
+  });
+
+  it('should split a turn on a long pause without counting an interruption', () => {
+    const stats = computeTalkTimeStats([seg('Alice', 0, 2), seg('Alice', 10, 12)], { maxTurnPause: 5 });
+    expect(stats.speakers[0]).toMatchObject({ turns: 2, interruptions: 0 });
+  });
+
+  it('should count overlapping segments of one speaker once', () => {
+    const stats = computeTalkTimeStats([seg('Alice', 0, 4), seg('Alice', 2, 6)]);
+    expect(stats.speakers[0].talkTime).toBe(6);
+  });
+
+  it('should use the displayed speaker and timed words, and skip non-speech', () => {
+    const stats = computeTalkTimeStats([
+      seg('Alice', 0, 2, 'hi', {
+        debug: { smoothing: { applied: true, to: 'Bob' } },
+        words: [{ text: ' a' }, { text: ' b' }, { text: '' }],
+      }),
+      seg(null, 2, 3),
+      seg('Alice', 3, 4, '[Music]', { isEnvironmental: true }),
+    ]);
+
+    expect(stats.speakers).toHaveLength(1);
+    expect(stats.speakers[0]).toMatchObject({ speaker: 'Bob', wordCount: 2 });
+  });
+
+  it('should handle an empty transcript', () => {
+    expect(computeTalkTimeStats([])).toEqual({
+      duration: 0,
+      totalTalkTime: 0,
+      turnCount: 0,
+      interruptionCount: 0,
+      speakers: [],
+      turns: [],
+    });
+  });
+});
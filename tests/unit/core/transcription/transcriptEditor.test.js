@@ -0,0 +1,144 @@
+/**
+ * Unit tests for transcript text editing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  alignEditedText,
+  editSegmentText,
+  getSegmentEditState,
+  createEditHistory,
+  recordEdit,
+  undoEdit,
+  redoEdit,
+  remapEditHistory,
+} from '../../../../src/core/transcription/transcriptEditor.js';
+
+// Segment word (leading space, absolute start/end)
+function word(text, start, end, confidence) {
+  return { text: ` ${text}`, start, end, ...(confidence != null && { confidence }) };
+}
+
+function segment(words) {
+  return {
+    text: words.map((w) => w.text).join(''),
+    words,
+    startTime: words[0].start,
+    endTime: words[words.length - 1].end,
+  };
+}
+
+describe('alignEditedText', () => {
+  const words = [word('the', 1, 1.2, 0.9), word('quick', 1.2, 1.6, 0.3), word('fox', 1.7, 2, 0.8)];
+
+  it('should keep unchanged words as they were', () => {
+    const result = alignEditedText(words, 'the quick fox');
+    expect(result).toEqual(words);
+    expect(result[0]).toBe(words[0]);
+  });
+
+  it('should give a replacement the time of the words it replaced', () => {
+    const result = alignEditedText(words, 'the brown fox');
+    expect(result[1]).toEqual({ text: ' brown', start: 1.2, end: 1.6, edited: true });
+    expect(result[2]).toBe(words[2]);
+  });
+
+  it('should split replaced time by word length', () => {
+    const result = alignEditedText(words, 'the big red fox');
+    expect(result.map((w) => w.text)).toEqual([' the', ' big', ' red', ' fox']);
+    expect(result[1].start).toBeCloseTo(1.2);
+    expect(result[1].end).toBeCloseTo(1.4);
+    expect(result[2].end).toBeCloseTo(1.6);
+  });
+
+  it('should place inserted words in the gap between their neighbours', () => {
+    const result = alignEditedText(words, 'the quick brown fox');
+    expect(result[2]).toEqual({ text: ' brown', start: 1.6, end: 1.7, edited: true });
+  });
+
+  it('should keep timing but drop the ASR score when only punctuation or case changes', () => {
+    const result = alignEditedText(words, 'The quick fox.');
+    expect(result[0]).toEqual({ text: ' The', start: 1, end: 1.2, edited: true });
+    expect(result[2]).toEqual({ text: ' fox.', start: 1.7, end: 2, edited: true });
+  });
+
+  it('should use the segment bounds for words added at the ends', () => {
+    const result = alignEditedText(words, 'so the quick fox', { start: 0.5 });
+    expect(result[0]).toEqual({ text: ' so', start: 0.5, end: 1, edited: true });
+  });
+
+  it('should drop deleted words', () => {
+    expect(alignEditedText(words, 'the fox')).toEqual([words[0], words[2]]);
+  });
+});
+
+describe('editSegmentText', () => {
+  it('should mark the segment as human-edited and keep the ASR text', () => {
+    const seg = segment([word('helo', 0, 0.5), word('world', 0.5, 1)]);
+    const state = editSegmentText(seg, '  hello   world ');
+
+    expect(state.text).toBe(' hello world');
+    expect(state.humanEdited).toBe(true);
+    expect(state.originalText).toBe(' helo world');
+    expect(state.words[0]).toEqual({ text: ' hello', start: 0, end: 0.5, edited: true });
+  });
+
+  it('should keep the first original text across edits', () => {
+    const seg = { ...segment([word('hello', 0, 1)]), humanEdited: true, originalText: ' helo' };
+    expect(editSegmentText(seg, 'hello!').originalText).toBe(' helo');
+  });
+
+  it('should return null for unchanged or empty text', () => {
+    const seg = segment([word('hi', 0, 1)]);
+    expect(editSegmentText(seg, ' hi ')).toBeNull();
+    expect(editSegmentText(seg, '   ')).toBeNull();
+  });
+});
+
+describe('edit history', () => {
+  const seg = segment([word('a', 0, 1)]);
+  const entry = (n) => ({ segmentIndex: n, before: getSegmentEditState(seg), after: getSegmentEditState(seg), timestamp: n });
+
+  it('should undo and redo in order', () => {
+    let history = recordEdit(recordEdit(createEditHistory(), entry(1)), entry(2));
+    expect(history.position).toBe(2);
+
+    const undone = undoEdit(history);
+    expect(undone.entry.segmentIndex).toBe(2);
+    history = undone.history;
+    expect(history.position).toBe(1);
+
+    const redone = redoEdit(history);
+    expect(redone.entry.segmentIndex).toBe(2);
+    expect(redone.history.position).toBe(2);
+    expect(redoEdit(redone.history)).toBeNull();
+  });
+
+  it('should drop redoable edits when a new edit is made', () => {
+    const history = undoEdit(recordEdit(recordEdit(null, entry(1)), entry(2))).history;
+    const next = recordEdit(history, entry(3));
+    expect(next.entries.map((e) => e.segmentIndex)).toEqual([1, 3]);
+    expect(redoEdit(next)).toBeNull();
+  });
+
+  it('should forget the oldest edits past the limit', () => {
+    let history = null;
+    for (let i = 0; i < 5; i++) history = recordEdit(history, entry(i), { maxHistory: 3 });
+    expect(history.entries.map((e) => e.segmentIndex)).toEqual([2, 3, 4]);
+    expect(undoEdit(createEditHistory())).toBeNull();
+  });
+
+  it('should follow split and merged segments', () => {
+    // Edits of segments 0, 2, 4 and 2 again, the last one undone
+    const history = undoEdit([0, 2, 4, 2].reduce((h, n) => recordEdit(h, entry(n)), null)).history;
+
+    const split = remapEditHistory(history, 2, 1, 2);
+    expect(split.entries.map((e) => e.segmentIndex)).toEqual([0, 5]);
+    expect(split.position).toBe(2);
+
+    const merged = remapEditHistory(history, 3, 2, 1);
+    expect(merged.entries.map((e) => e.segmentIndex)).toEqual([0, 2, 2]);
+    expect(merged.position).toBe(2);
+    expect(remapEditHistory(null, 0, 1, 2)).toBeNull();
+  });
+});
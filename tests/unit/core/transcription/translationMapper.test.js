@@ -0,0 +1,49 @@
+/**
+ * Unit tests for mapping Whisper translations onto transcript phrases
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapTranslationToPhrases } from '../../../../src/core/transcription/translationMapper.js';
+
+function chunk(text, start, end) {
+  return { text, timestamp: [start, end] };
+}
+
+describe('mapTranslationToPhrases', () => {
+  it('should give each sentence to the phrase it overlaps most', () => {
+    const phrases = [{ start: 0, end: 2 }, { start: 2.5, end: 5 }];
+    const texts = mapTranslationToPhrases(phrases, [
+      chunk(' Hello there.', 0, 2.2),
+      chunk(' How are you?', 2.2, 5),
+    ]);
+    expect(texts).toEqual(['Hello there.', 'How are you?']);
+  });
+
+  it('should join several sentences within one phrase', () => {
+    const texts = mapTranslationToPhrases([{ start: 0, end: 6 }], [
+      chunk(' Yes.', 0, 1),
+      chunk(' Of course.', 1, 3),
+    ]);
+    expect(texts).toEqual(['Yes. Of course.']);
+  });
+
+  it('should leave phrases without a translation as null', () => {
+    const texts = mapTranslationToPhrases([{ start: 0, end: 2 }, { start: 4, end: 6 }], [chunk(' Hi.', 0, 2)]);
+    expect(texts).toEqual(['Hi.', null]);
+  });
+
+  it('should give sentences in a gap to the nearest phrase', () => {
+    const texts = mapTranslationToPhrases([{ start: 0, end: 2 }, { start: 6, end: 8 }], [chunk(' Wait.', 4.5, 5.5)]);
+    expect(texts).toEqual([null, 'Wait.']);
+  });
+
+  it('should treat an open-ended final sentence as running to the last phrase', () => {
+    const texts = mapTranslationToPhrases([{ start: 0, end: 2 }, { start: 3, end: 6 }], [chunk(' The end.', 2.8, null)]);
+    expect(texts).toEqual([null, 'The end.']);
+  });
+
+  it('should skip empty sentences and handle no phrases', () => {
+    expect(mapTranslationToPhrases([{ start: 0, end: 1 }], [chunk('  ', 0, 1)])).toEqual([null]);
+    expect(mapTranslationToPhrases([], [chunk(' Hi.', 0, 1)])).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for ASR vocabulary prompts and replacement rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  dedupeTerms,
+  parseVocabularyTerms,
+  parseReplacementRules,
+  formatReplacementRules,
+  buildInitialPrompt,
+  applyReplacements,
+} from '../../../../src/core/transcription/vocabulary.js';
+
+// Whisper word chunk (leading space, [start, end] timestamp)
+function word(text, start, end) {
+  return { text: ` ${text}`, timestamp: [start, end] };
+}
+
+describe('parseVocabularyTerms', () => {
+  it('should split on lines and commas and drop duplicates', () => {
+    expect(parseVocabularyTerms('TinyScribe\n WavLM, tinyscribe\n\nAlice')).toEqual(['TinyScribe', 'WavLM', 'Alice']);
+  });
+
+  it('should handle empty input', () => {
+    expect(parseVocabularyTerms('')).toEqual([]);
+    expect(dedupeTerms(null)).toEqual([]);
+  });
+});
+
+describe('parseReplacementRules', () => {
+  it('should parse both separators and skip invalid lines', () => {
+    const rules = parseReplacementRules('tiny scribe => TinyScribe\nwave lm -> WavLM\nno separator\n => empty\nx =>');
+    expect(rules).toEqual([
+      { find: 'tiny scribe', replace: 'TinyScribe' },
+      { find: 'wave lm', replace: 'WavLM' },
+    ]);
+  });
+
+  it('should keep the first rule for the same find text', () => {
+    expect(parseReplacementRules('Foo => A\nfoo => B')).toEqual([{ find: 'Foo', replace: 'A' }]);
+  });
+
+  it('should round-trip through formatReplacementRules', () => {
+    const rules = [{ find: 'tiny scribe', replace: 'TinyScribe' }];
+    expect(parseReplacementRules(formatReplacementRules(rules))).toEqual(rules);
+  });
+});
+
+describe('buildInitialPrompt', () => {
+  it('should list names then terms', () => {
+    expect(buildInitialPrompt(['TinyScribe', 'WavLM'], ['Alice', 'Bob'])).toBe('Alice, Bob, TinyScribe, WavLM.');
+  });
+
+  it('should return an empty prompt when there is nothing to list', () => {
+    expect(buildInitialPrompt([], [])).toBe('');
+    expect(buildInitialPrompt(undefined)).toBe('');
+  });
+
+  it('should drop entries from the start when too long', () => {
+    expect(buildInitialPrompt(['TinyScribe'], ['Alexandra', 'Bartholomew'], { maxChars: 25 })).toBe('Bartholomew, TinyScribe.');
+  });
+});
+
+describe('applyReplacements', () => {
+  it('should replace single words and keep their timing and punctuation', () => {
+    const { words, count } = applyReplacements(
+      [word('We', 0, 0.2), word('use', 0.2, 0.4), word('Tinyscribe.', 0.4, 1.0)],
+      [{ find: 'tinyscribe', replace: 'TinyScribe' }]
+    );
+    expect(count).toBe(1);
+    expect(words[2]).toEqual({ text: ' TinyScribe.', timestamp: [0.4, 1.0] });
+  });
+
+  it('should merge multi-word matches into one word spanning their time range', () => {
+    const { words } = applyReplacements(
+      [word('tiny', 1.0, 1.3), word('scribe,', 1.3, 1.8), word('right', 2.0, 2.3)],
+      [{ find: 'tiny scribe', replace: 'TinyScribe' }, { find: 'tiny', replace: 'Tiny' }]
+    );
+    expect(words).toEqual([
+      { text: ' TinyScribe,', timestamp: [1.0, 1.8] },
+      word('right', 2.0, 2.3),
+    ]);
+  });
+
+  it('should only match whole words', () => {
+    const input = [word('scribes', 0, 0.5)];
+    const { words, count } = applyReplacements(input, [{ find: 'scribe', replace: 'Scribe' }]);
+    expect(words).toEqual(input);
+    expect(count).toBe(0);
+  });
+
+  it('should return the words unchanged without rules', () => {
+    const input = [word('hello', 0, 1)];
+    expect(applyReplacements(input, [])).toEqual({ words: input, count: 0 });
+    expect(applyReplacements(null, [{ find: 'a', replace: 'b' }])).toEqual({ words: [], count: 0 });
+  });
+});
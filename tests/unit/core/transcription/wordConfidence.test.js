@@ -0,0 +1,77 @@
+/**
+ * Unit tests for per-word ASR confidence
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getTokenLogprob,
+  attachWordConfidence,
+  findLowConfidenceSpans,
+} from '../../../../src/core/transcription/wordConfidence.js';
+
+// Whisper word chunk (leading space, [start, end] timestamp)
+function word(text, start, end, confidence) {
+  return { text: ` ${text}`, timestamp: [start, end], ...(confidence != null && { confidence }) };
+}
+
+function token(text, probability) {
+  return { text, logprob: Math.log(probability) };
+}
+
+describe('getTokenLogprob', () => {
+  it('should return the log-softmax of the token', () => {
+    const logits = new Float32Array([0, Math.log(3)]);
+    expect(getTokenLogprob(logits, 1)).toBeCloseTo(Math.log(0.75));
+    expect(getTokenLogprob(logits, 0)).toBeCloseTo(Math.log(0.25));
+  });
+
+  it('should stay finite for large logits', () => {
+    expect(getTokenLogprob([1000, 1000], 0)).toBeCloseTo(Math.log(0.5));
+  });
+});
+
+describe('attachWordConfidence', () => {
+  it('should average the probabilities of a word\'s tokens', () => {
+    const words = [word('Hello', 0, 0.4), word('TinyScribe.', 0.5, 1.2)];
+    const tokens = [token(' Hello', 0.9), token(' Tiny', 0.8), token('Scribe', 0.4), token('.', 0.9)];
+
+    const result = attachWordConfidence(words, tokens);
+    expect(result[0].confidence).toBe(0.9);
+    expect(result[1].confidence).toBe(0.7);
+    expect(result[1].timestamp).toEqual([0.5, 1.2]);
+  });
+
+  it('should ignore tokens without text', () => {
+    const words = [word('yes', 0, 0.3)];
+    const result = attachWordConfidence(words, [token('', 0.1), token(' yes', 0.6)]);
+    expect(result[0].confidence).toBe(0.6);
+  });
+
+  it('should leave words unchanged without tokens', () => {
+    const words = [word('hi', 0, 0.2)];
+    expect(attachWordConfidence(words, [])).toBe(words);
+    expect(attachWordConfidence(words, [token(' ', 0.5)])[0]).toBe(words[0]);
+  });
+});
+
+describe('findLowConfidenceSpans', () => {
+  it('should group consecutive low-confidence words', () => {
+    const words = [
+      word('the', 0, 0.1, 0.9),
+      word('quick', 0.1, 0.2, 0.3),
+      word('brown', 0.2, 0.3, 0.4),
+      word('fox', 0.3, 0.4, 0.95),
+      word('jumps', 0.4, 0.5, 0.2),
+    ];
+    expect(findLowConfidenceSpans(words)).toEqual([
+      { start: 1, end: 3, confidence: 0.3 },
+      { start: 4, end: 5, confidence: 0.2 },
+    ]);
+  });
+
+  it('should use the threshold option and skip words without confidence', () => {
+    const words = [word('a', 0, 0.1, 0.6), word('b', 0.1, 0.2)];
+    expect(findLowConfidenceSpans(words)).toEqual([]);
+    expect(findLowConfidenceSpans(words, { lowThreshold: 0.7 })).toEqual([{ start: 0, end: 1, confidence: 0.6 }]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the enrollment quality report
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeEnrollmentSamples,
+  computeConfusability,
+  buildEnrollmentQualityReport,
+} from '../../../../src/core/validation/enrollmentQuality.js';
+
+// One second of a 220Hz tone
+function tone(amplitude) {
+  return new Float32Array(16000).map((_, i) => amplitude * Math.sin((2 * Math.PI * 220 * i) / 16000));
+}
+
+// One second of a tone with every tenth sample at full scale
+function clipped() {
+  return tone(0.3).map((v, i) => (i % 10 === 0 ? 1 : v));
+}
+
+const CENTROID = [1, 0, 0];
+
+describe('analyzeEnrollmentSamples', () => {
+  it('should measure levels and similarity of each sample', () => {
+    const samples = analyzeEnrollmentSamples(
+      [tone(0.1), tone(0.001), clipped()],
+      [[1, 0.1, 0], [0.9, 0.2, 0], [0.2, 1, 0]],
+      CENTROID
+    );
+
+    expect(samples[0]).toMatchObject({ index: 0, clipped: false, levelError: null, isOutlier: false });
+    expect(samples[0].rms).toBeCloseTo(0.1 / Math.SQRT2, 2);
+    expect(samples[1].levelError).toBe('quiet');
+    expect(samples[2].clipped).toBe(true);
+    expect(samples[2].isOutlier).toBe(true);
+  });
+
+  it('should work from embeddings alone', () => {
+    const samples = analyzeEnrollmentSamples([], [[1, 0, 0]], CENTROID);
+    expect(samples[0]).toMatchObject({ rms: null, clippingRatio: null, similarity: 1, isOutlier: false });
+  });
+});
+
+describe('computeConfusability', () => {
+  it('should rank other speakers per model and flag close ones', () => {
+    const result = computeConfusability([
+      {
+        id: 'a',
+        name: 'Model A',
+        isCurrent: true,
+        centroid: [1, 0],
+        others: [{ name: 'Bob', centroid: [0, 1] }, { name: 'Carl', centroid: [1, 0.1] }],
+      },
+      { id: 'b', name: 'Model B', centroid: null, others: [] },
+    ], { confusableThreshold: 0.72 });
+
+    expect(result).toHaveLength(1);
+    expect(result[0].speakers.map((s) => s.name)).toEqual(['Carl', 'Bob']);
+    expect(result[0].speakers[0].confusable).toBe(true);
+    expect(result[0].speakers[1].confusable).toBe(false);
+  });
+});
+
+describe('buildEnrollmentQualityReport', () => {
+  const goodAudio = [tone(0.1), tone(0.1), tone(0.1)];
+  const goodEmbeddings = [[1, 0.05, 0], [1, 0, 0.05], [1, 0.02, 0.02]];
+
+  it('should report a healthy enrollment', () => {
+    const report = buildEnrollmentQualityReport({
+      name: 'Alice',
+      audioSamples: goodAudio,
+      sampleEmbeddings: goodEmbeddings,
+      centroid: CENTROID,
+      models: [{ id: 'a', name: 'Model A', isCurrent: true, centroid: CENTROID, others: [{ name: 'Bob', centroid: [0, 1, 0] }] }],
+    });
+
+    expect(report.status).toBe('good');
+    expect(report.recommendations).toEqual([]);
+    expect(report.meanSimilarity).toBeGreaterThan(0.99);
+  });
+
+  it('should name the sample to re-record', () => {
+    const report = buildEnrollmentQualityReport({
+      name: 'Alice',
+      audioSamples: [...goodAudio.slice(0, 2), tone(0.001)],
+      sampleEmbeddings: goodEmbeddings,
+      centroid: CENTROID,
+    });
+
+    expect(report.status).toBe('poor');
+    expect(report.recommendations).toEqual(['Re-record sample 3: it is too quiet']);
+  });
+
+  it('should suggest a different microphone when most samples are off', () => {
+    const report = buildEnrollmentQualityReport({
+      name: 'Alice',
+      sampleEmbeddings: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+      centroid: CENTROID,
+    });
+
+    expect(report.status).toBe('poor');
+    expect(report.recommendations[0]).toMatch(/different microphone/);
+  });
+
+  it('should point to a model that separates confusable speakers', () => {
+    const report = buildEnrollmentQualityReport({
+      name: 'Alice',
+      audioSamples: goodAudio,
+      sampleEmbeddings: goodEmbeddings,
+      centroid: CENTROID,
+      models: [
+        { id: 'a', name: 'Model A', isCurrent: true, centroid: [1, 0], others: [{ name: 'Bob', centroid: [1, 0.2] }] },
+        { id: 'b', name: 'Model B', centroid: [1, 0], others: [{ name: 'Bob', centroid: [0.5, 1] }] },
+      ],
+    });
+
+    expect(report.status).toBe('poor');
+    expect(report.recommendations).toHaveLength(1);
+    expect(report.recommendations[0]).toMatch(/confused with "Bob" under Model A.*Model B tells them apart/);
+  });
+
+  it('should ask for more samples', () => {
+    const report = buildEnrollmentQualityReport({
+      name: 'Alice',
+      audioSamples: [tone(0.1)],
+      sampleEmbeddings: [[1, 0, 0]],
+      centroid: CENTROID,
+    }, { minSamples: 3 });
+
+    expect(report.status).toBe('fair');
+    expect(report.recommendations[0]).toMatch(/Record more samples \(1 of 3/);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for enrollment passage sets and matching transcriptions against them
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parsePassageText,
+  formatPassageText,
+  validatePassageSet,
+  listPassageSets,
+  resolvePassageSet,
+} from '../../../../src/core/validation/passageSets.js';
+import { AudioValidator } from '../../../../src/core/validation/audioValidator.js';
+import { ENROLLMENT_PASSAGE_SETS, DEFAULT_PASSAGE_SET_ID } from '../../../../src/config/index.js';
+
+const PASSAGE = 'A passage long enough to give a reliable voice sample.';
+
+describe('parsePassageText / formatPassageText', () => {
+  it('should split paragraphs and join their lines', () => {
+    const text = 'First line\nof the first passage.\n\n\n  Second passage.  \n \nThird.';
+    expect(parsePassageText(text)).toEqual(['First line of the first passage.', 'Second passage.', 'Third.']);
+  });
+
+  it('should round-trip', () => {
+    const passages = ['One.', 'Two.'];
+    expect(parsePassageText(formatPassageText(passages))).toEqual(passages);
+  });
+});
+
+describe('validatePassageSet', () => {
+  it('should accept a complete set', () => {
+    expect(validatePassageSet({ name: 'Team', language: 'es', passages: [PASSAGE, PASSAGE, PASSAGE] })).toEqual([]);
+  });
+
+  it('should report a missing name, unknown language, too few and too short passages', () => {
+    const errors = validatePassageSet({ name: ' ', language: 'xx', passages: [PASSAGE, 'Hi.'] }, { minPassages: 3 });
+    expect(errors).toHaveLength(4);
+    expect(errors[2]).toMatch(/at least 3 passages \(2 so far\)/);
+    expect(errors[3]).toMatch(/Passage 2 is too short/);
+  });
+
+  it('should measure unspaced scripts by characters', () => {
+    const [, , japanese] = ENROLLMENT_PASSAGE_SETS.find((s) => s.language === 'ja').passages;
+    expect(validatePassageSet({ name: '日本語', language: 'ja', passages: [japanese, japanese, japanese] })).toEqual([]);
+  });
+});
+
+describe('listPassageSets / resolvePassageSet', () => {
+  const custom = [{ id: 'custom-1', name: 'Team', language: 'en', passages: [PASSAGE] }];
+
+  it('should list built-in sets before custom ones', () => {
+    const sets = listPassageSets(custom);
+    expect(sets).toHaveLength(ENROLLMENT_PASSAGE_SETS.length + 1);
+    expect(sets[0]).toMatchObject({ id: DEFAULT_PASSAGE_SET_ID, custom: false });
+    expect(sets.at(-1)).toMatchObject({ id: 'custom-1', custom: true });
+  });
+
+  it('should fall back to the default set for unknown IDs', () => {
+    expect(resolvePassageSet('custom-1', custom).name).toBe('Team');
+    expect(resolvePassageSet('deleted', custom).id).toBe(DEFAULT_PASSAGE_SET_ID);
+    expect(resolvePassageSet(null).id).toBe(DEFAULT_PASSAGE_SET_ID);
+  });
+});
+
+describe('AudioValidator.validateTranscription', () => {
+  it('should keep accented letters', () => {
+    const expected = 'Según la leyenda, en uno de ellos hay una olla de oro.';
+    expect(AudioValidator.validateTranscription('según la leyenda en uno de ellos hay una olla de oro', expected).matchRatio).toBe(1);
+    expect(AudioValidator.validateTranscription('segun la leyenda', expected).passed).toBe(false);
+  });
+
+  it('should compare scripts without word spaces by character', () => {
+    const expected = '虹は白い光をたくさんの美しい色に分けたものです。';
+    const result = AudioValidator.validateTranscription('虹は白い光をたくさんの美しい色に分けたものです', expected);
+    expect(result.passed).toBe(true);
+    expect(result.matchRatio).toBe(1);
+    expect(AudioValidator.validateTranscription('こんにちは', expected).passed).toBe(false);
+  });
+
+  it('should still match English passages', () => {
+    const expected = 'The rainbow is a division of white light into many beautiful colors.';
+    expect(AudioValidator.validateTranscription('The rainbow is a division of white light into many beautiful colours.', expected).passed).toBe(true);
+  });
+
+  it('should flag noise-only transcriptions', () => {
+    expect(AudioValidator.validateTranscription('[Music]', 'Any passage at all.').warnings).toEqual(['Only noise detected, no speech.']);
+  });
+});